@@ -7,6 +7,11 @@ const connectDB = require('./config/db');
 const { errorHandler } = require('./middleware/errorHandler');
 const path = require('path');
 const { initializeSocket } = require('./config/socket');
+const { startAttendanceJob } = require('./utils/attendanceJob');
+const { startInvoiceJob } = require('./utils/invoiceJob');
+const { startRecurringTaskJob } = require('./utils/recurringTaskJob');
+const { startMeetingReminderJob } = require('./utils/meetingReminderJob');
+const { stopAllJobs } = require('./utils/scheduler');
 
 // Load environment variables
 dotenv.config();
@@ -65,6 +70,7 @@ const employeeRoutes = require('./routes/employeeRoutes');
 const meetingRoutes = require('./Routes/meetingRoutes');
 const reportRoutes = require('./routes/reportRoutes');
 const taskRoutes = require('./Routes/taskRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
 
 // Check if uploadRoutes exists
 let uploadRoutes;
@@ -99,6 +105,7 @@ app.get('/', (req, res) => {
       meetings: '/api/meetings',
       reports: '/api/reports',
       tasks: '/api/tasks',
+      calendar: '/api/calendar',
       upload: '/api/upload',
       health: '/api/health'
     }
@@ -116,6 +123,7 @@ app.use('/api/attendance', attendanceRoutes);
 app.use('/api/meetings', meetingRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/tasks', taskRoutes);
+app.use('/api/calendar', calendarRoutes);
 
 // Only mount upload routes if file exists
 if (uploadRoutes) {
@@ -164,6 +172,12 @@ server.listen(PORT, () => {
   console.log(`📊 MongoDB: Connected`);
   console.log(`🔌 Socket.IO: Initialized & Ready`);
   console.log('==================================================');
+
+  // Background jobs
+  startAttendanceJob();
+  startInvoiceJob();
+  startRecurringTaskJob();
+  startMeetingReminderJob();
 });
 
 // Handle unhandled promise rejections
@@ -181,6 +195,7 @@ process.on('uncaughtException', (err) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('👋 SIGTERM received. Shutting down gracefully...');
+  stopAllJobs();
   server.close(() => {
     console.log('✅ Process terminated');
   });
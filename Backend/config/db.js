@@ -13,6 +13,18 @@ const connectDB = async () => {
     console.log(`✅ MongoDB Connected: ${conn.connection.host}`);
     console.log(`📊 Database Name: ${conn.connection.name}`);
 
+    // Drop indexes the models no longer declare on existing databases:
+    // Attendance became unique per shift instead of per day, and kiosk
+    // QR codes are single-use per employee instead of globally
+    for (const modelName of ['Attendance', 'KioskTokenUse']) {
+      try {
+        const dropped = await require(`../models/${modelName}`).syncIndexes();
+        if (dropped.length > 0) console.log(`🗂️ ${modelName} indexes dropped:`, dropped.join(', '));
+      } catch (indexError) {
+        console.error(`❌ ${modelName} index sync failed: ${indexError.message}`);
+      }
+    }
+
     mongoose.connection.on('connected', () => {
       console.log('📡 Mongoose connected to MongoDB');
     });
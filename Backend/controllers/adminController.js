@@ -7,6 +7,11 @@ const Attendance = require("../models/Attendance");
 const Meeting = require("../models/Meeting");
 const DailyReport = require("../models/DailyReport");
 const Admin = require('../models/Admin');
+const Session = require('../models/Session');
+const { revokeUserSessions, formatSession } = require('../utils/sessionHelper');
+const { recomputeAttendance } = require('../utils/attendanceRules');
+const { getScheduledShiftsForDay, formatShift } = require('../utils/shiftHelper');
+const { getBreakStatus } = require('../utils/breakHelper');
 const { getIO } = require('../config/socket');
 
 
@@ -257,7 +262,7 @@ const addEmployee = async (req, res) => {
   try {
     const {
       name, email, password, phone, position, department,
-      salary, joinDate, status, address,
+      salary, joinDate, status, address, workLocation, allowRemoteCheckIn,
     } = req.body;
 
     if (!name || !email || !password) {
@@ -315,6 +320,8 @@ const addEmployee = async (req, res) => {
       position: position,
       designation: position,
       department: formattedDepartment,
+      workLocation: workLocation || "",
+      allowRemoteCheckIn: Boolean(allowRemoteCheckIn),
       joiningDate: joinDate ? new Date(joinDate) : new Date(),
       salary: salary ? parseFloat(salary) : 0,
       isActive: isActive,
@@ -473,6 +480,8 @@ const updateEmployee = async (req, res) => {
     const allowedFields = [
       "designation",
       "department",
+      "workLocation",
+      "allowRemoteCheckIn",
       "salary",
       "isActive",
       "skills",
@@ -555,7 +564,10 @@ const deleteEmployee = async (req, res) => {
     employee.isActive = false;
     await employee.save();
 
-    await User.findByIdAndUpdate(employee.user, { isActive: false });
+    if (employee.userId) {
+      await User.findByIdAndUpdate(employee.userId, { isActive: false });
+      await revokeUserSessions(employee.userId, "account-deactivated", { revokedBy: req.user._id });
+    }
 
     res.status(200).json({
       success: true,
@@ -890,7 +902,10 @@ const deleteClient = async (req, res) => {
     client.isActive = false;
     await client.save();
 
-    await User.findByIdAndUpdate(client.user, { isActive: false });
+    if (client.userId) {
+      await User.findByIdAndUpdate(client.userId, { isActive: false });
+      await revokeUserSessions(client.userId, "account-deactivated", { revokedBy: req.user._id });
+    }
 
     res.status(200).json({
       success: true,
@@ -906,6 +921,160 @@ const deleteClient = async (req, res) => {
   }
 };
 
+// ============================================
+// SESSION MANAGEMENT
+// ============================================
+
+// Resolve the login account behind an employee/client profile
+const getProfileUserId = async (Model, id) => {
+  const profile = await Model.findById(id).select("userId");
+  return profile?.userId || null;
+};
+
+const listSessions = async (userId, res) => {
+  const sessions = await Session.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsed: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map((session) => formatSession(session)),
+  });
+};
+
+const getEmployeeSessions = async (req, res) => {
+  try {
+    const userId = await getProfileUserId(Employee, req.params.id);
+
+    if (!userId) {
+      return res.status(404).json({
+        success: false,
+        message: "Employee not found",
+      });
+    }
+
+    await listSessions(userId, res);
+  } catch (error) {
+    console.error("Get employee sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching employee sessions",
+      error: error.message,
+    });
+  }
+};
+
+const getClientSessions = async (req, res) => {
+  try {
+    const userId = await getProfileUserId(Client, req.params.id);
+
+    if (!userId) {
+      return res.status(404).json({
+        success: false,
+        message: "Client not found",
+      });
+    }
+
+    await listSessions(userId, res);
+  } catch (error) {
+    console.error("Get client sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching client sessions",
+      error: error.message,
+    });
+  }
+};
+
+const revokeEmployeeSessions = async (req, res) => {
+  try {
+    const userId = await getProfileUserId(Employee, req.params.id);
+
+    if (!userId) {
+      return res.status(404).json({
+        success: false,
+        message: "Employee not found",
+      });
+    }
+
+    const revoked = await revokeUserSessions(userId, "admin", { revokedBy: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      message: `${revoked} session(s) revoked`,
+      data: { revoked },
+    });
+  } catch (error) {
+    console.error("Revoke employee sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error revoking employee sessions",
+      error: error.message,
+    });
+  }
+};
+
+const revokeClientSessions = async (req, res) => {
+  try {
+    const userId = await getProfileUserId(Client, req.params.id);
+
+    if (!userId) {
+      return res.status(404).json({
+        success: false,
+        message: "Client not found",
+      });
+    }
+
+    const revoked = await revokeUserSessions(userId, "admin", { revokedBy: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      message: `${revoked} session(s) revoked`,
+      data: { revoked },
+    });
+  } catch (error) {
+    console.error("Revoke client sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error revoking client sessions",
+      error: error.message,
+    });
+  }
+};
+
+const revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findById(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    if (!session.revokedAt) {
+      await session.revoke("admin", req.user._id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Session revoked",
+      data: formatSession(session),
+    });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error revoking session",
+      error: error.message,
+    });
+  }
+};
+
 // ============================================
 // SETTINGS MANAGEMENT
 // ============================================
@@ -963,7 +1132,7 @@ const updateSettings = async (req, res) => {
     console.log('Received data:', JSON.stringify(req.body, null, 2));
     console.log('====================================');
 
-    const { company, work, attendance, email } = req.body;
+    const { company, work, attendance, email, leave, payroll, projects, invoices } = req.body;
 
     if (!company || !work || !attendance || !email) {
       console.log('❌ Missing required sections');
@@ -1012,9 +1181,45 @@ const updateSettings = async (req, res) => {
       halfDayHours: attendance.halfDayHours,
       fullDayHours: attendance.fullDayHours,
       overtimeRate: attendance.overtimeRate,
+      weeklyHours: attendance.weeklyHours ?? admin.attendanceSettings.weeklyHours,
       allowManualCorrection: attendance.allowManualCorrection,
+      // Optional so older clients keep the current cap
+      maxConcurrentBreaks: attendance.maxConcurrentBreaks ?? admin.attendanceSettings.maxConcurrentBreaks,
     };
 
+    // Leave policy is optional so older clients keep working
+    if (leave) {
+      // Only the types sent are changed
+      ['sick', 'casual', 'vacation', 'emergency', 'unpaid'].forEach(type => {
+        if (leave[type] !== undefined) admin.leavePolicy[type] = leave[type];
+      });
+    }
+
+    // Payroll settings are optional as well
+    if (payroll) {
+      // Only the fields sent are changed
+      ['currency', 'lateGraceDays', 'latePenaltyDays', 'deductAbsences'].forEach(field => {
+        if (payroll[field] !== undefined) admin.payrollSettings[field] = payroll[field];
+      });
+    }
+
+    // Project budget settings are optional as well
+    if (projects) {
+      // Only the fields sent are changed
+      ['defaultBillRate', 'budgetAlertThresholds'].forEach(field => {
+        if (projects[field] !== undefined) admin.projectSettings[field] = projects[field];
+      });
+    }
+
+    // Invoice settings are optional as well
+    if (invoices) {
+      admin.invoiceSettings = {
+        prefix: invoices.prefix,
+        defaultTaxRate: invoices.defaultTaxRate,
+        paymentTermsDays: invoices.paymentTermsDays,
+      };
+    }
+
     admin.emailSettings = {
       notifyNewEmployee: email.notifyNewEmployee,
       notifyTaskAssignment: email.notifyTaskAssignment,
@@ -1031,9 +1236,16 @@ const updateSettings = async (req, res) => {
 
     const updatedSettings = admin.getFormattedSettings();
 
+    // Optionally re-evaluate stored attendance with the new rules
+    let recomputed = null;
+    if (req.body.recomputeFrom) {
+      recomputed = await recomputeAttendance({ startDate: req.body.recomputeFrom });
+    }
+
     res.status(200).json({
       success: true,
       data: updatedSettings,
+      recomputed,
       message: 'Settings updated successfully'
     });
 
@@ -1156,11 +1368,27 @@ const getDailyAttendance = async (req, res) => {
 
     console.log('✅ Attendance records found:', attendanceRecords.length);
 
+    // Rostered shifts of the day (employees without a roster are left out)
+    const scheduledShifts = await getScheduledShiftsForDay(allEmployees, queryDate);
+    const now = new Date();
+
     // ✅✅✅ CRITICAL FIX: Map employees with FULL LOCATION DATA
     const attendanceData = allEmployees.map(employee => {
-      const record = attendanceRecords.find(
+      const scheduled = scheduledShifts.get(employee._id.toString());
+      const employeeRecords = attendanceRecords.filter(
         r => r.employeeId && r.employeeId._id.toString() === employee._id.toString()
       );
+      const record = (scheduled && employeeRecords.find(
+        r => r.shift && r.shift.toString() === scheduled.shift._id.toString()
+      )) || employeeRecords[0];
+
+      const schedule = {
+        scheduledShift: scheduled ? formatShift(scheduled.shift) : null,
+        scheduledStart: scheduled ? scheduled.scheduledStart : null,
+        scheduledEnd: scheduled ? scheduled.scheduledEnd : null,
+        // Shift has started but nobody checked in
+        scheduledMissing: Boolean(scheduled && now >= scheduled.scheduledStart && !record?.checkInTime)
+      };
 
       if (record) {
         const checkIn = record.checkInTime;
@@ -1177,7 +1405,8 @@ const getDailyAttendance = async (req, res) => {
         let finalStatus = normalizedStatus;
         if (checkIn && !checkOut) {
           finalStatus = 'present';
-        } else if (!checkIn && !checkOut) {
+        } else if (!checkIn && !checkOut && !['leave', 'work-from-home'].includes(normalizedStatus)) {
+          // Approved leave and WFH days have no check-in but keep their status
           finalStatus = 'absent';
         }
 
@@ -1190,6 +1419,7 @@ const getDailyAttendance = async (req, res) => {
         });
 
         return {
+          ...schedule,
           _id: record._id,
           employeeName: employee.userId?.name || employee.name || 'Unknown',
           email: employee.userId?.email || employee.email || '-',
@@ -1204,6 +1434,7 @@ const getDailyAttendance = async (req, res) => {
           totalHours: workHours ? `${workHours}h` : '-',
           status: finalStatus,
           isLate: record.isLate || false,
+          ...getBreakStatus(record, now),
           
           // ✅✅✅ CRITICAL: Include ALL location fields
           checkInLocation: record.checkInLocation,
@@ -1217,6 +1448,11 @@ const getDailyAttendance = async (req, res) => {
             postalCode: ''
           },
           checkInCoordinates: record.checkInCoordinates,
+
+          // Geofence decision at check-in
+          geofenceDecision: record.checkInGeofence?.decision || null,
+          office: record.checkInGeofence?.officeName || null,
+          distanceFromOffice: record.checkInGeofence?.distance ?? null,
           
           // ✅ Also provide as "location" for backward compatibility
           location: record.checkInLocation || 'Unknown Location',
@@ -1224,6 +1460,7 @@ const getDailyAttendance = async (req, res) => {
       } else {
         // Employee hasn't checked in
         return {
+          ...schedule,
           _id: null,
           employeeName: employee.userId?.name || employee.name || 'Unknown',
           email: employee.userId?.email || employee.email || '-',
@@ -1238,9 +1475,14 @@ const getDailyAttendance = async (req, res) => {
           totalHours: '-',
           status: 'absent',
           isLate: false,
+          onBreak: false,
+          currentBreak: null,
           checkInLocation: null,
           checkInLocationDetails: null,
           checkInCoordinates: null,
+          geofenceDecision: null,
+          office: null,
+          distanceFromOffice: null,
           location: null
         };
       }
@@ -1257,7 +1499,11 @@ const getDailyAttendance = async (req, res) => {
       ).length,
       absent: attendanceData.filter(a =>
         a.status && a.status.toLowerCase() === 'absent'
-      ).length
+      ).length,
+      remote: attendanceData.filter(a => a.geofenceDecision === 'remote').length,
+      onBreak: attendanceData.filter(a => a.onBreak).length,
+      scheduled: scheduledShifts.size,
+      scheduledMissing: attendanceData.filter(a => a.scheduledMissing).length
     };
 
     console.log('📊 Stats:', stats);
@@ -1285,6 +1531,7 @@ const getDailyAttendance = async (req, res) => {
       date: queryDate,
       stats: stats,
       attendance: sortedData,
+      scheduledMissing: sortedData.filter(a => a.scheduledMissing),
       message: 'Attendance data fetched successfully'
     });
 
@@ -1582,6 +1829,11 @@ module.exports = {
   addClient,
   updateClient,
   deleteClient,
+  getEmployeeSessions,
+  getClientSessions,
+  revokeEmployeeSessions,
+  revokeClientSessions,
+  revokeSession,
   getProjects,
   getSettings,
   updateSettings,
@@ -2,35 +2,220 @@ const Attendance = require('../models/Attendance');
 const Employee = require('../models/Employee');
 const User = require('../models/User');
 const { getIO } = require('../config/socket');
+const { getPKTDate, getEndOfDayPKT, toDateKey } = require('../utils/workCalendar');
+const { getCompanySettings } = require('../utils/settingsHelper');
+const { getHolidayCalendar, getWorkingDays, getEmployeeScope } = require('../utils/holidayHelper');
+const { closeAttendanceDay } = require('../utils/attendanceJob');
+const { evaluateAttendance, applyAttendanceRules } = require('../utils/attendanceRules');
+const { resolveCheckInShift, getScheduledShiftsForDay, formatShift } = require('../utils/shiftHelper');
+const { matchOffice, getDistance } = require('../utils/geofence');
+const { redeemKioskToken } = require('../utils/kioskHelper');
+const {
+  BREAK_TYPES,
+  getBreakPolicy,
+  getBreakMinutes,
+  closeOpenBreak,
+  claimBreakSlot,
+  getBreakStatus,
+  formatBreaks
+} = require('../utils/breakHelper');
+const { getApprovedOvertime } = require('../utils/overtimeHelper');
 
 // ==================== HELPER FUNCTIONS ====================
 
-const getPKTDate = (dateString) => {
-  const PKT_OFFSET = 5 * 60 * 60 * 1000; // 5 hours in milliseconds
+// Statuses that count as attending a working day
+const ATTENDED_STATUSES = ['present', 'late', 'half-day', 'work-from-home'];
 
-  if (dateString) {
-    const date = new Date(dateString);
-    const utcDate = new Date(date.getTime() + PKT_OFFSET);
-    utcDate.setUTCHours(0, 0, 0, 0);
-    return utcDate;
-  } else {
-    const now = new Date();
-    const pktNow = new Date(now.getTime() + PKT_OFFSET);
-    pktNow.setUTCHours(0, 0, 0, 0);
-    return pktNow;
-  }
+// Month boundaries as stored days. Days after today are not counted yet
+const getMonthRange = (year, month) => {
+  const start = new Date(Date.UTC(year, month, 1));
+  const monthEnd = new Date(Date.UTC(year, month + 1, 0));
+  const today = getPKTDate();
+  return { start, monthEnd, countUntil: monthEnd < today ? monthEnd : today };
 };
 
-const getEndOfDayPKT = (dateString) => {
-  const PKT_OFFSET = 5 * 60 * 60 * 1000;
-  const date = new Date(dateString || new Date());
-  const utcDate = new Date(date.getTime() + PKT_OFFSET);
-  utcDate.setUTCHours(23, 59, 59, 999);
-  return utcDate;
+// Open check-in of an employee: today's, or a night shift that started
+// yesterday and has not ended by midnight
+const findOpenAttendance = (employeeId) => {
+  const todayStart = getPKTDate();
+  const yesterdayStart = new Date(todayStart);
+  yesterdayStart.setUTCDate(yesterdayStart.getUTCDate() - 1);
+
+  return Attendance.findOne({
+    employeeId,
+    $or: [
+      { date: { $gte: todayStart, $lte: getEndOfDayPKT() } },
+      { date: yesterdayStart, scheduledEnd: { $gt: todayStart } }
+    ],
+    checkInTime: { $ne: null },
+    checkOutTime: null
+  }).sort({ checkInTime: -1 });
 };
 
 // ==================== EMPLOYEE ATTENDANCE ====================
 
+// Shared by GPS and QR check-in: shift attribution, late rule, save, notify.
+// Callers have validated the employee and decided the geofence result
+const recordCheckIn = async (req, res, employee, { location, notes, checkInMethod, checkInGeofence, reviewNote }) => {
+  const checkInTime = new Date();
+
+  // Attribute the check-in to the scheduled shift. A shift belongs to the
+  // day it starts, so a night shift keeps yesterday's date after midnight
+  const { date: shiftDate, shift, scheduledStart, scheduledEnd, rules } =
+    await resolveCheckInShift(employee, checkInTime);
+
+  console.log('📅 Attendance day (PKT):', shiftDate.toISOString(), shift ? `| Shift: ${shift.name}` : '');
+
+  // Check existing attendance
+  const existingAttendance = await Attendance.findOne({
+    employeeId: employee._id,
+    date: shiftDate,
+    shift: shift ? shift._id : null
+  });
+
+  if (existingAttendance && existingAttendance.checkInTime) {
+    return res.status(400).json({
+      success: false,
+      message: shift ? `Already checked in for ${shift.name} shift` : 'Already checked in today'
+    });
+  }
+
+  // Late rule from settings (or the employee's / department's override)
+  const { isLate, lateBy } = evaluateAttendance(
+    { date: shiftDate, checkInTime, scheduledStart, scheduledEnd },
+    rules
+  );
+
+  // ✅✅✅ CRITICAL FIX: Properly structure location data
+  const checkInLocationData = location?.locationName || location?.fullAddress || checkInGeofence.officeName || 'Unknown Location';
+  
+  const checkInLocationDetailsData = {
+    shortName: location?.locationName || checkInGeofence.officeName || 'Unknown Location',
+    fullAddress: location?.fullAddress || '',
+    city: location?.addressDetails?.city || '',
+    state: location?.addressDetails?.state || '',
+    country: location?.addressDetails?.country || '',
+    area: location?.addressDetails?.area || '',
+    postalCode: location?.addressDetails?.postalCode || ''
+  };
+
+  console.log('✅ Saving location data:');
+  console.log('  - checkInLocation:', checkInLocationData);
+  console.log('  - checkInLocationDetails:', JSON.stringify(checkInLocationDetailsData, null, 2));
+
+  // ✅ Create attendance with MANDATORY location
+  const attendanceData = {
+    employeeId: employee._id,
+    date: shiftDate,
+    shift: shift ? shift._id : null,
+    scheduledStart: scheduledStart,
+    scheduledEnd: scheduledEnd,
+    checkInTime: checkInTime,
+    checkInMethod: checkInMethod,
+    status: isLate ? 'late' : 'present',
+    isLate: isLate,
+    lateBy: lateBy,
+    earlyLeave: false,
+    earlyBy: 0,
+    overtimeHours: 0,
+    checkInIpAddress: req.ip,
+    checkInDeviceInfo: req.headers['user-agent'],
+    notes: notes || '',
+    
+    // ✅✅✅ CRITICAL: Properly save coordinates (optional for QR check-in)
+    checkInCoordinates: location ? {
+      latitude: location.latitude,
+      longitude: location.longitude,
+      accuracy: location.accuracy || 0
+    } : undefined,
+    
+    // ✅✅✅ CRITICAL: Properly save location name
+    checkInLocation: checkInLocationData,
+    
+    // ✅✅✅ CRITICAL: Properly save location details
+    checkInLocationDetails: checkInLocationDetailsData,
+
+    checkInGeofence
+  };
+
+  if (reviewNote) {
+    attendanceData.flaggedForReview = true;
+    attendanceData.reviewNote = reviewNote;
+  }
+
+  console.log('📦 Full attendance data to save:');
+  console.log(JSON.stringify(attendanceData, null, 2));
+
+  let attendance;
+  if (existingAttendance) {
+    attendance = await Attendance.findByIdAndUpdate(
+      existingAttendance._id,
+      attendanceData,
+      { new: true }
+    );
+  } else {
+    attendance = await Attendance.create(attendanceData);
+  }
+
+  console.log('✅ CHECK-IN SUCCESSFUL with location');
+  console.log('✅ Saved attendance:', {
+    _id: attendance._id,
+    checkInLocation: attendance.checkInLocation,
+    checkInLocationDetails: attendance.checkInLocationDetails
+  });
+
+  // ✅ CREATE NOTIFICATION FOR ADMIN
+  try {
+    const Notification = require('../models/Notification');
+    await Notification.create({
+      title: 'Employee Check-In',
+      message: `${employee.name} has checked in at ${new Date(checkInTime).toLocaleTimeString()}${isLate ? ' (Late)' : ''} from ${checkInGeofence.decision === 'office' ? checkInGeofence.officeName : checkInLocationData}${checkInGeofence.decision === 'remote' ? ' (Remote)' : ''}`,
+      type: 'attendance',
+      role: 'admin',
+      metadata: {
+        employeeId: employee._id,
+        employeeName: employee.name,
+        checkInTime: checkInTime,
+        isLate: isLate,
+        location: checkInLocationData,
+        geofence: checkInGeofence.decision,
+        checkInMethod: checkInMethod,
+        coordinates: location ? {
+          lat: location.latitude,
+          lng: location.longitude
+        } : null
+      }
+    });
+    console.log('📬 Notification created for admin');
+  } catch (notifError) {
+    console.error('⚠️ Notification creation error:', notifError);
+  }
+
+  // Emit socket event
+  try {
+    const io = getIO();
+    io.to('admin').emit('attendance-marked', {
+      employeeId: employee._id,
+      employeeName: employee.name || 'Unknown',
+      checkIn: attendance.checkInTime,
+      status: attendance.status,
+      date: attendance.date,
+      location: attendance.checkInLocation
+    });
+    console.log('📡 Attendance event emitted to admins');
+  } catch (socketError) {
+    console.error('Socket emit error:', socketError);
+  }
+
+  return res.status(200).json({
+    success: true,
+    message: isLate ? 'Checked in (Late)' : 'Checked in successfully',
+    data: attendance,
+    isLate
+  });
+};
+
+
 // @desc    Check in (Clock in)
 // @route   POST /api/employee/attendance/checkin
 // @access  Private (Employee)
@@ -76,171 +261,112 @@ exports.checkIn = async (req, res) => {
 
     console.log('✅ Employee found:', employee.name);
 
-    // Get today's date in PKT
-    const getPKTDate = (dateString) => {
-      const PKT_OFFSET = 5 * 60 * 60 * 1000;
-      if (dateString) {
-        const date = new Date(dateString);
-        const utcDate = new Date(date.getTime() + PKT_OFFSET);
-        utcDate.setUTCHours(0, 0, 0, 0);
-        return utcDate;
-      } else {
-        const now = new Date();
-        const pktNow = new Date(now.getTime() + PKT_OFFSET);
-        pktNow.setUTCHours(0, 0, 0, 0);
-        return pktNow;
-      }
-    };
-
-    const getEndOfDayPKT = (dateString) => {
-      const PKT_OFFSET = 5 * 60 * 60 * 1000;
-      const date = new Date(dateString || new Date());
-      const utcDate = new Date(date.getTime() + PKT_OFFSET);
-      utcDate.setUTCHours(23, 59, 59, 999);
-      return utcDate;
-    };
-
-    const todayStart = getPKTDate();
-    const todayEnd = getEndOfDayPKT();
-
-    console.log('📅 Today (PKT):', todayStart.toISOString());
-
-    // Check existing attendance
-    const existingAttendance = await Attendance.findOne({
-      employeeId: employee._id,
-      date: {
-        $gte: todayStart,
-        $lte: todayEnd
-      }
-    });
+    // Geofence: inside an office, or remote if the employee may work remotely
+    const geofence = await matchOffice(location);
 
-    if (existingAttendance && existingAttendance.checkInTime) {
-      return res.status(400).json({
+    if (geofence.decision === 'outside' && !employee.allowRemoteCheckIn) {
+      console.log(`❌ Check-in outside geofence: ${geofence.distance}m from ${geofence.office.name}`);
+      return res.status(403).json({
         success: false,
-        message: 'Already checked in today'
+        message: `You are ${geofence.distance} m away from ${geofence.office.name}. Check-in is only allowed at an office location.`,
+        data: {
+          nearestOffice: geofence.office.name,
+          distance: geofence.distance,
+          radius: geofence.office.radius
+        }
       });
     }
 
-    const checkInTime = new Date();
-
-    // Check if late (after 9 AM PKT)
-    const hour = new Date(checkInTime.getTime() + (5 * 60 * 60 * 1000)).getUTCHours();
-    const isLate = hour >= 9;
-
-    // ✅✅✅ CRITICAL FIX: Properly structure location data
-    const checkInLocationData = location.locationName || location.fullAddress || 'Unknown Location';
-    
-    const checkInLocationDetailsData = {
-      shortName: location.locationName || 'Unknown Location',
-      fullAddress: location.fullAddress || '',
-      city: location.addressDetails?.city || '',
-      state: location.addressDetails?.state || '',
-      country: location.addressDetails?.country || '',
-      area: location.addressDetails?.area || '',
-      postalCode: location.addressDetails?.postalCode || ''
+    const checkInGeofence = {
+      decision: geofence.decision === 'outside' ? 'remote' : geofence.decision,
+      office: geofence.office ? geofence.office._id : null,
+      officeName: geofence.office ? geofence.office.name : null,
+      distance: geofence.distance
     };
 
-    console.log('✅ Saving location data:');
-    console.log('  - checkInLocation:', checkInLocationData);
-    console.log('  - checkInLocationDetails:', JSON.stringify(checkInLocationDetailsData, null, 2));
-
-    // ✅ Create attendance with MANDATORY location
-    const attendanceData = {
-      employeeId: employee._id,
-      date: todayStart,
-      checkInTime: checkInTime,
+    return recordCheckIn(req, res, employee, {
+      location,
+      notes,
       checkInMethod: 'Manual',
-      status: 'present',
-      isLate: isLate,
-      checkInIpAddress: req.ip,
-      checkInDeviceInfo: req.headers['user-agent'],
-      notes: notes || '',
-      
-      // ✅✅✅ CRITICAL: Properly save coordinates
-      checkInCoordinates: {
-        latitude: location.latitude,
-        longitude: location.longitude,
-        accuracy: location.accuracy || 0
-      },
-      
-      // ✅✅✅ CRITICAL: Properly save location name
-      checkInLocation: checkInLocationData,
-      
-      // ✅✅✅ CRITICAL: Properly save location details
-      checkInLocationDetails: checkInLocationDetailsData
-    };
+      checkInGeofence
+    });
+  } catch (error) {
+    console.error('❌ Check-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
 
-    console.log('📦 Full attendance data to save:');
-    console.log(JSON.stringify(attendanceData, null, 2));
+// @desc    Check in by scanning a kiosk QR code
+// @route   POST /api/employee/attendance/checkin/qr
+// @access  Private (Employee)
+exports.checkInWithQr = async (req, res) => {
+  try {
+    const { token, location, notes } = req.body;
 
-    let attendance;
-    if (existingAttendance) {
-      attendance = await Attendance.findByIdAndUpdate(
-        existingAttendance._id,
-        attendanceData,
-        { new: true }
-      );
-    } else {
-      attendance = await Attendance.create(attendanceData);
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'QR code is required'
+      });
     }
 
-    console.log('✅ CHECK-IN SUCCESSFUL with location');
-    console.log('✅ Saved attendance:', {
-      _id: attendance._id,
-      checkInLocation: attendance.checkInLocation,
-      checkInLocationDetails: attendance.checkInLocationDetails
-    });
+    const employee = await Employee.findOne({ userId: req.user._id });
 
-    // ✅ CREATE NOTIFICATION FOR ADMIN
-    try {
-      const Notification = require('../models/Notification');
-      await Notification.create({
-        title: 'Employee Check-In',
-        message: `${employee.name} has checked in at ${new Date(checkInTime).toLocaleTimeString()}${isLate ? ' (Late)' : ''} from ${checkInLocationData}`,
-        type: 'attendance',
-        role: 'admin',
-        isRead: false,
-        metadata: {
-          employeeId: employee._id,
-          employeeName: employee.name,
-          checkInTime: checkInTime,
-          isLate: isLate,
-          location: checkInLocationData,
-          coordinates: {
-            lat: location.latitude,
-            lng: location.longitude
-          }
-        }
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee profile not found'
       });
-      console.log('📬 Notification created for admin');
-    } catch (notifError) {
-      console.error('⚠️ Notification creation error:', notifError);
     }
 
-    // Emit socket event
+    let kiosk;
     try {
-      const io = getIO();
-      io.to('admin').emit('attendance-marked', {
-        employeeId: employee._id,
-        employeeName: employee.name || 'Unknown',
-        checkIn: attendance.checkInTime,
-        status: attendance.status,
-        date: attendance.date,
-        location: attendance.checkInLocation
+      kiosk = await redeemKioskToken(token, employee);
+    } catch (error) {
+      console.log(`❌ QR check-in rejected for ${employee.employeeId}: ${error.message}`);
+      return res.status(400).json({
+        success: false,
+        message: error.message
       });
-      console.log('📡 Attendance event emitted to admins');
-    } catch (socketError) {
-      console.error('Socket emit error:', socketError);
     }
 
-    res.status(200).json({
-      success: true,
-      message: isLate ? 'Checked in (Late)' : 'Checked in successfully',
-      data: attendance,
-      isLate
+    // The kiosk vouches for the office; coordinates are kept when sent
+    const office = kiosk.office;
+    const hasCoordinates = location && location.latitude && location.longitude;
+    const checkInGeofence = {
+      decision: 'office',
+      office: office._id,
+      officeName: office.name,
+      distance: hasCoordinates
+        ? Math.round(getDistance(Number(location.latitude), Number(location.longitude), office.latitude, office.longitude))
+        : null
+    };
+
+    // A code scanned far from its kiosk, or without a location to prove
+    // otherwise, may have been photographed and shared, so the check-in is
+    // kept but left for an admin to review
+    let reviewNote;
+    if (!hasCoordinates) {
+      reviewNote = `QR code scanned without a location; presence at ${office.name} is unverified.`;
+    } else if (checkInGeofence.distance > office.radius) {
+      reviewNote = `QR code scanned ${checkInGeofence.distance} m from ${office.name} (radius ${office.radius} m).`;
+    }
+
+    console.log(`📱 QR check-in: ${employee.employeeId} at ${kiosk.name} (${office.name})${reviewNote ? ` ⚠️ ${reviewNote}` : ''}`);
+
+    return recordCheckIn(req, res, employee, {
+      location: hasCoordinates ? location : null,
+      notes,
+      checkInMethod: 'QR Code',
+      checkInGeofence,
+      reviewNote
     });
   } catch (error) {
-    console.error('❌ Check-in error:', error);
+    console.error('❌ QR check-in error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -248,6 +374,7 @@ exports.checkIn = async (req, res) => {
     });
   }
 };
+
 // @desc    Check out
 // @route   POST /api/employee/attendance/checkout
 // @access  Private (Employee)
@@ -277,19 +404,26 @@ exports.checkOut = async (req, res) => {
     const todayStart = getPKTDate();
     const todayEnd = getEndOfDayPKT();
 
-    console.log('📅 Looking for attendance between:', todayStart.toISOString(), 'and', todayEnd.toISOString());
-
-    const attendance = await Attendance.findOne({
-      employeeId: employee._id,
-      date: {
-        $gte: todayStart,
-        $lte: todayEnd
-      }
-    });
+    const attendance = await findOpenAttendance(employee._id);
 
     console.log('🔍 Found attendance:', attendance ? 'YES' : 'NO');
 
-    if (!attendance || !attendance.checkInTime) {
+    if (!attendance) {
+      const todayAttendance = await Attendance.findOne({
+        employeeId: employee._id,
+        date: { $gte: todayStart, $lte: todayEnd },
+        checkOutTime: { $ne: null }
+      }).sort({ checkOutTime: -1 });
+
+      if (todayAttendance) {
+        console.log('⚠️ Already checked out');
+        return res.status(400).json({
+          success: false,
+          message: 'Already checked out',
+          data: todayAttendance
+        });
+      }
+
       console.log('❌ No check-in record found');
       return res.status(400).json({
         success: false,
@@ -297,19 +431,13 @@ exports.checkOut = async (req, res) => {
       });
     }
 
-    if (attendance.checkOutTime) {
-      console.log('⚠️ Already checked out');
-      return res.status(400).json({
-        success: false,
-        message: 'Already checked out',
-        data: attendance
-      });
-    }
-
     // Set checkout time
     const checkOutTime = timestamp ? new Date(timestamp) : new Date();
     attendance.checkOutTime = checkOutTime;
 
+    // Checking out ends a break still in progress
+    closeOpenBreak(attendance, checkOutTime);
+
     console.log('⏰ Check-out time:', checkOutTime);
     console.log('⏰ Check-in time:', attendance.checkInTime);
 
@@ -334,7 +462,8 @@ exports.checkOut = async (req, res) => {
       attendance.notes = (attendance.notes || '') + ` | Auto checkout: ${reason}`;
     }
 
-    // Calculate work hours (will be done by pre-save hook)
+    // Early leave / half-day / overtime from the rules; work hours by pre-save hook
+    await applyAttendanceRules(attendance);
     await attendance.save();
 
     console.log('✅ Work hours calculated:', attendance.workHours);
@@ -347,7 +476,6 @@ exports.checkOut = async (req, res) => {
         message: `${employee.userId?.name || employee.name} has checked out. Work hours: ${attendance.workHours.toFixed(2)}h`,
         type: 'attendance',
         role: 'admin',
-        isRead: false,
         metadata: {
           employeeId: employee._id,
           employeeName: employee.userId?.name || employee.name,
@@ -406,6 +534,182 @@ exports.checkOut = async (req, res) => {
   }
 };
 
+// Tell admin dashboards that an employee went on or came back from a break
+const emitBreakUpdate = (employee, attendance) => {
+  try {
+    const io = getIO();
+    io.to('admin').emit('attendance-updated', {
+      employeeId: employee._id,
+      employeeName: employee.userId?.name || employee.name || 'Unknown',
+      checkIn: attendance.checkInTime,
+      date: attendance.date,
+      ...getBreakStatus(attendance)
+    });
+  } catch (socketError) {
+    console.error('⚠️ Socket error:', socketError.message);
+  }
+};
+
+// @desc    Start a break
+// @route   POST /api/employee/attendance/break/start
+// @access  Private (Employee)
+exports.startBreak = async (req, res) => {
+  try {
+    const type = req.body.type || 'Other';
+
+    if (!BREAK_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Break type must be one of: ${BREAK_TYPES.join(', ')}`
+      });
+    }
+
+    const employee = await Employee.findOne({ userId: req.user._id })
+      .populate('userId', 'name email');
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee profile not found'
+      });
+    }
+
+    const attendance = await findOpenAttendance(employee._id);
+
+    if (!attendance) {
+      return res.status(400).json({
+        success: false,
+        message: 'Check in before starting a break'
+      });
+    }
+
+    const now = new Date();
+    const policy = getBreakPolicy(await getCompanySettings());
+
+    if (type === 'Lunch') {
+      const lunchTaken = getBreakMinutes(attendance, 'Lunch', now);
+      if (lunchTaken >= policy.lunchMinutes) {
+        return res.status(400).json({
+          success: false,
+          message: policy.lunchMinutes > 0
+            ? `Lunch break allowance of ${policy.lunchMinutes} minutes already used`
+            : 'Lunch breaks are not enabled'
+        });
+      }
+    }
+
+    // Open the break only if none is open, so a double submit cannot start two
+    const started = await Attendance.findOneAndUpdate(
+      {
+        _id: attendance._id,
+        checkOutTime: null,
+        breaks: { $not: { $elemMatch: { startTime: { $ne: null }, endTime: null } } }
+      },
+      { $push: { breaks: { startTime: now, type } } },
+      { new: true }
+    );
+
+    if (!started) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already on a break'
+      });
+    }
+
+    if (policy.maxConcurrent > 0 && !(await claimBreakSlot(started._id, policy.maxConcurrent))) {
+      const pushed = started.breaks[started.breaks.length - 1];
+      await Attendance.updateOne({ _id: started._id }, { $pull: { breaks: { _id: pushed._id } } });
+
+      return res.status(409).json({
+        success: false,
+        message: `${policy.maxConcurrent} employees are already on break. Please try again in a few minutes.`
+      });
+    }
+
+    console.log(`☕ ${employee.employeeId} started ${type} break`);
+    emitBreakUpdate(employee, started);
+
+    const status = getBreakStatus(started, now);
+    res.status(200).json({
+      success: true,
+      message: `${type} break started`,
+      data: {
+        ...status,
+        lunchRemaining: type === 'Lunch'
+          ? Math.max(0, policy.lunchMinutes - getBreakMinutes(started, 'Lunch', now))
+          : undefined
+      }
+    });
+
+  } catch (error) {
+    console.error('Start break error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    End the current break
+// @route   POST /api/employee/attendance/break/end
+// @access  Private (Employee)
+exports.endBreak = async (req, res) => {
+  try {
+    const employee = await Employee.findOne({ userId: req.user._id })
+      .populate('userId', 'name email');
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee profile not found'
+      });
+    }
+
+    const attendance = await findOpenAttendance(employee._id);
+    const closed = attendance && closeOpenBreak(attendance, new Date());
+
+    if (!closed) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are not on a break'
+      });
+    }
+
+    await attendance.save();
+
+    // Lunch beyond the allowance is kept but reported back
+    let lunchExceededBy = 0;
+    if (closed.type === 'Lunch') {
+      const policy = getBreakPolicy(await getCompanySettings());
+      lunchExceededBy = Math.max(0, getBreakMinutes(attendance, 'Lunch') - policy.lunchMinutes);
+    }
+
+    console.log(`☕ ${employee.employeeId} ended ${closed.type} break (${closed.duration}m)`);
+    emitBreakUpdate(employee, attendance);
+
+    res.status(200).json({
+      success: true,
+      message: lunchExceededBy > 0
+        ? `Break ended. Lunch allowance exceeded by ${lunchExceededBy} minutes`
+        : 'Break ended',
+      data: {
+        break: closed,
+        totalBreakTime: attendance.totalBreakTime,
+        lunchExceededBy
+      }
+    });
+
+  } catch (error) {
+    console.error('End break error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get attendance status
 // @route   GET /api/employee/attendance/status
 // @access  Private (Employee)
@@ -435,14 +739,14 @@ exports.getAttendanceStatus = async (req, res) => {
 
     console.log('📅 Looking for attendance between:', todayStart.toISOString(), 'and', todayEnd.toISOString());
 
-    // Find today's attendance
-    const attendance = await Attendance.findOne({
+    // Open shift first (may have started yesterday), then today's latest record
+    const attendance = await findOpenAttendance(employee._id) || await Attendance.findOne({
       employeeId: employee._id,
       date: {
         $gte: todayStart,
         $lte: todayEnd
       }
-    });
+    }).sort({ checkInTime: -1 });
 
     console.log('🔍 Attendance found:', attendance ? 'YES' : 'NO');
 
@@ -591,16 +895,34 @@ exports.getAttendanceSummary = async (req, res) => {
       date: { $gte: startDate, $lte: endDate }
     });
 
+    // Working days exclude weekends and the holidays that apply to this employee
+    const settings = await getCompanySettings();
+    const range = getMonthRange(targetYear, targetMonth);
+    const scope = getEmployeeScope(employee);
+    const calendar = await getHolidayCalendar(range.start, range.monthEnd);
+    const holidayKeys = calendar.keys(scope);
+    const workingDays = await getWorkingDays(range.start, range.countUntil, {
+      weekendDays: settings.work.weekendDays,
+      scope,
+      calendar
+    });
+    const attendedDays = attendance.filter(a => ATTENDED_STATUSES.includes(a.status)).length;
+
     const summary = {
       totalDays: attendance.length,
+      workingDays: workingDays.length,
+      holidays: calendar.occurrences(scope),
       present: attendance.filter(a => a.status === 'present').length,
-      absent: attendance.filter(a => a.status === 'absent').length,
+      absent: attendance.filter(a => a.status === 'absent' && !holidayKeys.has(toDateKey(a.date))).length,
       late: attendance.filter(a => a.isLate).length,
       leaves: attendance.filter(a => a.status === 'leave').length,
       workFromHome: attendance.filter(a => a.status === 'work-from-home').length,
       totalWorkHours: attendance.reduce((sum, a) => sum + (a.workHours || 0), 0),
       averageWorkHours: attendance.length > 0
         ? attendance.reduce((sum, a) => sum + (a.workHours || 0), 0) / attendance.length
+        : 0,
+      attendanceRate: workingDays.length > 0
+        ? Math.min((attendedDays / workingDays.length) * 100, 100).toFixed(2)
         : 0
     };
 
@@ -687,106 +1009,6 @@ exports.requestCorrection = async (req, res) => {
   }
 };
 
-// @desc    Request leave
-// @route   POST /api/employee/attendance/leave
-// @access  Private (Employee)
-exports.requestLeave = async (req, res) => {
-  try {
-    const userId = req.user._id || req.user.id;
-
-    const employee = await Employee.findOne({ userId: userId });
-    await notifyLeaveRequest({
-      employeeId: employee._id,
-      employeeName: employee.userId?.name,
-      leaveType: leaveType,
-      startDate: new Date(startDate).toLocaleDateString(),
-      endDate: new Date(endDate).toLocaleDateString(),
-      reason: reason
-    });
-    if (!employee) {
-      return res.status(404).json({
-        success: false,
-        message: 'Employee not found'
-      });
-    }
-
-    const { startDate, endDate, leaveType, reason } = req.body;
-
-    if (!startDate || !endDate || !leaveType || !reason) {
-      return res.status(400).json({
-        success: false,
-        message: 'Start date, end date, leave type, and reason are required'
-      });
-    }
-
-    const start = new Date(startDate);
-    start.setHours(0, 0, 0, 0);
-
-    const end = new Date(endDate);
-    end.setHours(0, 0, 0, 0);
-
-    // Validate dates
-    if (start > end) {
-      return res.status(400).json({
-        success: false,
-        message: 'Start date cannot be after end date'
-      });
-    }
-
-    // Create leave requests for each day
-    const leaveRequests = [];
-    const currentDate = new Date(start);
-
-    while (currentDate <= end) {
-      const leaveDate = new Date(currentDate);
-
-      let attendance = await Attendance.findOne({
-        employeeId: employee._id,
-        date: leaveDate
-      });
-
-      if (!attendance) {
-        attendance = await Attendance.create({
-          employeeId: employee._id,
-          date: leaveDate,
-          status: 'leave',
-          leaveRequest: {
-            leaveType,
-            reason,
-            status: 'pending',
-            requestedAt: new Date()
-          }
-        });
-      } else {
-        attendance.status = 'leave';
-        attendance.leaveRequest = {
-          leaveType,
-          reason,
-          status: 'pending',
-          requestedAt: new Date()
-        };
-        await attendance.save();
-      }
-
-      leaveRequests.push(attendance);
-      currentDate.setDate(currentDate.getDate() + 1);
-    }
-
-    res.status(200).json({
-      success: true,
-      message: `Leave request submitted for ${leaveRequests.length} day(s)`,
-      data: leaveRequests
-    });
-
-  } catch (error) {
-    console.error('❌ Request leave error:', error);
-    res.status(500).json({
-      success: false,
-      message: error.message || 'Failed to request leave'
-    });
-  }
-};
-
 // @desc    Get my correction requests
 // @route   GET /api/employee/attendance/corrections
 // @access  Private (Employee)
@@ -823,42 +1045,6 @@ exports.getMyCorrections = async (req, res) => {
   }
 };
 
-// @desc    Get my leave requests
-// @route   GET /api/employee/attendance/leaves
-// @access  Private (Employee)
-exports.getMyLeaves = async (req, res) => {
-  try {
-    const userId = req.user._id || req.user.id;
-
-    const employee = await Employee.findOne({ userId });
-
-    if (!employee) {
-      return res.status(404).json({
-        success: false,
-        message: 'Employee not found'
-      });
-    }
-
-    const leaves = await Attendance.find({
-      employeeId: employee._id,
-      'leaveRequest': { $exists: true }
-    }).sort({ date: -1 });
-
-    res.status(200).json({
-      success: true,
-      data: leaves
-    });
-
-  } catch (error) {
-    console.error('Get my leaves error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error',
-      error: error.message
-    });
-  }
-};
-
 // @desc    Get today's attendance
 // @route   GET /api/employee/attendance/today
 // @access  Private (Employee)
@@ -893,7 +1079,10 @@ exports.getTodayAttendance = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: todayAttendance
+      data: {
+        ...todayAttendance.toObject(),
+        ...getBreakStatus(todayAttendance)
+      }
     });
 
   } catch (error) {
@@ -1013,14 +1202,31 @@ exports.getDailyAttendance = async (req, res) => {
 
     console.log('✅ Attendance records found:', attendanceRecords.length);
 
+    // Rostered shifts of the day (employees without a roster are left out)
+    const scheduledShifts = await getScheduledShiftsForDay(employees, queryDate);
+    const now = new Date();
+
     // Create attendance status for each employee
     const attendanceData = employees.map(employee => {
-      const record = attendanceRecords.find(
+      const scheduled = scheduledShifts.get(employee._id.toString());
+      const employeeRecords = attendanceRecords.filter(
         att => att.employeeId && att.employeeId._id.toString() === employee._id.toString()
       );
+      const record = (scheduled && employeeRecords.find(
+        att => att.shift && att.shift.toString() === scheduled.shift._id.toString()
+      )) || employeeRecords[0];
+
+      const schedule = {
+        scheduledShift: scheduled ? formatShift(scheduled.shift) : null,
+        scheduledStart: scheduled ? scheduled.scheduledStart : null,
+        scheduledEnd: scheduled ? scheduled.scheduledEnd : null,
+        // Shift has started but nobody checked in
+        scheduledMissing: Boolean(scheduled && now >= scheduled.scheduledStart && !record?.checkInTime)
+      };
 
       if (record) {
         return {
+          ...schedule,
           _id: record._id,
           employeeId: employee.employeeId,
           name: employee.name,
@@ -1032,18 +1238,24 @@ exports.getDailyAttendance = async (req, res) => {
           checkOutTime: record.checkOutTime,
           workingHours: record.workingHours,
           isLate: record.isLate,
+          ...getBreakStatus(record, now),
+          geofenceDecision: record.checkInGeofence?.decision || null,
+          office: record.checkInGeofence?.officeName || null,
+          distanceFromOffice: record.checkInGeofence?.distance ?? null,
           hasCheckIn: !!record.checkInTime,
           hasCheckOut: !!record.checkOutTime,
           date: record.date
         };
       } else {
         return {
+          ...schedule,
           employeeId: employee.employeeId,
           name: employee.name,
           email: employee.email,
           department: employee.department,
           position: employee.position,
           status: 'absent',
+          onBreak: false,
           hasCheckIn: false,
           hasCheckOut: false,
         };
@@ -1054,7 +1266,11 @@ exports.getDailyAttendance = async (req, res) => {
       total: employees.length,
       present: attendanceData.filter(a => a.status === 'present').length,
       late: attendanceData.filter(a => a.isLate).length,
-      absent: attendanceData.filter(a => a.status === 'absent').length
+      absent: attendanceData.filter(a => a.status === 'absent').length,
+      remote: attendanceData.filter(a => a.geofenceDecision === 'remote').length,
+      onBreak: attendanceData.filter(a => a.onBreak).length,
+      scheduled: scheduledShifts.size,
+      scheduledMissing: attendanceData.filter(a => a.scheduledMissing).length
     };
 
     console.log('📊 Stats:', stats);
@@ -1063,6 +1279,7 @@ exports.getDailyAttendance = async (req, res) => {
     res.status(200).json({
       success: true,
       attendance: attendanceData,
+      scheduledMissing: attendanceData.filter(a => a.scheduledMissing),
       stats,
       date: dateParam
     });
@@ -1118,17 +1335,40 @@ exports.getMonthlyAttendance = async (req, res) => {
     const employees = await Employee.find({ isActive: true })
       .populate('userId', 'name email');
 
+    // Holidays are loaded once and resolved per employee department/location
+    const settings = await getCompanySettings();
+    const range = getMonthRange(targetYear, targetMonth);
+    const calendar = await getHolidayCalendar(range.start, range.monthEnd);
+    const companyWorkingDays = await getWorkingDays(range.start, range.countUntil, {
+      weekendDays: settings.work.weekendDays,
+      calendar
+    });
+    const approvedOvertime = await getApprovedOvertime(range.start, range.monthEnd);
+
     // Group attendance by employee
-    const employeeAttendance = employees.map(employee => {
+    const employeeAttendance = await Promise.all(employees.map(async employee => {
       const records = attendanceRecords.filter(
         record => record.employeeId && record.employeeId._id.toString() === employee._id.toString()
       );
 
+      const scope = getEmployeeScope(employee);
+      const holidayKeys = calendar.keys(scope);
+      const workingDays = await getWorkingDays(range.start, range.countUntil, {
+        weekendDays: settings.work.weekendDays,
+        scope,
+        calendar
+      });
+      const attendedDays = records.filter(r => ATTENDED_STATUSES.includes(r.status)).length;
+
       const presentDays = records.filter(r => r.status === 'present').length;
-      const absentDays = records.filter(r => r.status === 'absent').length;
+      const absentDays = records.filter(
+        r => r.status === 'absent' && !holidayKeys.has(toDateKey(r.date))
+      ).length;
       const lateDays = records.filter(r => r.isLate).length;
       const leaveDays = records.filter(r => r.status === 'leave').length;
       const totalWorkHours = records.reduce((sum, r) => sum + (r.workHours || 0), 0);
+      const overtimeHours = records.reduce((sum, r) => sum + (r.overtimeHours || 0), 0);
+      const approved = approvedOvertime.get(employee._id.toString()) || { hours: 0, paidHours: 0 };
 
       return {
         employeeId: employee.employeeId,
@@ -1138,27 +1378,37 @@ exports.getMonthlyAttendance = async (req, res) => {
         position: employee.position,
         summary: {
           totalDays: records.length,
+          workingDays: workingDays.length,
+          holidays: holidayKeys.size,
           presentDays,
           absentDays,
           lateDays,
           leaveDays,
           totalWorkHours: totalWorkHours.toFixed(2),
           averageWorkHours: records.length > 0 ? (totalWorkHours / records.length).toFixed(2) : 0,
-          attendanceRate: records.length > 0 ? ((presentDays / records.length) * 100).toFixed(2) : 0
+          overtimeHours: overtimeHours.toFixed(2),
+          approvedOvertimeHours: approved.hours,
+          paidOvertimeHours: approved.paidHours,
+          attendanceRate: workingDays.length > 0
+            ? Math.min((attendedDays / workingDays.length) * 100, 100).toFixed(2)
+            : 0
         },
         records
       };
-    });
+    }));
 
     // Overall statistics
     const stats = {
       totalEmployees: employees.length,
+      workingDays: companyWorkingDays.length,
+      holidays: calendar.occurrences(),
       totalRecords: attendanceRecords.length,
       totalPresent: attendanceRecords.filter(r => r.status === 'present').length,
       totalAbsent: attendanceRecords.filter(r => r.status === 'absent').length,
       totalLate: attendanceRecords.filter(r => r.isLate).length,
       totalLeave: attendanceRecords.filter(r => r.status === 'leave').length,
-      totalWorkHours: attendanceRecords.reduce((sum, r) => sum + (r.workHours || 0), 0).toFixed(2)
+      totalWorkHours: attendanceRecords.reduce((sum, r) => sum + (r.workHours || 0), 0).toFixed(2),
+      totalApprovedOvertimeHours: [...approvedOvertime.values()].reduce((sum, o) => sum + o.hours, 0).toFixed(2)
     };
 
     res.status(200).json({
@@ -1223,6 +1473,8 @@ exports.getAttendanceReport = async (req, res) => {
     const lateCount = attendance.filter(a => a.isLate).length;
     const absentCount = attendance.filter(a => a.status === 'absent').length;
     const leaveCount = attendance.filter(a => a.status === 'leave').length;
+    const withBreaks = attendance.filter(a => a.breaks && a.breaks.length > 0);
+    const totalBreakMinutes = attendance.reduce((sum, a) => sum + (a.totalBreakTime || 0), 0);
 
     res.status(200).json({
       success: true,
@@ -1239,6 +1491,10 @@ exports.getAttendanceReport = async (req, res) => {
           leaveCount,
           attendanceRate: totalRecords > 0
             ? ((presentCount / totalRecords) * 100).toFixed(2)
+            : 0,
+          totalBreakMinutes,
+          averageBreakMinutes: withBreaks.length > 0
+            ? Math.round(totalBreakMinutes / withBreaks.length)
             : 0
         },
         records: attendance
@@ -1310,6 +1566,148 @@ exports.getLateArrivals = async (req, res) => {
   }
 };
 
+// @desc    Get attendance records flagged for review (auto checkouts, missing check-outs)
+// @route   GET /api/admin/attendance/flagged
+// @access  Private (Admin)
+exports.getFlaggedAttendance = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const query = { flaggedForReview: true };
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = getPKTDate(startDate);
+      if (endDate) query.date.$lte = getPKTDate(endDate);
+    }
+
+    const records = await Attendance.find(query)
+      .populate({
+        path: 'employeeId',
+        populate: {
+          path: 'userId',
+          select: 'name email'
+        }
+      })
+      .sort({ date: -1 });
+
+    const flagged = records.map(a => ({
+      _id: a._id,
+      date: a.date,
+      employee: a.employeeId ? {
+        id: a.employeeId._id,
+        name: a.employeeId.userId?.name,
+        email: a.employeeId.userId?.email,
+        employeeId: a.employeeId.employeeId
+      } : null,
+      checkInTime: a.checkInTime,
+      checkOutTime: a.checkOutTime,
+      autoCheckedOut: a.autoCheckedOut,
+      status: a.status,
+      reviewNote: a.reviewNote
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: flagged.length,
+      data: flagged
+    });
+
+  } catch (error) {
+    console.error('Get flagged attendance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Mark a flagged attendance record as reviewed (optionally fix check-out)
+// @route   PUT /api/admin/attendance/:id/review
+// @access  Private (Admin)
+exports.reviewAttendance = async (req, res) => {
+  try {
+    const { checkOutTime, notes } = req.body;
+
+    const attendance = await Attendance.findById(req.params.id);
+
+    if (!attendance) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attendance record not found'
+      });
+    }
+
+    if (checkOutTime) {
+      const checkOut = new Date(checkOutTime);
+      if (isNaN(checkOut) || (attendance.checkInTime && checkOut < attendance.checkInTime)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Check-out time must be a valid time after check-in'
+        });
+      }
+      attendance.checkOutTime = checkOut;
+      attendance.checkOutMethod = 'Manual';
+      attendance.autoCheckedOut = false;
+      closeOpenBreak(attendance, checkOut);
+    }
+
+    attendance.flaggedForReview = false;
+    if (notes) attendance.reviewNote = notes;
+    attendance.reviewedBy = req.user._id;
+    attendance.reviewedAt = new Date();
+    await applyAttendanceRules(attendance);
+
+    await attendance.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Attendance record reviewed',
+      data: attendance
+    });
+
+  } catch (error) {
+    console.error('Review attendance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Run the end-of-day job for a date now (auto-checkout + absences)
+// @route   POST /api/admin/attendance/close-day
+// @access  Private (Admin)
+exports.closeDay = async (req, res) => {
+  try {
+    const dateKey = toDateKey(getPKTDate(req.body.date || new Date()));
+
+    if (dateKey > toDateKey(getPKTDate(new Date()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot close a future date'
+      });
+    }
+
+    const summary = await closeAttendanceDay(dateKey);
+
+    res.status(200).json({
+      success: true,
+      message: `Attendance closed for ${dateKey}`,
+      data: summary
+    });
+
+  } catch (error) {
+    console.error('Close day error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get specific employee's attendance
 // @route   GET /api/admin/attendance/employee/:employeeId
 // @access  Private (Admin)
@@ -1426,6 +1824,7 @@ exports.approveCorrection = async (req, res) => {
     }
     if (attendance.correctionRequest.correctCheckOutTime) {
       attendance.checkOutTime = attendance.correctionRequest.correctCheckOutTime;
+      closeOpenBreak(attendance, attendance.checkOutTime);
     }
 
     // Recalculate work hours if both times exist
@@ -1441,10 +1840,8 @@ exports.approveCorrection = async (req, res) => {
       attendance.correctionRequest.adminNotes = adminNotes;
     }
 
-    // Update status if was absent
-    if (attendance.status === 'absent' && attendance.checkInTime) {
-      attendance.status = 'present';
-    }
+    // Re-evaluate late / half-day / overtime with the corrected times
+    await applyAttendanceRules(attendance);
 
     await attendance.save();
 
@@ -1617,6 +2014,8 @@ exports.exportAttendance = async (req, res) => {
       })
       .sort({ date: -1 });
 
+    const { timezone } = (await getCompanySettings()).work;
+
     // Format data for export
     const exportData = attendance.map(record => ({
       Date: record.date.toISOString().split('T')[0],
@@ -1626,6 +2025,9 @@ exports.exportAttendance = async (req, res) => {
       CheckIn: record.checkInTime ? record.checkInTime.toISOString() : 'N/A',
       CheckOut: record.checkOutTime ? record.checkOutTime.toISOString() : 'N/A',
       WorkHours: record.workHours || 0,
+      BreakMinutes: record.totalBreakTime || 0,
+      ProductiveHours: record.productiveHours || 0,
+      Breaks: formatBreaks(record, timezone),
       Status: record.status,
       IsLate: record.isLate ? 'Yes' : 'No',
       Location: record.checkInLocation || 'N/A',
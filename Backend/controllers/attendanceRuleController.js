@@ -0,0 +1,319 @@
+const AttendanceRule = require('../models/AttendanceRule');
+const Employee = require('../models/Employee');
+const { getCompanySettings } = require('../utils/settingsHelper');
+const {
+  RULE_FIELDS,
+  isValidTime,
+  isValidTimezone,
+  getBaseRules,
+  getEmployeeRules,
+  recomputeAttendance
+} = require('../utils/attendanceRules');
+
+const NUMERIC_FIELDS = ['lateThreshold', 'halfDayHours', 'fullDayHours', 'weeklyHours', 'overtimeRate'];
+
+// Validate the rule fields present in the body. Empty values clear an override
+const parseRuleFields = (body) => {
+  const values = {};
+
+  for (const field of RULE_FIELDS) {
+    if (body[field] === undefined) continue;
+
+    const value = body[field];
+    if (value === null || value === '') {
+      values[field] = undefined;
+      continue;
+    }
+
+    if ((field === 'startTime' || field === 'endTime') && !isValidTime(value)) {
+      return { error: `${field} must be in HH:mm format` };
+    }
+    if (field === 'timezone' && !isValidTimezone(value)) {
+      return { error: `Unknown timezone: ${value}` };
+    }
+    if (NUMERIC_FIELDS.includes(field)) {
+      const number = Number(value);
+      if (!Number.isFinite(number) || number < 0) {
+        return { error: `${field} must be a positive number` };
+      }
+      values[field] = number;
+      continue;
+    }
+
+    values[field] = value;
+  }
+
+  return { values };
+};
+
+// Re-evaluate the records a rule covers when the admin asks for it
+const recomputeForRule = (rule, recomputeFrom) => {
+  if (!recomputeFrom) return null;
+
+  return recomputeAttendance({
+    startDate: recomputeFrom,
+    employeeIds: rule.scope === 'employee' ? [rule.employeeId] : undefined,
+    department: rule.scope === 'department' ? rule.department : undefined
+  });
+};
+
+// ==================== ADMIN ATTENDANCE RULES ====================
+
+// @desc    Get company rules and all overrides
+// @route   GET /api/admin/attendance-rules
+// @access  Private (Admin)
+exports.getAttendanceRules = async (req, res) => {
+  try {
+    const settings = await getCompanySettings();
+
+    const overrides = await AttendanceRule.find()
+      .populate({
+        path: 'employeeId',
+        select: 'employeeId department userId',
+        populate: { path: 'userId', select: 'name email' }
+      })
+      .sort({ scope: 1, department: 1, createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        company: getBaseRules(settings),
+        overrides
+      }
+    });
+
+  } catch (error) {
+    console.error('Get attendance rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the rules that apply to an employee
+// @route   GET /api/admin/attendance-rules/effective/:employeeId
+// @access  Private (Admin)
+exports.getEffectiveRules = async (req, res) => {
+  try {
+    const employee = await Employee.findById(req.params.employeeId).select('department employeeId');
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    const rules = await getEmployeeRules(employee);
+
+    res.status(200).json({
+      success: true,
+      data: rules
+    });
+
+  } catch (error) {
+    console.error('Get effective rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create an employee or department override
+// @route   POST /api/admin/attendance-rules
+// @access  Private (Admin)
+exports.createAttendanceRule = async (req, res) => {
+  try {
+    const { scope, employeeId, department, name, recomputeFrom } = req.body;
+
+    if (!['employee', 'department'].includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scope must be "employee" or "department"'
+      });
+    }
+
+    if (scope === 'employee' && !(await Employee.exists({ _id: employeeId }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    if (scope === 'department' && !department) {
+      return res.status(400).json({
+        success: false,
+        message: 'Department is required'
+      });
+    }
+
+    const { values, error } = parseRuleFields(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const existing = await AttendanceRule.findOne(
+      scope === 'employee' ? { scope, employeeId } : { scope, department }
+    );
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `A rule for this ${scope} already exists`
+      });
+    }
+
+    const rule = await AttendanceRule.create({
+      scope,
+      employeeId: scope === 'employee' ? employeeId : null,
+      department: scope === 'department' ? department : null,
+      name,
+      ...values,
+      createdBy: req.user._id
+    });
+
+    const recomputed = await recomputeForRule(rule, recomputeFrom);
+
+    console.log(`📏 Attendance rule created for ${scope}: ${scope === 'employee' ? employeeId : department}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Attendance rule created successfully',
+      data: rule,
+      recomputed
+    });
+
+  } catch (error) {
+    console.error('Create attendance rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update an override
+// @route   PUT /api/admin/attendance-rules/:id
+// @access  Private (Admin)
+exports.updateAttendanceRule = async (req, res) => {
+  try {
+    const rule = await AttendanceRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attendance rule not found'
+      });
+    }
+
+    const { values, error } = parseRuleFields(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { name, isActive, recomputeFrom } = req.body;
+    if (name !== undefined) rule.name = name;
+    if (isActive !== undefined) rule.isActive = Boolean(isActive);
+    rule.set(values);
+
+    await rule.save();
+
+    const recomputed = await recomputeForRule(rule, recomputeFrom);
+
+    res.status(200).json({
+      success: true,
+      message: 'Attendance rule updated successfully',
+      data: rule,
+      recomputed
+    });
+
+  } catch (error) {
+    console.error('Update attendance rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete an override (company rules apply again)
+// @route   DELETE /api/admin/attendance-rules/:id
+// @access  Private (Admin)
+exports.deleteAttendanceRule = async (req, res) => {
+  try {
+    const rule = await AttendanceRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attendance rule not found'
+      });
+    }
+
+    await rule.deleteOne();
+
+    const recomputed = await recomputeForRule(rule, req.body?.recomputeFrom || req.query.recomputeFrom);
+
+    res.status(200).json({
+      success: true,
+      message: 'Attendance rule deleted successfully',
+      recomputed
+    });
+
+  } catch (error) {
+    console.error('Delete attendance rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Recompute late / half-day / overtime of stored attendance
+// @route   POST /api/admin/attendance-rules/recompute
+// @access  Private (Admin)
+exports.recomputeAttendanceRecords = async (req, res) => {
+  try {
+    const { startDate, endDate, employeeId, department } = req.body;
+
+    if (!startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start date is required'
+      });
+    }
+
+    const result = await recomputeAttendance({
+      startDate,
+      endDate,
+      employeeIds: employeeId ? [employeeId] : undefined,
+      department
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${result.updated} of ${result.processed} attendance record(s) updated`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Recompute attendance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
@@ -2,7 +2,14 @@ const User = require("../models/User");
 const Employee = require("../models/Employee");
 const Client = require("../models/Client");
 const Admin = require("../models/Admin");
-const { generateToken } = require("../utils/generateToken");
+const Session = require("../models/Session");
+const { generateToken, verifyRefreshToken } = require("../utils/generateToken");
+const {
+  createSession,
+  rotateSession,
+  revokeUserSessions,
+  formatSession,
+} = require("../utils/sessionHelper");
 const bcrypt = require("bcryptjs");
 
 // @desc    Register new user
@@ -187,8 +194,8 @@ exports.register = async (req, res) => {
       });
     }
 
-    // 3. Generate JWT token
-    const token = generateToken(user._id);
+    // 3. Open a session and generate tokens
+    const { token, refreshToken } = await createSession(user, req);
 
     // 4. Prepare response
     const userResponse = {
@@ -208,6 +215,7 @@ exports.register = async (req, res) => {
       success: true,
       message: `${role.charAt(0).toUpperCase() + role.slice(1)} registered successfully`,
       token,
+      refreshToken,
       user: userResponse,
     });
   } catch (error) {
@@ -294,8 +302,8 @@ exports.login = async (req, res) => {
     user.lastLogin = Date.now();
     await user.save();
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Open a session for this device
+    const { token, refreshToken } = await createSession(user, req);
 
     // Remove password from response
     const userResponse = {
@@ -315,6 +323,7 @@ exports.login = async (req, res) => {
       success: true,
       message: "Login successful",
       token,
+      refreshToken,
       user: userResponse,
     });
   } catch (error) {
@@ -332,8 +341,23 @@ exports.login = async (req, res) => {
 // @access  Private
 exports.logout = async (req, res) => {
   try {
-    // In a stateless JWT system, logout is handled on frontend
-    // But we can log the logout action here
+    const { allDevices } = req.body || {};
+
+    if (allDevices) {
+      const revoked = await revokeUserSessions(req.user._id, "logout-all", {
+        revokedBy: req.user._id,
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: `Logged out from ${revoked} device(s)`,
+      });
+    }
+
+    await Session.updateOne(
+      { _id: req.sessionId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: "logout", revokedBy: req.user._id }
+    );
 
     res.status(200).json({
       success: true,
@@ -349,6 +373,125 @@ exports.logout = async (req, res) => {
   }
 };
 
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide refresh token",
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyRefreshToken(refreshToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const user = await User.findById(decoded.id);
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: "Your account has been deactivated. Please contact admin.",
+      });
+    }
+
+    const result = await rotateSession(decoded, req);
+
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Token refreshed",
+      token: result.token,
+      refreshToken: result.refreshToken,
+    });
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error during token refresh",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get my active sessions (one per device)
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getMySessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsed: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map((session) => formatSession(session, req.sessionId)),
+    });
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching sessions",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Revoke one of my sessions (log out another device)
+// @route   DELETE /api/auth/sessions/:sessionId
+// @access  Private
+exports.revokeMySession = async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      userId: req.user._id,
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    if (!session.revokedAt) {
+      await session.revoke("logout", req.user._id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Session revoked",
+    });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error revoking session",
+      error: error.message,
+    });
+  }
+};
+
 // @desc    Verify JWT token
 // @route   GET /api/auth/verify
 // @access  Private
@@ -492,13 +635,15 @@ exports.resetPassword = async (req, res) => {
     user.resetPasswordExpire = undefined;
     await user.save();
 
-    // Generate new token
-    const newToken = generateToken(user._id);
+    // Sign out every device and start a fresh session
+    await revokeUserSessions(user._id, "password-change");
+    const { token: newToken, refreshToken } = await createSession(user, req);
 
     res.status(200).json({
       success: true,
       message: "Password reset successful",
       token: newToken,
+      refreshToken,
     });
   } catch (error) {
     console.error("Reset password error:", error);
@@ -576,8 +721,12 @@ exports.updatePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
-    // Generate new token
-    const token = generateToken(user._id);
+    // Sign out the other devices, this session stays valid
+    await revokeUserSessions(user._id, "password-change", {
+      revokedBy: user._id,
+      exceptSessionId: req.sessionId,
+    });
+    const token = generateToken(user._id, user.role, req.sessionId.toString());
 
     res.status(200).json({
       success: true,
@@ -0,0 +1,294 @@
+// ============================================
+// Board Controller - Kanban boards per project
+// Admins manage columns and move any card; employees see the boards of
+// their projects and move their own cards
+// ============================================
+
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const Employee = require('../models/Employee');
+const { getIO } = require('../config/socket');
+const {
+  getOrCreateBoard,
+  validateColumns,
+  resolveColumn,
+  getColumnCards,
+  buildColumns,
+  rankBelow
+} = require('../utils/boardHelper');
+const { getStartBlock, isStartTransition, notifyUnblockedSuccessors } = require('../utils/taskDependencyHelper');
+const { refreshTaskProgress } = require('../utils/taskProgressHelper');
+const { refreshProjectBudget } = require('../utils/projectCostHelper');
+const { recordStatusChange } = require('../utils/taskHistoryHelper');
+
+const CARD_FIELDS = 'taskId title status priority dueDate assignedTo progress estimatedHours sprint board parentTask createdAt';
+
+// Employees only see boards of projects they work on
+const canViewBoard = async (req, project) => {
+  if (req.user.role === 'admin') return true;
+  const employee = await Employee.findOne({ userId: req.user.id }).select('_id');
+  if (!employee) return false;
+  return project.team.some(member => member.employee?.toString() === employee._id.toString()) ||
+    Boolean(await Task.exists({ project: project._id, assignedTo: employee._id }));
+};
+
+// @desc    Get project board with cards grouped by column (?sprint=<id> filters cards)
+// @route   GET /api/admin/projects/:id/board
+// @route   GET /api/employee/projects/:id/board
+// @access  Private/Admin, Employee (own projects)
+exports.getBoard = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id).select('name projectId team');
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (!await canViewBoard(req, project)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this board'
+      });
+    }
+
+    const board = await getOrCreateBoard(project._id);
+
+    const query = { project: project._id };
+    if (req.query.sprint) query.sprint = req.query.sprint === 'backlog' ? null : req.query.sprint;
+
+    const tasks = await Task.find(query)
+      .select(CARD_FIELDS)
+      .populate('assignedTo', 'name email')
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        project: { _id: project._id, name: project.name, projectId: project.projectId },
+        boardId: board._id,
+        columns: buildColumns(board, tasks)
+      }
+    });
+  } catch (error) {
+    console.error('Get board error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching board',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Replace the board's columns (keep a column's _id to keep its cards)
+// @route   PUT /api/admin/projects/:id/board
+// @access  Private/Admin
+exports.updateBoardColumns = async (req, res) => {
+  try {
+    const { columns } = req.body;
+
+    if (!await Project.exists({ _id: req.params.id })) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const columnError = validateColumns(columns);
+    if (columnError) {
+      return res.status(400).json({
+        success: false,
+        message: columnError
+      });
+    }
+
+    const board = await getOrCreateBoard(req.params.id);
+    board.columns = columns.map(({ _id, name, status, wipLimit }) => ({
+      ...(_id && board.columns.id(_id) ? { _id } : {}),
+      name,
+      status,
+      wipLimit: wipLimit || 0
+    }));
+    board.updatedBy = req.user.id;
+    await board.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Board columns updated',
+      data: board
+    });
+  } catch (error) {
+    console.error('Update board columns error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating board',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Move a card to a column (sets its status) below another card
+// @route   POST /api/admin/tasks/:id/move
+// @route   POST /api/employee/tasks/:id/move
+// @access  Private/Admin, Employee (own tasks)
+exports.moveTask = async (req, res) => {
+  try {
+    const { columnId, afterTaskId = null } = req.body;
+
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (req.user.role !== 'admin') {
+      const employee = await Employee.findOne({ userId: req.user.id }).select('_id');
+      if (!employee || task.assignedTo?.toString() !== employee._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to move this task'
+        });
+      }
+    }
+
+    if (!task.project) {
+      return res.status(400).json({
+        success: false,
+        message: 'Task is not part of a project board'
+      });
+    }
+
+    const board = await getOrCreateBoard(task.project);
+    const column = columnId && board.columns.id(columnId);
+    if (!column) {
+      return res.status(404).json({
+        success: false,
+        message: 'Column not found'
+      });
+    }
+
+    if (afterTaskId && afterTaskId.toString() === task._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A card cannot be placed below itself'
+      });
+    }
+
+    const previousStatus = task.status;
+    const status = column.status;
+
+    // Finish-to-start: predecessors must be completed first
+    if (isStartTransition(task, status)) {
+      const block = await getStartBlock(task);
+      if (block) {
+        return res.status(409).json({
+          success: false,
+          message: block.message,
+          data: { blockedBy: block.blockedBy }
+        });
+      }
+    }
+
+    const projectTasks = await Task.find({ project: task.project }).select('status board createdAt').lean();
+    const cards = getColumnCards(board, projectTasks, column._id)
+      .filter(card => card._id.toString() !== task._id.toString());
+
+    if (afterTaskId && !cards.some(card => card._id.toString() === afterTaskId.toString())) {
+      return res.status(400).json({
+        success: false,
+        message: 'afterTaskId must be a card of the target column'
+      });
+    }
+
+    const changesColumn = resolveColumn(board, task)?._id.toString() !== column._id.toString();
+    if (changesColumn && column.wipLimit > 0 && cards.length >= column.wipLimit) {
+      return res.status(409).json({
+        success: false,
+        message: `Column "${column.name}" is at its WIP limit of ${column.wipLimit}`
+      });
+    }
+
+    const rank = await rankBelow(cards, afterTaskId);
+
+    const update = { status, 'board.column': column._id, 'board.rank': rank };
+    if (status !== previousStatus) {
+      if (status === 'in-progress' && !task.startedAt) update.startedAt = new Date();
+      if (status === 'completed') update.completedAt = new Date();
+    }
+
+    // Status and position change together, and only if nobody changed the
+    // status since the card was read
+    const moved = await Task.findOneAndUpdate(
+      { _id: task._id, status: previousStatus },
+      { $set: update },
+      { new: true }
+    );
+    if (!moved) {
+      return res.status(409).json({
+        success: false,
+        message: 'Task was changed meanwhile, reload the board'
+      });
+    }
+
+    if (status !== previousStatus) {
+      await recordStatusChange(moved, previousStatus, req.user.id, 'board');
+
+      if (status === 'completed' && moved.timer.isRunning) {
+        moved.stopTimer();
+        await moved.save();
+        try {
+          await refreshProjectBudget(moved.project);
+        } catch (budgetError) {
+          console.error('Budget check error:', budgetError);
+        }
+      }
+
+      await refreshTaskProgress(moved._id);
+
+      if (status === 'completed') {
+        try {
+          await notifyUnblockedSuccessors(moved);
+        } catch (notifError) {
+          console.error('❌ Error notifying unblocked tasks:', notifError);
+        }
+      }
+    }
+
+    // ✅ EMIT SOCKET EVENT
+    try {
+      const io = getIO();
+      const payload = {
+        taskId: moved._id,
+        projectId: moved.project,
+        columnId: column._id,
+        status: moved.status,
+        rank: moved.board.rank
+      };
+      io.to('admin').emit('task-moved', payload);
+      if (moved.assignedTo) {
+        io.to(`employee-${moved.assignedTo}`).emit('task-moved', payload);
+      }
+    } catch (socketError) {
+      console.error('Socket emit error:', socketError);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: status !== previousStatus ? `Task moved to ${column.name}` : 'Task reordered',
+      data: {
+        task: moved,
+        column: { _id: column._id, name: column.name, status: column.status }
+      }
+    });
+  } catch (error) {
+    console.error('Move task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error moving task',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,103 @@
+// controllers/calendarController.js
+// ============================================
+// CALENDAR CONTROLLER
+// Private iCal feed of a user's meetings, approved leave and task due dates.
+// The feed URL carries a secret token instead of a login so calendar apps
+// can subscribe to it; resetting the token revokes the old URL.
+// ============================================
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const { buildUserCalendarFeed } = require('../utils/meetingCalendarHelper');
+
+const newFeedToken = () => crypto.randomBytes(24).toString('hex');
+
+const feedUrl = (req, token) => `${req.protocol}://${req.get('host')}/api/calendar/feed/${token}.ics`;
+
+// @desc    Get my calendar feed URL (created on first use)
+// @route   GET /api/calendar/feed-url
+// @access  Private
+exports.getFeedUrl = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+calendarFeedToken');
+
+    if (!user.calendarFeedToken) {
+      user.calendarFeedToken = newFeedToken();
+      await user.save({ validateBeforeSave: false });
+      console.log(`🗓️ Calendar feed created for ${user.email}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { url: feedUrl(req, user.calendarFeedToken) }
+    });
+  } catch (error) {
+    console.error('❌ Error getting calendar feed URL:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get calendar feed URL',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Replace my calendar feed token; the old URL stops working
+// @route   POST /api/calendar/feed-url/reset
+// @access  Private
+exports.resetFeedUrl = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+calendarFeedToken');
+    user.calendarFeedToken = newFeedToken();
+    await user.save({ validateBeforeSave: false });
+
+    console.log(`🔄 Calendar feed reset for ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar feed URL reset. Update your calendar subscription.',
+      data: { url: feedUrl(req, user.calendarFeedToken) }
+    });
+  } catch (error) {
+    console.error('❌ Error resetting calendar feed URL:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset calendar feed URL',
+      error: error.message
+    });
+  }
+};
+
+// @desc    iCal feed of the token's owner
+// @route   GET /api/calendar/feed/:token.ics
+// @access  Public (token)
+exports.getCalendarFeed = async (req, res) => {
+  try {
+    const user = await User.findOne({
+      calendarFeedToken: req.params.token,
+      isActive: { $ne: false }
+    }).select('+calendarFeedToken');
+
+    if (!req.params.token || !user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const calendar = await buildUserCalendarFeed(user);
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="officesphere.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.status(200).send(calendar);
+  } catch (error) {
+    console.error('❌ Error building calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build calendar feed',
+      error: error.message
+    });
+  }
+};
@@ -8,6 +8,7 @@ const Project = require('../models/Project');
 const Meeting = require('../models/Meeting');
 const DailyReport = require('../models/DailyReport');
 const { getIO } = require('../config/socket');
+const { refreshProjectProgress } = require('../utils/taskProgressHelper');
 const {
   notifyClientRegistered,
   notifyClientFeedback,
@@ -1465,9 +1466,11 @@ exports.approveMilestone = async (req, res) => {
     }
 
     milestone.status = 'Approved';
+    milestone.approvedBy = client._id;
     milestone.approvedAt = new Date();
 
     await project.save();
+    await refreshProjectProgress(project._id);
 
     res.status(200).json({
       success: true,
@@ -8,6 +8,15 @@ const Project = require('../models/Project');
 const DailyReport = require('../models/DailyReport');
 const Attendance = require('../models/Attendance');
 const Meeting = require('../models/Meeting');
+const { isWeekLocked } = require('../utils/timesheetHelper');
+const { refreshProjectBudget } = require('../utils/projectCostHelper');
+const { refreshTaskProgress } = require('../utils/taskProgressHelper');
+const { recordStatusChange } = require('../utils/taskHistoryHelper');
+const {
+  getStartBlock,
+  isStartTransition,
+  notifyUnblockedSuccessors
+} = require('../utils/taskDependencyHelper');
 
 // ==================== DASHBOARD ====================
 
@@ -546,7 +555,8 @@ exports.getTask = async (req, res) => {
     })
       .populate('project', 'name status')
       .populate('assignedBy', 'name email')
-      .populate('assignedTo', 'userId');
+      .populate('assignedTo', 'userId')
+      .populate('parentTask', 'taskId title status');
 
     if (!task) {
       return res.status(404).json({
@@ -555,9 +565,14 @@ exports.getTask = async (req, res) => {
       });
     }
 
+    const subtasks = await Task.find({ parentTask: task._id })
+      .select('taskId title status priority dueDate progress assignedTo checklist')
+      .populate('assignedTo', 'name email')
+      .sort({ dueDate: 1 });
+
     res.status(200).json({
       success: true,
-      data: task
+      data: { ...task.toObject(), subtasks }
     });
 
   } catch (error) {
@@ -602,12 +617,37 @@ exports.updateTaskStatus = async (req, res) => {
       });
     }
 
+    // Finish-to-start: predecessors must be completed first
+    if (isStartTransition(task, status)) {
+      const block = await getStartBlock(task);
+      if (block) {
+        return res.status(409).json({
+          success: false,
+          message: block.message,
+          data: { blockedBy: block.blockedBy }
+        });
+      }
+    }
+
+    const previousStatus = task.status;
+    const wasCompleted = previousStatus === 'completed';
+
     task.status = status;
     if (status === 'completed') {
       task.completedAt = new Date();
     }
 
     await task.save();
+    await recordStatusChange(task, previousStatus, req.user.id);
+    await refreshTaskProgress(task._id);
+
+    if (status === 'completed' && !wasCompleted) {
+      try {
+        await notifyUnblockedSuccessors(task);
+      } catch (notifError) {
+        console.error('Notification error:', notifError);
+      }
+    }
 
     res.status(200).json({
       success: true,
@@ -711,17 +751,34 @@ exports.startTaskTimer = async (req, res) => {
       });
     }
 
-    task.timer = {
-      isRunning: true,
-      startTime: new Date()
-    };
+    if (await isWeekLocked(employee._id, new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: "This week's timesheet is already submitted"
+      });
+    }
+
+    const block = await getStartBlock(task);
+    if (block) {
+      return res.status(409).json({
+        success: false,
+        message: block.message,
+        data: { blockedBy: block.blockedBy }
+      });
+    }
+
+    // Keep totalTime and past sessions, they feed timesheets
+    task.timer.isRunning = true;
+    task.timer.startTime = new Date();
 
     // Auto-update status to in-progress if pending
+    const previousStatus = task.status;
     if (task.status === 'pending') {
       task.status = 'in-progress';
     }
 
     await task.save();
+    await recordStatusChange(task, previousStatus, req.user.id, 'timer');
 
     res.status(200).json({
       success: true,
@@ -768,18 +825,18 @@ exports.stopTaskTimer = async (req, res) => {
       });
     }
 
-    const endTime = new Date();
-    const startTime = task.timer.startTime;
-    const duration = Math.floor((endTime - startTime) / 1000); // Duration in seconds
-
-    task.timer = {
-      isRunning: false,
-      startTime: null,
-      totalTime: (task.timer.totalTime || 0) + duration
-    };
+    const duration = Math.floor((new Date() - task.timer.startTime) / 1000); // Duration in seconds
 
+    // Records the session for timesheets
+    task.stopTimer();
     await task.save();
 
+    try {
+      await refreshProjectBudget(task.project);
+    } catch (budgetError) {
+      console.error('Budget check error:', budgetError);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Timer stopped successfully',
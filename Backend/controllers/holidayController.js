@@ -0,0 +1,314 @@
+const Holiday = require('../models/Holiday');
+const Employee = require('../models/Employee');
+const { getPKTDate } = require('../utils/workCalendar');
+const { getHolidayOccurrences, getEmployeeScope } = require('../utils/holidayHelper');
+const { parseICalEvents } = require('../utils/icalendar');
+
+const toList = (value) => {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+};
+
+// ==================== ADMIN HOLIDAY CALENDAR ====================
+
+// @desc    Get holidays
+// @route   GET /api/admin/holidays?year=2025&expand=true
+// @access  Private (Admin)
+exports.getHolidays = async (req, res) => {
+  try {
+    const year = parseInt(req.query.year, 10) || new Date().getFullYear();
+
+    // Expanded view: one entry per holiday day of the year (recurring included).
+    // Without department/location only company-wide holidays are listed
+    if (req.query.expand === 'true') {
+      const { department, location } = req.query;
+      const scope = department || location ? { department, location } : null;
+      const occurrences = await getHolidayOccurrences(`${year}-01-01`, `${year}-12-31`, scope);
+
+      return res.status(200).json({
+        success: true,
+        year,
+        count: occurrences.length,
+        data: occurrences
+      });
+    }
+
+    const holidays = await Holiday.find({
+      $or: [
+        { isRecurring: true },
+        {
+          date: { $lte: new Date(Date.UTC(year, 11, 31)) },
+          endDate: { $gte: new Date(Date.UTC(year, 0, 1)) }
+        }
+      ]
+    })
+      .populate('createdBy', 'name')
+      .sort({ date: 1 });
+
+    res.status(200).json({
+      success: true,
+      year,
+      count: holidays.length,
+      data: holidays
+    });
+
+  } catch (error) {
+    console.error('Get holidays error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create holiday
+// @route   POST /api/admin/holidays
+// @access  Private (Admin)
+exports.createHoliday = async (req, res) => {
+  try {
+    const { name, description, date, endDate, type, isRecurring, locations, departments } = req.body;
+
+    if (!name || !date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Holiday name and date are required'
+      });
+    }
+
+    const start = getPKTDate(date);
+    const end = endDate ? getPKTDate(endDate) : start;
+
+    if (end < start) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date cannot be before start date'
+      });
+    }
+
+    const holiday = await Holiday.create({
+      name,
+      description,
+      date: start,
+      endDate: end,
+      type: type || 'public',
+      isRecurring: Boolean(isRecurring),
+      locations: toList(locations),
+      departments: toList(departments),
+      createdBy: req.user._id
+    });
+
+    console.log(`🎉 Holiday created: ${holiday.name} (${start.toISOString().split('T')[0]})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Holiday created successfully',
+      data: holiday
+    });
+
+  } catch (error) {
+    console.error('Create holiday error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update holiday
+// @route   PUT /api/admin/holidays/:id
+// @access  Private (Admin)
+exports.updateHoliday = async (req, res) => {
+  try {
+    const holiday = await Holiday.findById(req.params.id);
+
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday not found'
+      });
+    }
+
+    const { name, description, date, endDate, type, isRecurring, locations, departments, isActive } = req.body;
+
+    if (name) holiday.name = name;
+    if (description !== undefined) holiday.description = description;
+    if (date) {
+      holiday.date = getPKTDate(date);
+      // Keep single-day holidays single-day when only the date moves
+      if (!endDate) holiday.endDate = holiday.date;
+    }
+    if (endDate) holiday.endDate = getPKTDate(endDate);
+    if (type) holiday.type = type;
+    if (isRecurring !== undefined) holiday.isRecurring = Boolean(isRecurring);
+    if (locations !== undefined) holiday.locations = toList(locations);
+    if (departments !== undefined) holiday.departments = toList(departments);
+    if (isActive !== undefined) holiday.isActive = Boolean(isActive);
+
+    if (holiday.endDate < holiday.date) {
+      return res.status(400).json({
+        success: false,
+        message: 'End date cannot be before start date'
+      });
+    }
+
+    await holiday.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Holiday updated successfully',
+      data: holiday
+    });
+
+  } catch (error) {
+    console.error('Update holiday error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete holiday
+// @route   DELETE /api/admin/holidays/:id
+// @access  Private (Admin)
+exports.deleteHoliday = async (req, res) => {
+  try {
+    const holiday = await Holiday.findByIdAndDelete(req.params.id);
+
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Holiday deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete holiday error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Import holidays from an iCalendar (.ics) file
+// @route   POST /api/admin/holidays/import
+// @access  Private (Admin)
+// Body: { ics: "BEGIN:VCALENDAR...", type, locations, departments }
+exports.importHolidays = async (req, res) => {
+  try {
+    const { ics, type, locations, departments } = req.body;
+
+    if (!ics || typeof ics !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the iCalendar content in "ics"'
+      });
+    }
+
+    const events = parseICalEvents(ics);
+
+    if (events.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No events found in the calendar'
+      });
+    }
+
+    let created = 0;
+    let updated = 0;
+
+    for (const event of events) {
+      const data = {
+        name: event.summary || 'Holiday',
+        description: event.description,
+        date: getPKTDate(event.startDate),
+        endDate: getPKTDate(event.endDate),
+        isRecurring: /FREQ=YEARLY/i.test(event.rrule || ''),
+        type: type || 'public',
+        locations: toList(locations),
+        departments: toList(departments),
+        source: 'ical'
+      };
+
+      const existing = event.uid ? await Holiday.findOne({ icalUid: event.uid }) : null;
+
+      if (existing) {
+        Object.assign(existing, data);
+        await existing.save();
+        updated++;
+      } else {
+        await Holiday.create({ ...data, icalUid: event.uid, createdBy: req.user._id });
+        created++;
+      }
+    }
+
+    console.log(`📥 iCal import: ${created} created, ${updated} updated`);
+
+    res.status(200).json({
+      success: true,
+      message: `Imported ${events.length} holiday(s): ${created} created, ${updated} updated`,
+      data: { created, updated }
+    });
+
+  } catch (error) {
+    console.error('Import holidays error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// ==================== EMPLOYEE HOLIDAY CALENDAR ====================
+
+// @desc    Get my holidays (only the ones that apply to me)
+// @route   GET /api/employee/holidays?year=2025
+// @access  Private (Employee)
+exports.getMyHolidays = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+
+    const employee = await Employee.findOne({ userId });
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    const year = parseInt(req.query.year, 10) || new Date().getFullYear();
+    const occurrences = await getHolidayOccurrences(
+      `${year}-01-01`,
+      `${year}-12-31`,
+      getEmployeeScope(employee)
+    );
+
+    res.status(200).json({
+      success: true,
+      year,
+      count: occurrences.length,
+      data: occurrences
+    });
+
+  } catch (error) {
+    console.error('Get my holidays error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
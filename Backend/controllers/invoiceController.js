@@ -0,0 +1,779 @@
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const Client = require('../models/Client');
+const Project = require('../models/Project');
+const { getCompanySettings, toNumber } = require('../utils/settingsHelper');
+const { getPKTDate } = require('../utils/workCalendar');
+const { notifyClient } = require('../utils/Notificationhelper');
+const {
+  getInvoiceableMilestones,
+  getBillableHourLines,
+  getClientTax,
+  getBillTo,
+  nextInvoiceNumber,
+  reserveInvoiceSources,
+  releaseInvoiceSources,
+  syncClientRevenue,
+  writeInvoicePdf
+} = require('../utils/invoiceHelper');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OPEN_STATUSES = ['sent', 'overdue'];
+
+// Fixed-amount lines from the request body
+const toFixedItems = (items = []) => items.map(item => ({
+  description: item.description,
+  source: 'fixed',
+  quantity: item.quantity !== undefined ? Number(item.quantity) : 1,
+  unitPrice: Number(item.unitPrice ?? item.amount)
+}));
+
+const validationMessage = (invoice) => {
+  const error = invoice.validateSync();
+  return error ? Object.values(error.errors).map(e => e.message).join(', ') : null;
+};
+
+const sendInvoicePdf = async (res, invoice) => {
+  const settings = await getCompanySettings();
+  const doc = new PDFDocument({ margin: 50 });
+  const fileName = `invoice-${invoice.invoiceNumber || `draft-${invoice._id}`}.pdf`;
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename=${fileName}`);
+
+  doc.pipe(res);
+  writeInvoicePdf(doc, invoice, settings.company);
+  doc.end();
+};
+
+// ==================== ADMIN INVOICES ====================
+
+// @desc    Get what a project can be invoiced for (approved milestones, unbilled hours)
+// @route   GET /api/admin/invoices/billable/:projectId?until=YYYY-MM-DD
+// @access  Private (Admin)
+exports.getBillableItems = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.projectId);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const hours = project.billable === false
+      ? { items: [], hours: 0 }
+      : await getBillableHourLines(project, { until: req.query.until });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        milestones: getInvoiceableMilestones(project),
+        hours: { items: hours.items, totalHours: hours.hours }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get billable items error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get invoices
+// @route   GET /api/admin/invoices?status=&clientId=&projectId=
+// @access  Private (Admin)
+exports.getInvoices = async (req, res) => {
+  try {
+    const { status, clientId, projectId } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (clientId) query.client = clientId;
+    if (projectId) query.project = projectId;
+
+    const invoices = await Invoice.find(query)
+      .select('-billedEntries')
+      .populate('client', 'companyName clientId')
+      .populate('project', 'name projectId')
+      .sort({ createdAt: -1 });
+
+    const outstanding = invoices
+      .filter(invoice => OPEN_STATUSES.includes(invoice.status))
+      .reduce((sum, invoice) => sum + invoice.balanceDue, 0);
+
+    res.status(200).json({
+      success: true,
+      count: invoices.length,
+      outstanding: Math.round(outstanding * 100) / 100,
+      data: invoices
+    });
+
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single invoice
+// @route   GET /api/admin/invoices/:id
+// @access  Private (Admin)
+exports.getInvoice = async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id)
+      .populate('client', 'companyName clientId')
+      .populate('project', 'name projectId')
+      .populate('payments.recordedBy', 'name');
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: invoice
+    });
+
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create a draft invoice from milestones, billable hours and fixed amounts
+// @route   POST /api/admin/invoices
+// @access  Private (Admin)
+exports.createInvoice = async (req, res) => {
+  try {
+    const { projectId, milestoneIds = [], includeHours, hoursUntil, items, dueDate, notes } = req.body;
+
+    const project = await Project.findById(projectId);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const client = await Client.findById(project.client).populate('userId', 'email');
+
+    if (!client) {
+      return res.status(400).json({
+        success: false,
+        message: 'Project has no client to invoice'
+      });
+    }
+
+    const settings = await getCompanySettings();
+    const lines = [];
+
+    const available = new Map(getInvoiceableMilestones(project).map(m => [m._id.toString(), m]));
+    for (const milestoneId of milestoneIds) {
+      const milestone = available.get(String(milestoneId));
+      if (!milestone) {
+        return res.status(400).json({
+          success: false,
+          message: 'Only approved milestones with an amount that are not yet invoiced can be billed'
+        });
+      }
+      lines.push({
+        description: `Milestone: ${milestone.name}`,
+        source: 'milestone',
+        quantity: 1,
+        unitPrice: milestone.amount,
+        milestoneId: milestone._id
+      });
+    }
+
+    let billedEntries = [];
+    if (includeHours) {
+      if (project.billable === false) {
+        return res.status(400).json({
+          success: false,
+          message: 'Time on this project is not billable'
+        });
+      }
+      const hours = await getBillableHourLines(project, { until: hoursUntil, settings });
+      lines.push(...hours.items);
+      billedEntries = hours.billedEntries;
+    }
+
+    lines.push(...toFixedItems(items));
+
+    if (lines.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to invoice: add milestones, billable hours or fixed amounts'
+      });
+    }
+
+    const invoice = new Invoice({
+      client: client._id,
+      project: project._id,
+      currency: settings.payroll?.currency || 'USD',
+      dueDate: dueDate ? getPKTDate(dueDate) : undefined,
+      billTo: getBillTo(client),
+      items: lines,
+      billedEntries,
+      ...getClientTax(client, settings),
+      notes,
+      createdBy: req.user._id
+    });
+
+    const message = validationMessage(invoice);
+    if (message) {
+      return res.status(400).json({
+        success: false,
+        message
+      });
+    }
+
+    if (!(await reserveInvoiceSources(invoice))) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some milestones or timesheet entries were billed meanwhile; reload and try again'
+      });
+    }
+
+    try {
+      await invoice.save();
+    } catch (error) {
+      await releaseInvoiceSources(invoice);
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Draft invoice created',
+      data: invoice
+    });
+
+  } catch (error) {
+    console.error('Create invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update a draft invoice (fixed lines, tax rate, due date, notes)
+// @route   PUT /api/admin/invoices/:id
+// @access  Private (Admin)
+exports.updateInvoice = async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (invoice.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft invoices can be edited'
+      });
+    }
+
+    const { items, taxRate, dueDate, notes } = req.body;
+
+    // Milestone and hour lines stay; delete the draft to bill them differently
+    if (items !== undefined) {
+      invoice.items = [
+        ...invoice.items.filter(item => item.source !== 'fixed'),
+        ...toFixedItems(items)
+      ];
+    }
+    if (taxRate !== undefined) invoice.taxRate = Number(taxRate);
+    if (dueDate !== undefined) invoice.dueDate = dueDate ? getPKTDate(dueDate) : undefined;
+    if (notes !== undefined) invoice.notes = notes;
+
+    const message = validationMessage(invoice);
+    if (message) {
+      return res.status(400).json({
+        success: false,
+        message
+      });
+    }
+
+    await invoice.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Invoice updated',
+      data: invoice
+    });
+
+  } catch (error) {
+    console.error('Update invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Number and send a draft invoice to the client
+// @route   POST /api/admin/invoices/:id/send
+// @access  Private (Admin)
+exports.sendInvoice = async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (invoice.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: `Invoice is already ${invoice.status}`
+      });
+    }
+
+    if (invoice.items.length === 0 || invoice.total <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invoice total must be greater than zero'
+      });
+    }
+
+    const settings = await getCompanySettings();
+    const now = new Date();
+    const termsDays = toNumber(settings.invoices?.paymentTermsDays, 30);
+
+    const issueDate = getPKTDate(now);
+
+    // Claim the draft before taking a number, so two sends cannot each use
+    // one up or notify the client twice
+    const claimed = await Invoice.findOneAndUpdate(
+      { _id: invoice._id, status: 'draft' },
+      {
+        $set: {
+          status: 'sent',
+          sentAt: now,
+          issueDate,
+          dueDate: invoice.dueDate || new Date(issueDate.getTime() + termsDays * DAY_MS)
+        }
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Invoice was sent or voided meanwhile'
+      });
+    }
+
+    let sent;
+    try {
+      sent = await Invoice.findByIdAndUpdate(
+        claimed._id,
+        { $set: { invoiceNumber: await nextInvoiceNumber(settings, now) } },
+        { new: true }
+      );
+    } catch (error) {
+      await Invoice.updateOne(
+        { _id: claimed._id, status: 'sent', invoiceNumber: null },
+        { $set: { status: 'draft' }, $unset: { sentAt: 1, issueDate: 1 } }
+      );
+      throw error;
+    }
+
+    await notifyClient(sent.client, {
+      title: 'New Invoice',
+      message: `Invoice ${sent.invoiceNumber} for ${sent.currency} ${sent.total} is due on ${sent.dueDate.toISOString().split('T')[0]}`,
+      type: 'client',
+      metadata: {
+        invoiceId: sent._id,
+        projectId: sent.project,
+        action: 'invoice-sent'
+      }
+    });
+
+    console.log(`🧾 Invoice ${sent.invoiceNumber} sent`);
+
+    res.status(200).json({
+      success: true,
+      message: `Invoice ${sent.invoiceNumber} sent`,
+      data: sent
+    });
+
+  } catch (error) {
+    console.error('Send invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Record a (partial) payment
+// @route   POST /api/admin/invoices/:id/payments
+// @access  Private (Admin)
+exports.recordPayment = async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (!OPEN_STATUSES.includes(invoice.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Payments can only be recorded on sent or overdue invoices (this one is ${invoice.status})`
+      });
+    }
+
+    const amount = Number(req.body.amount);
+    if (!Number.isFinite(amount) || amount <= 0 || amount > invoice.balanceDue) {
+      return res.status(400).json({
+        success: false,
+        message: `Amount must be between 0 and the balance due (${invoice.balanceDue})`
+      });
+    }
+
+    invoice.payments.push({
+      amount,
+      paidAt: req.body.paidAt || new Date(),
+      method: req.body.method,
+      reference: req.body.reference,
+      recordedBy: req.user._id
+    });
+
+    const message = validationMessage(invoice);
+    if (message) {
+      return res.status(400).json({
+        success: false,
+        message
+      });
+    }
+
+    // Apply the payment only if the invoice is still open and the balance
+    // still covers it, so concurrent payments cannot overpay
+    const payment = invoice.payments[invoice.payments.length - 1].toObject();
+    const balanceDue = { $round: [{ $max: [0, { $subtract: ['$balanceDue', amount] }] }, 2] };
+    const paid = await Invoice.findOneAndUpdate(
+      { _id: invoice._id, status: { $in: OPEN_STATUSES }, balanceDue: { $gte: amount } },
+      [{
+        $set: {
+          payments: { $concatArrays: ['$payments', [{ $literal: payment }]] },
+          amountPaid: { $round: [{ $add: ['$amountPaid', amount] }, 2] },
+          balanceDue,
+          status: { $cond: [{ $eq: [balanceDue, 0] }, 'paid', '$status'] },
+          paidAt: { $cond: [{ $eq: [balanceDue, 0] }, '$$NOW', '$paidAt'] }
+        }
+      }],
+      { new: true }
+    );
+
+    if (!paid) {
+      return res.status(409).json({
+        success: false,
+        message: 'Invoice balance changed meanwhile; reload and try again'
+      });
+    }
+
+    if (paid.status === 'paid') {
+      await syncClientRevenue(paid.client);
+    }
+
+    await notifyClient(paid.client, {
+      title: paid.status === 'paid' ? 'Invoice Paid' : 'Payment Received',
+      message: paid.status === 'paid'
+        ? `Invoice ${paid.invoiceNumber} is paid in full. Thank you!`
+        : `We received ${paid.currency} ${amount} for invoice ${paid.invoiceNumber}; ${paid.currency} ${paid.balanceDue} remains due`,
+      type: 'client',
+      metadata: {
+        invoiceId: paid._id,
+        action: paid.status === 'paid' ? 'invoice-paid' : 'invoice-payment'
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: paid.status === 'paid' ? 'Invoice paid in full' : 'Payment recorded',
+      data: paid
+    });
+
+  } catch (error) {
+    console.error('Record payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Void an invoice (releases its milestones and hours)
+// @route   POST /api/admin/invoices/:id/void
+// @access  Private (Admin)
+exports.voidInvoice = async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (invoice.status === 'void') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invoice is already void'
+      });
+    }
+
+    if (invoice.amountPaid > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invoices with payments cannot be voided'
+      });
+    }
+
+    // Only void while nothing has been paid; a payment recorded meanwhile
+    // makes the claim fail
+    const voided = await Invoice.findOneAndUpdate(
+      { _id: invoice._id, status: { $in: ['draft', ...OPEN_STATUSES] }, amountPaid: 0 },
+      { $set: { status: 'void', voidedAt: new Date(), voidReason: req.body.reason } },
+      { new: true }
+    );
+
+    if (!voided) {
+      return res.status(409).json({
+        success: false,
+        message: 'Invoice was paid or voided meanwhile'
+      });
+    }
+
+    await releaseInvoiceSources(voided);
+
+    if (voided.sentAt) {
+      await notifyClient(voided.client, {
+        title: 'Invoice Voided',
+        message: `Invoice ${voided.invoiceNumber} has been voided${voided.voidReason ? `: ${voided.voidReason}` : ''}`,
+        type: 'client',
+        metadata: {
+          invoiceId: voided._id,
+          action: 'invoice-voided'
+        }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Invoice voided',
+      data: voided
+    });
+
+  } catch (error) {
+    console.error('Void invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete a draft invoice
+// @route   DELETE /api/admin/invoices/:id
+// @access  Private (Admin)
+exports.deleteInvoice = async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (invoice.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft invoices can be deleted; void it instead'
+      });
+    }
+
+    await releaseInvoiceSources(invoice);
+    await invoice.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Draft invoice deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Download invoice as PDF
+// @route   GET /api/admin/invoices/:id/pdf
+// @access  Private (Admin)
+exports.downloadInvoice = async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id).populate('project', 'name');
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    await sendInvoicePdf(res, invoice);
+
+  } catch (error) {
+    console.error('Download invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// ==================== CLIENT INVOICES ====================
+
+// Clients never see drafts
+const findMyInvoice = async (req) => {
+  const client = await Client.findOne({ userId: req.user._id || req.user.id });
+  if (!client) return null;
+  return Invoice.findOne({ _id: req.params.id, client: client._id, status: { $ne: 'draft' } })
+    .select('-billedEntries -payments.recordedBy')
+    .populate('project', 'name projectId');
+};
+
+// @desc    Get my invoices
+// @route   GET /api/client/invoices
+// @access  Private (Client only)
+exports.getMyInvoices = async (req, res) => {
+  try {
+    const client = await Client.findOne({ userId: req.user._id || req.user.id });
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client profile not found'
+      });
+    }
+
+    const query = { client: client._id, status: { $ne: 'draft' } };
+    if (req.query.status && req.query.status !== 'draft') query.status = req.query.status;
+
+    const invoices = await Invoice.find(query)
+      .select('-billedEntries -payments.recordedBy')
+      .populate('project', 'name projectId')
+      .sort({ issueDate: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: invoices.length,
+      data: invoices
+    });
+
+  } catch (error) {
+    console.error('Get my invoices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get one of my invoices
+// @route   GET /api/client/invoices/:id
+// @access  Private (Client only)
+exports.getMyInvoice = async (req, res) => {
+  try {
+    const invoice = await findMyInvoice(req);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: invoice
+    });
+
+  } catch (error) {
+    console.error('Get my invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Download one of my invoices as PDF
+// @route   GET /api/client/invoices/:id/pdf
+// @access  Private (Client only)
+exports.downloadMyInvoice = async (req, res) => {
+  try {
+    const invoice = await findMyInvoice(req);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    await sendInvoicePdf(res, invoice);
+
+  } catch (error) {
+    console.error('Download my invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,277 @@
+const Kiosk = require('../models/Kiosk');
+const OfficeLocation = require('../models/OfficeLocation');
+const { issueKioskQr } = require('../utils/kioskHelper');
+
+// Rotation interval from the body, validated
+const parseRotation = (rotationSeconds) => {
+  const seconds = Number(rotationSeconds);
+  if (!Number.isInteger(seconds) || seconds < 10 || seconds > 300) {
+    return { error: 'Rotation must be a whole number of seconds between 10 and 300' };
+  }
+  return { value: seconds };
+};
+
+// ==================== ADMIN KIOSKS ====================
+
+// @desc    Get kiosks
+// @route   GET /api/admin/kiosks
+// @access  Private (Admin)
+exports.getKiosks = async (req, res) => {
+  try {
+    const query = req.query.includeRevoked === 'true' ? {} : { revokedAt: null };
+    const kiosks = await Kiosk.find(query)
+      .populate('office', 'name address')
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: kiosks.length,
+      data: kiosks
+    });
+
+  } catch (error) {
+    console.error('Get kiosks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create kiosk for an office
+// @route   POST /api/admin/kiosks
+// @access  Private (Admin)
+exports.createKiosk = async (req, res) => {
+  try {
+    const { name, office, rotationSeconds } = req.body;
+
+    if (!name || !office) {
+      return res.status(400).json({
+        success: false,
+        message: 'Kiosk name and office are required'
+      });
+    }
+
+    if (!(await OfficeLocation.exists({ _id: office, isActive: true }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Office location not found'
+      });
+    }
+
+    const data = { name, office, createdBy: req.user._id };
+    if (rotationSeconds !== undefined) {
+      const { value, error } = parseRotation(rotationSeconds);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+      data.rotationSeconds = value;
+    }
+
+    const kiosk = await Kiosk.create(data);
+
+    console.log(`📱 Kiosk created: ${kiosk.name} (rotates every ${kiosk.rotationSeconds}s)`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Kiosk created successfully',
+      data: kiosk
+    });
+
+  } catch (error) {
+    console.error('Create kiosk error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update kiosk
+// @route   PUT /api/admin/kiosks/:id
+// @access  Private (Admin)
+exports.updateKiosk = async (req, res) => {
+  try {
+    const kiosk = await Kiosk.findById(req.params.id);
+
+    if (!kiosk || kiosk.revokedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Kiosk not found'
+      });
+    }
+
+    const { name, office, rotationSeconds, isActive } = req.body;
+
+    if (office !== undefined && office.toString() !== kiosk.office.toString()) {
+      if (!(await OfficeLocation.exists({ _id: office, isActive: true }))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Office location not found'
+        });
+      }
+      // Codes already shown were issued for the old office
+      kiosk.office = office;
+      kiosk.tokenVersion += 1;
+    }
+
+    if (rotationSeconds !== undefined) {
+      const { value, error } = parseRotation(rotationSeconds);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+      kiosk.rotationSeconds = value;
+    }
+
+    if (name) kiosk.name = name;
+    if (isActive !== undefined) kiosk.isActive = Boolean(isActive);
+
+    await kiosk.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Kiosk updated successfully',
+      data: kiosk
+    });
+
+  } catch (error) {
+    console.error('Update kiosk error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Invalidate every QR code the kiosk has shown so far
+// @route   POST /api/admin/kiosks/:id/rotate
+// @access  Private (Admin)
+exports.rotateKioskTokens = async (req, res) => {
+  try {
+    const kiosk = await Kiosk.findOneAndUpdate(
+      { _id: req.params.id, revokedAt: null },
+      { $inc: { tokenVersion: 1 } },
+      { new: true }
+    );
+
+    if (!kiosk) {
+      return res.status(404).json({
+        success: false,
+        message: 'Kiosk not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Kiosk QR codes invalidated',
+      data: kiosk
+    });
+
+  } catch (error) {
+    console.error('Rotate kiosk tokens error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Revoke kiosk permanently (its codes stop working at once)
+// @route   POST /api/admin/kiosks/:id/revoke
+// @access  Private (Admin)
+exports.revokeKiosk = async (req, res) => {
+  try {
+    const kiosk = await Kiosk.findById(req.params.id);
+
+    if (!kiosk) {
+      return res.status(404).json({
+        success: false,
+        message: 'Kiosk not found'
+      });
+    }
+
+    if (kiosk.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Kiosk is already revoked'
+      });
+    }
+
+    kiosk.isActive = false;
+    kiosk.revokedAt = new Date();
+    kiosk.revokedBy = req.user._id;
+    kiosk.tokenVersion += 1;
+    await kiosk.save();
+
+    console.log(`🚫 Kiosk revoked: ${kiosk.name}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Kiosk revoked successfully',
+      data: kiosk
+    });
+
+  } catch (error) {
+    console.error('Revoke kiosk error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the current QR token to display (poll every refreshIn seconds)
+// @route   GET /api/admin/kiosks/:id/qr
+// @access  Private (Admin)
+exports.getKioskQr = async (req, res) => {
+  try {
+    const kiosk = await Kiosk.findById(req.params.id).populate('office', 'name isActive');
+
+    if (!kiosk || kiosk.revokedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Kiosk not found'
+      });
+    }
+
+    if (!kiosk.isActive || !kiosk.office || !kiosk.office.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Kiosk or its office is inactive'
+      });
+    }
+
+    const officeName = kiosk.office.name;
+    kiosk.depopulate('office');
+    const qr = await issueKioskQr(kiosk);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        kiosk: kiosk._id,
+        name: kiosk.name,
+        office: officeName,
+        ...qr
+      }
+    });
+
+  } catch (error) {
+    console.error('Get kiosk QR error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
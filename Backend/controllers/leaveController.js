@@ -0,0 +1,517 @@
+const LeaveRequest = require('../models/LeaveRequest');
+const Attendance = require('../models/Attendance');
+const Employee = require('../models/Employee');
+const { getPKTDate, toDateKey } = require('../utils/workCalendar');
+const { getCompanySettings } = require('../utils/settingsHelper');
+const { LEAVE_TYPES, getLeaveDates, getLeaveBalance } = require('../utils/leaveHelper');
+const { notifyLeaveRequest, notifyEmployee } = require('../utils/Notificationhelper');
+const { loadShiftSchedule } = require('../utils/shiftHelper');
+
+// ==================== EMPLOYEE LEAVE ====================
+
+// @desc    Request leave for a date range
+// @route   POST /api/employee/attendance/leave
+// @access  Private (Employee)
+exports.requestLeave = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+
+    const employee = await Employee.findOne({ userId }).populate('userId', 'name');
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    const { startDate, endDate, leaveType, reason } = req.body;
+
+    if (!startDate || !endDate || !leaveType || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start date, end date, leave type, and reason are required'
+      });
+    }
+
+    if (!LEAVE_TYPES.includes(leaveType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid leave type. Must be one of: ${LEAVE_TYPES.join(', ')}`
+      });
+    }
+
+    const start = getPKTDate(startDate);
+    const end = getPKTDate(endDate);
+
+    // Validate dates
+    if (start > end) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start date cannot be after end date'
+      });
+    }
+
+    const settings = await getCompanySettings();
+    const dates = await getLeaveDates(start, end, settings, employee);
+
+    if (dates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The selected range has no working days'
+      });
+    }
+
+    // One pending/approved request per day
+    const overlapping = await LeaveRequest.findOne({
+      employeeId: employee._id,
+      status: { $in: ['pending', 'approved'] },
+      dates: { $in: dates }
+    });
+
+    if (overlapping) {
+      return res.status(400).json({
+        success: false,
+        message: `You already have a ${overlapping.status} leave request overlapping these dates`
+      });
+    }
+
+    // Check the balance of every year the request touches
+    const daysPerYear = {};
+    dates.forEach(date => {
+      const year = date.getUTCFullYear();
+      daysPerYear[year] = (daysPerYear[year] || 0) + 1;
+    });
+
+    for (const [year, days] of Object.entries(daysPerYear)) {
+      const balance = await getLeaveBalance(employee._id, Number(year), settings.leave);
+      if (days > balance[leaveType].remaining) {
+        return res.status(400).json({
+          success: false,
+          message: `Insufficient ${leaveType} leave balance for ${year}. Requested ${days} day(s), remaining ${balance[leaveType].remaining}`,
+          data: balance[leaveType]
+        });
+      }
+    }
+
+    const leaveRequest = await LeaveRequest.create({
+      employeeId: employee._id,
+      requestedBy: userId,
+      leaveType,
+      startDate: start,
+      endDate: end,
+      dates,
+      totalDays: dates.length,
+      reason
+    });
+
+    await notifyLeaveRequest({
+      employeeId: employee._id,
+      employeeName: employee.userId?.name || employee.name,
+      leaveType,
+      startDate: toDateKey(start),
+      endDate: toDateKey(end),
+      reason
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Leave request submitted for ${dates.length} working day(s)`,
+      data: leaveRequest
+    });
+
+  } catch (error) {
+    console.error('❌ Request leave error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to request leave'
+    });
+  }
+};
+
+// @desc    Get my leave requests
+// @route   GET /api/employee/attendance/leaves
+// @access  Private (Employee)
+exports.getMyLeaves = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+
+    const employee = await Employee.findOne({ userId });
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    const query = { employeeId: employee._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const leaves = await LeaveRequest.find(query)
+      .populate('reviewedBy', 'name')
+      .sort({ startDate: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: leaves
+    });
+
+  } catch (error) {
+    console.error('Get my leaves error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get my leave balance
+// @route   GET /api/employee/attendance/leave-balance?year=2025
+// @access  Private (Employee)
+exports.getMyLeaveBalance = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+
+    const employee = await Employee.findOne({ userId });
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    const year = parseInt(req.query.year, 10) || new Date().getFullYear();
+    const settings = await getCompanySettings();
+    const balance = await getLeaveBalance(employee._id, year, settings.leave);
+
+    res.status(200).json({
+      success: true,
+      year,
+      data: balance
+    });
+
+  } catch (error) {
+    console.error('Get leave balance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Cancel my pending leave request
+// @route   PUT /api/employee/attendance/leave/:id/cancel
+// @access  Private (Employee)
+exports.cancelLeave = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+
+    const employee = await Employee.findOne({ userId });
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    const leaveRequest = await LeaveRequest.findOne({
+      _id: req.params.id,
+      employeeId: employee._id
+    });
+
+    if (!leaveRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave request not found'
+      });
+    }
+
+    if (leaveRequest.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Only pending requests can be cancelled (this one is ${leaveRequest.status})`
+      });
+    }
+
+    leaveRequest.status = 'cancelled';
+    await leaveRequest.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Leave request cancelled',
+      data: leaveRequest
+    });
+
+  } catch (error) {
+    console.error('Cancel leave error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// ==================== ADMIN LEAVE MANAGEMENT ====================
+
+// @desc    Get leave requests (defaults to pending)
+// @route   GET /api/admin/attendance/leaves?status=pending&employeeId=
+// @access  Private (Admin)
+exports.getLeaveRequests = async (req, res) => {
+  try {
+    const { status = 'pending', employeeId, leaveType } = req.query;
+
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (employeeId) query.employeeId = employeeId;
+    if (leaveType) query.leaveType = leaveType;
+
+    const leaves = await LeaveRequest.find(query)
+      .populate({
+        path: 'employeeId',
+        select: 'employeeId department designation userId',
+        populate: {
+          path: 'userId',
+          select: 'name email'
+        }
+      })
+      .populate('reviewedBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: leaves.length,
+      data: leaves
+    });
+
+  } catch (error) {
+    console.error('Get leave requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get an employee's leave balance
+// @route   GET /api/admin/attendance/leave-balance/:employeeId?year=2025
+// @access  Private (Admin)
+exports.getEmployeeLeaveBalance = async (req, res) => {
+  try {
+    const employee = await Employee.findById(req.params.employeeId);
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    const year = parseInt(req.query.year, 10) || new Date().getFullYear();
+    const settings = await getCompanySettings();
+    const balance = await getLeaveBalance(employee._id, year, settings.leave);
+
+    res.status(200).json({
+      success: true,
+      year,
+      data: balance
+    });
+
+  } catch (error) {
+    console.error('Get employee leave balance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Approve leave request
+// @route   PUT /api/admin/attendance/leave/:id/approve
+// @access  Private (Admin)
+exports.approveLeave = async (req, res) => {
+  try {
+    const { adminNotes } = req.body;
+
+    const leaveRequest = await LeaveRequest.findById(req.params.id);
+
+    if (!leaveRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave request not found'
+      });
+    }
+
+    if (leaveRequest.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Leave request is already ${leaveRequest.status}`
+      });
+    }
+
+    const now = new Date();
+
+    // Claim the request first so two approvals cannot both count the days
+    const claimed = await LeaveRequest.findOneAndUpdate(
+      { _id: leaveRequest._id, status: 'pending' },
+      { $set: { status: 'approved', reviewedBy: req.user._id, reviewedAt: now, adminNotes } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Leave request was reviewed meanwhile'
+      });
+    }
+
+    let leaveDays = 0;
+    const skippedDates = [];
+
+    // Days without a record get one for the shift the employee was rostered on
+    const employee = await Employee.findById(leaveRequest.employeeId).select('department');
+    const schedule = await loadShiftSchedule(leaveRequest.startDate, leaveRequest.endDate);
+
+    for (const date of leaveRequest.dates) {
+      // A day can hold one record per shift
+      let records = await Attendance.find({
+        employeeId: leaveRequest.employeeId,
+        date
+      });
+
+      // Never overwrite a day the employee actually worked
+      if (records.some(attendance => attendance.checkInTime)) {
+        skippedDates.push(toDateKey(date));
+        continue;
+      }
+
+      if (records.length === 0) {
+        const rostered = employee ? schedule.resolve(employee, date) : null;
+        records = [new Attendance({
+          employeeId: leaveRequest.employeeId,
+          date,
+          shift: rostered?.shift?._id || null
+        })];
+      }
+
+      for (const attendance of records) {
+        attendance.status = 'leave';
+        attendance.leaveRequest = {
+          requestId: leaveRequest._id,
+          leaveType: leaveRequest.leaveType,
+          reason: leaveRequest.reason,
+          status: 'approved',
+          approvedBy: req.user._id,
+          approvedAt: now,
+          requestedAt: leaveRequest.createdAt,
+          adminNotes
+        };
+        await attendance.save();
+      }
+      leaveDays++;
+    }
+
+    await Employee.findByIdAndUpdate(leaveRequest.employeeId, {
+      $inc: { 'attendance.totalLeaves': leaveDays }
+    });
+
+    await notifyEmployee(leaveRequest.employeeId, {
+      title: 'Leave Approved',
+      message: `Your ${leaveRequest.leaveType} leave from ${toDateKey(leaveRequest.startDate)} to ${toDateKey(leaveRequest.endDate)} has been approved`,
+      type: 'attendance',
+      metadata: {
+        leaveRequestId: leaveRequest._id,
+        leaveType: leaveRequest.leaveType,
+        totalDays: leaveRequest.totalDays,
+        action: 'leave-approved'
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: skippedDates.length > 0
+        ? `Leave approved. ${skippedDates.length} day(s) already had a check-in and were left unchanged`
+        : 'Leave approved successfully',
+      data: claimed,
+      skippedDates
+    });
+
+  } catch (error) {
+    console.error('Approve leave error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Reject leave request
+// @route   PUT /api/admin/attendance/leave/:id/reject
+// @access  Private (Admin)
+exports.rejectLeave = async (req, res) => {
+  try {
+    const { adminNotes } = req.body;
+
+    const leaveRequest = await LeaveRequest.findById(req.params.id);
+
+    if (!leaveRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave request not found'
+      });
+    }
+
+    if (leaveRequest.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Leave request is already ${leaveRequest.status}`
+      });
+    }
+
+    const rejected = await LeaveRequest.findOneAndUpdate(
+      { _id: leaveRequest._id, status: 'pending' },
+      { $set: { status: 'rejected', reviewedBy: req.user._id, reviewedAt: new Date(), adminNotes } },
+      { new: true }
+    );
+
+    if (!rejected) {
+      return res.status(409).json({
+        success: false,
+        message: 'Leave request was reviewed meanwhile'
+      });
+    }
+
+    await notifyEmployee(leaveRequest.employeeId, {
+      title: 'Leave Rejected',
+      message: `Your ${leaveRequest.leaveType} leave from ${toDateKey(leaveRequest.startDate)} to ${toDateKey(leaveRequest.endDate)} was rejected${adminNotes ? `: ${adminNotes}` : ''}`,
+      type: 'attendance',
+      metadata: {
+        leaveRequestId: leaveRequest._id,
+        leaveType: leaveRequest.leaveType,
+        action: 'leave-rejected'
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Leave rejected',
+      data: rejected
+    });
+
+  } catch (error) {
+    console.error('Reject leave error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
@@ -6,6 +6,35 @@ const Notification = require('../models/Notification');
 const User = require('../models/User');
 const Employee = require('../models/Employee');
 const { getIO } = require('../config/socket');
+const { getCompanySettings } = require('../utils/settingsHelper');
+const { getPKTDate, toDateKey, isWeekend } = require('../utils/workCalendar');
+const { getHolidayCalendar, getEmployeeScope } = require('../utils/holidayHelper');
+const { findMeetingConflicts, suggestMeetingSlots } = require('../utils/meetingAvailabilityHelper');
+const {
+  FREQUENCIES,
+  isSeriesOccurrence,
+  parseOccurrence,
+  buildOccurrence,
+  expandMeetings,
+  getListWindow,
+  getOrBuildException,
+  buildSeriesSplit,
+  shiftSeriesOccurrences,
+  endSeriesBefore,
+  finishSeriesSplit
+} = require('../utils/meetingRecurrenceHelper');
+const { sendMeetingInvites } = require('../utils/meetingCalendarHelper');
+const {
+  ACTION_ITEM_STATUSES,
+  recordMinutesVersion,
+  getSignOff,
+  acknowledgeMinutes,
+  loadPromotedTasks,
+  resolveActionItem,
+  findOpenActionItems,
+  promoteActionItem
+} = require('../utils/meetingMinutesHelper');
+const { notifyMeetingMinutes } = require('../utils/Notificationhelper');
 
 // ============================================
 // HELPER - Get User ID from Employee or User
@@ -34,6 +63,174 @@ const getUserIdFromParticipant = async (participantId) => {
   }
 };
 
+// ============================================
+// HELPER - Scheduling warnings (weekends & holidays)
+// The meeting is still saved; the caller is only warned
+// ============================================
+const getSchedulingWarnings = async (startTime, participantUserIds = []) => {
+  try {
+    const warnings = [];
+    const day = getPKTDate(startTime);
+    const dayKey = toDateKey(day);
+
+    const settings = await getCompanySettings();
+    if (isWeekend(day, settings.work.weekendDays)) {
+      warnings.push(`${dayKey} is a weekend day`);
+    }
+
+    const calendar = await getHolidayCalendar(day, day);
+    const companyHolidays = calendar.occurrences();
+    companyHolidays.forEach(holiday => {
+      warnings.push(`${dayKey} is a company holiday: ${holiday.name}`);
+    });
+
+    // Department/location holidays of individual participants
+    const employees = await Employee.find({ userId: { $in: participantUserIds } })
+      .populate('userId', 'name');
+
+    employees.forEach(employee => {
+      calendar.occurrences(getEmployeeScope(employee))
+        .filter(holiday => !companyHolidays.some(h => h.holidayId.equals(holiday.holidayId)))
+        .forEach(holiday => {
+          warnings.push(`${employee.userId?.name || employee.name} is on holiday (${holiday.name}) on ${dayKey}`);
+        });
+    });
+
+    return warnings;
+  } catch (error) {
+    console.error('❌ Error checking scheduling warnings:', error);
+    return [];
+  }
+};
+
+// ============================================
+// HELPER - Conflict check (other meetings, leave, working hours)
+// Returns the conflicts; the caller refuses the time unless the request
+// sets override: true
+// ============================================
+const isOverride = (body) => body.override === true || body.override === 'true';
+
+const checkMeetingTime = async (req, userIds, meeting, excludeMeetingIds = []) => {
+  if (new Date(meeting.endTime) <= new Date(meeting.startTime)) {
+    return { error: 'End time must be after start time' };
+  }
+
+  const conflicts = await findMeetingConflicts(userIds, meeting, { excludeMeetingIds });
+
+  // Non-admins only see that someone is busy, not the other meeting or leave
+  const visible = req.user.role === 'admin'
+    ? conflicts
+    : conflicts.map(({ meeting, leave, ...conflict }) => ({
+      ...conflict,
+      type: meeting || leave ? 'busy' : conflict.type,
+      message: meeting || leave ? `${conflict.user.name} is unavailable at this time` : conflict.message
+    }));
+
+  if (visible.length > 0) {
+    console.log(`⚠️ ${visible.length} scheduling conflict(s)${isOverride(req.body) ? ' - overridden' : ''}`);
+  }
+
+  return { conflicts: visible, blocked: visible.length > 0 && !isOverride(req.body) };
+};
+
+const sendConflicts = (res, conflicts) => res.status(409).json({
+  success: false,
+  message: 'Some participants are not available at this time. Send override: true to schedule anyway.',
+  conflicts
+});
+
+// ============================================
+// HELPER - Recurrence from the request body
+// ============================================
+const getRecurrence = (body) => {
+  if (!(body.isRecurring === true || body.isRecurring === 'true')) {
+    return { isRecurring: false, recurringPattern: undefined };
+  }
+
+  const { frequency, endDate } = body.recurringPattern || {};
+  if (!FREQUENCIES.includes(frequency)) {
+    return { error: `Recurring meetings need a frequency: ${FREQUENCIES.join(', ')}` };
+  }
+  if (endDate && Number.isNaN(new Date(endDate).getTime())) {
+    return { error: 'Invalid recurrence end date' };
+  }
+
+  return {
+    isRecurring: true,
+    recurringPattern: { frequency, endDate: endDate ? new Date(endDate) : undefined }
+  };
+};
+
+// ============================================
+// HELPER - Email .ics invitations without holding up the response
+// action: 'invite' | 'update' | 'cancel'
+// ============================================
+const queueInvites = (meeting, action, options) => {
+  sendMeetingInvites(meeting, action, options).catch(error => {
+    console.error(`❌ Meeting ${action} invitations failed:`, error);
+  });
+};
+
+const SCOPES = ['this', 'following', 'all'];
+const OCCURRENCE_REQUIRED = 'Provide occurrence: the original start time of an occurrence of this meeting';
+
+// ============================================
+// HELPER - Remove a meeting, one occurrence or the rest of a series
+// scope: 'this' | 'following' | 'all' (default: 'this' when an occurrence
+// is given). A single occurrence is kept as a cancelled exception so the
+// series does not bring it back.
+// Returns { action, scope, meeting } with the meeting to notify about, or { error }
+// ============================================
+const removeMeeting = async (meeting, occurrenceStart, requestedScope) => {
+  const scope = requestedScope || (occurrenceStart ? 'this' : 'all');
+  if (!SCOPES.includes(scope)) {
+    return { error: `scope must be one of: ${SCOPES.join(', ')}` };
+  }
+
+  // An occurrence changed on its own
+  if (meeting.series) {
+    if (scope === 'following') {
+      const series = await Meeting.findById(meeting.series);
+      if (series) return removeMeeting(series, meeting.occurrenceStart, 'following');
+    }
+    meeting.status = 'Cancelled';
+    meeting.sequence = (meeting.sequence || 0) + 1;
+    await meeting.save();
+    queueInvites(meeting, 'cancel');
+    return { action: 'cancelled', scope: 'this', meeting };
+  }
+
+  if (meeting.isRecurring && scope !== 'all') {
+    if (!await isSeriesOccurrence(meeting, occurrenceStart)) {
+      return { error: OCCURRENCE_REQUIRED };
+    }
+
+    if (scope === 'this') {
+      const exception = await getOrBuildException(meeting, occurrenceStart);
+      exception.status = 'Cancelled';
+      exception.sequence = (exception.sequence || 0) + 1;
+      await exception.save();
+      queueInvites(exception, 'cancel');
+      return { action: 'cancelled', scope, meeting: exception };
+    }
+
+    // From the first occurrence on, "following" is the whole series
+    if (occurrenceStart.getTime() !== meeting.startTime.getTime()) {
+      const occurrenceMeeting = buildOccurrence(meeting, occurrenceStart);
+      await endSeriesBefore(meeting, occurrenceStart);
+      await Meeting.deleteMany({ series: meeting._id, occurrenceStart: { $gte: occurrenceStart } });
+      queueInvites(meeting, 'update');
+      return { action: 'ended', scope, meeting: occurrenceMeeting };
+    }
+  }
+
+  await Meeting.deleteMany({ series: meeting._id });
+  await Meeting.findByIdAndDelete(meeting._id);
+  meeting.sequence = (meeting.sequence || 0) + 1;
+  queueInvites(meeting, 'cancel');
+  return { action: 'deleted', scope: 'all', meeting };
+};
+
 // ============================================
 // HELPER FUNCTION - Create Notifications
 // ============================================
@@ -159,6 +356,7 @@ const createMeetingNotifications = async (meeting, notificationType = 'scheduled
           message: `${organizerName} has ${messageAction} a meeting "${meeting.title}" on ${meetingDate} at ${meetingTime}`,
           type: 'meeting',
           role: user.role,
+          recipient: user._id,
           metadata: {
             meetingId: meeting._id,
             meetingTitle: meeting.title,
@@ -166,8 +364,7 @@ const createMeetingNotifications = async (meeting, notificationType = 'scheduled
             startTime: meeting.startTime,
             location: meeting.location,
             meetingLink: meeting.meetingLink
-          },
-          isRead: false
+          }
         });
 
         console.log(`✅ Notification created for ${user.name} (${user.role}):`, notification._id);
@@ -190,8 +387,9 @@ const createMeetingNotifications = async (meeting, notificationType = 'scheduled
             message: notification.message,
             type: notification.type,
             role: notification.role,
+            recipient: notification.recipient,
             metadata: notification.metadata,
-            isRead: notification.isRead,
+            isRead: false,
             createdAt: notification.createdAt
           });
 
@@ -221,22 +419,37 @@ const createMeetingNotifications = async (meeting, notificationType = 'scheduled
 
 // ============================================
 // ADMIN - Get All Meetings
+// Recurring meetings are listed as their occurrences between ?from= and
+// ?to= (default: 30 days back to 90 days ahead)
 // ============================================
 exports.getAllMeetings = async (req, res) => {
   try {
     console.log('🔍 Fetching all meetings for admin');
 
-    const meetings = await Meeting.find()
+    const window = getListWindow(req.query);
+    const query = {};
+    if (window.explicit) {
+      query.$or = [
+        { isRecurring: true },
+        { startTime: { $lt: window.to }, endTime: { $gt: window.from } }
+      ];
+    }
+
+    const found = await Meeting.find(query)
       .populate('organizer', 'name email')
       .populate('participants.user', 'name email role')
       .populate('project', 'name')
       .sort({ startTime: -1 });
 
+    const meetings = (await expandMeetings(found, window))
+      .sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+
     console.log(`✅ Found ${meetings.length} meetings`);
 
     res.status(200).json({
       success: true,
       count: meetings.length,
+      window: { from: window.from, to: window.to },
       meetings
     });
 
@@ -332,6 +545,27 @@ exports.scheduleMeeting = async (req, res) => {
     console.log('✅ All participants resolved successfully');
     console.log('====================================');
 
+    const recurrence = getRecurrence(req.body);
+    if (recurrence.error) {
+      return res.status(400).json({
+        success: false,
+        message: recurrence.error
+      });
+    }
+
+    const check = await checkMeetingTime(
+      req,
+      [req.user._id, ...resolvedUserIds],
+      { startTime, endTime, ...recurrence }
+    );
+    if (check.error) {
+      return res.status(400).json({
+        success: false,
+        message: check.error
+      });
+    }
+    if (check.blocked) return sendConflicts(res, check.conflicts);
+
     // Generate meeting ID
     const meetingCount = await Meeting.countDocuments();
     const meetingId = `MTG${String(meetingCount + 1).padStart(4, '0')}`;
@@ -359,11 +593,14 @@ exports.scheduleMeeting = async (req, res) => {
       location: location || 'Office',
       meetingLink: meetingLink || '',
       agenda: agenda || '',
-      status: 'Scheduled'
+      status: 'Scheduled',
+      ...recurrence
     });
 
     console.log('✅ Meeting created:', meeting._id);
 
+    const warnings = await getSchedulingWarnings(meeting.startTime, resolvedUserIds);
+
     // Populate meeting data
     const populatedMeeting = await Meeting.findById(meeting._id)
       .populate('organizer', 'name email')
@@ -374,6 +611,7 @@ exports.scheduleMeeting = async (req, res) => {
 
     // Create notifications
     await createMeetingNotifications(populatedMeeting, 'scheduled');
+    queueInvites(meeting, 'invite');
 
     // ✅✅✅ Emit Socket.IO event for real-time meeting list update
     const io = getIO();
@@ -393,7 +631,9 @@ exports.scheduleMeeting = async (req, res) => {
     res.status(201).json({
       success: true,
       message: 'Meeting scheduled successfully',
-      meeting: populatedMeeting
+      meeting: populatedMeeting,
+      warnings,
+      conflicts: check.conflicts
     });
 
   } catch (error) {
@@ -428,6 +668,27 @@ exports.getMeeting = async (req, res) => {
       });
     }
 
+    // ?occurrence=<original start> returns one occurrence of a series
+    const occurrenceStart = parseOccurrence(req.query.occurrence);
+    if (meeting.isRecurring && occurrenceStart) {
+      const exception = await Meeting.findOne({ series: meeting._id, occurrenceStart })
+        .populate('organizer', 'name email')
+        .populate('participants.user', 'name email role')
+        .populate('project', 'name');
+
+      if (!exception && !await isSeriesOccurrence(meeting, occurrenceStart)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Occurrence not found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        meeting: exception || buildOccurrence(meeting, occurrenceStart)
+      });
+    }
+
     res.status(200).json({
       success: true,
       meeting
@@ -445,6 +706,9 @@ exports.getMeeting = async (req, res) => {
 
 // ============================================
 // ADMIN - Update Meeting
+// On a recurring meeting, scope 'this' (with occurrence) changes one
+// occurrence, 'following' splits the series there and changes the new
+// part, 'all' (default) changes the whole series
 // ============================================
 exports.updateMeeting = async (req, res) => {
   try {
@@ -477,8 +741,59 @@ exports.updateMeeting = async (req, res) => {
       meetingLink,
       participants,
       project,
-      agenda
+      agenda,
+      isRecurring,
+      occurrence
     } = req.body;
+    const scope = req.body.scope || (occurrence ? 'this' : 'all');
+
+    if (!SCOPES.includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: `scope must be one of: ${SCOPES.join(', ')}`
+      });
+    }
+
+    // "This and following" from a changed occurrence continues its series
+    let occurrenceStart = parseOccurrence(occurrence);
+    if (meeting.series && scope === 'following') {
+      occurrenceStart = meeting.occurrenceStart;
+      meeting = await Meeting.findById(meeting.series);
+      if (!meeting) {
+        return res.status(404).json({
+          success: false,
+          message: 'Meeting series not found'
+        });
+      }
+    }
+
+    // Series being split; `meeting` becomes its new part
+    let splitSeries = null;
+    if (meeting.isRecurring && scope !== 'all') {
+      if (!await isSeriesOccurrence(meeting, occurrenceStart)) {
+        return res.status(400).json({
+          success: false,
+          message: OCCURRENCE_REQUIRED
+        });
+      }
+
+      if (scope === 'this') {
+        meeting = await getOrBuildException(meeting, occurrenceStart);
+        console.log('📋 Editing single occurrence:', occurrenceStart.toISOString());
+      } else if (occurrenceStart.getTime() !== meeting.startTime.getTime()) {
+        splitSeries = meeting;
+        const meetingCount = await Meeting.countDocuments();
+        meeting = buildSeriesSplit(
+          splitSeries,
+          occurrenceStart,
+          `MTG${String(meetingCount + 1).padStart(4, '0')}`
+        );
+        console.log('📋 Splitting series at:', occurrenceStart.toISOString());
+      }
+    }
+
+    const previousStart = meeting.startTime;
+    const previousParticipantIds = meeting.participants.map(p => p.user?.toString()).filter(Boolean);
 
     // ✅✅✅ CRITICAL FIX: Resolve participants properly
     if (participants && participants.length > 0) {
@@ -538,11 +853,65 @@ exports.updateMeeting = async (req, res) => {
     if (agenda !== undefined) meeting.agenda = agenda;
     if (project !== undefined) meeting.project = project || null;
 
-    // Save the meeting
+    // Single occurrences cannot repeat on their own
+    if (isRecurring !== undefined && !meeting.series) {
+      const recurrence = getRecurrence(req.body);
+      if (recurrence.error) {
+        return res.status(400).json({
+          success: false,
+          message: recurrence.error
+        });
+      }
+      meeting.isRecurring = recurrence.isRecurring;
+      meeting.recurringPattern = recurrence.recurringPattern;
+    }
+
+    // Re-check availability when the time or the people change
+    let conflicts = [];
+    if (startTime || endTime || participants || isRecurring !== undefined) {
+      const check = await checkMeetingTime(
+        req,
+        [meeting.organizer, ...meeting.participants.map(p => p.user)],
+        meeting,
+        [meeting._id, meeting.series, splitSeries?._id]
+      );
+      if (check.error) {
+        return res.status(400).json({
+          success: false,
+          message: check.error
+        });
+      }
+      if (check.blocked) return sendConflicts(res, check.conflicts);
+      conflicts = check.conflicts;
+    }
+
+    // Save the meeting; a new series split off starts a fresh calendar event
+    if (!splitSeries) meeting.sequence = (meeting.sequence || 0) + 1;
     await meeting.save();
 
+    // Keep changed occurrences and answers attached to the moved series
+    if (splitSeries) {
+      await finishSeriesSplit(splitSeries, meeting, occurrenceStart);
+    } else if (meeting.isRecurring && meeting.startTime.getTime() !== previousStart.getTime()) {
+      await shiftSeriesOccurrences(meeting, meeting.startTime.getTime() - previousStart.getTime());
+    }
+
     console.log('✅ Meeting saved to database');
 
+    if (splitSeries) {
+      queueInvites(meeting, 'invite');
+      queueInvites(splitSeries, 'update');
+    } else {
+      queueInvites(meeting, 'update');
+      const removedIds = previousParticipantIds
+        .filter(id => !meeting.participants.some(p => p.user?.toString() === id));
+      if (removedIds.length > 0) queueInvites(meeting, 'cancel', { recipientIds: removedIds });
+    }
+
+    const warnings = startTime || participants
+      ? await getSchedulingWarnings(meeting.startTime, meeting.participants.map(p => p.user))
+      : [];
+
     // Populate meeting data
     const updatedMeeting = await Meeting.findById(meeting._id)
       .populate('organizer', 'name email')
@@ -571,7 +940,10 @@ exports.updateMeeting = async (req, res) => {
     res.status(200).json({
       success: true,
       message: 'Meeting updated successfully',
-      meeting: updatedMeeting
+      meeting: updatedMeeting,
+      scope,
+      warnings,
+      conflicts
     });
 
   } catch (error) {
@@ -613,16 +985,18 @@ exports.deleteMeeting = async (req, res) => {
 
     console.log('📋 Meeting found:', meeting.title);
 
-    // Store meeting title for socket event
-    const meetingTitle = meeting.title;
-
-    // Create deletion notifications BEFORE deleting
-    await createMeetingNotifications(meeting, 'deleted');
+    // ?occurrence=<original start>&scope=this|following removes part of a series
+    const result = await removeMeeting(meeting, parseOccurrence(req.query.occurrence), req.query.scope);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
 
-    // Delete the meeting
-    await Meeting.findByIdAndDelete(req.params.id);
+    await createMeetingNotifications(result.meeting, result.action === 'deleted' ? 'deleted' : 'cancelled');
 
-    console.log('✅ Meeting deleted successfully');
+    console.log(`✅ Meeting ${result.action} successfully`);
 
     // ✅✅✅ Emit Socket.IO event for real-time deletion
     const io = getIO();
@@ -630,8 +1004,10 @@ exports.deleteMeeting = async (req, res) => {
       console.log('📡 Emitting meeting-deleted event via Socket.IO');
       io.emit('meeting-deleted', {
         meetingId: req.params.id,
-        meetingTitle: meetingTitle,
-        message: `Meeting deleted: ${meetingTitle}`
+        meetingTitle: meeting.title,
+        occurrenceStart: result.action === 'deleted' ? null : result.meeting.occurrenceStart,
+        scope: result.scope,
+        message: `Meeting ${result.action}: ${meeting.title}`
       });
     }
 
@@ -639,7 +1015,7 @@ exports.deleteMeeting = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'Meeting deleted successfully'
+      message: result.action === 'deleted' ? 'Meeting deleted successfully' : `Meeting ${result.action} successfully`
     });
 
   } catch (error) {
@@ -656,30 +1032,159 @@ exports.deleteMeeting = async (req, res) => {
   }
 };
 
+// ============================================
+// HELPER - Who may read a meeting's minutes
+// Admins, the organizer and participants
+// ============================================
+const canSeeMinutes = (req, meeting) =>
+  req.user.role === 'admin' ||
+  (meeting.organizer?._id || meeting.organizer)?.toString() === req.user._id.toString() ||
+  meeting.participants.some(p => (p.user?._id || p.user)?.toString() === req.user._id.toString());
+
+// Minutes with the action items' effective status
+const withActionItems = async (meeting) => {
+  const tasks = await loadPromotedTasks([meeting]);
+  const { minutes } = meeting.toObject();
+  return {
+    ...minutes,
+    actionItems: (minutes.actionItems || []).map(item => resolveActionItem(item, tasks))
+  };
+};
+
 // ============================================
 // ADMIN - Add Meeting Minutes
+// Every call records a new version; the previous one is kept in
+// minutesHistory. Send action items back with their _id to keep them (and
+// their tasks) across versions. occurrence=<original start> records the
+// minutes of one occurrence of a recurring meeting.
 // ============================================
 exports.addMeetingMinutes = async (req, res) => {
   try {
-    const { discussion, decisions, actionItems } = req.body;
-
-    const meeting = await Meeting.findByIdAndUpdate(
-      req.params.id,
-      {
-        minutes: {
-          discussion,
-          decisions,
-          actionItems,
-          recordedBy: req.user._id,
-          recordedAt: new Date()
-        }
-      },
-      { new: true }
-    )
+    let meeting = await Meeting.findById(req.params.id);
+
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meeting not found'
+      });
+    }
+
+    const occurrenceStart = parseOccurrence(req.body.occurrence);
+    if (meeting.isRecurring && occurrenceStart) {
+      const exception = await Meeting.findOne({ series: meeting._id, occurrenceStart });
+      if (!exception && !await isSeriesOccurrence(meeting, occurrenceStart)) {
+        return res.status(400).json({
+          success: false,
+          message: OCCURRENCE_REQUIRED
+        });
+      }
+      meeting = exception || await getOrBuildException(meeting, occurrenceStart);
+    }
+
+    const result = await recordMinutesVersion(meeting, req.body, req.user._id);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await meeting.save();
+
+    const updatedMeeting = await Meeting.findById(meeting._id)
       .populate('organizer', 'name email')
       .populate('participants.user', 'name email role')
       .populate('project', 'name');
 
+    // Ask everyone who attended to sign off
+    for (const participant of updatedMeeting.participants) {
+      const user = participant.user;
+      if (!user || ['Declined', 'Absent'].includes(participant.status)) continue;
+      if (user._id.toString() === req.user._id.toString()) continue;
+      await notifyMeetingMinutes({
+        title: updatedMeeting.title,
+        version: result.version,
+        role: user.role,
+        userId: user._id,
+        meetingId: updatedMeeting._id
+      });
+    }
+
+    console.log(`📝 Minutes version ${result.version} recorded for ${updatedMeeting.meetingId}`);
+
+    res.status(200).json({
+      success: true,
+      message: result.version > 1
+        ? `Meeting minutes updated (version ${result.version})`
+        : 'Meeting minutes added successfully',
+      meeting: updatedMeeting,
+      signOff: getSignOff(updatedMeeting)
+    });
+
+  } catch (error) {
+    console.error('❌ Error adding meeting minutes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add meeting minutes',
+      error: error.message
+    });
+  }
+};
+
+// ============================================
+// ALL ROLES - Get Meeting Minutes
+// Current version, sign-off and earlier versions
+// ============================================
+exports.getMeetingMinutes = async (req, res) => {
+  try {
+    const meeting = await Meeting.findById(req.params.id)
+      .populate('participants.user', 'name email role')
+      .populate('minutes.recordedBy', 'name email')
+      .populate('minutes.actionItems.assignedTo', 'name email role')
+      .populate('minutes.acknowledgements.user', 'name email role')
+      .populate('minutesHistory.recordedBy', 'name email');
+
+    if (!meeting || !canSeeMinutes(req, meeting)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meeting not found'
+      });
+    }
+
+    if (!meeting.minutes?.recordedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'This meeting has no minutes yet'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      minutes: await withActionItems(meeting),
+      signOff: getSignOff(meeting),
+      history: meeting.minutesHistory
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching meeting minutes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch meeting minutes',
+      error: error.message
+    });
+  }
+};
+
+// ============================================
+// ALL ROLES - Sign Off Meeting Minutes
+// Send version to make sure the minutes did not change meanwhile
+// ============================================
+exports.acknowledgeMeetingMinutes = async (req, res) => {
+  try {
+    const { version, comment } = req.body;
+
+    const meeting = await Meeting.findById(req.params.id);
+
     if (!meeting) {
       return res.status(404).json({
         success: false,
@@ -687,17 +1192,189 @@ exports.addMeetingMinutes = async (req, res) => {
       });
     }
 
+    const result = acknowledgeMinutes(meeting, req.user._id, { version, comment });
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await meeting.save();
+
+    console.log(`✅ ${req.user.email} signed off minutes v${result.version} of ${meeting.meetingId}`);
+
     res.status(200).json({
       success: true,
-      message: 'Meeting minutes added successfully',
-      meeting
+      message: 'Meeting minutes acknowledged',
+      signOff: getSignOff(meeting)
     });
 
   } catch (error) {
-    console.error('❌ Error adding meeting minutes:', error);
+    console.error('❌ Error acknowledging meeting minutes:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to add meeting minutes',
+      message: 'Failed to acknowledge meeting minutes',
+      error: error.message
+    });
+  }
+};
+
+// ============================================
+// ADMIN - Promote Action Item to Task
+// The task goes to the assignee's employee record on the meeting's project
+// ============================================
+exports.promoteActionItem = async (req, res) => {
+  try {
+    const meeting = await Meeting.findById(req.params.id);
+
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meeting not found'
+      });
+    }
+
+    const { title, priority, dueDate, estimatedHours, project } = req.body;
+    const result = await promoteActionItem(
+      meeting,
+      req.params.itemId,
+      { title, priority, dueDate, estimatedHours, project },
+      req.user
+    );
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+        task: result.task
+      });
+    }
+
+    await result.task.populate('project', 'name');
+    await result.task.populate('assignedTo', 'name email');
+
+    // Same event as a task created from the task board
+    try {
+      const io = getIO();
+      io.to('admin').emit('task-created', {
+        task: result.task,
+        employeeId: result.task.assignedTo?._id,
+        employeeName: result.task.assignedTo?.name
+      });
+    } catch (socketError) {
+      console.error('Socket emit error:', socketError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Action item converted to a task',
+      task: result.task
+    });
+
+  } catch (error) {
+    console.error('❌ Error promoting action item:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to convert action item to a task',
+      error: error.message
+    });
+  }
+};
+
+// ============================================
+// ALL ROLES - Update Action Item Status
+// Admins or the assignee; items that became tasks follow their task
+// ============================================
+exports.updateActionItemStatus = async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (!ACTION_ITEM_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${ACTION_ITEM_STATUSES.join(', ')}`
+      });
+    }
+
+    const meeting = await Meeting.findById(req.params.id);
+    const item = meeting?.minutes?.actionItems?.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Action item not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && item.assignedTo?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the assignee can update this action item'
+      });
+    }
+
+    const tasks = await loadPromotedTasks([meeting]);
+    if (item.task && tasks.has(item.task.toString())) {
+      return res.status(409).json({
+        success: false,
+        message: 'This action item is a task now; update the task instead',
+        task: tasks.get(item.task.toString())
+      });
+    }
+
+    item.status = status;
+    await meeting.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Action item updated',
+      actionItem: resolveActionItem(item, tasks)
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating action item:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update action item',
+      error: error.message
+    });
+  }
+};
+
+// ============================================
+// ALL ROLES - Open Action Items
+// Employees and clients get their own; admins everyone's (?user= for one
+// person) with a per-person summary. ?overdue=true keeps overdue items only.
+// ============================================
+exports.getOpenActionItems = async (req, res) => {
+  try {
+    const userId = req.user.role === 'admin' ? req.query.user || null : req.user._id;
+    const overdueOnly = req.query.overdue === 'true';
+
+    const items = await findOpenActionItems({ userId, overdueOnly });
+
+    // Open and overdue counts per assignee
+    const summary = new Map();
+    items.forEach(item => {
+      const key = item.assignedTo?._id?.toString() || 'unassigned';
+      const entry = summary.get(key) || { user: item.assignedTo || null, open: 0, overdue: 0 };
+      entry.open++;
+      if (item.overdue) entry.overdue++;
+      summary.set(key, entry);
+    });
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      actionItems: items,
+      summary: [...summary.values()].sort((a, b) => b.open - a.open)
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching action items:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch action items',
       error: error.message
     });
   }
@@ -710,19 +1387,30 @@ exports.getMyMeetings = async (req, res) => {
   try {
     console.log(`🔍 Fetching meetings for ${req.user.role}:`, req.user.email);
 
-    const meetings = await Meeting.find({
-      'participants.user': req.user._id
-    })
+    const window = getListWindow(req.query);
+    const query = { 'participants.user': req.user._id };
+    if (window.explicit) {
+      query.$or = [
+        { isRecurring: true },
+        { startTime: { $lt: window.to }, endTime: { $gt: window.from } }
+      ];
+    }
+
+    const found = await Meeting.find(query)
       .populate('organizer', 'name email')
       .populate('participants.user', 'name email role')
       .populate('project', 'name')
       .sort({ startTime: -1 });
 
+    const meetings = (await expandMeetings(found, window))
+      .sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+
     console.log(`✅ Found ${meetings.length} meetings for user`);
 
     res.status(200).json({
       success: true,
       count: meetings.length,
+      window: { from: window.from, to: window.to },
       meetings
     });
 
@@ -741,9 +1429,9 @@ exports.getMyMeetings = async (req, res) => {
 // ============================================
 exports.updateParticipantStatus = async (req, res) => {
   try {
-    const { status } = req.body;
+    const { status, occurrence } = req.body;
 
-    const meeting = await Meeting.findById(req.params.id);
+    let meeting = await Meeting.findById(req.params.id);
 
     if (!meeting) {
       return res.status(404).json({
@@ -752,6 +1440,58 @@ exports.updateParticipantStatus = async (req, res) => {
       });
     }
 
+    // occurrence=<original start> answers for one occurrence of a series
+    const occurrenceStart = parseOccurrence(occurrence);
+    if (meeting.isRecurring && occurrenceStart) {
+      const exception = await Meeting.findOne({ series: meeting._id, occurrenceStart });
+
+      if (exception) {
+        meeting = exception;
+      } else {
+        if (!await isSeriesOccurrence(meeting, occurrenceStart)) {
+          return res.status(400).json({
+            success: false,
+            message: OCCURRENCE_REQUIRED
+          });
+        }
+
+        if (!meeting.participants.some(p => p.user.toString() === req.user._id.toString())) {
+          return res.status(403).json({
+            success: false,
+            message: 'You are not a participant in this meeting'
+          });
+        }
+
+        const response = meeting.occurrenceResponses.find(r =>
+          r.occurrenceStart.getTime() === occurrenceStart.getTime() &&
+          r.user.toString() === req.user._id.toString()
+        );
+        if (response) {
+          response.status = status;
+          response.respondedAt = new Date();
+        } else {
+          meeting.occurrenceResponses.push({
+            occurrenceStart,
+            user: req.user._id,
+            status,
+            respondedAt: new Date()
+          });
+        }
+        await meeting.save();
+
+        const series = await Meeting.findById(meeting._id)
+          .populate('organizer', 'name email')
+          .populate('participants.user', 'name email role')
+          .populate('project', 'name');
+
+        return res.status(200).json({
+          success: true,
+          message: 'Meeting status updated',
+          meeting: buildOccurrence(series, occurrenceStart)
+        });
+      }
+    }
+
     // Find participant
     const participantIndex = meeting.participants.findIndex(
       p => p.user.toString() === req.user._id.toString()
@@ -822,6 +1562,27 @@ exports.clientScheduleMeeting = async (req, res) => {
     const admins = await User.find({ role: 'admin', isActive: true }).select('_id');
     console.log(`🔔 Found ${admins.length} admins to add as participants`);
 
+    const recurrence = getRecurrence(req.body);
+    if (recurrence.error) {
+      return res.status(400).json({
+        success: false,
+        message: recurrence.error
+      });
+    }
+
+    const check = await checkMeetingTime(
+      req,
+      [req.user._id, ...admins.map(admin => admin._id), ...(participants || [])],
+      { startTime, endTime, ...recurrence }
+    );
+    if (check.error) {
+      return res.status(400).json({
+        success: false,
+        message: check.error
+      });
+    }
+    if (check.blocked) return sendConflicts(res, check.conflicts);
+
     const meetingCount = await Meeting.countDocuments();
     const meetingId = `MTG${String(meetingCount + 1).padStart(4, '0')}`;
 
@@ -853,7 +1614,8 @@ exports.clientScheduleMeeting = async (req, res) => {
       location: location || 'Online',
       meetingLink: meetingLink || '',
       agenda: agenda || '',
-      status: 'Scheduled'
+      status: 'Scheduled',
+      ...recurrence
     });
 
     const populatedMeeting = await Meeting.findById(meeting._id)
@@ -861,8 +1623,11 @@ exports.clientScheduleMeeting = async (req, res) => {
       .populate('participants.user', 'name email role')
       .populate('project', 'name');
 
+    const warnings = await getSchedulingWarnings(meeting.startTime, participantsList.map(p => p.user));
+
     // Notifications will now go to admins too
     await createMeetingNotifications(populatedMeeting, 'scheduled');
+    queueInvites(meeting, 'invite');
 
     // ✅✅✅ Emit Socket.IO event for real-time meeting list update
     const io = getIO();
@@ -879,7 +1644,9 @@ exports.clientScheduleMeeting = async (req, res) => {
     res.status(201).json({
       success: true,
       message: 'Meeting scheduled successfully',
-      meeting: populatedMeeting
+      meeting: populatedMeeting,
+      warnings,
+      conflicts: check.conflicts
     });
 
   } catch (error) {
@@ -916,11 +1683,16 @@ exports.clientCancelMeeting = async (req, res) => {
       });
     }
 
-    // Store meeting title for socket event
-    const meetingTitle = meeting.title;
+    // ?occurrence=<original start>&scope=this|following cancels part of a series
+    const result = await removeMeeting(meeting, parseOccurrence(req.query.occurrence), req.query.scope);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
 
-    await createMeetingNotifications(meeting, 'cancelled');
-    await Meeting.findByIdAndDelete(req.params.id);
+    await createMeetingNotifications(result.meeting, 'cancelled');
 
     // ✅✅✅ Emit Socket.IO event for real-time deletion
     const io = getIO();
@@ -928,8 +1700,10 @@ exports.clientCancelMeeting = async (req, res) => {
       console.log('📡 Emitting meeting-deleted event via Socket.IO');
       io.emit('meeting-deleted', {
         meetingId: req.params.id,
-        meetingTitle: meetingTitle,
-        message: `Meeting cancelled: ${meetingTitle}`
+        meetingTitle: meeting.title,
+        occurrenceStart: result.action === 'deleted' ? null : result.meeting.occurrenceStart,
+        scope: result.scope,
+        message: `Meeting cancelled: ${meeting.title}`
       });
     }
 
@@ -948,4 +1722,93 @@ exports.clientCancelMeeting = async (req, res) => {
   }
 };
 
+// ============================================
+// ADMIN / CLIENT - Free/busy and suggested slots
+// Body: { participants, duration (minutes), from, count, step (minutes), days }
+// Clients always include themselves and every admin
+// ============================================
+exports.getMeetingAvailability = async (req, res) => {
+  try {
+    const {
+      participants = [],
+      duration = 60,
+      from,
+      count = 5,
+      step = 30,
+      days = 14
+    } = req.body;
+
+    const durationMinutes = parseInt(duration, 10);
+    const slotCount = parseInt(count, 10);
+    const stepMinutes = parseInt(step, 10);
+    const searchDays = parseInt(days, 10);
+    const start = from ? new Date(from) : new Date();
+
+    if (!(durationMinutes >= 5 && durationMinutes <= 480) ||
+        !(slotCount >= 1 && slotCount <= 20) ||
+        !(stepMinutes >= 5 && stepMinutes <= 120) ||
+        !(searchDays >= 1 && searchDays <= 60) ||
+        Number.isNaN(start.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid search: duration 5-480 minutes, count 1-20, step 5-120 minutes, days 1-60, from a valid date'
+      });
+    }
+
+    const userIds = [req.user._id];
+    if (req.user.role === 'client') {
+      const admins = await User.find({ role: 'admin', isActive: true }).select('_id');
+      userIds.push(...admins.map(admin => admin._id));
+    }
+
+    const failedParticipants = [];
+    for (const participantId of participants) {
+      const userId = await getUserIdFromParticipant(participantId);
+      if (userId) {
+        userIds.push(userId);
+      } else {
+        failedParticipants.push(participantId);
+      }
+    }
+
+    if (failedParticipants.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid participant IDs: ${failedParticipants.join(', ')}`
+      });
+    }
+
+    const { slots, availability } = await suggestMeetingSlots(userIds, {
+      duration: durationMinutes,
+      from: start,
+      count: slotCount,
+      step: stepMinutes,
+      days: searchDays
+    });
+
+    // Clients see busy times only, not what fills them (meeting or leave)
+    const participantsAvailability = availability.map(entry => ({
+      user: entry.user,
+      busy: req.user.role === 'admin'
+        ? entry.busy
+        : entry.busy.map(({ start: busyStart, end: busyEnd }) => ({ start: busyStart, end: busyEnd, type: 'busy' })),
+      workingHours: entry.workingHours
+    }));
+
+    res.status(200).json({
+      success: true,
+      slots,
+      participants: participantsAvailability
+    });
+
+  } catch (error) {
+    console.error('❌ Error checking meeting availability:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check availability',
+      error: error.message
+    });
+  }
+};
+
 module.exports = exports;
\ No newline at end of file
@@ -13,12 +13,12 @@ const Notification = require('../models/Notification');
 // @access  Private/Admin
 exports.getAdminNotifications = async (req, res) => {
   try {
-    const notifications = await Notification.find({ role: 'admin' })
+    const notifications = await Notification.find(Notification.visibleTo(req.user))
       .sort({ createdAt: -1 });
 
     res.status(200).json({
       success: true,
-      data: notifications
+      data: notifications.map(n => n.toRecipientJSON(req.user._id))
     });
   } catch (error) {
     console.error('Error fetching admin notifications:', error);
@@ -38,8 +38,10 @@ exports.getEmployeeNotifications = async (req, res) => {
   try {
     console.log('📬 Fetching employee notifications');
     
-    const notifications = await Notification.find({ role: 'employee' })
-      .sort({ createdAt: -1 });
+    const notifications = (
+      await Notification.find(Notification.visibleTo(req.user))
+        .sort({ createdAt: -1 })
+    ).map(n => n.toRecipientJSON(req.user._id));
 
     console.log(`✅ Found ${notifications.length} employee notifications`);
 
@@ -66,12 +68,12 @@ exports.getEmployeeNotifications = async (req, res) => {
 // @access  Private/Client
 exports.getClientNotifications = async (req, res) => {
   try {
-    const notifications = await Notification.find({ role: 'client' })
+    const notifications = await Notification.find(Notification.visibleTo(req.user))
       .sort({ createdAt: -1 });
 
     res.status(200).json({
       success: true,
-      data: notifications
+      data: notifications.map(n => n.toRecipientJSON(req.user._id))
     });
   } catch (error) {
     console.error('Error fetching client notifications:', error);
@@ -89,9 +91,9 @@ exports.getClientNotifications = async (req, res) => {
 // @access  Private
 exports.markAsRead = async (req, res) => {
   try {
-    const notification = await Notification.findByIdAndUpdate(
-      req.params.id, 
-      { isRead: true },
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, ...Notification.visibleTo(req.user) },
+      { $addToSet: { readBy: req.user._id } },
       { new: true }
     );
 
@@ -105,7 +107,7 @@ exports.markAsRead = async (req, res) => {
     res.json({ 
       success: true,
       message: 'Marked as read',
-      data: notification
+      data: notification.toRecipientJSON(req.user._id)
     });
   } catch (error) {
     console.error('Error marking as read:', error);
@@ -122,9 +124,9 @@ exports.markAsRead = async (req, res) => {
 // @access  Private
 exports.markAsUnread = async (req, res) => {
   try {
-    const notification = await Notification.findByIdAndUpdate(
-      req.params.id, 
-      { isRead: false },
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, ...Notification.visibleTo(req.user) },
+      { $pull: { readBy: req.user._id } },
       { new: true }
     );
 
@@ -138,7 +140,7 @@ exports.markAsUnread = async (req, res) => {
     res.json({ 
       success: true,
       message: 'Marked as unread',
-      data: notification
+      data: notification.toRecipientJSON(req.user._id)
     });
   } catch (error) {
     console.error('Error marking as unread:', error);
@@ -155,22 +157,11 @@ exports.markAsUnread = async (req, res) => {
 // @access  Private
 exports.markAllRead = async (req, res) => {
   try {
-    // Determine role from the route or user
-    let role = 'admin'; // default
-    
-    if (req.baseUrl.includes('/employee')) {
-      role = 'employee';
-    } else if (req.baseUrl.includes('/client')) {
-      role = 'client';
-    } else if (req.baseUrl.includes('/admin')) {
-      role = 'admin';
-    }
-
-    console.log(`📬 Marking all ${role} notifications as read`);
+    console.log(`📬 Marking all ${req.user.role} notifications as read for ${req.user._id}`);
     
     const result = await Notification.updateMany(
-      { role, isRead: false }, 
-      { isRead: true }
+      { ...Notification.visibleTo(req.user), readBy: { $ne: req.user._id } },
+      { $addToSet: { readBy: req.user._id } }
     );
 
     console.log(`✅ Marked ${result.modifiedCount} notifications as read`);
@@ -195,7 +186,10 @@ exports.markAllRead = async (req, res) => {
 // @access  Private
 exports.deleteNotification = async (req, res) => {
   try {
-    const notification = await Notification.findByIdAndDelete(req.params.id);
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      ...Notification.visibleTo(req.user)
+    });
 
     if (!notification) {
       return res.status(404).json({
@@ -203,6 +197,16 @@ exports.deleteNotification = async (req, res) => {
         message: 'Notification not found'
       });
     }
+
+    // Broadcasts are only hidden for this user, personal ones are removed
+    if (notification.recipient) {
+      await notification.deleteOne();
+    } else {
+      await Notification.updateOne(
+        { _id: notification._id },
+        { $addToSet: { dismissedBy: req.user._id } }
+      );
+    }
     
     res.json({ 
       success: true,
@@ -232,14 +236,22 @@ exports.deleteMany = async (req, res) => {
       });
     }
 
-    const result = await Notification.deleteMany({ 
-      _id: { $in: ids } 
+    const visible = { _id: { $in: ids }, ...Notification.visibleTo(req.user) };
+
+    const deleted = await Notification.deleteMany({
+      ...visible,
+      recipient: req.user._id
     });
+    const dismissed = await Notification.updateMany(
+      { ...visible, recipient: null },
+      { $addToSet: { dismissedBy: req.user._id } }
+    );
+    const count = deleted.deletedCount + dismissed.modifiedCount;
     
     res.json({ 
       success: true,
-      message: `Deleted ${result.deletedCount} notification(s)`,
-      count: result.deletedCount
+      message: `Deleted ${count} notification(s)`,
+      count
     });
   } catch (error) {
     console.error('Error deleting notifications:', error);
@@ -266,22 +278,14 @@ exports.createNotification = async (data) => {
   }
 };
 
-// @desc    Get unread count for a role
+// @desc    Get unread count for the logged-in user
 // @route   GET /api/:role/notifications/unread-count
 // @access  Private
 exports.getUnreadCount = async (req, res) => {
   try {
-    let role = 'admin';
-    
-    if (req.baseUrl.includes('/employee')) {
-      role = 'employee';
-    } else if (req.baseUrl.includes('/client')) {
-      role = 'client';
-    }
-
-    const count = await Notification.countDocuments({ 
-      role, 
-      isRead: false 
+    const count = await Notification.countDocuments({
+      ...Notification.visibleTo(req.user),
+      readBy: { $ne: req.user._id }
     });
 
     res.json({
@@ -0,0 +1,180 @@
+const OfficeLocation = require('../models/OfficeLocation');
+
+// Coordinates and radius from the body, validated
+const parseGeofence = ({ latitude, longitude, radius }, required) => {
+  const values = {};
+
+  if (latitude !== undefined || required) {
+    const lat = Number(latitude);
+    if (latitude === '' || latitude === null || !Number.isFinite(lat) || lat < -90 || lat > 90) {
+      return { error: 'Latitude must be a number between -90 and 90' };
+    }
+    values.latitude = lat;
+  }
+
+  if (longitude !== undefined || required) {
+    const lng = Number(longitude);
+    if (longitude === '' || longitude === null || !Number.isFinite(lng) || lng < -180 || lng > 180) {
+      return { error: 'Longitude must be a number between -180 and 180' };
+    }
+    values.longitude = lng;
+  }
+
+  if (radius !== undefined) {
+    const meters = Number(radius);
+    if (!Number.isFinite(meters) || meters < 10) {
+      return { error: 'Radius must be at least 10 meters' };
+    }
+    values.radius = meters;
+  }
+
+  return { values };
+};
+
+// ==================== ADMIN OFFICE LOCATIONS ====================
+
+// @desc    Get office locations
+// @route   GET /api/admin/offices
+// @access  Private (Admin)
+exports.getOffices = async (req, res) => {
+  try {
+    const query = req.query.includeInactive === 'true' ? {} : { isActive: true };
+    const offices = await OfficeLocation.find(query).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: offices.length,
+      data: offices
+    });
+
+  } catch (error) {
+    console.error('Get offices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create office location
+// @route   POST /api/admin/offices
+// @access  Private (Admin)
+exports.createOffice = async (req, res) => {
+  try {
+    const { name, address } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Office name is required'
+      });
+    }
+
+    const { values, error } = parseGeofence(req.body, true);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const office = await OfficeLocation.create({
+      name,
+      address,
+      ...values,
+      createdBy: req.user._id
+    });
+
+    console.log(`🏢 Office created: ${office.name} (${office.radius}m radius)`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Office location created successfully',
+      data: office
+    });
+
+  } catch (error) {
+    console.error('Create office error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update office location
+// @route   PUT /api/admin/offices/:id
+// @access  Private (Admin)
+exports.updateOffice = async (req, res) => {
+  try {
+    const office = await OfficeLocation.findById(req.params.id);
+
+    if (!office) {
+      return res.status(404).json({
+        success: false,
+        message: 'Office location not found'
+      });
+    }
+
+    const { values, error } = parseGeofence(req.body, false);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { name, address, isActive } = req.body;
+    if (name) office.name = name;
+    if (address !== undefined) office.address = address;
+    if (isActive !== undefined) office.isActive = Boolean(isActive);
+    office.set(values);
+
+    await office.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Office location updated successfully',
+      data: office
+    });
+
+  } catch (error) {
+    console.error('Update office error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete office location (past attendance keeps the office name)
+// @route   DELETE /api/admin/offices/:id
+// @access  Private (Admin)
+exports.deleteOffice = async (req, res) => {
+  try {
+    const office = await OfficeLocation.findByIdAndDelete(req.params.id);
+
+    if (!office) {
+      return res.status(404).json({
+        success: false,
+        message: 'Office location not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Office location deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete office error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
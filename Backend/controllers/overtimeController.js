@@ -0,0 +1,659 @@
+const OvertimeRequest = require('../models/OvertimeRequest');
+const Employee = require('../models/Employee');
+const Sequence = require('../models/Sequence');
+const { getCompanySettings } = require('../utils/settingsHelper');
+const { getPKTDate, toDateKey } = require('../utils/workCalendar');
+const { getEmployeeRules, loadRuleResolver } = require('../utils/attendanceRules');
+const { createNotification, notifyEmployee } = require('../utils/Notificationhelper');
+const {
+  getWeekStart,
+  getWeeklyOvertime,
+  getClaimedHours,
+  getHourlyRate
+} = require('../utils/overtimeHelper');
+
+const round = (hours) => Math.round(hours * 100) / 100;
+
+// Unclaimed overtime of a day or a week. A day is capped by its own
+// overtime and by what is left of the week
+const getAvailableOvertime = async (employee, period, day, excludeId = null) => {
+  const week = await getWeeklyOvertime(employee, day);
+  const weekStart = getWeekStart(day);
+  const weekLeft = week.overtimeHours - await getClaimedHours(employee._id, weekStart, { excludeId });
+
+  if (period === 'week') {
+    return { week, computedHours: week.overtimeHours, available: round(Math.max(0, weekLeft)) };
+  }
+
+  const dayKey = toDateKey(day);
+  const dayHours = round(week.days
+    .filter(d => d.date === dayKey)
+    .reduce((sum, d) => sum + d.overtimeHours, 0));
+  const dayLeft = dayHours - await getClaimedHours(employee._id, weekStart, { date: day, excludeId });
+
+  return { week, computedHours: dayHours, available: round(Math.max(0, Math.min(dayLeft, weekLeft))) };
+};
+
+// Claims of an employee's week are serialized through a counter: a new
+// claim is kept only if no other claim for that week was made while its
+// hours were being checked
+const weekClaimKey = (employeeId, weekStart) => `overtime-${employeeId}-${toDateKey(weekStart)}`;
+
+const getWeekClaimVersion = async (key) => {
+  const sequence = await Sequence.findOne({ key }).select('value');
+  return sequence ? sequence.value : 0;
+};
+
+const advanceWeekClaimVersion = async (key, version) => {
+  try {
+    // A changed counter doesn't match, and the upsert then fails on its key
+    await Sequence.updateOne({ key, value: version }, { $inc: { value: 1 } }, { upsert: true });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+const populateEmployee = {
+  path: 'employeeId',
+  select: 'employeeId department userId',
+  populate: { path: 'userId', select: 'name email' }
+};
+
+// ==================== EMPLOYEE OVERTIME ====================
+
+// @desc    Get my overtime for a week (daily and weekly) and my claims
+// @route   GET /api/employee/overtime?weekOf=YYYY-MM-DD
+// @access  Private (Employee)
+exports.getMyOvertime = async (req, res) => {
+  try {
+    const employee = await Employee.findOne({ userId: req.user._id || req.user.id });
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    const weekOf = req.query.weekOf || new Date();
+    const week = await getWeeklyOvertime(employee, weekOf);
+    const weekStart = getWeekStart(weekOf);
+    const claimedHours = await getClaimedHours(employee._id, weekStart);
+
+    const requests = await OvertimeRequest.find({ employeeId: employee._id, weekStart })
+      .sort({ date: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...week,
+        claimedHours,
+        unclaimedHours: round(Math.max(0, week.overtimeHours - claimedHours)),
+        requests
+      }
+    });
+
+  } catch (error) {
+    console.error('Get my overtime error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get my overtime requests
+// @route   GET /api/employee/overtime/requests
+// @access  Private (Employee)
+exports.getMyOvertimeRequests = async (req, res) => {
+  try {
+    const employee = await Employee.findOne({ userId: req.user._id || req.user.id });
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    const query = { employeeId: employee._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const requests = await OvertimeRequest.find(query)
+      .populate('reviewedBy', 'name')
+      .sort({ date: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: requests.length,
+      data: requests
+    });
+
+  } catch (error) {
+    console.error('Get my overtime requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Request overtime for a day or a week
+// @route   POST /api/employee/overtime
+// @access  Private (Employee)
+exports.requestOvertime = async (req, res) => {
+  try {
+    const employee = await Employee.findOne({ userId: req.user._id || req.user.id })
+      .populate('userId', 'name');
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    const { period = 'day', date, hours, reason } = req.body;
+
+    if (!['day', 'week'].includes(period)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Period must be "day" or "week"'
+      });
+    }
+
+    if (!date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date is required'
+      });
+    }
+
+    const day = period === 'week' ? getWeekStart(date) : getPKTDate(date);
+    if (day > getPKTDate()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Overtime can only be claimed for time already worked'
+      });
+    }
+
+    const claimKey = weekClaimKey(employee._id, getWeekStart(day));
+    const claimVersion = await getWeekClaimVersion(claimKey);
+    const { computedHours, available } = await getAvailableOvertime(employee, period, day);
+
+    if (available <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: computedHours > 0
+          ? 'All overtime for this period has already been claimed'
+          : 'Attendance shows no overtime for this period'
+      });
+    }
+
+    const requested = hours !== undefined ? Number(hours) : available;
+    if (!Number.isFinite(requested) || requested < 0.25) {
+      return res.status(400).json({
+        success: false,
+        message: 'Hours must be at least 0.25'
+      });
+    }
+
+    if (requested > available) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${available} hour(s) of overtime can be claimed for this period`
+      });
+    }
+
+    const request = await OvertimeRequest.create({
+      employeeId: employee._id,
+      period,
+      date: day,
+      weekStart: getWeekStart(day),
+      hours: round(requested),
+      computedHours,
+      reason
+    });
+
+    if (!(await advanceWeekClaimVersion(claimKey, claimVersion))) {
+      await OvertimeRequest.deleteOne({ _id: request._id });
+      return res.status(409).json({
+        success: false,
+        message: 'Another overtime claim for this week was made at the same time, please try again'
+      });
+    }
+
+    const employeeName = employee.userId?.name || employee.name;
+    const label = period === 'week' ? `week of ${toDateKey(day)}` : toDateKey(day);
+
+    await createNotification({
+      title: 'Overtime Request',
+      message: `${employeeName} claimed ${request.hours}h overtime for ${label}`,
+      type: 'attendance',
+      role: 'admin',
+      metadata: {
+        overtimeRequestId: request._id,
+        employeeId: employee._id,
+        date: day,
+        action: 'overtime-requested'
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Overtime requested',
+      data: request
+    });
+
+  } catch (error) {
+    console.error('Request overtime error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Cancel my pending overtime request
+// @route   PUT /api/employee/overtime/:id/cancel
+// @access  Private (Employee)
+exports.cancelOvertimeRequest = async (req, res) => {
+  try {
+    const employee = await Employee.findOne({ userId: req.user._id || req.user.id });
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    const request = await OvertimeRequest.findOne({ _id: req.params.id, employeeId: employee._id });
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Overtime request not found'
+      });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Overtime request is already ${request.status}`
+      });
+    }
+
+    const cancelled = await OvertimeRequest.findOneAndUpdate(
+      { _id: request._id, status: 'pending' },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
+
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Overtime request was reviewed meanwhile'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Overtime request cancelled',
+      data: cancelled
+    });
+
+  } catch (error) {
+    console.error('Cancel overtime request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// ==================== ADMIN OVERTIME ====================
+
+// @desc    Get overtime requests
+// @route   GET /api/admin/overtime
+// @access  Private (Admin)
+exports.getOvertimeRequests = async (req, res) => {
+  try {
+    const { status = 'pending', employeeId, startDate, endDate } = req.query;
+
+    const query = status === 'all' ? {} : { status };
+    if (employeeId) query.employeeId = employeeId;
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = getPKTDate(startDate);
+      if (endDate) query.date.$lte = getPKTDate(endDate);
+    }
+
+    const requests = await OvertimeRequest.find(query)
+      .populate(populateEmployee)
+      .populate('reviewedBy', 'name')
+      .sort({ date: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: requests.length,
+      data: requests
+    });
+
+  } catch (error) {
+    console.error('Get overtime requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get an employee's overtime for a week
+// @route   GET /api/admin/overtime/summary/:employeeId?weekOf=YYYY-MM-DD
+// @access  Private (Admin)
+exports.getEmployeeOvertime = async (req, res) => {
+  try {
+    const employee = await Employee.findById(req.params.employeeId).select('department employeeId');
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    const weekOf = req.query.weekOf || new Date();
+    const week = await getWeeklyOvertime(employee, weekOf);
+    const claimedHours = await getClaimedHours(employee._id, getWeekStart(weekOf));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...week,
+        claimedHours,
+        unclaimedHours: round(Math.max(0, week.overtimeHours - claimedHours))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get employee overtime error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Approve overtime request (optionally fewer hours)
+// @route   PUT /api/admin/overtime/:id/approve
+// @access  Private (Admin)
+exports.approveOvertimeRequest = async (req, res) => {
+  try {
+    const request = await OvertimeRequest.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Overtime request not found'
+      });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Overtime request is already ${request.status}`
+      });
+    }
+
+    const approvedHours = req.body.approvedHours !== undefined
+      ? Number(req.body.approvedHours)
+      : request.hours;
+
+    if (!Number.isFinite(approvedHours) || approvedHours <= 0 || approvedHours > request.hours) {
+      return res.status(400).json({
+        success: false,
+        message: `Approved hours must be between 0 and ${request.hours}`
+      });
+    }
+
+    // Attendance may have been corrected since the request was made
+    const employee = await Employee.findById(request.employeeId).select('department employeeId');
+    const { available } = await getAvailableOvertime(employee, request.period, request.date, request._id);
+
+    if (approvedHours > available) {
+      return res.status(409).json({
+        success: false,
+        message: `Attendance now shows only ${available} hour(s) of unclaimed overtime for this period`
+      });
+    }
+
+    const rules = await getEmployeeRules(employee);
+
+    const approved = await OvertimeRequest.findOneAndUpdate(
+      { _id: request._id, status: 'pending' },
+      {
+        $set: {
+          status: 'approved',
+          approvedHours: round(approvedHours),
+          rate: rules.overtimeRate,
+          reviewedBy: req.user._id,
+          reviewedAt: new Date(),
+          ...(req.body.adminNotes && { adminNotes: req.body.adminNotes })
+        }
+      },
+      { new: true }
+    );
+
+    if (!approved) {
+      return res.status(409).json({
+        success: false,
+        message: 'Overtime request was reviewed meanwhile'
+      });
+    }
+
+    await notifyEmployee(approved.employeeId, {
+      title: 'Overtime Approved',
+      message: `${approved.approvedHours}h overtime for ${toDateKey(approved.date)} approved at ${approved.rate}x`,
+      type: 'attendance',
+      metadata: {
+        overtimeRequestId: approved._id,
+        date: approved.date,
+        action: 'overtime-approved'
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Overtime approved',
+      data: approved
+    });
+
+  } catch (error) {
+    console.error('Approve overtime error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Reject overtime request
+// @route   PUT /api/admin/overtime/:id/reject
+// @access  Private (Admin)
+exports.rejectOvertimeRequest = async (req, res) => {
+  try {
+    const request = await OvertimeRequest.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Overtime request not found'
+      });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Overtime request is already ${request.status}`
+      });
+    }
+
+    const rejected = await OvertimeRequest.findOneAndUpdate(
+      { _id: request._id, status: 'pending' },
+      {
+        $set: {
+          status: 'rejected',
+          reviewedBy: req.user._id,
+          reviewedAt: new Date(),
+          ...(req.body.adminNotes && { adminNotes: req.body.adminNotes })
+        }
+      },
+      { new: true }
+    );
+
+    if (!rejected) {
+      return res.status(409).json({
+        success: false,
+        message: 'Overtime request was reviewed meanwhile'
+      });
+    }
+
+    await notifyEmployee(rejected.employeeId, {
+      title: 'Overtime Rejected',
+      message: `Your overtime claim for ${toDateKey(rejected.date)} was rejected` +
+        (rejected.adminNotes ? `: ${rejected.adminNotes}` : ''),
+      type: 'attendance',
+      metadata: {
+        overtimeRequestId: rejected._id,
+        date: rejected.date,
+        action: 'overtime-rejected'
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Overtime rejected',
+      data: rejected
+    });
+
+  } catch (error) {
+    console.error('Reject overtime error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Export approved overtime of a month for payroll
+// @route   GET /api/admin/overtime/export?month=1-12&year=YYYY&format=json|csv
+// @access  Private (Admin)
+exports.exportOvertime = async (req, res) => {
+  try {
+    const now = new Date();
+    const month = req.query.month ? parseInt(req.query.month) - 1 : now.getMonth();
+    const year = req.query.year ? parseInt(req.query.year) : now.getFullYear();
+    const { format = 'json' } = req.query;
+
+    const start = new Date(Date.UTC(year, month, 1));
+    const end = new Date(Date.UTC(year, month + 1, 0));
+
+    const requests = await OvertimeRequest.find({
+      status: 'approved',
+      date: { $gte: start, $lte: end }
+    })
+      .populate({
+        path: 'employeeId',
+        select: 'employeeId department salary userId',
+        populate: { path: 'userId', select: 'name email' }
+      })
+      .populate('reviewedBy', 'name')
+      .sort({ date: 1 });
+
+    const settings = await getCompanySettings();
+    const resolveRules = await loadRuleResolver(settings);
+
+    const exportData = requests.map(request => {
+      const employee = request.employeeId;
+      const rate = request.rate || 1;
+      const hourlyRate = employee
+        ? getHourlyRate(employee, resolveRules(employee), settings.work.weekendDays, request.date)
+        : 0;
+      const paidHours = round(request.approvedHours * rate);
+
+      return {
+        EmployeeID: employee?.employeeId || 'N/A',
+        EmployeeName: employee?.userId?.name || 'N/A',
+        Department: employee?.department || 'N/A',
+        Period: request.period,
+        Date: toDateKey(request.date),
+        ApprovedHours: request.approvedHours,
+        Rate: rate,
+        PaidHours: paidHours,
+        HourlyRate: hourlyRate,
+        Amount: round(paidHours * hourlyRate),
+        ApprovedBy: request.reviewedBy?.name || 'N/A',
+        ApprovedAt: request.reviewedAt ? request.reviewedAt.toISOString() : 'N/A'
+      };
+    });
+
+    if (format === 'csv') {
+      const headers = Object.keys(exportData[0] || {}).join(',');
+      const rows = exportData.map(row =>
+        Object.values(row).map(val => `"${val}"`).join(',')
+      );
+      const csv = [headers, ...rows].join('\n');
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename=overtime_${year}_${String(month + 1).padStart(2, '0')}.csv`);
+      return res.send(csv);
+    }
+
+    // Totals per employee
+    const totals = {};
+    exportData.forEach(row => {
+      if (!totals[row.EmployeeID]) {
+        totals[row.EmployeeID] = {
+          employeeId: row.EmployeeID,
+          employeeName: row.EmployeeName,
+          approvedHours: 0,
+          paidHours: 0,
+          amount: 0
+        };
+      }
+      const total = totals[row.EmployeeID];
+      total.approvedHours = round(total.approvedHours + row.ApprovedHours);
+      total.paidHours = round(total.paidHours + row.PaidHours);
+      total.amount = round(total.amount + row.Amount);
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        period: { month: month + 1, year },
+        totalRecords: exportData.length,
+        totals: Object.values(totals),
+        records: exportData
+      }
+    });
+
+  } catch (error) {
+    console.error('Export overtime error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,862 @@
+const PDFDocument = require('pdfkit');
+const PayrollRun = require('../models/PayrollRun');
+const Payslip = require('../models/Payslip');
+const PayrollComponent = require('../models/PayrollComponent');
+const Employee = require('../models/Employee');
+const { getCompanySettings } = require('../utils/settingsHelper');
+const { notifyEmployee } = require('../utils/Notificationhelper');
+const { loadPayrollContext, calculatePayslip, writePayslipPdf } = require('../utils/payrollHelper');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Generating runs stuck this long (e.g. the server restarted) can be claimed again
+const GENERATING_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Claim a draft run for (re)calculating its payslips, so it can't be locked
+ * or recalculated by another request meanwhile
+ * @param {ObjectId} runId - Payroll run
+ * @returns {object|null} - The claimed run, or null when it is not a free draft
+ */
+const claimRunForGeneration = (runId) => {
+  const now = new Date();
+  return PayrollRun.findOneAndUpdate(
+    {
+      _id: runId,
+      status: 'draft',
+      $or: [
+        { generatingAt: null },
+        { generatingAt: { $lt: new Date(now.getTime() - GENERATING_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { generatingAt: now } },
+    { new: true }
+  );
+};
+
+// Calculate the payslips of a draft run claimed with claimRunForGeneration.
+// Manual adjustment lines are kept; employees who no longer qualify lose
+// their payslip. Employees deactivated during the month are paid up to then
+const generatePayslips = async (run) => {
+  try {
+    return await writePayslips(run);
+  } catch (error) {
+    await PayrollRun.updateOne({ _id: run._id }, { $set: { generatingAt: null } });
+    throw error;
+  }
+};
+
+const writePayslips = async (run) => {
+  const context = await loadPayrollContext(run.month, run.year);
+
+  const employees = await Employee.find({
+    $and: [
+      { $or: [{ isActive: true }, { deactivatedAt: { $gte: context.start } }] },
+      {
+        $or: [
+          { joinDate: { $lte: context.end } },
+          { joinDate: null, joiningDate: { $lte: context.end } }
+        ]
+      }
+    ]
+  }).populate('userId', 'name email');
+
+  const existing = new Map(
+    (await Payslip.find({ payrollRun: run._id })).map(p => [p.employeeId.toString(), p])
+  );
+
+  const totals = { employees: 0, gross: 0, deductions: 0, net: 0 };
+
+  for (const employee of employees) {
+    const values = calculatePayslip(employee, context);
+    const payslip = existing.get(employee._id.toString()) || new Payslip({
+      payrollRun: run._id,
+      employeeId: employee._id,
+      month: run.month,
+      year: run.year
+    });
+    existing.delete(employee._id.toString());
+
+    const manualEarnings = payslip.earnings.filter(line => line.manual);
+    const manualDeductions = payslip.deductions.filter(line => line.manual);
+
+    payslip.set({
+      ...values,
+      earnings: [...values.earnings, ...manualEarnings],
+      deductions: [...values.deductions, ...manualDeductions],
+      employee: {
+        name: employee.userId?.name || employee.name,
+        employeeId: employee.employeeId,
+        email: employee.userId?.email || employee.email,
+        department: employee.department,
+        designation: employee.designation || employee.position
+      },
+      bankDetails: employee.bankDetails || {}
+    });
+    await payslip.save();
+
+    totals.employees++;
+    totals.gross = round(totals.gross + payslip.grossPay);
+    totals.deductions = round(totals.deductions + payslip.totalDeductions);
+    totals.net = round(totals.net + payslip.netPay);
+  }
+
+  if (existing.size > 0) {
+    await Payslip.deleteMany({ _id: { $in: [...existing.values()].map(p => p._id) } });
+  }
+
+  run.currency = context.policy.currency;
+  run.totals = totals;
+  run.generatedAt = new Date();
+  run.generatingAt = null;
+  await run.save();
+
+  return run;
+};
+
+// Recalculate run totals after a payslip was adjusted
+const updateRunTotals = async (run) => {
+  const payslips = await Payslip.find({ payrollRun: run._id }).select('grossPay totalDeductions netPay');
+  run.totals = {
+    employees: payslips.length,
+    gross: round(payslips.reduce((sum, p) => sum + p.grossPay, 0)),
+    deductions: round(payslips.reduce((sum, p) => sum + p.totalDeductions, 0)),
+    net: round(payslips.reduce((sum, p) => sum + p.netPay, 0))
+  };
+  await run.save();
+};
+
+// Manual adjustment lines from the body, validated
+const parseAdjustments = (lines, kind) => {
+  if (lines === undefined) return { values: undefined };
+  if (!Array.isArray(lines)) return { error: `${kind} must be a list` };
+
+  const values = [];
+  for (const line of lines) {
+    const amount = Number(line.amount);
+    if (!line.label || !Number.isFinite(amount) || amount < 0) {
+      return { error: `Each ${kind} line needs a label and a positive amount` };
+    }
+    values.push({ label: line.label, kind: kind === 'earnings' ? 'allowance' : 'deduction', amount: round(amount), manual: true });
+  }
+  return { values };
+};
+
+// Stream a payslip as PDF
+const sendPayslipPdf = async (res, payslip) => {
+  const settings = await getCompanySettings();
+  const doc = new PDFDocument({ margin: 50 });
+  const fileName = `payslip-${payslip.employee.employeeId || payslip.employeeId}-${payslip.year}-${String(payslip.month).padStart(2, '0')}.pdf`;
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename=${fileName}`);
+
+  doc.pipe(res);
+  writePayslipPdf(doc, payslip, settings.company);
+  doc.end();
+};
+
+// ==================== ADMIN PAYROLL COMPONENTS ====================
+
+// @desc    Get allowances and deductions
+// @route   GET /api/admin/payroll/components
+// @access  Private (Admin)
+exports.getPayrollComponents = async (req, res) => {
+  try {
+    const query = req.query.includeInactive === 'true' ? {} : { isActive: true };
+    const components = await PayrollComponent.find(query)
+      .populate({ path: 'employeeId', select: 'employeeId userId', populate: { path: 'userId', select: 'name' } })
+      .sort({ type: 1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: components.length,
+      data: components
+    });
+
+  } catch (error) {
+    console.error('Get payroll components error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create allowance or deduction
+// @route   POST /api/admin/payroll/components
+// @access  Private (Admin)
+exports.createPayrollComponent = async (req, res) => {
+  try {
+    const { name, type, calculation, amount, scope, department, employeeId } = req.body;
+
+    if (scope === 'employee' && !(await Employee.exists({ _id: employeeId }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    const component = new PayrollComponent({
+      name,
+      type,
+      calculation,
+      amount,
+      scope,
+      department: scope === 'department' ? department : null,
+      employeeId: scope === 'employee' ? employeeId : null,
+      createdBy: req.user._id
+    });
+
+    const validationError = component.validateSync();
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(validationError.errors).map(e => e.message).join(', ')
+      });
+    }
+
+    await component.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Payroll component created successfully',
+      data: component
+    });
+
+  } catch (error) {
+    console.error('Create payroll component error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update allowance or deduction (applies to draft runs on regenerate)
+// @route   PUT /api/admin/payroll/components/:id
+// @access  Private (Admin)
+exports.updatePayrollComponent = async (req, res) => {
+  try {
+    const component = await PayrollComponent.findById(req.params.id);
+
+    if (!component) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payroll component not found'
+      });
+    }
+
+    ['name', 'type', 'calculation', 'amount', 'scope', 'department', 'employeeId', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) component[field] = req.body[field];
+    });
+
+    const validationError = component.validateSync();
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(validationError.errors).map(e => e.message).join(', ')
+      });
+    }
+
+    await component.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Payroll component updated successfully',
+      data: component
+    });
+
+  } catch (error) {
+    console.error('Update payroll component error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete allowance or deduction (existing payslips keep their lines)
+// @route   DELETE /api/admin/payroll/components/:id
+// @access  Private (Admin)
+exports.deletePayrollComponent = async (req, res) => {
+  try {
+    const component = await PayrollComponent.findByIdAndDelete(req.params.id);
+
+    if (!component) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payroll component not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Payroll component deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete payroll component error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// ==================== ADMIN PAYROLL RUNS ====================
+
+// @desc    Get payroll runs
+// @route   GET /api/admin/payroll/runs
+// @access  Private (Admin)
+exports.getPayrollRuns = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.year) query.year = parseInt(req.query.year);
+    if (req.query.status) query.status = req.query.status;
+
+    const runs = await PayrollRun.find(query)
+      .populate('createdBy lockedBy paidBy', 'name')
+      .sort({ year: -1, month: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: runs.length,
+      data: runs
+    });
+
+  } catch (error) {
+    console.error('Get payroll runs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create a draft payroll run for a month and calculate payslips
+// @route   POST /api/admin/payroll/runs
+// @access  Private (Admin)
+exports.createPayrollRun = async (req, res) => {
+  try {
+    const month = parseInt(req.body.month);
+    const year = parseInt(req.body.year);
+
+    if (!month || month < 1 || month > 12 || !year) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid month (1-12) and year are required'
+      });
+    }
+
+    if (await PayrollRun.exists({ month, year })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A payroll run for this month already exists'
+      });
+    }
+
+    const run = await PayrollRun.create({
+      month,
+      year,
+      periodStart: new Date(Date.UTC(year, month - 1, 1)),
+      periodEnd: new Date(Date.UTC(year, month, 0)),
+      notes: req.body.notes,
+      createdBy: req.user._id,
+      generatingAt: new Date()
+    });
+
+    await generatePayslips(run);
+
+    console.log(`💰 Payroll run ${year}-${month}: ${run.totals.employees} payslips, net ${run.totals.net}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Payroll run created',
+      data: run
+    });
+
+  } catch (error) {
+    console.error('Create payroll run error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a payroll run with its payslips
+// @route   GET /api/admin/payroll/runs/:id
+// @access  Private (Admin)
+exports.getPayrollRun = async (req, res) => {
+  try {
+    const run = await PayrollRun.findById(req.params.id)
+      .populate('createdBy lockedBy paidBy', 'name');
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payroll run not found'
+      });
+    }
+
+    const payslips = await Payslip.find({ payrollRun: run._id })
+      .sort({ 'employee.department': 1, 'employee.name': 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        run,
+        payslips
+      }
+    });
+
+  } catch (error) {
+    console.error('Get payroll run error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Recalculate a draft run (attendance, overtime or components changed)
+// @route   POST /api/admin/payroll/runs/:id/regenerate
+// @access  Private (Admin)
+exports.regeneratePayrollRun = async (req, res) => {
+  try {
+    const run = await PayrollRun.findById(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payroll run not found'
+      });
+    }
+
+    if (run.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: `Payroll run is ${run.status}; only draft runs can be recalculated`
+      });
+    }
+
+    const claimed = await claimRunForGeneration(run._id);
+
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Payroll run was locked or is being recalculated'
+      });
+    }
+
+    await generatePayslips(claimed);
+
+    res.status(200).json({
+      success: true,
+      message: 'Payroll run recalculated',
+      data: claimed
+    });
+
+  } catch (error) {
+    console.error('Regenerate payroll run error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Set the manual adjustment lines of a payslip in a draft run
+// @route   PUT /api/admin/payroll/payslips/:id
+// @access  Private (Admin)
+exports.adjustPayslip = async (req, res) => {
+  try {
+    const payslip = await Payslip.findById(req.params.id);
+
+    if (!payslip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payslip not found'
+      });
+    }
+
+    const run = await PayrollRun.findById(payslip.payrollRun);
+    if (!run || run.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Payslips can only be adjusted while the run is a draft'
+      });
+    }
+
+    const earnings = parseAdjustments(req.body.earnings, 'earnings');
+    const deductions = parseAdjustments(req.body.deductions, 'deductions');
+    const error = earnings.error || deductions.error;
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (earnings.values) {
+      payslip.earnings = [...payslip.earnings.filter(line => !line.manual), ...earnings.values];
+    }
+    if (deductions.values) {
+      payslip.deductions = [...payslip.deductions.filter(line => !line.manual), ...deductions.values];
+    }
+    await payslip.save();
+    await updateRunTotals(run);
+
+    res.status(200).json({
+      success: true,
+      message: 'Payslip adjusted',
+      data: payslip
+    });
+
+  } catch (error) {
+    console.error('Adjust payslip error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Lock a draft run and publish payslips to employees
+// @route   POST /api/admin/payroll/runs/:id/lock
+// @access  Private (Admin)
+exports.lockPayrollRun = async (req, res) => {
+  try {
+    const run = await PayrollRun.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        status: 'draft',
+        $or: [
+          { generatingAt: null },
+          { generatingAt: { $lt: new Date(Date.now() - GENERATING_TIMEOUT_MS) } }
+        ]
+      },
+      { status: 'locked', lockedBy: req.user._id, lockedAt: new Date() },
+      { new: true }
+    );
+
+    if (!run) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payroll run not found, not a draft or being recalculated'
+      });
+    }
+
+    const payslips = await Payslip.find({ payrollRun: run._id }).select('employeeId netPay currency');
+    for (const payslip of payslips) {
+      await notifyEmployee(payslip.employeeId, {
+        title: 'Payslip Available',
+        message: `Your payslip for ${run.month}/${run.year} is ready (net ${payslip.currency} ${payslip.netPay.toFixed(2)})`,
+        type: 'employee',
+        metadata: {
+          payslipId: payslip._id,
+          payrollRunId: run._id,
+          action: 'payslip-published'
+        }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Payroll run locked',
+      data: run
+    });
+
+  } catch (error) {
+    console.error('Lock payroll run error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Reopen a locked (unpaid) run as draft
+// @route   POST /api/admin/payroll/runs/:id/reopen
+// @access  Private (Admin)
+exports.reopenPayrollRun = async (req, res) => {
+  try {
+    const run = await PayrollRun.findOneAndUpdate(
+      { _id: req.params.id, status: 'locked' },
+      { status: 'draft', lockedBy: null, lockedAt: null },
+      { new: true }
+    );
+
+    if (!run) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payroll run not found or not locked'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Payroll run reopened',
+      data: run
+    });
+
+  } catch (error) {
+    console.error('Reopen payroll run error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Mark a locked run as paid
+// @route   POST /api/admin/payroll/runs/:id/pay
+// @access  Private (Admin)
+exports.markPayrollRunPaid = async (req, res) => {
+  try {
+    const run = await PayrollRun.findOneAndUpdate(
+      { _id: req.params.id, status: 'locked' },
+      {
+        status: 'paid',
+        paidBy: req.user._id,
+        paidAt: req.body.paidAt ? new Date(req.body.paidAt) : new Date(),
+        paymentReference: req.body.paymentReference
+      },
+      { new: true }
+    );
+
+    if (!run) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payroll run not found or not locked'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Payroll run marked as paid',
+      data: run
+    });
+
+  } catch (error) {
+    console.error('Mark payroll run paid error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete a draft run and its payslips
+// @route   DELETE /api/admin/payroll/runs/:id
+// @access  Private (Admin)
+exports.deletePayrollRun = async (req, res) => {
+  try {
+    const run = await PayrollRun.findOneAndDelete({ _id: req.params.id, status: 'draft' });
+
+    if (!run) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payroll run not found, not a draft or being recalculated'
+      });
+    }
+
+    await Payslip.deleteMany({ payrollRun: run._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Payroll run deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete payroll run error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Bank transfer file of a locked or paid run
+// @route   GET /api/admin/payroll/runs/:id/bank-transfer
+// @access  Private (Admin)
+exports.exportBankTransfer = async (req, res) => {
+  try {
+    const run = await PayrollRun.findById(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payroll run not found'
+      });
+    }
+
+    if (run.status === 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: 'Lock the payroll run before exporting bank transfers'
+      });
+    }
+
+    const payslips = await Payslip.find({ payrollRun: run._id, netPay: { $gt: 0 } })
+      .sort({ 'employee.name': 1 });
+
+    const reference = `SALARY ${run.year}-${String(run.month).padStart(2, '0')}`;
+    const rows = payslips.map(payslip => ({
+      EmployeeID: payslip.employee.employeeId || '',
+      AccountHolderName: payslip.bankDetails?.accountHolderName || payslip.employee.name || '',
+      BankName: payslip.bankDetails?.bankName || '',
+      AccountNumber: payslip.bankDetails?.accountNumber || '',
+      IFSCCode: payslip.bankDetails?.ifscCode || '',
+      Amount: payslip.netPay.toFixed(2),
+      Currency: payslip.currency,
+      Reference: reference,
+      Note: payslip.bankDetails?.accountNumber ? '' : 'Missing bank details'
+    }));
+
+    const headers = ['EmployeeID', 'AccountHolderName', 'BankName', 'AccountNumber', 'IFSCCode', 'Amount', 'Currency', 'Reference', 'Note'];
+    const csv = [
+      headers.join(','),
+      ...rows.map(row => headers.map(key => `"${String(row[key]).replace(/"/g, '""')}"`).join(','))
+    ].join('\n');
+
+    const missing = rows.filter(row => row.Note).length;
+    if (missing > 0) {
+      console.log(`⚠️ Bank transfer export: ${missing} employee(s) without bank details`);
+    }
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=bank_transfer_${run.year}_${String(run.month).padStart(2, '0')}.csv`);
+    res.send(csv);
+
+  } catch (error) {
+    console.error('Export bank transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Download any payslip as PDF
+// @route   GET /api/admin/payroll/payslips/:id/pdf
+// @access  Private (Admin)
+exports.downloadPayslip = async (req, res) => {
+  try {
+    const payslip = await Payslip.findById(req.params.id);
+
+    if (!payslip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payslip not found'
+      });
+    }
+
+    await sendPayslipPdf(res, payslip);
+
+  } catch (error) {
+    console.error('Download payslip error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// ==================== EMPLOYEE PAYSLIPS ====================
+
+// Payslips become visible to the employee once the run is locked
+const getPublishedRunIds = async () =>
+  (await PayrollRun.find({ status: { $in: ['locked', 'paid'] } }).select('_id')).map(run => run._id);
+
+// @desc    Get my payslips
+// @route   GET /api/employee/payslips
+// @access  Private (Employee)
+exports.getMyPayslips = async (req, res) => {
+  try {
+    const employee = await Employee.findOne({ userId: req.user._id || req.user.id });
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    const payslips = await Payslip.find({
+      employeeId: employee._id,
+      payrollRun: { $in: await getPublishedRunIds() }
+    })
+      .select('-bankDetails')
+      .sort({ year: -1, month: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: payslips.length,
+      data: payslips
+    });
+
+  } catch (error) {
+    console.error('Get my payslips error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Download my payslip as PDF
+// @route   GET /api/employee/payslips/:id/pdf
+// @access  Private (Employee)
+exports.downloadMyPayslip = async (req, res) => {
+  try {
+    const employee = await Employee.findOne({ userId: req.user._id || req.user.id });
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    const payslip = await Payslip.findOne({
+      _id: req.params.id,
+      employeeId: employee._id,
+      payrollRun: { $in: await getPublishedRunIds() }
+    });
+
+    if (!payslip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payslip not found'
+      });
+    }
+
+    await sendPayslipPdf(res, payslip);
+
+  } catch (error) {
+    console.error('Download my payslip error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
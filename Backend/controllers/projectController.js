@@ -8,6 +8,17 @@ const Employee = require('../models/Employee');
 const Client = require('../models/Client');
 const Task = require('../models/Task');
 const { getIO } = require('../config/socket');
+const { getCompanySettings } = require('../utils/settingsHelper');
+const {
+  getBudgetThresholds,
+  loadRateResolver,
+  getProjectLabor,
+  getBudgetBurn,
+  notifyBudgetThresholds,
+  getTaskProgress,
+  refreshProjectBudget
+} = require('../utils/projectCostHelper');
+const { refreshProjectProgress } = require('../utils/taskProgressHelper');
 const {
   notifyProjectCreated,
   notifyProjectUpdated,
@@ -119,7 +130,7 @@ exports.getProject = async (req, res) => {
 
     const totalTasks = tasks.length;
     const completedTasks = tasks.filter(task => task.status === 'completed').length;
-    const progress = totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0;
+    const progress = getTaskProgress(tasks);
 
     res.status(200).json({
       success: true,
@@ -327,7 +338,8 @@ exports.updateProject = async (req, res) => {
       'status',
       'priority',
       'projectManager',
-      'tags'
+      'tags',
+      'billable'
     ];
 
     allowedFields.forEach(field => {
@@ -361,6 +373,15 @@ exports.updateProject = async (req, res) => {
     await project.save();
     console.log('✅ Project saved');
 
+    // A new budget moves the burn across thresholds
+    if (req.body.budget !== undefined) {
+      try {
+        await refreshProjectBudget(project._id);
+      } catch (budgetError) {
+        console.error('Budget check error:', budgetError);
+      }
+    }
+
     // Populate updated project
     const updatedProject = await Project.findById(project._id)
       .populate('client', 'name companyName email')
@@ -626,6 +647,104 @@ exports.getProjectTimeline = async (req, res) => {
   }
 };
 
+// @desc    Add milestone to project (Admin)
+// @route   POST /api/admin/projects/:id/milestones
+// @access  Private/Admin
+exports.addMilestone = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const { name, description, dueDate, amount } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide milestone name'
+      });
+    }
+
+    project.milestones.push({ name, description, dueDate, amount });
+    await project.save();
+    await refreshProjectProgress(project._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Milestone added successfully',
+      data: project.milestones[project.milestones.length - 1]
+    });
+  } catch (error) {
+    console.error('Add milestone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding milestone',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update milestone (Admin). Invoiced milestones keep their amount
+// @route   PUT /api/admin/projects/:id/milestones/:milestoneId
+// @access  Private/Admin
+exports.updateMilestone = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const milestone = project.milestones.id(req.params.milestoneId);
+
+    if (!milestone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Milestone not found'
+      });
+    }
+
+    if (milestone.invoice && req.body.amount !== undefined && Number(req.body.amount) !== milestone.amount) {
+      return res.status(400).json({
+        success: false,
+        message: 'Milestone is already invoiced; void the invoice to change its amount'
+      });
+    }
+
+    ['name', 'description', 'dueDate', 'amount', 'status'].forEach(field => {
+      if (req.body[field] !== undefined) milestone[field] = req.body[field];
+    });
+
+    if (req.body.status === 'Completed' && !milestone.completedAt) {
+      milestone.completedAt = new Date();
+    }
+
+    await project.save();
+    await refreshProjectProgress(project._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Milestone updated successfully',
+      data: milestone
+    });
+  } catch (error) {
+    console.error('Update milestone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating milestone',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get project statistics
 // @route   GET /api/admin/projects/:id/stats
 // @access  Private/Admin
@@ -657,8 +776,20 @@ exports.getProjectStats = async (req, res) => {
     const timeProgress = Math.min(Math.round((elapsed / projectDuration) * 100), 100);
     const daysRemaining = Math.ceil((project.endDate - now) / (1000 * 60 * 60 * 24));
 
-    const budgetUsed = project.spent || 0;
-    const budgetProgress = project.budget > 0 ? Math.round((budgetUsed / project.budget) * 100) : 0;
+    // Tracked time at cost and bill rates; burn includes time not yet on an
+    // approved timesheet
+    const settings = await getCompanySettings();
+    const labor = await getProjectLabor(project, {
+      tasks,
+      resolveRates: await loadRateResolver(settings)
+    });
+    const budget = getBudgetBurn(project, labor, progress, getBudgetThresholds(settings));
+
+    try {
+      await notifyBudgetThresholds(project, budget);
+    } catch (notifError) {
+      console.error('Notification error:', notifError);
+    }
 
     res.status(200).json({
       success: true,
@@ -673,7 +804,7 @@ exports.getProjectStats = async (req, res) => {
         progress: {
           overall: progress,
           time: timeProgress,
-          budget: budgetProgress
+          budget: Math.round(budget.burnPercent)
         },
         timeline: {
           startDate: project.startDate,
@@ -681,10 +812,10 @@ exports.getProjectStats = async (req, res) => {
           daysRemaining,
           status: project.status
         },
-        budget: {
-          total: project.budget,
-          used: budgetUsed,
-          remaining: project.budget - budgetUsed
+        budget,
+        labor: {
+          billable: project.billable !== false,
+          ...labor
         },
         team: {
           size: project.team?.length || 0
@@ -0,0 +1,170 @@
+const RateCard = require('../models/RateCard');
+const Employee = require('../models/Employee');
+
+// Duplicate active card for the same role or employee
+const duplicateMessage = (card) => card.scope === 'role'
+  ? `An active rate card already exists for ${card.role}`
+  : 'An active rate card already exists for this employee';
+
+// @desc    Get rate cards
+// @route   GET /api/admin/rate-cards
+// @access  Private (Admin)
+exports.getRateCards = async (req, res) => {
+  try {
+    const query = req.query.includeInactive === 'true' ? {} : { isActive: true };
+    if (req.query.scope) query.scope = req.query.scope;
+
+    const cards = await RateCard.find(query)
+      .populate({ path: 'employeeId', select: 'name employeeId department' })
+      .sort({ scope: 1, role: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: cards.length,
+      data: cards
+    });
+
+  } catch (error) {
+    console.error('Get rate cards error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create rate card for a role or an employee
+// @route   POST /api/admin/rate-cards
+// @access  Private (Admin)
+exports.createRateCard = async (req, res) => {
+  try {
+    const { scope, role, employeeId, costRate, billRate } = req.body;
+
+    if (scope === 'employee' && !(await Employee.exists({ _id: employeeId }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    const card = new RateCard({
+      scope,
+      role: scope === 'role' ? role : null,
+      employeeId: scope === 'employee' ? employeeId : null,
+      costRate,
+      billRate,
+      createdBy: req.user._id
+    });
+
+    const validationError = card.validateSync();
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(validationError.errors).map(e => e.message).join(', ')
+      });
+    }
+
+    await card.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Rate card created successfully',
+      data: card
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: duplicateMessage(req.body)
+      });
+    }
+    console.error('Create rate card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update rate card (applies to time not yet on approved timesheets)
+// @route   PUT /api/admin/rate-cards/:id
+// @access  Private (Admin)
+exports.updateRateCard = async (req, res) => {
+  let card;
+  try {
+    card = await RateCard.findById(req.params.id);
+
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate card not found'
+      });
+    }
+
+    ['costRate', 'billRate', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) card[field] = req.body[field];
+    });
+
+    const validationError = card.validateSync();
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(validationError.errors).map(e => e.message).join(', ')
+      });
+    }
+
+    await card.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Rate card updated successfully',
+      data: card
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: duplicateMessage(card)
+      });
+    }
+    console.error('Update rate card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete rate card
+// @route   DELETE /api/admin/rate-cards/:id
+// @access  Private (Admin)
+exports.deleteRateCard = async (req, res) => {
+  try {
+    const card = await RateCard.findByIdAndDelete(req.params.id);
+
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate card not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Rate card deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete rate card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
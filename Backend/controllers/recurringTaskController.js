@@ -0,0 +1,294 @@
+const RecurringTask = require('../models/RecurringTask');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const Employee = require('../models/Employee');
+const { getPKTDate } = require('../utils/workCalendar');
+const { getCompanySettings } = require('../utils/settingsHelper');
+const {
+  getUpcomingOccurrences,
+  materializeRecurringTask
+} = require('../utils/recurringTaskHelper');
+
+const EDITABLE_FIELDS = [
+  'title',
+  'description',
+  'project',
+  'assignedTo',
+  'priority',
+  'estimatedHours',
+  'checklist',
+  'leadDays',
+  'skipWeekends',
+  'isActive'
+];
+
+const validationMessage = (error) => Object.values(error.errors).map(e => e.message).join(', ');
+
+// Project and assignee must exist
+const checkReferences = async ({ project, assignedTo }) => {
+  if (project && !(await Project.exists({ _id: project }))) return 'Project not found';
+  if (assignedTo && !(await Employee.exists({ _id: assignedTo }))) return 'Employee not found';
+  return null;
+};
+
+// @desc    Get recurring tasks
+// @route   GET /api/admin/recurring-tasks
+// @access  Private (Admin)
+exports.getRecurringTasks = async (req, res) => {
+  try {
+    const query = req.query.includeInactive === 'true' ? {} : { isActive: true };
+    if (req.query.project) query.project = req.query.project;
+    if (req.query.assignedTo) query.assignedTo = req.query.assignedTo;
+
+    const templates = await RecurringTask.find(query)
+      .populate('project', 'name projectId')
+      .populate('assignedTo', 'name employeeId')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      data: templates
+    });
+
+  } catch (error) {
+    console.error('Get recurring tasks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get recurring task with its next occurrences and latest tasks
+// @route   GET /api/admin/recurring-tasks/:id
+// @access  Private (Admin)
+exports.getRecurringTask = async (req, res) => {
+  try {
+    const template = await RecurringTask.findById(req.params.id)
+      .populate('project', 'name projectId')
+      .populate('assignedTo', 'name employeeId department');
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring task not found'
+      });
+    }
+
+    const settings = await getCompanySettings();
+    const upcoming = template.isActive
+      ? await getUpcomingOccurrences(template, parseInt(req.query.count, 10) || 5, settings)
+      : [];
+
+    const tasks = await Task.find({ 'recurrence.template': template._id })
+      .select('taskId title status dueDate progress recurrence.occurrence')
+      .sort({ 'recurrence.occurrence': -1 })
+      .limit(10);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...template.toObject(),
+        upcoming,
+        tasks
+      }
+    });
+
+  } catch (error) {
+    console.error('Get recurring task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create recurring task (tasks due within leadDays are created right away)
+// @route   POST /api/admin/recurring-tasks
+// @access  Private (Admin)
+exports.createRecurringTask = async (req, res) => {
+  try {
+    const referenceError = await checkReferences(req.body);
+    if (referenceError) {
+      return res.status(404).json({
+        success: false,
+        message: referenceError
+      });
+    }
+
+    const template = new RecurringTask({
+      ...Object.fromEntries(EDITABLE_FIELDS.map(field => [field, req.body[field]])),
+      schedule: req.body.schedule,
+      startDate: getPKTDate(req.body.startDate),
+      endDate: req.body.endDate ? getPKTDate(req.body.endDate) : null,
+      createdBy: req.user._id
+    });
+
+    const validationError = template.validateSync();
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(validationError)
+      });
+    }
+
+    await template.save();
+
+    const settings = await getCompanySettings();
+    const { created, skipped } = await materializeRecurringTask(template, settings);
+
+    res.status(201).json({
+      success: true,
+      message: `Recurring task created, ${created.length} task(s) scheduled`,
+      data: { template, created, skipped }
+    });
+
+  } catch (error) {
+    console.error('Create recurring task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update recurring task. Tasks already created keep their old values
+// @route   PUT /api/admin/recurring-tasks/:id
+// @access  Private (Admin)
+exports.updateRecurringTask = async (req, res) => {
+  try {
+    const template = await RecurringTask.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring task not found'
+      });
+    }
+
+    const referenceError = await checkReferences(req.body);
+    if (referenceError) {
+      return res.status(404).json({
+        success: false,
+        message: referenceError
+      });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) template[field] = req.body[field];
+    });
+
+    if (req.body.schedule) {
+      Object.entries(req.body.schedule).forEach(([key, value]) => {
+        template.set(`schedule.${key}`, value);
+      });
+    }
+    if (req.body.startDate !== undefined) template.startDate = getPKTDate(req.body.startDate);
+    if (req.body.endDate !== undefined) {
+      template.endDate = req.body.endDate ? getPKTDate(req.body.endDate) : null;
+    }
+
+    const validationError = template.validateSync();
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(validationError)
+      });
+    }
+
+    await template.save();
+
+    let created = [];
+    if (template.isActive) {
+      const settings = await getCompanySettings();
+      ({ created } = await materializeRecurringTask(template, settings));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Recurring task updated successfully',
+      data: { template, created }
+    });
+
+  } catch (error) {
+    console.error('Update recurring task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create the occurrences due within leadDays now instead of waiting for the job
+// @route   POST /api/admin/recurring-tasks/:id/generate
+// @access  Private (Admin)
+exports.generateRecurringTask = async (req, res) => {
+  try {
+    const template = await RecurringTask.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring task not found'
+      });
+    }
+
+    if (!template.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Recurring task is paused'
+      });
+    }
+
+    const settings = await getCompanySettings();
+    const { created, skipped } = await materializeRecurringTask(template, settings);
+
+    res.status(200).json({
+      success: true,
+      message: `${created.length} task(s) created`,
+      data: { created, skipped }
+    });
+
+  } catch (error) {
+    console.error('Generate recurring task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete recurring task (tasks already created are kept)
+// @route   DELETE /api/admin/recurring-tasks/:id
+// @access  Private (Admin)
+exports.deleteRecurringTask = async (req, res) => {
+  try {
+    const template = await RecurringTask.findByIdAndDelete(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring task not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Recurring task deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete recurring task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
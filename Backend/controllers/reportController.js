@@ -12,6 +12,13 @@ const {
   notifyDailyReportSubmitted,
   notifyReportGenerated
 } = require('../utils/Notificationhelper');
+const { getCompanySettings } = require('../utils/settingsHelper');
+const { getWorkingDates, toDateKey } = require('../utils/workCalendar');
+const { getHolidayCalendar, getEmployeeScope } = require('../utils/holidayHelper');
+const { getBreakPolicy, getBreakMinutes } = require('../utils/breakHelper');
+const { getApprovedTimesheetHours } = require('../utils/timesheetHelper');
+const TaskHistory = require('../models/TaskHistory');
+const { groupByTask, getTaskTimings } = require('../utils/taskHistoryHelper');
 
 
 // @desc    Generate custom report
@@ -323,6 +330,9 @@ exports.getProductivityReport = async (req, res) => {
       date: { $gte: start, $lte: end },
     }).populate("employee", "name");
 
+    // Hours signed off on approved timesheets
+    const approvedHours = await getApprovedTimesheetHours(start, end);
+
     // Calculate productivity metrics
     const totalTasks = tasks.length;
     const completedTasks = tasks.filter((t) => t.status === "completed").length;
@@ -380,6 +390,7 @@ exports.getProductivityReport = async (req, res) => {
           (sum, t) => sum + (t.actualHours || 0),
           0,
         ),
+        approvedHours: approvedHours.byProject.get(project._id.toString()) || 0,
         teamSize: project.team?.length || 0,
       };
     });
@@ -392,6 +403,7 @@ exports.getProductivityReport = async (req, res) => {
       tasks,
       start,
       end,
+      approvedHours.byEmployee,
     );
 
     res.status(200).json({
@@ -415,6 +427,9 @@ exports.getProductivityReport = async (req, res) => {
           totalTasks > 0 ? ((completedTasks / totalTasks) * 100).toFixed(2) : 0,
         totalEstimatedHours: totalEstimatedHours.toFixed(2),
         totalActualHours: totalActualHours.toFixed(2),
+        totalApprovedHours: [...approvedHours.byEmployee.values()]
+          .reduce((sum, hours) => sum + hours, 0)
+          .toFixed(2),
         efficiency: efficiency,
         dailyReportsSubmitted: dailyReports.length,
         avgTasksPerDay:
@@ -488,7 +503,7 @@ exports.getAttendanceReport = async (req, res) => {
           path: "userId",
           select: "name email",
         },
-        select: "employeeId department position designation userId",
+        select: "employeeId department workLocation position designation userId",
       })
       .sort({ date: -1 });
 
@@ -505,8 +520,19 @@ exports.getAttendanceReport = async (req, res) => {
       );
     }
 
-    // Calculate total working days in period
-    const totalDays = Math.ceil((end - start) / (1000 * 60 * 60 * 24)) + 1;
+    // Calculate total working days in period (weekends and holidays excluded)
+    const settings = await getCompanySettings();
+    const weekendDays = settings.work.weekendDays;
+    const calendar = await getHolidayCalendar(start, end);
+    const totalDays = getWorkingDates(start, end, {
+      weekendDays,
+      holidayKeys: calendar.keys(),
+    }).length;
+    const holidayCount = calendar.occurrences().length;
+    const { lunchMinutes } = getBreakPolicy(settings);
+
+    // Holiday days per employee (department/location specific)
+    const employeeHolidayKeys = {};
 
     // Calculate overall statistics
     const totalRecords = filteredRecords.length;
@@ -530,6 +556,10 @@ exports.getAttendanceReport = async (req, res) => {
       if (record.employeeId) {
         const empId = record.employeeId._id.toString();
 
+        if (!employeeHolidayKeys[empId]) {
+          employeeHolidayKeys[empId] = calendar.keys(getEmployeeScope(record.employeeId));
+        }
+
         if (!employeeMap[empId]) {
           employeeMap[empId] = {
             employeeId: record.employeeId._id,
@@ -548,10 +578,17 @@ exports.getAttendanceReport = async (req, res) => {
               "N/A",
             employeeNumber: record.employeeId.employeeId || "N/A",
             totalDays: 0,
+            workingDays: getWorkingDates(start, end, {
+              weekendDays,
+              holidayKeys: employeeHolidayKeys[empId],
+            }).length,
             presentDays: 0,
             absentDays: 0,
             lateDays: 0,
             leaveDays: 0,
+            breakMinutes: 0,
+            avgBreakMinutes: 0,
+            lunchOverruns: 0,
             attendanceRate: 0,
             punctualityRate: 0,
           };
@@ -560,12 +597,21 @@ exports.getAttendanceReport = async (req, res) => {
         const emp = employeeMap[empId];
         emp.totalDays++;
 
+        // Breaks (lunch beyond the allowance counts as an overrun)
+        emp.breakMinutes += record.totalBreakTime || 0;
+        if (getBreakMinutes(record, "Lunch") > lunchMinutes) {
+          emp.lunchOverruns++;
+        }
+
         switch (record.status) {
           case "present":
             emp.presentDays++;
             break;
           case "absent":
-            emp.absentDays++;
+            // An absence on a holiday is not an absence
+            if (!employeeHolidayKeys[empId].has(toDateKey(record.date))) {
+              emp.absentDays++;
+            }
             break;
           case "late":
             emp.lateDays++;
@@ -582,8 +628,13 @@ exports.getAttendanceReport = async (req, res) => {
     const employeeBreakdown = Object.values(employeeMap).map((emp) => {
       const workingDays = emp.presentDays;
 
+      emp.avgBreakMinutes =
+        workingDays > 0 ? Math.round(emp.breakMinutes / workingDays) : 0;
+
       emp.attendanceRate =
-        totalDays > 0 ? ((workingDays / totalDays) * 100).toFixed(2) : "0.00";
+        emp.workingDays > 0
+          ? Math.min((workingDays / emp.workingDays) * 100, 100).toFixed(2)
+          : "0.00";
 
       emp.punctualityRate =
         workingDays > 0
@@ -622,6 +673,7 @@ exports.getAttendanceReport = async (req, res) => {
       totalRecords,
       totalEmployees: employeeBreakdown.length,
       totalDays,
+      holidays: holidayCount,
       presentCount,
       daysPresent: presentCount,
       absentCount,
@@ -632,6 +684,13 @@ exports.getAttendanceReport = async (req, res) => {
       daysLeave: leaveCount,
       avgAttendanceRate,
       averageAttendance: avgAttendanceRate,
+      totalBreakHours: (
+        employeeBreakdown.reduce((sum, emp) => sum + emp.breakMinutes, 0) / 60
+      ).toFixed(2),
+      lunchOverruns: employeeBreakdown.reduce(
+        (sum, emp) => sum + emp.lunchOverruns,
+        0,
+      ),
       excellentCount: employeeBreakdown.filter(
         (e) => parseFloat(e.attendanceRate) >= 90,
       ).length,
@@ -1224,6 +1283,128 @@ function calculateOverallEmployeeRating(
   return score.toFixed(2);
 }
 
+// Percentile of a sorted list of numbers
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+}
+
+// Lead/cycle time statistics (hours) of a group of completed tasks
+function summarizeFlow(timings) {
+  const stats = (values) => {
+    const sorted = values.filter(v => v !== null).sort((a, b) => a - b);
+    if (sorted.length === 0) return { average: null, median: null, p85: null };
+    const average = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+    return {
+      average: Math.round(average * 10) / 10,
+      median: percentile(sorted, 50),
+      p85: percentile(sorted, 85)
+    };
+  };
+
+  const reopened = timings.filter(t => t.reopens > 0).length;
+  return {
+    completedTasks: timings.length,
+    leadTimeHours: stats(timings.map(t => t.leadHours)),
+    cycleTimeHours: stats(timings.map(t => t.cycleHours)),
+    reopenedTasks: reopened,
+    reopenRate: timings.length > 0 ? Math.round((reopened / timings.length) * 1000) / 10 : 0
+  };
+}
+
+// @desc    Lead time and cycle time of tasks completed in a period, per project and per employee
+// @route   GET /api/reports/admin/flow
+// @access  Private/Admin
+exports.getTaskFlowReport = async (req, res) => {
+  try {
+    const { startDate, endDate, projectId, employee } = req.query;
+
+    const start = startDate
+      ? new Date(startDate)
+      : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    const end = endDate ? new Date(endDate) : new Date();
+    end.setHours(23, 59, 59, 999);
+
+    const taskQuery = {
+      status: 'completed',
+      completedAt: { $gte: start, $lte: end }
+    };
+    if (projectId) taskQuery.project = projectId;
+    if (employee) taskQuery.assignedTo = employee;
+
+    const tasks = await Task.find(taskQuery)
+      .select('taskId title project assignedTo status createdAt startedAt completedAt')
+      .populate('project', 'name projectId')
+      .populate('assignedTo', 'name employeeId department');
+
+    const history = groupByTask(await TaskHistory.find({
+      task: { $in: tasks.map(t => t._id) },
+      field: 'status'
+    }));
+
+    const timings = tasks.map(task => ({
+      task,
+      ...getTaskTimings(task, history.get(task._id.toString()) || [])
+    }));
+
+    const groupBy = (keyOf, labelOf) => {
+      const groups = new Map();
+      timings.forEach(timing => {
+        const key = keyOf(timing.task);
+        if (!groups.has(key)) groups.set(key, { label: labelOf(timing.task), timings: [] });
+        groups.get(key).timings.push(timing);
+      });
+      return [...groups.values()]
+        .map(group => ({ ...group.label, ...summarizeFlow(group.timings) }))
+        .sort((a, b) => b.completedTasks - a.completedTasks);
+    };
+
+    const byProject = groupBy(
+      task => task.project?._id?.toString() || 'none',
+      task => ({
+        project: task.project
+          ? { _id: task.project._id, name: task.project.name, projectId: task.project.projectId }
+          : null
+      })
+    );
+    const byEmployee = groupBy(
+      task => task.assignedTo?._id?.toString() || 'none',
+      task => ({
+        employee: task.assignedTo
+          ? { _id: task.assignedTo._id, name: task.assignedTo.name, department: task.assignedTo.department }
+          : null
+      })
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        period: { start, end },
+        summary: summarizeFlow(timings),
+        byProject,
+        byEmployee,
+        tasks: timings.map(({ task, ...timing }) => ({
+          _id: task._id,
+          taskId: task.taskId,
+          title: task.title,
+          project: task.project?.name || null,
+          employee: task.assignedTo?.name || null,
+          createdAt: task.createdAt,
+          ...timing
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Task flow report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating task flow report',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Export report
 // @route   GET /api/admin/reports/:reportType/export
 // @access  Private/Admin
@@ -1738,19 +1919,26 @@ function getWeeklyBreakdown(tasks, dailyReports, startDate, endDate) {
 }
 
 // Calculate employee productivity
-async function calculateEmployeeProductivity(tasks, startDate, endDate) {
+async function calculateEmployeeProductivity(
+  tasks,
+  startDate,
+  endDate,
+  approvedHours = new Map(),
+) {
   const employeeMap = {};
 
   tasks.forEach((task) => {
-    if (task.assignedTo && Array.isArray(task.assignedTo)) {
-      task.assignedTo.forEach((emp) => {
+    if (task.assignedTo) {
+      [].concat(task.assignedTo).forEach((emp) => {
         const empId = emp._id.toString();
         if (!employeeMap[empId]) {
           employeeMap[empId] = {
+            employeeId: emp._id,
             employeeName: emp.name || "Unknown",
             totalTasks: 0,
             completedTasks: 0,
             hoursSpent: 0,
+            approvedHours: approvedHours.get(empId) || 0,
           };
         }
         employeeMap[empId].totalTasks++;
@@ -1762,6 +1950,22 @@ async function calculateEmployeeProductivity(tasks, startDate, endDate) {
     }
   });
 
+  // Employees whose time was approved on tasks created outside the period
+  const missing = [...approvedHours.keys()].filter((id) => !employeeMap[id]);
+  if (missing.length > 0) {
+    const employees = await Employee.find({ _id: { $in: missing } }).select("name");
+    employees.forEach((emp) => {
+      employeeMap[emp._id.toString()] = {
+        employeeId: emp._id,
+        employeeName: emp.name || "Unknown",
+        totalTasks: 0,
+        completedTasks: 0,
+        hoursSpent: 0,
+        approvedHours: approvedHours.get(emp._id.toString()),
+      };
+    });
+  }
+
   return Object.values(employeeMap)
     .map((emp) => ({
       ...emp,
@@ -0,0 +1,962 @@
+const Shift = require('../models/Shift');
+const Roster = require('../models/Roster');
+const ShiftSwap = require('../models/ShiftSwap');
+const Employee = require('../models/Employee');
+const { DAY_NAMES, getPKTDate, toDateKey } = require('../utils/workCalendar');
+const { isValidTime, isValidTimezone } = require('../utils/attendanceRules');
+const { loadShiftSchedule, formatShift } = require('../utils/shiftHelper');
+const { createNotification, notifyEmployee } = require('../utils/Notificationhelper');
+
+const MAX_SCHEDULE_DAYS = 62;
+
+// Days of a range as stored day starts
+const getDays = (start, end) => {
+  const days = [];
+  const current = new Date(start);
+  while (current <= end) {
+    days.push(new Date(current));
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+  return days;
+};
+
+// Parse ?startDate&endDate (defaults to the current week), capped in length
+const getScheduleRange = (query) => {
+  const start = getPKTDate(query.startDate || undefined);
+  if (!query.startDate) start.setUTCDate(start.getUTCDate() - start.getUTCDay());
+
+  const end = query.endDate ? getPKTDate(query.endDate) : new Date(start);
+  if (!query.endDate) end.setUTCDate(end.getUTCDate() + 6);
+
+  if (end < start) return { error: 'End date cannot be before start date' };
+  if ((end - start) / (24 * 60 * 60 * 1000) >= MAX_SCHEDULE_DAYS) {
+    return { error: `Range cannot exceed ${MAX_SCHEDULE_DAYS} days` };
+  }
+  return { start, end };
+};
+
+// Schedule rows: one per employee, one entry per day
+const buildSchedule = async (employees, start, end) => {
+  const schedule = await loadShiftSchedule(start, end);
+  const days = getDays(start, end);
+
+  return employees.map(employee => ({
+    employee: {
+      _id: employee._id,
+      employeeId: employee.employeeId,
+      name: employee.userId?.name || employee.name,
+      department: employee.department
+    },
+    days: days.map(date => {
+      const entry = schedule.resolve(employee, date);
+      return {
+        date: toDateKey(date),
+        day: DAY_NAMES[date.getUTCDay()],
+        rostered: Boolean(entry),
+        dayOff: Boolean(entry && !entry.shift),
+        shift: entry ? formatShift(entry.shift) : null,
+        source: entry ? entry.source : null
+      };
+    })
+  }));
+};
+
+// Normalize roster weeks from the body: `weeks: [{ days }]` or a single `days`
+const parseRosterWeeks = async (body) => {
+  const weeks = Array.isArray(body.weeks) ? body.weeks : (Array.isArray(body.days) ? [{ days: body.days }] : null);
+
+  if (!weeks || weeks.length === 0) {
+    return { error: 'Roster needs at least one week of days' };
+  }
+
+  const shiftIds = new Set();
+  for (const week of weeks) {
+    if (!Array.isArray(week.days)) return { error: 'Every roster week needs a days list' };
+
+    const seen = new Set();
+    for (const entry of week.days) {
+      if (!DAY_NAMES.includes(entry.day)) return { error: `Invalid day: ${entry.day}` };
+      if (seen.has(entry.day)) return { error: `${entry.day} is listed twice in a week` };
+      seen.add(entry.day);
+      if (entry.shift) shiftIds.add(String(entry.shift));
+    }
+  }
+
+  const found = await Shift.countDocuments({ _id: { $in: [...shiftIds] }, isActive: true });
+  if (found !== shiftIds.size) {
+    return { error: 'One or more shifts do not exist or are inactive' };
+  }
+
+  return {
+    weeks: weeks.map(week => ({
+      days: week.days.map(entry => ({ day: entry.day, shift: entry.shift || null }))
+    }))
+  };
+};
+
+// ==================== ADMIN SHIFTS ====================
+
+// @desc    Get shifts
+// @route   GET /api/admin/shifts
+// @access  Private (Admin)
+exports.getShifts = async (req, res) => {
+  try {
+    const query = req.query.includeInactive === 'true' ? {} : { isActive: true };
+    const shifts = await Shift.find(query).sort({ startTime: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: shifts.length,
+      data: shifts
+    });
+
+  } catch (error) {
+    console.error('Get shifts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create shift
+// @route   POST /api/admin/shifts
+// @access  Private (Admin)
+exports.createShift = async (req, res) => {
+  try {
+    const { name, code, startTime, endTime, timezone, checkInWindow, color } = req.body;
+
+    if (!name || !isValidTime(startTime) || !isValidTime(endTime)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Shift name, start time and end time (HH:mm) are required'
+      });
+    }
+
+    if (timezone && !isValidTimezone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown timezone: ${timezone}`
+      });
+    }
+
+    if (startTime === endTime) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start and end time cannot be the same'
+      });
+    }
+
+    const shift = await Shift.create({
+      name,
+      code,
+      startTime,
+      endTime,
+      timezone: timezone || undefined,
+      checkInWindow: checkInWindow !== undefined ? Number(checkInWindow) : undefined,
+      color,
+      createdBy: req.user._id
+    });
+
+    console.log(`🕐 Shift created: ${shift.name} (${startTime}-${endTime})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Shift created successfully',
+      data: shift
+    });
+
+  } catch (error) {
+    console.error('Create shift error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update shift (existing attendance keeps the times it was recorded with)
+// @route   PUT /api/admin/shifts/:id
+// @access  Private (Admin)
+exports.updateShift = async (req, res) => {
+  try {
+    const shift = await Shift.findById(req.params.id);
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    const { name, code, startTime, endTime, timezone, checkInWindow, color, isActive } = req.body;
+
+    if ((startTime && !isValidTime(startTime)) || (endTime && !isValidTime(endTime))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Times must be in HH:mm format'
+      });
+    }
+
+    if (timezone && !isValidTimezone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown timezone: ${timezone}`
+      });
+    }
+
+    if (name) shift.name = name;
+    if (code !== undefined) shift.code = code;
+    if (startTime) shift.startTime = startTime;
+    if (endTime) shift.endTime = endTime;
+    if (timezone !== undefined) shift.timezone = timezone || undefined;
+    if (checkInWindow !== undefined) shift.checkInWindow = Number(checkInWindow);
+    if (color) shift.color = color;
+    if (isActive !== undefined) shift.isActive = Boolean(isActive);
+
+    if (shift.startTime === shift.endTime) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start and end time cannot be the same'
+      });
+    }
+
+    await shift.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Shift updated successfully',
+      data: shift
+    });
+
+  } catch (error) {
+    console.error('Update shift error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete shift (deactivated instead when a roster still uses it)
+// @route   DELETE /api/admin/shifts/:id
+// @access  Private (Admin)
+exports.deleteShift = async (req, res) => {
+  try {
+    const shift = await Shift.findById(req.params.id);
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    const inUse = await Roster.exists({ 'weeks.days.shift': shift._id });
+
+    if (inUse) {
+      shift.isActive = false;
+      await shift.save();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Shift is used by a roster and was deactivated instead'
+      });
+    }
+
+    await shift.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Shift deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete shift error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the shift schedule of all employees
+// @route   GET /api/admin/shifts/schedule?startDate=&endDate=&department=
+// @access  Private (Admin)
+exports.getSchedule = async (req, res) => {
+  try {
+    const { start, end, error } = getScheduleRange(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const query = { isActive: true };
+    if (req.query.department) query.department = req.query.department;
+
+    const employees = await Employee.find(query)
+      .populate('userId', 'name')
+      .select('employeeId name department userId');
+
+    const schedule = await buildSchedule(employees, start, end);
+
+    res.status(200).json({
+      success: true,
+      startDate: toDateKey(start),
+      endDate: toDateKey(end),
+      data: schedule
+    });
+
+  } catch (error) {
+    console.error('Get schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// ==================== ADMIN ROSTERS ====================
+
+// @desc    Get rosters
+// @route   GET /api/admin/rosters?employeeId=&department=
+// @access  Private (Admin)
+exports.getRosters = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.employeeId) query.employeeId = req.query.employeeId;
+    if (req.query.department) query.department = req.query.department;
+    if (req.query.includeInactive !== 'true') query.isActive = true;
+
+    const rosters = await Roster.find(query)
+      .populate({
+        path: 'employeeId',
+        select: 'employeeId department userId',
+        populate: { path: 'userId', select: 'name' }
+      })
+      .populate('weeks.days.shift', 'name code startTime endTime color')
+      .sort({ effectiveFrom: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: rosters.length,
+      data: rosters
+    });
+
+  } catch (error) {
+    console.error('Get rosters error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create roster for an employee or a department
+// @route   POST /api/admin/rosters
+// @access  Private (Admin)
+exports.createRoster = async (req, res) => {
+  try {
+    const { name, assigneeType, employeeId, department, effectiveFrom, effectiveTo } = req.body;
+
+    if (!name || !effectiveFrom || !['employee', 'department'].includes(assigneeType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name, effective date and assignee type (employee or department) are required'
+      });
+    }
+
+    if (assigneeType === 'employee' && !(await Employee.exists({ _id: employeeId }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    if (assigneeType === 'department' && !department) {
+      return res.status(400).json({
+        success: false,
+        message: 'Department is required'
+      });
+    }
+
+    const { weeks, error } = await parseRosterWeeks(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const roster = await Roster.create({
+      name,
+      assigneeType,
+      employeeId: assigneeType === 'employee' ? employeeId : null,
+      department: assigneeType === 'department' ? department : null,
+      weeks,
+      effectiveFrom: getPKTDate(effectiveFrom),
+      effectiveTo: effectiveTo ? getPKTDate(effectiveTo) : null,
+      createdBy: req.user._id
+    });
+
+    console.log(`📋 Roster created: ${roster.name} (${weeks.length} week rotation)`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Roster created successfully',
+      data: roster
+    });
+
+  } catch (error) {
+    console.error('Create roster error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.name === 'ValidationError' ? error.message : 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update roster
+// @route   PUT /api/admin/rosters/:id
+// @access  Private (Admin)
+exports.updateRoster = async (req, res) => {
+  try {
+    const roster = await Roster.findById(req.params.id);
+
+    if (!roster) {
+      return res.status(404).json({
+        success: false,
+        message: 'Roster not found'
+      });
+    }
+
+    const { name, effectiveFrom, effectiveTo, isActive } = req.body;
+
+    if (req.body.weeks || req.body.days) {
+      const { weeks, error } = await parseRosterWeeks(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+      roster.weeks = weeks;
+    }
+
+    if (name) roster.name = name;
+    if (effectiveFrom) roster.effectiveFrom = getPKTDate(effectiveFrom);
+    if (effectiveTo !== undefined) roster.effectiveTo = effectiveTo ? getPKTDate(effectiveTo) : null;
+    if (isActive !== undefined) roster.isActive = Boolean(isActive);
+
+    await roster.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Roster updated successfully',
+      data: roster
+    });
+
+  } catch (error) {
+    console.error('Update roster error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.name === 'ValidationError' ? error.message : 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete roster
+// @route   DELETE /api/admin/rosters/:id
+// @access  Private (Admin)
+exports.deleteRoster = async (req, res) => {
+  try {
+    const roster = await Roster.findByIdAndDelete(req.params.id);
+
+    if (!roster) {
+      return res.status(404).json({
+        success: false,
+        message: 'Roster not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Roster deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete roster error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// ==================== ADMIN SHIFT SWAPS ====================
+
+// @desc    Get shift swap requests
+// @route   GET /api/admin/shift-swaps?status=pending
+// @access  Private (Admin)
+exports.getShiftSwaps = async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    const query = status === 'all' ? {} : { status };
+
+    const swaps = await ShiftSwap.find(query)
+      .populate({ path: 'requesterId', select: 'employeeId department userId', populate: { path: 'userId', select: 'name email' } })
+      .populate({ path: 'targetId', select: 'employeeId department userId', populate: { path: 'userId', select: 'name email' } })
+      .populate('requesterShift targetShift', 'name code startTime endTime')
+      .populate('reviewedBy', 'name')
+      .sort({ date: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: swaps.length,
+      data: swaps
+    });
+
+  } catch (error) {
+    console.error('Get shift swaps error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Approve shift swap
+// @route   PUT /api/admin/shift-swaps/:id/approve
+// @access  Private (Admin)
+exports.approveShiftSwap = async (req, res) => {
+  try {
+    const swap = await ShiftSwap.findById(req.params.id);
+
+    if (!swap) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift swap request not found'
+      });
+    }
+
+    if (swap.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Shift swap request is already ${swap.status}`
+      });
+    }
+
+    const clash = await ShiftSwap.exists({
+      _id: { $ne: swap._id },
+      status: 'approved',
+      date: swap.date,
+      $or: [
+        { requesterId: { $in: [swap.requesterId, swap.targetId] } },
+        { targetId: { $in: [swap.requesterId, swap.targetId] } }
+      ]
+    });
+
+    if (clash) {
+      return res.status(400).json({
+        success: false,
+        message: 'One of the employees already has an approved swap on this day'
+      });
+    }
+
+    // The schedules must still be the ones the employees agreed to swap
+    const employees = await Employee.find({ _id: { $in: [swap.requesterId, swap.targetId] } })
+      .select('department');
+    const schedule = await loadShiftSchedule(swap.date, swap.date);
+    const entryOf = (employeeId) => {
+      const employee = employees.find(e => e._id.toString() === employeeId.toString());
+      return employee ? schedule.resolve(employee, swap.date) : null;
+    };
+    const currentShiftId = (employeeId) => {
+      const entry = entryOf(employeeId);
+      return entry?.shift ? entry.shift._id.toString() : null;
+    };
+
+    const sameShift = (a, b) => (a ? a.toString() : null) === b;
+    if (!entryOf(swap.requesterId) || !entryOf(swap.targetId) ||
+        !sameShift(swap.requesterShift, currentShiftId(swap.requesterId)) ||
+        !sameShift(swap.targetShift, currentShiftId(swap.targetId))) {
+      return res.status(409).json({
+        success: false,
+        message: 'The roster changed since this swap was requested. Please ask the employees to request it again.'
+      });
+    }
+
+    swap.status = 'approved';
+    swap.reviewedBy = req.user._id;
+    swap.reviewedAt = new Date();
+    if (req.body.adminNotes) swap.adminNotes = req.body.adminNotes;
+    await swap.save();
+
+    const notification = {
+      title: 'Shift Swap Approved',
+      message: `The shift swap on ${toDateKey(swap.date)} has been approved`,
+      type: 'attendance',
+      metadata: {
+        shiftSwapId: swap._id,
+        date: swap.date,
+        action: 'shift-swap-approved'
+      }
+    };
+    await notifyEmployee(swap.requesterId, notification);
+    await notifyEmployee(swap.targetId, notification);
+
+    res.status(200).json({
+      success: true,
+      message: 'Shift swap approved',
+      data: swap
+    });
+
+  } catch (error) {
+    console.error('Approve shift swap error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Reject shift swap
+// @route   PUT /api/admin/shift-swaps/:id/reject
+// @access  Private (Admin)
+exports.rejectShiftSwap = async (req, res) => {
+  try {
+    const swap = await ShiftSwap.findById(req.params.id);
+
+    if (!swap) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift swap request not found'
+      });
+    }
+
+    if (swap.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Shift swap request is already ${swap.status}`
+      });
+    }
+
+    const { adminNotes } = req.body;
+
+    swap.status = 'rejected';
+    swap.reviewedBy = req.user._id;
+    swap.reviewedAt = new Date();
+    if (adminNotes) swap.adminNotes = adminNotes;
+    await swap.save();
+
+    await notifyEmployee(swap.requesterId, {
+      title: 'Shift Swap Rejected',
+      message: `Your shift swap on ${toDateKey(swap.date)} was rejected${adminNotes ? `: ${adminNotes}` : ''}`,
+      type: 'attendance',
+      metadata: {
+        shiftSwapId: swap._id,
+        date: swap.date,
+        action: 'shift-swap-rejected'
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Shift swap rejected',
+      data: swap
+    });
+
+  } catch (error) {
+    console.error('Reject shift swap error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// ==================== EMPLOYEE SHIFTS ====================
+
+// @desc    Get my shift schedule
+// @route   GET /api/employee/shifts/schedule?startDate=&endDate=
+// @access  Private (Employee)
+exports.getMySchedule = async (req, res) => {
+  try {
+    const employee = await Employee.findOne({ userId: req.user._id || req.user.id })
+      .populate('userId', 'name');
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    const { start, end, error } = getScheduleRange(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const [schedule] = await buildSchedule([employee], start, end);
+
+    res.status(200).json({
+      success: true,
+      startDate: toDateKey(start),
+      endDate: toDateKey(end),
+      data: schedule.days
+    });
+
+  } catch (error) {
+    console.error('Get my schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Request to swap my schedule of a day with a colleague
+// @route   POST /api/employee/shift-swaps
+// @access  Private (Employee)
+exports.requestShiftSwap = async (req, res) => {
+  try {
+    const employee = await Employee.findOne({ userId: req.user._id || req.user.id })
+      .populate('userId', 'name');
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    const { targetEmployeeId, date, reason } = req.body;
+
+    if (!targetEmployeeId || !date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Colleague and date are required'
+      });
+    }
+
+    const day = getPKTDate(date);
+    if (day < getPKTDate()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot swap shifts in the past'
+      });
+    }
+
+    const target = await Employee.findOne({ _id: targetEmployeeId, isActive: true })
+      .populate('userId', 'name');
+
+    if (!target || target._id.equals(employee._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Colleague not found'
+      });
+    }
+
+    const open = await ShiftSwap.exists({
+      status: { $in: ['pending', 'approved'] },
+      date: day,
+      $or: [
+        { requesterId: { $in: [employee._id, target._id] } },
+        { targetId: { $in: [employee._id, target._id] } }
+      ]
+    });
+
+    if (open) {
+      return res.status(400).json({
+        success: false,
+        message: 'You or your colleague already have a swap for this day'
+      });
+    }
+
+    const schedule = await loadShiftSchedule(day, day);
+    const mine = schedule.resolve(employee, day);
+    const theirs = schedule.resolve(target, day);
+
+    // Without a roster entry there is no schedule to hand over; a null
+    // shift would read as a day off
+    if (!mine || !theirs) {
+      return res.status(400).json({
+        success: false,
+        message: `${!mine ? 'You have' : `${target.userId?.name || target.name} has`} no roster for this day`
+      });
+    }
+
+    const myShift = mine.shift || null;
+    const theirShift = theirs.shift || null;
+
+    if (!myShift && !theirShift) {
+      return res.status(400).json({
+        success: false,
+        message: 'Neither of you has a shift on this day'
+      });
+    }
+
+    if (myShift && theirShift && myShift._id.equals(theirShift._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are both on the same shift this day'
+      });
+    }
+
+    const swap = await ShiftSwap.create({
+      requesterId: employee._id,
+      targetId: target._id,
+      requestedBy: req.user._id || req.user.id,
+      date: day,
+      requesterShift: myShift ? myShift._id : null,
+      targetShift: theirShift ? theirShift._id : null,
+      reason
+    });
+
+    const requesterName = employee.userId?.name || employee.name;
+    const dayKey = toDateKey(day);
+
+    await createNotification({
+      title: 'Shift Swap Request',
+      message: `${requesterName} wants to swap shifts with ${target.userId?.name || target.name} on ${dayKey}`,
+      type: 'attendance',
+      role: 'admin',
+      metadata: {
+        shiftSwapId: swap._id,
+        employeeId: employee._id,
+        date: day,
+        action: 'shift-swap-requested'
+      }
+    });
+
+    await notifyEmployee(target._id, {
+      title: 'Shift Swap Request',
+      message: `${requesterName} asked to swap shifts with you on ${dayKey} (pending admin approval)`,
+      type: 'attendance',
+      metadata: {
+        shiftSwapId: swap._id,
+        date: day,
+        action: 'shift-swap-requested'
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Shift swap requested',
+      data: swap
+    });
+
+  } catch (error) {
+    console.error('Request shift swap error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get swap requests I made or that involve me
+// @route   GET /api/employee/shift-swaps
+// @access  Private (Employee)
+exports.getMyShiftSwaps = async (req, res) => {
+  try {
+    const employee = await Employee.findOne({ userId: req.user._id || req.user.id });
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    const swaps = await ShiftSwap.find({
+      $or: [{ requesterId: employee._id }, { targetId: employee._id }]
+    })
+      .populate({ path: 'requesterId', select: 'employeeId userId', populate: { path: 'userId', select: 'name' } })
+      .populate({ path: 'targetId', select: 'employeeId userId', populate: { path: 'userId', select: 'name' } })
+      .populate('requesterShift targetShift', 'name code startTime endTime')
+      .sort({ date: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: swaps.length,
+      data: swaps
+    });
+
+  } catch (error) {
+    console.error('Get my shift swaps error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Cancel my pending swap request
+// @route   PUT /api/employee/shift-swaps/:id/cancel
+// @access  Private (Employee)
+exports.cancelShiftSwap = async (req, res) => {
+  try {
+    const employee = await Employee.findOne({ userId: req.user._id || req.user.id });
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    const swap = await ShiftSwap.findOne({ _id: req.params.id, requesterId: employee._id });
+
+    if (!swap) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift swap request not found'
+      });
+    }
+
+    if (swap.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Only pending requests can be cancelled (this one is ${swap.status})`
+      });
+    }
+
+    swap.status = 'cancelled';
+    await swap.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Shift swap request cancelled',
+      data: swap
+    });
+
+  } catch (error) {
+    console.error('Cancel shift swap error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
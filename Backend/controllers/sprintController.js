@@ -0,0 +1,466 @@
+// ============================================
+// Sprint Controller - Iterations of a project
+// planned → active → completed; one active sprint per project
+// ============================================
+
+const Sprint = require('../models/Sprint');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const { getPKTDate } = require('../utils/workCalendar');
+const { recordTaskChanges } = require('../utils/taskHistoryHelper');
+const { getSprintCapacity, getSprintBurndown } = require('../utils/sprintHelper');
+
+const validationMessage = (error) => Object.values(error.errors).map(e => e.message).join(', ');
+
+// Move tasks in or out of a sprint (null = backlog), keeping the history
+const setTaskSprint = async (tasks, sprintId, actor) => {
+  const moving = tasks.filter(task => String(task.sprint || '') !== String(sprintId || ''));
+  if (moving.length === 0) return 0;
+
+  await Task.updateMany(
+    { _id: { $in: moving.map(task => task._id) } },
+    { $set: { sprint: sprintId } }
+  );
+  for (const task of moving) {
+    await recordTaskChanges(task, [{ field: 'sprint', before: task.sprint, after: sprintId }], actor, 'sprint');
+  }
+  return moving.length;
+};
+
+// @desc    Get sprints of a project
+// @route   GET /api/admin/projects/:id/sprints
+// @access  Private/Admin
+exports.getSprints = async (req, res) => {
+  try {
+    const query = { project: req.params.id };
+    if (req.query.status) query.status = req.query.status;
+
+    const sprints = await Sprint.find(query).sort({ startDate: -1 });
+
+    const counts = await Task.aggregate([
+      { $match: { sprint: { $in: sprints.map(s => s._id) } } },
+      {
+        $group: {
+          _id: '$sprint',
+          tasks: { $sum: 1 },
+          completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+          hours: { $sum: { $ifNull: ['$estimatedHours', 0] } }
+        }
+      }
+    ]);
+    const countBySprint = new Map(counts.map(c => [c._id.toString(), c]));
+
+    res.status(200).json({
+      success: true,
+      count: sprints.length,
+      data: sprints.map(sprint => {
+        const count = countBySprint.get(sprint._id.toString());
+        return {
+          ...sprint.toObject(),
+          tasks: count?.tasks || 0,
+          completedTasks: count?.completed || 0,
+          plannedHours: count?.hours || 0
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Get sprints error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sprints',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create sprint
+// @route   POST /api/admin/projects/:id/sprints
+// @access  Private/Admin
+exports.createSprint = async (req, res) => {
+  try {
+    const { name, goal, startDate, endDate, capacityHours } = req.body;
+
+    if (!await Project.exists({ _id: req.params.id })) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const sprint = new Sprint({
+      project: req.params.id,
+      name,
+      goal,
+      startDate: startDate ? getPKTDate(startDate) : undefined,
+      endDate: endDate ? getPKTDate(endDate) : undefined,
+      capacityHours,
+      createdBy: req.user.id
+    });
+
+    const validationError = sprint.validateSync();
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(validationError)
+      });
+    }
+
+    await sprint.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Sprint created successfully',
+      data: sprint
+    });
+  } catch (error) {
+    console.error('Create sprint error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating sprint',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get sprint with its tasks and capacity
+// @route   GET /api/admin/sprints/:id
+// @access  Private/Admin
+exports.getSprint = async (req, res) => {
+  try {
+    const sprint = await Sprint.findById(req.params.id).populate('project', 'name projectId');
+    if (!sprint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sprint not found'
+      });
+    }
+
+    const tasks = await Task.find({ sprint: sprint._id })
+      .select('taskId title status priority dueDate assignedTo estimatedHours progress')
+      .populate('assignedTo', 'name email')
+      .sort({ dueDate: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...sprint.toObject(),
+        tasks,
+        capacity: getSprintCapacity(sprint, tasks)
+      }
+    });
+  } catch (error) {
+    console.error('Get sprint error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sprint',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update sprint details
+// @route   PUT /api/admin/sprints/:id
+// @access  Private/Admin
+exports.updateSprint = async (req, res) => {
+  try {
+    const sprint = await Sprint.findById(req.params.id);
+    if (!sprint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sprint not found'
+      });
+    }
+
+    if (sprint.status === 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Completed sprints cannot be changed'
+      });
+    }
+
+    ['name', 'goal', 'capacityHours'].forEach(field => {
+      if (req.body[field] !== undefined) sprint[field] = req.body[field];
+    });
+    if (req.body.startDate) sprint.startDate = getPKTDate(req.body.startDate);
+    if (req.body.endDate) sprint.endDate = getPKTDate(req.body.endDate);
+
+    const validationError = sprint.validateSync();
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(validationError)
+      });
+    }
+
+    await sprint.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Sprint updated successfully',
+      data: sprint
+    });
+  } catch (error) {
+    console.error('Update sprint error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating sprint',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Add or remove tasks ({ add: [ids], remove: [ids] })
+// @route   PUT /api/admin/sprints/:id/tasks
+// @access  Private/Admin
+exports.updateSprintScope = async (req, res) => {
+  try {
+    const { add = [], remove = [] } = req.body;
+
+    const sprint = await Sprint.findById(req.params.id);
+    if (!sprint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sprint not found'
+      });
+    }
+
+    if (sprint.status === 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Completed sprints cannot be changed'
+      });
+    }
+
+    const adding = await Task.find({ _id: { $in: add } }).select('project sprint');
+    if (adding.length !== add.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+    if (adding.some(task => String(task.project || '') !== sprint.project.toString())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only tasks of the sprint\'s project can be added'
+      });
+    }
+
+    const removing = await Task.find({ _id: { $in: remove }, sprint: sprint._id }).select('project sprint');
+
+    const added = await setTaskSprint(adding, sprint._id, req.user.id);
+    const removed = await setTaskSprint(removing, null, req.user.id);
+
+    const tasks = await Task.find({ sprint: sprint._id }).select('estimatedHours');
+    const capacity = getSprintCapacity(sprint, tasks);
+
+    res.status(200).json({
+      success: true,
+      message: capacity.overCapacity
+        ? `Scope updated; ${capacity.plannedHours}h planned exceeds the ${capacity.capacityHours}h capacity`
+        : 'Scope updated',
+      data: { added, removed, tasks: tasks.length, capacity }
+    });
+  } catch (error) {
+    console.error('Update sprint scope error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating sprint scope',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Start sprint (records the committed scope)
+// @route   POST /api/admin/sprints/:id/start
+// @access  Private/Admin
+exports.startSprint = async (req, res) => {
+  try {
+    const sprint = await Sprint.findById(req.params.id);
+    if (!sprint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sprint not found'
+      });
+    }
+
+    if (sprint.status !== 'planned') {
+      return res.status(400).json({
+        success: false,
+        message: `Sprint is already ${sprint.status}`
+      });
+    }
+
+    const tasks = await Task.find({ sprint: sprint._id }).select('estimatedHours');
+    sprint.status = 'active';
+    sprint.startedAt = new Date();
+    sprint.committed = {
+      tasks: tasks.length,
+      hours: tasks.reduce((sum, task) => sum + (task.estimatedHours || 0), 0)
+    };
+    await sprint.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Sprint started',
+      data: sprint
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another sprint of this project is already active'
+      });
+    }
+    console.error('Start sprint error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting sprint',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Complete sprint; open tasks move to `moveTo` (a sprint id) or the backlog
+// @route   POST /api/admin/sprints/:id/complete
+// @access  Private/Admin
+exports.completeSprint = async (req, res) => {
+  try {
+    const { moveTo } = req.body;
+
+    const sprint = await Sprint.findById(req.params.id);
+    if (!sprint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sprint not found'
+      });
+    }
+
+    if (sprint.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only an active sprint can be completed'
+      });
+    }
+
+    let target = null;
+    if (moveTo) {
+      target = await Sprint.findOne({
+        _id: moveTo,
+        project: sprint.project,
+        status: 'planned'
+      });
+      if (!target) {
+        return res.status(400).json({
+          success: false,
+          message: 'Open tasks can only move to a planned sprint of the same project'
+        });
+      }
+    }
+
+    const tasks = await Task.find({ sprint: sprint._id }).select('project sprint status estimatedHours');
+    const done = tasks.filter(task => task.status === 'completed');
+    const open = tasks.filter(task => task.status !== 'completed');
+
+    await setTaskSprint(open, target?._id || null, req.user.id);
+
+    sprint.status = 'completed';
+    sprint.completedAt = new Date();
+    sprint.summary = {
+      completedTasks: done.length,
+      completedHours: done.reduce((sum, task) => sum + (task.estimatedHours || 0), 0),
+      carriedOver: open.length
+    };
+    await sprint.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Sprint completed; ${open.length} open task(s) moved to ${target ? target.name : 'the backlog'}`,
+      data: sprint
+    });
+  } catch (error) {
+    console.error('Complete sprint error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error completing sprint',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Burndown of a sprint (remaining hours and tasks per day)
+// @route   GET /api/admin/sprints/:id/burndown
+// @access  Private/Admin
+exports.getBurndown = async (req, res) => {
+  try {
+    const sprint = await Sprint.findById(req.params.id);
+    if (!sprint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sprint not found'
+      });
+    }
+
+    const now = sprint.status === 'completed' ? sprint.completedAt : new Date();
+    const burndown = await getSprintBurndown(sprint, now);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sprint: {
+          _id: sprint._id,
+          name: sprint.name,
+          status: sprint.status,
+          startDate: sprint.startDate,
+          endDate: sprint.endDate,
+          committed: sprint.committed
+        },
+        ...burndown
+      }
+    });
+  } catch (error) {
+    console.error('Get burndown error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching burndown',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete a planned sprint (its tasks go back to the backlog)
+// @route   DELETE /api/admin/sprints/:id
+// @access  Private/Admin
+exports.deleteSprint = async (req, res) => {
+  try {
+    const sprint = await Sprint.findById(req.params.id);
+    if (!sprint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sprint not found'
+      });
+    }
+
+    if (sprint.status !== 'planned') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only planned sprints can be deleted'
+      });
+    }
+
+    const tasks = await Task.find({ sprint: sprint._id }).select('project sprint');
+    await setTaskSprint(tasks, null, req.user.id);
+    await sprint.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Sprint deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete sprint error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting sprint',
+      error: error.message
+    });
+  }
+};
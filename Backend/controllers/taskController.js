@@ -6,8 +6,40 @@
 const Task = require('../models/Task');
 const Project = require('../models/Project');
 const Employee = require('../models/Employee');
-const Notification = require('../models/Notification'); // ✅ ADDED
 const { getIO } = require('../config/socket');
+const { notifyEmployee } = require('../utils/Notificationhelper');
+const { isWeekLocked } = require('../utils/timesheetHelper');
+const { refreshProjectBudget } = require('../utils/projectCostHelper');
+const {
+  getStartBlock,
+  isStartTransition,
+  findCycle,
+  buildDependencyGraph,
+  notifyUnblockedSuccessors
+} = require('../utils/taskDependencyHelper');
+const {
+  TRACKED_FIELDS,
+  snapshotTask,
+  recordTaskChanges,
+  recordTaskUpdate,
+  recordStatusChange
+} = require('../utils/taskHistoryHelper');
+const TaskHistory = require('../models/TaskHistory');
+const {
+  calculateProgress,
+  refreshTaskProgress,
+  refreshProjectProgress,
+  getDescendantIds,
+  isOwnDescendant,
+  buildTaskTree
+} = require('../utils/taskProgressHelper');
+
+// Admins edit any task; employees only their own
+const canEditTask = async (req, task) => {
+  if (req.user.role === 'admin') return true;
+  const employee = await Employee.findOne({ userId: req.user.id }).select('_id');
+  return Boolean(employee && task.assignedTo?.toString() === employee._id.toString());
+};
 
 // @desc    Get all tasks
 // @route   GET /api/admin/tasks
@@ -47,6 +79,13 @@ exports.getTasks = async (req, res) => {
       query.assignedTo = assignedTo;
     }
 
+    // ?parentTask=<id> lists subtasks, ?topLevel=true hides them
+    if (req.query.parentTask) {
+      query.parentTask = req.query.parentTask;
+    } else if (req.query.topLevel === 'true') {
+      query.parentTask = null;
+    }
+
     // Pagination
     const skip = (page - 1) * limit;
     const total = await Task.countDocuments(query);
@@ -85,7 +124,8 @@ exports.getTask = async (req, res) => {
     const task = await Task.findById(req.params.id)
       .populate('project', 'name status')
       .populate('assignedTo', 'name email department designation')
-      .populate('createdBy', 'name email');
+      .populate('createdBy', 'name email')
+      .populate('parentTask', 'taskId title status');
 
     if (!task) {
       return res.status(404).json({
@@ -94,9 +134,14 @@ exports.getTask = async (req, res) => {
       });
     }
 
+    const subtasks = await Task.find({ parentTask: task._id })
+      .select('taskId title status priority dueDate progress assignedTo checklist')
+      .populate('assignedTo', 'name email')
+      .sort({ dueDate: 1 });
+
     res.status(200).json({
       success: true,
-      data: task
+      data: { ...task.toObject(), subtasks }
     });
   } catch (error) {
     console.error('Get task error:', error);
@@ -122,12 +167,34 @@ exports.createTask = async (req, res) => {
       status,
       dueDate,
       estimatedHours,
-      attachments
+      attachments,
+      dependsOn,
+      parentTask,
+      checklist
     } = req.body;
 
+    // Subtasks live in their parent's project
+    let parent = null;
+    if (parentTask) {
+      parent = await Task.findById(parentTask).select('project');
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent task not found'
+        });
+      }
+      if (project && String(project) !== String(parent.project || '')) {
+        return res.status(400).json({
+          success: false,
+          message: 'A subtask must belong to the same project as its parent'
+        });
+      }
+    }
+    const taskProject = project || parent?.project;
+
     // Verify project exists (if provided)
-    if (project) {
-      const projectExists = await Project.findById(project);
+    if (taskProject) {
+      const projectExists = await Project.findById(taskProject);
       if (!projectExists) {
         return res.status(404).json({
           success: false,
@@ -163,15 +230,38 @@ exports.createTask = async (req, res) => {
       estimatedHours: estimatedHours || 0,
       assignedBy: req.user.id,
       createdBy: req.user.id,
-      attachments: attachments || []
+      attachments: attachments || [],
+      parentTask: parent?._id || null,
+      checklist: (checklist || []).map(item => (typeof item === 'string' ? { text: item } : item))
     };
 
     // Only add project if provided
-    if (project) {
-      taskData.project = project;
+    if (taskProject) {
+      taskData.project = taskProject;
     }
 
+    // Predecessors (a new task cannot close a cycle)
+    if (Array.isArray(dependsOn) && dependsOn.length > 0) {
+      const predecessors = await Task.find({ _id: { $in: dependsOn } }).select('project');
+      if (predecessors.length !== new Set(dependsOn.map(String)).size) {
+        return res.status(404).json({
+          success: false,
+          message: 'Predecessor task not found'
+        });
+      }
+      if (predecessors.some(p => String(p.project || '') !== String(taskProject || ''))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Dependencies must be between tasks of the same project'
+        });
+      }
+      taskData.dependencies = predecessors.map(p => ({ task: p._id, addedBy: req.user.id }));
+    }
+
+    taskData.progress = calculateProgress(taskData);
+
     const task = await Task.create(taskData);
+    await refreshTaskProgress(task._id);
 
     // Populate task data
     await task.populate('project', 'name');
@@ -180,19 +270,18 @@ exports.createTask = async (req, res) => {
 
     // ✅✅✅ CREATE NOTIFICATION FOR EMPLOYEE ✅✅✅
     try {
-      await Notification.create({
-        role: 'employee',
+      await notifyEmployee(assignedTo, {
         title: '📋 New Task Assigned',
         message: `You have been assigned a new task: ${title}`,
-        type: 'info',
-        isRead: false,
-        link: `/employee/tasks`,
-        data: {
+        type: 'task',
+        metadata: {
           taskId: task._id,
           taskTitle: title,
           priority: priority || 'medium',
           dueDate: dueDate,
-          assignedBy: req.user.name || 'Admin'
+          assignedBy: req.user.name || 'Admin',
+          link: `/employee/tasks`,
+          action: 'task-assigned'
         }
       });
       console.log('✅ Notification created for employee:', employeeExists.name);
@@ -262,6 +351,20 @@ exports.updateTask = async (req, res) => {
       });
     }
 
+    // Finish-to-start: predecessors must be completed first
+    if (req.body.status !== undefined && isStartTransition(task, req.body.status)) {
+      const block = await getStartBlock(task);
+      if (block) {
+        return res.status(409).json({
+          success: false,
+          message: block.message,
+          data: { blockedBy: block.blockedBy }
+        });
+      }
+    }
+
+    const snapshot = snapshotTask(task);
+
     // Update fields
     const allowedFields = [
       'title',
@@ -280,16 +383,60 @@ exports.updateTask = async (req, res) => {
       }
     });
 
-    // Update status timestamps
-    if (req.body.status === 'in-progress' && task.status !== 'in-progress') {
+    // Move the task under another parent (null makes it top-level)
+    const previousParent = task.parentTask;
+    if (req.body.parentTask !== undefined) {
+      const parentId = req.body.parentTask || null;
+      if (parentId) {
+        const parent = await Task.findById(parentId).select('project');
+        if (!parent) {
+          return res.status(404).json({
+            success: false,
+            message: 'Parent task not found'
+          });
+        }
+        if (String(parent.project || '') !== String(task.project || '')) {
+          return res.status(400).json({
+            success: false,
+            message: 'A subtask must belong to the same project as its parent'
+          });
+        }
+        if (await isOwnDescendant(task._id, parent._id)) {
+          return res.status(400).json({
+            success: false,
+            message: 'A task cannot be moved below itself or one of its subtasks'
+          });
+        }
+      }
+      task.parentTask = parentId;
+    }
+
+    // Update status timestamps (task.status already holds the new value)
+    if (req.body.status === 'in-progress' && snapshot.status !== 'in-progress' && !task.startedAt) {
       task.startedAt = new Date();
     }
 
-    if (req.body.status === 'completed' && task.status !== 'completed') {
+    if (req.body.status === 'completed' && snapshot.status !== 'completed') {
       task.completedAt = new Date();
     }
 
+    const completed = task.isModified('status') && task.status === 'completed';
+
     await task.save();
+    await recordTaskUpdate(task, snapshot, req.user.id);
+
+    await refreshTaskProgress(task._id);
+    if (previousParent && String(previousParent) !== String(task.parentTask || '')) {
+      await refreshTaskProgress(previousParent);
+    }
+
+    if (completed) {
+      try {
+        await notifyUnblockedSuccessors(task);
+      } catch (notifError) {
+        console.error('❌ Error notifying unblocked tasks:', notifError);
+      }
+    }
 
     // Populate task data
     await task.populate('project', 'name');
@@ -298,17 +445,16 @@ exports.updateTask = async (req, res) => {
 
     // ✅✅✅ CREATE NOTIFICATION FOR EMPLOYEE WHEN TASK IS UPDATED ✅✅✅
     try {
-      await Notification.create({
-        role: 'employee',
+      await notifyEmployee(task.assignedTo?._id, {
         title: '🔄 Task Updated',
         message: `Task "${task.title}" has been updated`,
-        type: 'info',
-        isRead: false,
-        link: `/employee/tasks`,
-        data: {
+        type: 'task',
+        metadata: {
           taskId: task._id,
           taskTitle: task.title,
-          updatedBy: req.user.name || 'Admin'
+          updatedBy: req.user.name || 'Admin',
+          link: `/employee/tasks`,
+          action: 'task-updated'
         }
       });
       console.log('✅ Task update notification created for employee');
@@ -361,11 +507,36 @@ exports.deleteTask = async (req, res) => {
       });
     }
 
-    await task.deleteOne();
+    // Subtasks go with their parent
+    const removedIds = [task._id, ...await getDescendantIds(task._id)];
+
+    // Approved timesheets are built from these tasks' sessions
+    if (await Task.exists({ _id: { $in: removedIds }, 'timer.sessions.locked': true })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Task or one of its subtasks has time on approved timesheets and cannot be deleted'
+      });
+    }
+
+    await Task.deleteMany({ _id: { $in: removedIds } });
+
+    // Successors no longer wait for them
+    await Task.updateMany(
+      { 'dependencies.task': { $in: removedIds } },
+      { $pull: { dependencies: { task: { $in: removedIds } } } }
+    );
+
+    if (task.parentTask) {
+      await refreshTaskProgress(task.parentTask);
+    } else {
+      await refreshProjectProgress(task.project);
+    }
 
     res.status(200).json({
       success: true,
-      message: 'Task deleted successfully'
+      message: removedIds.length > 1
+        ? `Task and ${removedIds.length - 1} subtask(s) deleted successfully`
+        : 'Task deleted successfully'
     });
   } catch (error) {
     console.error('Delete task error:', error);
@@ -403,24 +574,25 @@ exports.assignTask = async (req, res) => {
     }
 
     // Assign task
+    const previousAssignee = task.assignedTo;
     task.assignedTo = employeeId;
     await task.save();
+    await recordTaskChanges(task, [{ field: 'assignedTo', before: previousAssignee, after: task.assignedTo }], req.user.id);
 
     // Populate task data
     await task.populate('assignedTo', 'name email department');
 
     // ✅✅✅ CREATE NOTIFICATION WHEN TASK IS RE-ASSIGNED ✅✅✅
     try {
-      await Notification.create({
-        role: 'employee',
+      await notifyEmployee(employeeId, {
         title: '📋 Task Assigned to You',
         message: `Task "${task.title}" has been assigned to you`,
-        type: 'info',
-        isRead: false,
-        link: `/employee/tasks`,
-        data: {
+        type: 'task',
+        metadata: {
           taskId: task._id,
-          taskTitle: task.title
+          taskTitle: task.title,
+          link: `/employee/tasks`,
+          action: 'task-assigned'
         }
       });
       console.log('✅ Task assignment notification created');
@@ -475,6 +647,35 @@ exports.getTaskStats = async (req, res) => {
       dueDate: { $gte: today, $lt: tomorrow }
     });
 
+    // Hierarchy: top-level tasks vs subtasks, checklist items
+    const [hierarchy] = await Task.aggregate([
+      {
+        $group: {
+          _id: null,
+          topLevel: { $sum: { $cond: [{ $ifNull: ['$parentTask', false] }, 0, 1] } },
+          subtasks: { $sum: { $cond: [{ $ifNull: ['$parentTask', false] }, 1, 0] } },
+          completedSubtasks: {
+            $sum: {
+              $cond: [
+                { $and: [{ $ifNull: ['$parentTask', false] }, { $eq: ['$status', 'completed'] }] },
+                1,
+                0
+              ]
+            }
+          },
+          topLevelProgress: { $avg: { $cond: [{ $ifNull: ['$parentTask', false] }, null, '$progress'] } },
+          checklistItems: { $sum: { $size: { $ifNull: ['$checklist', []] } } },
+          checklistDone: {
+            $sum: {
+              $size: {
+                $filter: { input: { $ifNull: ['$checklist', []] }, as: 'item', cond: '$$item.done' }
+              }
+            }
+          }
+        }
+      }
+    ]);
+
     res.status(200).json({
       success: true,
       data: {
@@ -490,7 +691,17 @@ exports.getTaskStats = async (req, res) => {
           low: lowPriorityTasks
         },
         overdue: overdueTasks,
-        dueToday: tasksDueToday
+        dueToday: tasksDueToday,
+        hierarchy: {
+          topLevel: hierarchy?.topLevel || 0,
+          subtasks: hierarchy?.subtasks || 0,
+          completedSubtasks: hierarchy?.completedSubtasks || 0,
+          averageProgress: Math.round(hierarchy?.topLevelProgress || 0),
+          checklist: {
+            total: hierarchy?.checklistItems || 0,
+            done: hierarchy?.checklistDone || 0
+          }
+        }
       }
     });
   } catch (error) {
@@ -508,7 +719,7 @@ exports.getTaskStats = async (req, res) => {
 // @access  Private/Admin
 exports.bulkUpdateTasks = async (req, res) => {
   try {
-    const { taskIds, updates } = req.body;
+    const { taskIds, updates, includeSubtasks } = req.body;
 
     if (!taskIds || !Array.isArray(taskIds) || taskIds.length === 0) {
       return res.status(400).json({
@@ -524,18 +735,86 @@ exports.bulkUpdateTasks = async (req, res) => {
       });
     }
 
+    // Moving tasks between parents needs the cycle check in updateTask;
+    // sprint scope and board position have their own endpoints
+    const restricted = ['parentTask', 'progress', 'checklist', 'sprint', 'board'];
+    if (restricted.some(field => updates[field] !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: `${restricted.join(', ')} cannot be bulk updated`
+      });
+    }
+
+    // includeSubtasks: apply the same update to every subtask below the selection
+    let ids = taskIds;
+    if (includeSubtasks) {
+      const descendants = await Promise.all(taskIds.map(id => getDescendantIds(id)));
+      ids = [...new Set([...taskIds, ...descendants.flat()].map(id => id.toString()))];
+    }
+
+    const subtasksIncluded = ids.length - taskIds.length;
+
+    // Finish-to-start: tasks whose predecessors are still open are skipped
+    const blocked = [];
+    if (updates.status !== undefined) {
+      const selected = await Task.find({ _id: { $in: ids } })
+        .select('taskId title status dependencies dependencyOverride');
+
+      for (const task of selected) {
+        if (!isStartTransition(task, updates.status)) continue;
+        const block = await getStartBlock(task);
+        if (block) {
+          blocked.push({ _id: task._id, taskId: task.taskId, title: task.title, blockedBy: block.blockedBy });
+        }
+      }
+
+      const blockedIds = new Set(blocked.map(task => task._id.toString()));
+      ids = ids.filter(id => !blockedIds.has(id.toString()));
+    }
+
+    if (updates.status === 'completed') {
+      updates.completedAt = updates.completedAt || new Date();
+    }
+
+    // Tasks that start now get a start time, as in updateTask
+    if (updates.status === 'in-progress') {
+      await Task.updateMany(
+        { _id: { $in: ids }, status: { $ne: 'in-progress' }, startedAt: null },
+        { $set: { startedAt: new Date() } }
+      );
+    }
+
+    // Tracked values before the update, for the history
+    const before = await Task.find({ _id: { $in: ids } }).select(['project', ...TRACKED_FIELDS].join(' '));
+
     // Perform bulk update
     const result = await Task.updateMany(
-      { _id: { $in: taskIds } },
+      { _id: { $in: ids } },
       { $set: updates }
     );
 
+    for (const task of before) {
+      const snapshot = snapshotTask(task);
+      task.set(updates);
+      await recordTaskUpdate(task, snapshot, req.user.id, 'bulk');
+    }
+
+    // Roll the new statuses up to parents and projects
+    if (updates.status !== undefined) {
+      for (const id of ids) {
+        await refreshTaskProgress(id);
+      }
+    }
+
     res.status(200).json({
       success: true,
-      message: `${result.modifiedCount} tasks updated successfully`,
+      message: `${result.modifiedCount} tasks updated successfully` +
+        (blocked.length > 0 ? `, ${blocked.length} skipped because their predecessors are open` : ''),
       data: {
         matched: result.matchedCount,
-        modified: result.modifiedCount
+        modified: result.modifiedCount,
+        subtasksIncluded,
+        blocked
       }
     });
   } catch (error) {
@@ -569,10 +848,15 @@ exports.getTasksByProject = async (req, res) => {
       .populate('assignedTo', 'name email')
       .sort({ createdAt: -1 });
 
-    // Calculate statistics
+    const graph = buildDependencyGraph(tasks);
+
+    // Calculate statistics (progress is rolled up from subtasks and checklists)
     const totalTasks = tasks.length;
     const completedTasks = tasks.filter(t => t.status === 'completed').length;
-    const progress = totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0;
+    const topLevel = tasks.filter(t => !t.parentTask);
+    const progress = topLevel.length > 0
+      ? Math.round(topLevel.reduce((sum, t) => sum + (t.progress || 0), 0) / topLevel.length)
+      : 0;
 
     res.status(200).json({
       success: true,
@@ -582,9 +866,14 @@ exports.getTasksByProject = async (req, res) => {
           name: project.name
         },
         tasks,
+        tree: buildTaskTree(tasks),
+        graph,
         stats: {
           total: totalTasks,
           completed: completedTasks,
+          topLevel: topLevel.length,
+          subtasks: totalTasks - topLevel.length,
+          blocked: graph.nodes.filter(node => node.blocked).length,
           progress
         }
       }
@@ -656,6 +945,416 @@ exports.getTasksByEmployee = async (req, res) => {
   }
 };
 
+// @desc    Add a predecessor (finish-to-start) to a task
+// @route   POST /api/admin/tasks/:id/dependencies
+// @access  Private/Admin
+exports.addTaskDependency = async (req, res) => {
+  try {
+    const { predecessorId } = req.body;
+
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const predecessor = await Task.findById(predecessorId).select('title project status');
+    if (!predecessor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Predecessor task not found'
+      });
+    }
+
+    if (predecessor._id.equals(task._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A task cannot depend on itself'
+      });
+    }
+
+    if (String(predecessor.project || '') !== String(task.project || '')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dependencies must be between tasks of the same project'
+      });
+    }
+
+    if (task.dependencies.some(dependency => dependency.task.equals(predecessor._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Task already depends on this task'
+      });
+    }
+
+    const cycle = await findCycle(task._id, predecessor._id);
+    if (cycle) {
+      const titles = await Task.find({ _id: { $in: cycle } }).select('title');
+      const titleOf = new Map(titles.map(t => [t._id.toString(), t.title]));
+      return res.status(400).json({
+        success: false,
+        message: `Dependency would create a cycle: ${cycle.map(id => titleOf.get(id)).join(' → ')}`,
+        data: { cycle }
+      });
+    }
+
+    task.dependencies.push({ task: predecessor._id, addedBy: req.user.id });
+    await task.save();
+    await task.populate('dependencies.task', 'taskId title status');
+
+    res.status(201).json({
+      success: true,
+      message: 'Dependency added successfully',
+      data: task.dependencies
+    });
+  } catch (error) {
+    console.error('Add task dependency error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding dependency',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove a predecessor from a task
+// @route   DELETE /api/admin/tasks/:id/dependencies/:predecessorId
+// @access  Private/Admin
+exports.removeTaskDependency = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const dependency = task.dependencies.find(d => d.task.toString() === req.params.predecessorId);
+    if (!dependency) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dependency not found'
+      });
+    }
+
+    task.dependencies.pull(dependency._id);
+    await task.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Dependency removed successfully',
+      data: task.dependencies
+    });
+  } catch (error) {
+    console.error('Remove task dependency error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing dependency',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Let a task start before its predecessors are completed (or undo it)
+// @route   PUT /api/admin/tasks/:id/dependencies/override
+// @access  Private/Admin
+exports.setDependencyOverride = async (req, res) => {
+  try {
+    const { override = true, reason } = req.body;
+
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (override && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please give a reason for the override'
+      });
+    }
+
+    task.dependencyOverride = override
+      ? { active: true, reason, by: req.user.id, at: new Date() }
+      : { active: false };
+    await task.save();
+
+    if (override) {
+      try {
+        await notifyEmployee(task.assignedTo, {
+          title: '🔓 Task Unblocked',
+          message: `"${task.title}" can start before its dependencies are done: ${reason}`,
+          type: 'task',
+          metadata: {
+            taskId: task._id,
+            link: '/employee/tasks',
+            action: 'task-dependency-override'
+          }
+        });
+      } catch (notifError) {
+        console.error('❌ Error creating notification:', notifError);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: override ? 'Dependencies overridden' : 'Dependency override removed',
+      data: task
+    });
+  } catch (error) {
+    console.error('Set dependency override error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating dependency override',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the change history of a task (oldest first, ?field= filters)
+// @route   GET /api/admin/tasks/:id/history
+// @route   GET /api/employee/tasks/:id/history
+// @access  Private/Admin, Employee (own tasks)
+exports.getTaskHistory = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id).select('taskId title assignedTo project');
+
+    // Admins can still read the history of a deleted task
+    if (!task && req.user.role !== 'admin') {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (task && !await canEditTask(req, task)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this task'
+      });
+    }
+
+    const query = { task: req.params.id };
+    if (req.query.field) query.field = req.query.field;
+
+    const entries = await TaskHistory.find(query)
+      .populate('actor', 'name email role')
+      .sort({ at: 1 })
+      .lean();
+
+    if (!task && entries.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // Show assignees by name
+    const employeeIds = entries
+      .filter(entry => entry.field === 'assignedTo')
+      .flatMap(entry => [entry.before, entry.after])
+      .filter(Boolean);
+    const employees = await Employee.find({ _id: { $in: employeeIds } }).select('name');
+    const nameOf = new Map(employees.map(employee => [employee._id.toString(), employee.name]));
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: {
+        task: task || { _id: req.params.id, deleted: true },
+        history: entries.map(entry => entry.field === 'assignedTo'
+          ? { ...entry, beforeName: nameOf.get(entry.before) || null, afterName: nameOf.get(entry.after) || null }
+          : entry)
+      }
+    });
+  } catch (error) {
+    console.error('Get task history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching task history',
+      error: error.message
+    });
+  }
+};
+
+// ============================================
+// CHECKLIST (admin or the task's assignee)
+// ============================================
+
+// @desc    Add a checklist item to a task
+// @route   POST /api/admin/tasks/:id/checklist
+// @route   POST /api/employee/tasks/:id/checklist
+// @access  Private/Admin, Employee (own tasks)
+exports.addChecklistItem = async (req, res) => {
+  try {
+    const { text } = req.body;
+
+    if (!text || !text.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Checklist item text is required'
+      });
+    }
+
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!await canEditTask(req, task)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    task.checklist.push({ text });
+    await task.save();
+    await refreshTaskProgress(task._id);
+
+    const updated = await Task.findById(task._id).select('checklist progress');
+
+    res.status(201).json({
+      success: true,
+      message: 'Checklist item added',
+      data: updated
+    });
+  } catch (error) {
+    console.error('Add checklist item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding checklist item',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Tick, untick or rename a checklist item
+// @route   PATCH /api/admin/tasks/:id/checklist/:itemId
+// @route   PATCH /api/employee/tasks/:id/checklist/:itemId
+// @access  Private/Admin, Employee (own tasks)
+exports.updateChecklistItem = async (req, res) => {
+  try {
+    const { text, done } = req.body;
+
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!await canEditTask(req, task)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    const item = task.checklist.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checklist item not found'
+      });
+    }
+
+    if (text !== undefined) {
+      if (!text.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Checklist item text is required'
+        });
+      }
+      item.text = text;
+    }
+
+    if (done !== undefined && Boolean(done) !== item.done) {
+      item.done = Boolean(done);
+      item.doneBy = item.done ? req.user.id : undefined;
+      item.doneAt = item.done ? new Date() : undefined;
+    }
+
+    await task.save();
+    await refreshTaskProgress(task._id);
+
+    const updated = await Task.findById(task._id).select('checklist progress');
+
+    res.status(200).json({
+      success: true,
+      message: 'Checklist item updated',
+      data: updated
+    });
+  } catch (error) {
+    console.error('Update checklist item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating checklist item',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove a checklist item
+// @route   DELETE /api/admin/tasks/:id/checklist/:itemId
+// @route   DELETE /api/employee/tasks/:id/checklist/:itemId
+// @access  Private/Admin, Employee (own tasks)
+exports.deleteChecklistItem = async (req, res) => {
+  try {
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!await canEditTask(req, task)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task'
+      });
+    }
+
+    const item = task.checklist.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checklist item not found'
+      });
+    }
+
+    task.checklist.pull(item._id);
+    await task.save();
+    await refreshTaskProgress(task._id);
+
+    const updated = await Task.findById(task._id).select('checklist progress');
+
+    res.status(200).json({
+      success: true,
+      message: 'Checklist item removed',
+      data: updated
+    });
+  } catch (error) {
+    console.error('Delete checklist item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing checklist item',
+      error: error.message
+    });
+  }
+};
+
 // ============================================
 // EMPLOYEE TASK FUNCTIONS
 // ============================================
@@ -735,6 +1434,21 @@ exports.updateTaskStatus = async (req, res) => {
       });
     }
 
+    // Finish-to-start: predecessors must be completed first
+    if (isStartTransition(task, status)) {
+      const block = await getStartBlock(task);
+      if (block) {
+        return res.status(409).json({
+          success: false,
+          message: block.message,
+          data: { blockedBy: block.blockedBy }
+        });
+      }
+    }
+
+    const previousStatus = task.status;
+    const wasCompleted = previousStatus === 'completed';
+
     // Update status
     task.status = status;
 
@@ -758,6 +1472,16 @@ exports.updateTaskStatus = async (req, res) => {
     }
 
     await task.save();
+    await recordStatusChange(task, previousStatus, req.user.id);
+    await refreshTaskProgress(task._id);
+
+    if (status === 'completed' && !wasCompleted) {
+      try {
+        await notifyUnblockedSuccessors(task);
+      } catch (notifError) {
+        console.error('❌ Error notifying unblocked tasks:', notifError);
+      }
+    }
 
     // ✅ EMIT SOCKET EVENT - Notify admin when task is completed
     try {
@@ -837,17 +1561,35 @@ exports.startTaskTimer = async (req, res) => {
       });
     }
 
+    if (await isWeekLocked(employee._id, new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: "This week's timesheet is already submitted"
+      });
+    }
+
+    const block = await getStartBlock(task);
+    if (block) {
+      return res.status(409).json({
+        success: false,
+        message: block.message,
+        data: { blockedBy: block.blockedBy }
+      });
+    }
+
     // Start timer
     task.timer.isRunning = true;
     task.timer.startTime = new Date();
 
     // Auto-update status to in-progress if pending
+    const previousStatus = task.status;
     if (task.status === 'pending') {
       task.status = 'in-progress';
       task.startedAt = new Date();
     }
 
     await task.save();
+    await recordStatusChange(task, previousStatus, req.user.id, 'timer');
 
     // ✅ EMIT SOCKET EVENT - Notify admin when timer starts
     try {
@@ -921,6 +1663,12 @@ exports.stopTaskTimer = async (req, res) => {
     task.stopTimer();
     await task.save();
 
+    try {
+      await refreshProjectBudget(task.project);
+    } catch (budgetError) {
+      console.error('Budget check error:', budgetError);
+    }
+
     // Format time logged
     const hours = Math.floor(task.timer.totalTime / 3600);
     const minutes = Math.floor((task.timer.totalTime % 3600) / 60);
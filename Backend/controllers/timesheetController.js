@@ -0,0 +1,611 @@
+const mongoose = require('mongoose');
+const Timesheet = require('../models/Timesheet');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const Employee = require('../models/Employee');
+const { getPKTDate, toDateKey } = require('../utils/workCalendar');
+const { loadRateResolver, getTeamRole, refreshProjectBudget } = require('../utils/projectCostHelper');
+const { createNotification, notifyEmployee } = require('../utils/Notificationhelper');
+const {
+  LOCKED_STATUSES,
+  getWeekRange,
+  getRunningTimers,
+  summarizeEntries,
+  getTimesheetEntries,
+  findOrInitTimesheet
+} = require('../utils/timesheetHelper');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const populateEmployee = {
+  path: 'employeeId',
+  select: 'employeeId department userId',
+  populate: { path: 'userId', select: 'name email' }
+};
+
+// Timesheet with its entries, project x day grid and project/task names
+const buildTimesheetView = async (timesheet) => {
+  const entries = await getTimesheetEntries(timesheet);
+
+  const projectIds = [...new Set(entries.filter(e => e.project).map(e => e.project.toString()))];
+  const taskIds = [...new Set(entries.filter(e => e.task).map(e => e.task.toString()))];
+  const [projects, tasks] = await Promise.all([
+    Project.find({ _id: { $in: projectIds } }).select('name'),
+    Task.find({ _id: { $in: taskIds } }).select('title')
+  ]);
+  const projectNames = new Map(projects.map(p => [p._id.toString(), p.name]));
+  const taskTitles = new Map(tasks.map(t => [t._id.toString(), t.title]));
+
+  const namedEntries = entries.map(entry => ({
+    ...entry,
+    projectName: entry.project ? projectNames.get(entry.project.toString()) : null,
+    taskTitle: entry.task ? taskTitles.get(entry.task.toString()) : null
+  }));
+  const summary = summarizeEntries(namedEntries, timesheet.weekStart);
+  summary.byProject.forEach(row => {
+    row.projectName = row.project ? projectNames.get(row.project.toString()) : 'No project';
+  });
+
+  return {
+    ...timesheet.toObject(),
+    entries: namedEntries,
+    summary
+  };
+};
+
+const getCurrentEmployee = (req) =>
+  Employee.findOne({ userId: req.user._id || req.user.id }).populate('userId', 'name');
+
+// ==================== EMPLOYEE TIMESHEETS ====================
+
+// @desc    Get my timesheet for a week (timer sessions + manual entries)
+// @route   GET /api/employee/timesheets/week?weekOf=YYYY-MM-DD
+// @access  Private (Employee)
+exports.getMyTimesheet = async (req, res) => {
+  try {
+    const employee = await getCurrentEmployee(req);
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    const timesheet = await findOrInitTimesheet(employee._id, req.query.weekOf);
+    const runningTimers = await getRunningTimers(employee._id, timesheet.weekStart);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...await buildTimesheetView(timesheet),
+        runningTimers
+      }
+    });
+
+  } catch (error) {
+    console.error('Get my timesheet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get my timesheets
+// @route   GET /api/employee/timesheets
+// @access  Private (Employee)
+exports.getMyTimesheets = async (req, res) => {
+  try {
+    const employee = await getCurrentEmployee(req);
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    const query = { employeeId: employee._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const timesheets = await Timesheet.find(query)
+      .select('-entries -manualEntries')
+      .populate('reviewedBy', 'name')
+      .sort({ weekStart: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: timesheets.length,
+      data: timesheets
+    });
+
+  } catch (error) {
+    console.error('Get my timesheets error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Add a manual time entry
+// @route   POST /api/employee/timesheets/entries
+// @access  Private (Employee)
+exports.addManualEntry = async (req, res) => {
+  try {
+    const { date, projectId, taskId, minutes, hours, reason } = req.body;
+    const employee = await getCurrentEmployee(req);
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    const entryMinutes = minutes !== undefined ? Number(minutes) : Math.round(Number(hours) * 60);
+
+    if (!date || !Number.isFinite(entryMinutes) || entryMinutes <= 0 || entryMinutes > 24 * 60) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date and a duration between 1 minute and 24 hours are required'
+      });
+    }
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please give a reason for the manual entry'
+      });
+    }
+
+    let project = projectId;
+    if (taskId) {
+      const task = await Task.findOne({ _id: taskId, assignedTo: employee._id }).select('project');
+      if (!task) {
+        return res.status(404).json({
+          success: false,
+          message: 'Task not found'
+        });
+      }
+      project = task.project;
+    }
+
+    if (!project || !await Project.exists({ _id: project })) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const day = getPKTDate(date);
+    const timesheet = await findOrInitTimesheet(employee._id, day);
+
+    if (LOCKED_STATUSES.includes(timesheet.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Timesheet for this week is already ${timesheet.status}`
+      });
+    }
+
+    timesheet.manualEntries.push({
+      date: day,
+      project,
+      task: taskId || null,
+      minutes: entryMinutes,
+      source: 'manual',
+      reason: reason.trim()
+    });
+    await timesheet.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Time entry added',
+      data: await buildTimesheetView(timesheet)
+    });
+
+  } catch (error) {
+    console.error('Add manual entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove a manual time entry
+// @route   DELETE /api/employee/timesheets/entries/:entryId
+// @access  Private (Employee)
+exports.deleteManualEntry = async (req, res) => {
+  try {
+    const employee = await getCurrentEmployee(req);
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    const timesheet = await Timesheet.findOne({
+      employeeId: employee._id,
+      'manualEntries._id': req.params.entryId
+    });
+
+    if (!timesheet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Time entry not found'
+      });
+    }
+
+    if (LOCKED_STATUSES.includes(timesheet.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Timesheet for this week is already ${timesheet.status}`
+      });
+    }
+
+    timesheet.manualEntries.pull(req.params.entryId);
+    await timesheet.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Time entry removed',
+      data: await buildTimesheetView(timesheet)
+    });
+
+  } catch (error) {
+    console.error('Delete manual entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Submit my timesheet for a week
+// @route   POST /api/employee/timesheets/submit
+// @access  Private (Employee)
+exports.submitTimesheet = async (req, res) => {
+  try {
+    const employee = await getCurrentEmployee(req);
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    const timesheet = await findOrInitTimesheet(employee._id, req.body.weekOf);
+
+    if (LOCKED_STATUSES.includes(timesheet.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Timesheet for this week is already ${timesheet.status}`
+      });
+    }
+
+    const runningTimers = await getRunningTimers(employee._id, timesheet.weekStart);
+    if (runningTimers.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Stop the running timer on "${runningTimers[0].title}" before submitting`,
+        data: { runningTimers }
+      });
+    }
+
+    const entries = await getTimesheetEntries(timesheet);
+    if (entries.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'There is no time to submit for this week'
+      });
+    }
+
+    timesheet.entries = entries;
+    timesheet.totalMinutes = entries.reduce((sum, entry) => sum + entry.minutes, 0);
+    timesheet.status = 'submitted';
+    timesheet.submittedAt = new Date();
+    timesheet.reviewedBy = undefined;
+    timesheet.reviewedAt = undefined;
+    await timesheet.save();
+
+    const weekLabel = toDateKey(timesheet.weekStart);
+    await createNotification({
+      title: 'Timesheet Submitted',
+      message: `${employee.userId?.name || 'An employee'} submitted ${round(timesheet.totalMinutes / 60)}h for the week of ${weekLabel}`,
+      type: 'task',
+      role: 'admin',
+      metadata: {
+        timesheetId: timesheet._id,
+        employeeId: employee._id,
+        weekStart: timesheet.weekStart,
+        action: 'timesheet-submitted'
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Timesheet submitted',
+      data: await buildTimesheetView(timesheet)
+    });
+
+  } catch (error) {
+    console.error('Submit timesheet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// ==================== ADMIN TIMESHEETS ====================
+
+// @desc    Get timesheets (default: submitted)
+// @route   GET /api/admin/timesheets?status=&employeeId=&weekOf=
+// @access  Private (Admin)
+exports.getTimesheets = async (req, res) => {
+  try {
+    const { status = 'submitted', employeeId, weekOf } = req.query;
+
+    const query = status === 'all' ? {} : { status };
+    if (employeeId) query.employeeId = employeeId;
+    if (weekOf) query.weekStart = getWeekRange(weekOf).weekStart;
+
+    const timesheets = await Timesheet.find(query)
+      .select('-entries -manualEntries')
+      .populate(populateEmployee)
+      .populate('reviewedBy', 'name')
+      .sort({ weekStart: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: timesheets.length,
+      data: timesheets
+    });
+
+  } catch (error) {
+    console.error('Get timesheets error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a timesheet with its entries
+// @route   GET /api/admin/timesheets/:id
+// @access  Private (Admin)
+exports.getTimesheet = async (req, res) => {
+  try {
+    const timesheet = await Timesheet.findById(req.params.id)
+      .populate(populateEmployee)
+      .populate('reviewedBy', 'name');
+
+    if (!timesheet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Timesheet not found'
+      });
+    }
+
+    // Entries are looked up by the plain employee id
+    const employee = timesheet.employeeId;
+    timesheet.depopulate('employeeId');
+    const view = await buildTimesheetView(timesheet);
+
+    res.status(200).json({
+      success: true,
+      data: { ...view, employeeId: employee }
+    });
+
+  } catch (error) {
+    console.error('Get timesheet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Approve a timesheet: lock its sessions and book the cost on projects
+// @route   PUT /api/admin/timesheets/:id/approve
+// @access  Private (Admin)
+exports.approveTimesheet = async (req, res) => {
+  try {
+    const timesheet = await Timesheet.findById(req.params.id);
+
+    if (!timesheet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Timesheet not found'
+      });
+    }
+
+    if (timesheet.status !== 'submitted') {
+      return res.status(400).json({
+        success: false,
+        message: `Only submitted timesheets can be approved (this one is ${timesheet.status})`
+      });
+    }
+
+    const employee = await Employee.findById(timesheet.employeeId);
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    const minutesByProject = new Map();
+    timesheet.entries.forEach(entry => {
+      if (!entry.project) return;
+      const key = entry.project.toString();
+      minutesByProject.set(key, (minutesByProject.get(key) || 0) + entry.minutes);
+    });
+
+    // Cost rate from the rate card of the employee's role on each project
+    const resolveRates = await loadRateResolver();
+    const projects = await Project.find({ _id: { $in: [...minutesByProject.keys()] } }).select('team');
+    const projectCosts = projects.map(project => {
+      const hours = round(minutesByProject.get(project._id.toString()) / 60);
+      const { costRate } = resolveRates(employee, getTeamRole(project, employee._id));
+      return { project: project._id, hours, rate: costRate, amount: round(hours * costRate) };
+    });
+
+    // Only the approval that moves it out of 'submitted' charges the projects
+    const approved = await Timesheet.findOneAndUpdate(
+      { _id: timesheet._id, status: 'submitted' },
+      {
+        $set: {
+          status: 'approved',
+          projectCosts,
+          reviewedBy: req.user._id,
+          reviewedAt: new Date(),
+          ...(req.body.adminNotes ? { adminNotes: req.body.adminNotes } : {})
+        }
+      },
+      { new: true }
+    );
+
+    if (!approved) {
+      return res.status(409).json({
+        success: false,
+        message: 'Timesheet was reviewed meanwhile'
+      });
+    }
+
+    // Lock the sessions behind the timer entries
+    const sessionsByTask = new Map();
+    approved.entries
+      .filter(entry => entry.source === 'timer' && entry.task)
+      .forEach(entry => {
+        const key = entry.task.toString();
+        sessionsByTask.set(key, [...(sessionsByTask.get(key) || []), ...entry.sessionIds]);
+      });
+
+    await Promise.all([...sessionsByTask.entries()].map(([taskId, sessionIds]) =>
+      Task.updateOne(
+        { _id: taskId },
+        {
+          $set: {
+            'timer.sessions.$[session].locked': true,
+            'timer.sessions.$[session].timesheet': approved._id
+          }
+        },
+        { arrayFilters: [{ 'session._id': { $in: sessionIds.map(id => new mongoose.Types.ObjectId(id)) } }] }
+      )
+    ));
+
+    await Promise.all(approved.projectCosts
+      .filter(cost => cost.amount > 0)
+      .map(cost => Project.updateOne({ _id: cost.project }, { $inc: { spent: cost.amount } })));
+
+    for (const cost of approved.projectCosts) {
+      try {
+        await refreshProjectBudget(cost.project);
+      } catch (budgetError) {
+        console.error('Budget check error:', budgetError);
+      }
+    }
+
+    await notifyEmployee(approved.employeeId, {
+      title: 'Timesheet Approved',
+      message: `Your timesheet for the week of ${toDateKey(approved.weekStart)} (${round(approved.totalMinutes / 60)}h) was approved`,
+      type: 'task',
+      metadata: {
+        timesheetId: approved._id,
+        weekStart: approved.weekStart,
+        action: 'timesheet-approved'
+      }
+    });
+
+    console.log(`✅ Timesheet ${approved._id} approved, ${approved.projectCosts.length} project(s) charged`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Timesheet approved',
+      data: approved
+    });
+
+  } catch (error) {
+    console.error('Approve timesheet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Reject a timesheet (employee can edit and resubmit)
+// @route   PUT /api/admin/timesheets/:id/reject
+// @access  Private (Admin)
+exports.rejectTimesheet = async (req, res) => {
+  try {
+    const timesheet = await Timesheet.findById(req.params.id);
+
+    if (!timesheet) {
+      return res.status(404).json({
+        success: false,
+        message: 'Timesheet not found'
+      });
+    }
+
+    if (timesheet.status !== 'submitted') {
+      return res.status(400).json({
+        success: false,
+        message: `Only submitted timesheets can be rejected (this one is ${timesheet.status})`
+      });
+    }
+
+    if (!req.body.adminNotes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please give a reason for rejecting the timesheet'
+      });
+    }
+
+    timesheet.status = 'rejected';
+    timesheet.reviewedBy = req.user._id;
+    timesheet.reviewedAt = new Date();
+    timesheet.adminNotes = req.body.adminNotes;
+    await timesheet.save();
+
+    await notifyEmployee(timesheet.employeeId, {
+      title: 'Timesheet Rejected',
+      message: `Your timesheet for the week of ${toDateKey(timesheet.weekStart)} was rejected: ${timesheet.adminNotes}`,
+      type: 'task',
+      metadata: {
+        timesheetId: timesheet._id,
+        weekStart: timesheet.weekStart,
+        action: 'timesheet-rejected'
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Timesheet rejected',
+      data: timesheet
+    });
+
+  } catch (error) {
+    console.error('Reject timesheet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
@@ -3,6 +3,10 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+
+// Only write lastUsed once per minute per session
+const LAST_USED_INTERVAL = 60 * 1000;
 
 /**
  * Protect routes - Verify JWT token
@@ -30,6 +34,24 @@ const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Refresh tokens are only accepted by /api/auth/refresh
+      if (decoded.type === 'refresh') {
+        return res.status(401).json({
+          success: false,
+          message: 'Not authorized to access this route. Invalid token.'
+        });
+      }
+
+      // Access tokens must belong to a live server-side session
+      const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+
+      if (!session || !session.isActive() || session.userId.toString() !== decoded.id.toString()) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has expired or been revoked. Please login again.'
+        });
+      }
+
       // Find user by ID from token
       req.user = await User.findById(decoded.id).select('-password');
 
@@ -49,6 +71,13 @@ const protect = async (req, res, next) => {
         });
       }
 
+      req.sessionId = session._id;
+
+      if (Date.now() - session.lastUsed.getTime() > LAST_USED_INTERVAL) {
+        Session.updateOne({ _id: session._id }, { lastUsed: new Date() })
+          .catch(err => console.error('Session lastUsed update failed:', err.message));
+      }
+
       next();
     } catch (error) {
       return res.status(401).json({
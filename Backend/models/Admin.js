@@ -133,10 +133,105 @@ const adminSchema = new mongoose.Schema(
         type: String, 
         default: '1.5' 
       },
+      weeklyHours: {
+        type: String,
+        default: '40' // hours per week before weekly overtime starts
+      },
       allowManualCorrection: { 
         type: Boolean, 
         default: true 
       },
+      maxConcurrentBreaks: {
+        type: String,
+        default: '0' // employees on break at once, 0 = no limit
+      },
+    },
+
+    // ============================================
+    // LEAVE POLICY (yearly allowance in working days)
+    // ============================================
+    leavePolicy: {
+      sick: {
+        type: Number,
+        default: 10
+      },
+      casual: {
+        type: Number,
+        default: 10
+      },
+      vacation: {
+        type: Number,
+        default: 14
+      },
+      emergency: {
+        type: Number,
+        default: 3
+      },
+      unpaid: {
+        type: Number,
+        default: 30
+      },
+    },
+
+    // ============================================
+    // PAYROLL SETTINGS
+    // ============================================
+    payrollSettings: {
+      currency: {
+        type: String,
+        default: 'USD'
+      },
+      // Late arrivals per month before penalties apply
+      lateGraceDays: {
+        type: String,
+        default: '3'
+      },
+      // Days of pay deducted per late arrival beyond the grace (e.g. '0.5')
+      latePenaltyDays: {
+        type: String,
+        default: '0'
+      },
+      // Deduct pay for unexcused absences
+      deductAbsences: {
+        type: Boolean,
+        default: true
+      },
+    },
+
+    // ============================================
+    // PROJECT BUDGET SETTINGS
+    // ============================================
+    projectSettings: {
+      // Bill rate for time not covered by a rate card
+      defaultBillRate: {
+        type: String,
+        default: '0'
+      },
+      // Spend (% of budget) that triggers a notification, comma separated
+      budgetAlertThresholds: {
+        type: String,
+        default: '75,90,100'
+      },
+    },
+
+    // ============================================
+    // INVOICE SETTINGS
+    // ============================================
+    invoiceSettings: {
+      // Invoice numbers look like INV-2025-0001
+      prefix: {
+        type: String,
+        default: 'INV'
+      },
+      // Tax (%) for clients without their own rate
+      defaultTaxRate: {
+        type: String,
+        default: '0'
+      },
+      paymentTermsDays: {
+        type: String,
+        default: '30'
+      },
     },
 
     // ============================================
@@ -224,7 +319,31 @@ adminSchema.methods.getFormattedSettings = function() {
       halfDayHours: this.attendanceSettings.halfDayHours,
       fullDayHours: this.attendanceSettings.fullDayHours,
       overtimeRate: this.attendanceSettings.overtimeRate,
+      weeklyHours: this.attendanceSettings.weeklyHours,
       allowManualCorrection: this.attendanceSettings.allowManualCorrection,
+      maxConcurrentBreaks: this.attendanceSettings.maxConcurrentBreaks,
+    },
+    leave: {
+      sick: this.leavePolicy.sick,
+      casual: this.leavePolicy.casual,
+      vacation: this.leavePolicy.vacation,
+      emergency: this.leavePolicy.emergency,
+      unpaid: this.leavePolicy.unpaid,
+    },
+    payroll: {
+      currency: this.payrollSettings.currency,
+      lateGraceDays: this.payrollSettings.lateGraceDays,
+      latePenaltyDays: this.payrollSettings.latePenaltyDays,
+      deductAbsences: this.payrollSettings.deductAbsences,
+    },
+    projects: {
+      defaultBillRate: this.projectSettings.defaultBillRate,
+      budgetAlertThresholds: this.projectSettings.budgetAlertThresholds,
+    },
+    invoices: {
+      prefix: this.invoiceSettings.prefix,
+      defaultTaxRate: this.invoiceSettings.defaultTaxRate,
+      paymentTermsDays: this.invoiceSettings.paymentTermsDays,
     },
     email: {
       notifyNewEmployee: this.emailSettings.notifyNewEmployee,
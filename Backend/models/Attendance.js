@@ -11,6 +11,15 @@ const attendanceSchema = new mongoose.Schema(
       type: Date,
       required: true,
     },
+    // Shift worked (null: no roster, regular working day). `date` is the
+    // day the shift starts, so night shifts stay on one record
+    shift: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Shift",
+      default: null,
+    },
+    scheduledStart: Date,
+    scheduledEnd: Date,
     checkInTime: {
       type: Date,
     },
@@ -34,6 +43,19 @@ const attendanceSchema = new mongoose.Schema(
       longitude: Number,
       accuracy: Number,
     },
+    // Geofence check at check-in
+    checkInGeofence: {
+      decision: {
+        type: String,
+        enum: ["office", "remote", "unrestricted"], // unrestricted: no offices configured
+      },
+      office: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "OfficeLocation",
+      },
+      officeName: String,
+      distance: Number, // meters from the matched (or nearest) office
+    },
     checkInIpAddress: String,
     checkInDeviceInfo: String,
     checkInMethod: {
@@ -121,10 +143,33 @@ const attendanceSchema = new mongoose.Schema(
       type: Number,
       default: 0, // in minutes
     },
+    overtimeHours: {
+      type: Number,
+      default: 0, // hours beyond fullDayHours
+    },
     notes: {
       type: String,
       trim: true,
     },
+    // Set by the end-of-day job
+    autoCheckedOut: {
+      type: Boolean,
+      default: false,
+    },
+    systemGenerated: {
+      type: Boolean,
+      default: false, // absent record created because nobody checked in
+    },
+    flaggedForReview: {
+      type: Boolean,
+      default: false,
+    },
+    reviewNote: String,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: Date,
     // Correction Request (embedded)
     correctionRequest: {
       requestedBy: {
@@ -149,6 +194,11 @@ const attendanceSchema = new mongoose.Schema(
     },
     // Leave Request (embedded)
     leaveRequest: {
+      // Range request this day belongs to
+      requestId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "LeaveRequest",
+      },
       leaveType: {
         type: String,
         enum: ["sick", "casual", "vacation", "emergency", "unpaid"],
@@ -177,10 +227,11 @@ const attendanceSchema = new mongoose.Schema(
   },
 );
 
-// Compound index for employee + date (unique attendance per day)
-attendanceSchema.index({ employeeId: 1, date: 1 }, { unique: true });
+// Compound index for employee + date + shift (unique attendance per shift)
+attendanceSchema.index({ employeeId: 1, date: 1, shift: 1 }, { unique: true });
 attendanceSchema.index({ date: 1 });
 attendanceSchema.index({ status: 1 });
+attendanceSchema.index({ flaggedForReview: 1, date: -1 });
 
 // Calculate working hours on save
 attendanceSchema.pre("save", function (next) {
@@ -190,7 +241,7 @@ attendanceSchema.pre("save", function (next) {
     this.workHours = Math.round(hours * 100) / 100;
 
     // Calculate productive hours (working hours - breaks)
-    this.productiveHours = this.workHours - (this.totalBreakTime / 60);
+    this.productiveHours = Math.round((this.workHours - (this.totalBreakTime / 60)) * 100) / 100;
   }
   next();
 });
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Per-employee or per-department override of the company attendance rules
+// (Admin.workSettings / Admin.attendanceSettings). Empty fields fall back to
+// the next level: employee -> department -> company.
+const attendanceRuleSchema = new mongoose.Schema(
+  {
+    scope: {
+      type: String,
+      enum: ['employee', 'department'],
+      required: [true, 'Please provide rule scope'],
+    },
+    employeeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employee',
+      default: null,
+    },
+    department: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+    startTime: String, // "HH:mm"
+    endTime: String, // "HH:mm"
+    timezone: String, // IANA name, e.g. "Asia/Karachi"
+    lateThreshold: Number, // grace period in minutes
+    halfDayHours: Number,
+    fullDayHours: Number,
+    weeklyHours: Number, // hours per week before weekly overtime
+    overtimeRate: Number,
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+attendanceRuleSchema.index(
+  { employeeId: 1 },
+  { unique: true, partialFilterExpression: { scope: 'employee' } }
+);
+attendanceRuleSchema.index(
+  { department: 1 },
+  { unique: true, partialFilterExpression: { scope: 'department' } }
+);
+
+attendanceRuleSchema.pre('validate', function (next) {
+  if (this.scope === 'employee' && !this.employeeId) {
+    this.invalidate('employeeId', 'Employee rule requires an employee');
+  }
+  if (this.scope === 'department' && !this.department) {
+    this.invalidate('department', 'Department rule requires a department');
+  }
+  next();
+});
+
+module.exports = mongoose.model('AttendanceRule', attendanceRuleSchema);
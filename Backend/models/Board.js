@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Kanban board of a project. Each column shows the tasks of one status;
+// several columns may share a status (e.g. "In Progress" and "Review").
+// A card's column and order live on the task (Task.board).
+const boardSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: true,
+      unique: true,
+    },
+    columns: [
+      {
+        name: {
+          type: String,
+          required: [true, 'Please provide column name'],
+          trim: true,
+        },
+        status: {
+          type: String,
+          enum: ['pending', 'in-progress', 'completed', 'on-hold'],
+          required: [true, 'Please provide the status of the column'],
+        },
+        // Max cards in the column, 0 = no limit
+        wipLimit: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+      },
+    ],
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model('Board', boardSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Company-wide break slots for the concurrent break cap. Slot numbers are
+// unique, so at most maxConcurrentBreaks records can hold one at a time;
+// a slot is free again once its attendance record has no open break.
+const breakSlotSchema = new mongoose.Schema(
+  {
+    slot: {
+      type: Number,
+      required: true,
+      unique: true,
+    },
+    attendance: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Attendance',
+      default: null,
+    },
+    claimedAt: Date,
+  }
+);
+
+breakSlotSchema.index({ attendance: 1 });
+
+module.exports = mongoose.model('BreakSlot', breakSlotSchema);
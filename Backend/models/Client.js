@@ -74,6 +74,9 @@ const clientSchema = new mongoose.Schema(
       taxId: String,
       gstNumber: String,
       panNumber: String,
+      // Sales tax / GST charged on invoices (%); company default when unset
+      taxRate: { type: Number, min: 0, max: 100, default: null },
+      taxExempt: { type: Boolean, default: false },
     },
     projects: [
       {
@@ -93,6 +96,7 @@ const clientSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Sum of paid invoices (kept in sync by invoiceHelper)
     totalRevenue: {
       type: Number,
       default: 0,
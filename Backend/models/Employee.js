@@ -54,6 +54,17 @@ const employeeSchema = new mongoose.Schema(
         "Management",
       ],
     },
+    // Office/city the employee works from (used for location-specific holidays)
+    workLocation: {
+      type: String,
+      default: "",
+    },
+    // Check-ins outside every office geofence are accepted as remote
+    // instead of rejected
+    allowRemoteCheckIn: {
+      type: Boolean,
+      default: false,
+    },
     status: {
       // ADD THIS - for active/inactive
       type: String,
@@ -148,6 +159,7 @@ const employeeSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    deactivatedAt: Date, // payroll still pays the days worked before this
   },
   {
     timestamps: true,
@@ -175,6 +187,10 @@ employeeSchema.pre('save', function(next) {
   } else if (this.status === 'active') {
     this.isActive = true;
   }
+
+  if (this.isModified('isActive')) {
+    this.deactivatedAt = this.isActive ? undefined : (this.deactivatedAt || new Date());
+  }
   
   next();
 });
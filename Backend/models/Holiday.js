@@ -0,0 +1,76 @@
+const mongoose = require("mongoose");
+
+const holidaySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Please provide holiday name"],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    // First day (start of the PKT day, like Attendance.date)
+    date: {
+      type: Date,
+      required: [true, "Please provide holiday date"],
+    },
+    // Last day for multi-day holidays (inclusive). Defaults to `date`
+    endDate: {
+      type: Date,
+    },
+    type: {
+      type: String,
+      enum: ["public", "company", "optional"],
+      default: "public",
+    },
+    // Repeats on the same month/day every year
+    isRecurring: {
+      type: Boolean,
+      default: false,
+    },
+    // Empty = applies to every location / department
+    locations: {
+      type: [String],
+      default: [],
+    },
+    departments: {
+      type: [String],
+      default: [],
+    },
+    source: {
+      type: String,
+      enum: ["manual", "ical"],
+      default: "manual",
+    },
+    // UID of the imported VEVENT, used to avoid duplicates on re-import
+    icalUid: {
+      type: String,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+holidaySchema.index({ date: 1 });
+holidaySchema.index({ isRecurring: 1 });
+holidaySchema.index({ icalUid: 1 }, { sparse: true });
+
+holidaySchema.pre("save", function (next) {
+  if (!this.endDate || this.endDate < this.date) {
+    this.endDate = this.date;
+  }
+  next();
+});
+
+module.exports = mongoose.model("Holiday", holidaySchema);
@@ -0,0 +1,171 @@
+const mongoose = require("mongoose");
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const itemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: [true, "Please provide item description"],
+    trim: true,
+  },
+  source: {
+    type: String,
+    enum: ["milestone", "hours", "fixed"],
+    default: "fixed",
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: 0,
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  amount: Number,
+  milestoneId: mongoose.Schema.Types.ObjectId,
+  employeeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Employee",
+  },
+});
+
+const paymentSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01,
+  },
+  paidAt: {
+    type: Date,
+    default: Date.now,
+  },
+  method: {
+    type: String,
+    enum: ["Bank Transfer", "Cash", "Card", "Cheque", "Other"],
+    default: "Bank Transfer",
+  },
+  reference: String,
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+});
+
+// Client invoice for a project. Drafts have no number; sending takes the
+// next number of the year's sequence. Milestones and timesheet entries
+// billed here point back to the invoice until it is voided.
+const invoiceSchema = new mongoose.Schema(
+  {
+    invoiceNumber: {
+      type: String,
+      default: undefined,
+    },
+    client: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Client",
+      required: true,
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["draft", "sent", "paid", "overdue", "void"],
+      default: "draft",
+    },
+    currency: {
+      type: String,
+      default: "USD",
+    },
+    issueDate: Date,
+    dueDate: Date,
+    // Client details at the time of invoicing
+    billTo: {
+      companyName: String,
+      email: String,
+      address: String,
+      taxId: String,
+      gstNumber: String,
+    },
+    items: [itemSchema],
+    // Approved timesheet entries billed by the "hours" items
+    billedEntries: [
+      {
+        timesheet: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Timesheet",
+        },
+        entry: mongoose.Schema.Types.ObjectId,
+        _id: false,
+      },
+    ],
+    taxLabel: {
+      type: String,
+      default: "Tax",
+    },
+    taxRate: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100,
+    },
+    subtotal: {
+      type: Number,
+      default: 0,
+    },
+    taxAmount: {
+      type: Number,
+      default: 0,
+    },
+    total: {
+      type: Number,
+      default: 0,
+    },
+    payments: [paymentSchema],
+    amountPaid: {
+      type: Number,
+      default: 0,
+    },
+    balanceDue: {
+      type: Number,
+      default: 0,
+    },
+    notes: String,
+    sentAt: Date,
+    paidAt: Date,
+    voidedAt: Date,
+    voidReason: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+invoiceSchema.index(
+  { invoiceNumber: 1 },
+  { unique: true, partialFilterExpression: { invoiceNumber: { $type: "string" } } }
+);
+invoiceSchema.index({ client: 1, status: 1 });
+invoiceSchema.index({ status: 1, dueDate: 1 });
+
+invoiceSchema.pre("save", function (next) {
+  this.items.forEach((item) => {
+    item.amount = round(item.quantity * item.unitPrice);
+  });
+  this.subtotal = round(this.items.reduce((sum, item) => sum + item.amount, 0));
+  this.taxAmount = round(this.subtotal * this.taxRate / 100);
+  this.total = round(this.subtotal + this.taxAmount);
+  this.amountPaid = round(this.payments.reduce((sum, payment) => sum + payment.amount, 0));
+  this.balanceDue = round(Math.max(0, this.total - this.amountPaid));
+  next();
+});
+
+module.exports = mongoose.model("Invoice", invoiceSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One document per completed unit of background work (e.g. one closed day),
+// so scheduled jobs stay idempotent across restarts and multiple instances
+const jobRunSchema = new mongoose.Schema(
+  {
+    job: {
+      type: String,
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+    completedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    result: {
+      type: Object,
+      default: {},
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+jobRunSchema.index({ job: 1, key: 1 }, { unique: true });
+
+jobRunSchema.statics.isDone = async function (job, key) {
+  return Boolean(await this.exists({ job, key }));
+};
+
+// Returns false when another run already recorded this key
+jobRunSchema.statics.markDone = async function (job, key, result = {}) {
+  try {
+    await this.create({ job, key, result });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
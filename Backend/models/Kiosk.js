@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Check-in display bound to an office. It shows a QR code that rotates
+// every `rotationSeconds`; bumping tokenVersion or revoking the kiosk
+// invalidates every code it has shown.
+const kioskSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please provide kiosk name'],
+      trim: true,
+    },
+    office: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'OfficeLocation',
+      required: [true, 'Please provide office location'],
+    },
+    rotationSeconds: {
+      type: Number,
+      default: 30,
+      min: 10,
+      max: 300,
+    },
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    revokedAt: Date,
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    lastIssuedAt: Date,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model('Kiosk', kioskSchema);
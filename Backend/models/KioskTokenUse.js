@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Used QR tokens. A code is redeemed once per employee (colleagues queueing
+// at a kiosk scan the same code); entries expire with the token itself.
+const kioskTokenUseSchema = new mongoose.Schema(
+  {
+    jti: {
+      type: String,
+      required: true,
+    },
+    kiosk: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Kiosk',
+      required: true,
+    },
+    employeeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employee',
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  }
+);
+
+kioskTokenUseSchema.index({ jti: 1, employeeId: 1 }, { unique: true });
+kioskTokenUseSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('KioskTokenUse', kioskTokenUseSchema);
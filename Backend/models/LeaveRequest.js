@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+const leaveRequestSchema = new mongoose.Schema(
+  {
+    employeeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Employee",
+      required: true,
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    leaveType: {
+      type: String,
+      enum: ["sick", "casual", "vacation", "emergency", "unpaid"],
+      required: true,
+    },
+    startDate: {
+      type: Date,
+      required: true,
+    },
+    endDate: {
+      type: Date,
+      required: true,
+    },
+    // Working days covered by the request (weekends and holidays excluded)
+    dates: [Date],
+    totalDays: {
+      type: Number,
+      required: true,
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected", "cancelled"],
+      default: "pending",
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: Date,
+    adminNotes: String,
+  },
+  {
+    timestamps: true,
+  },
+);
+
+leaveRequestSchema.index({ employeeId: 1, status: 1 });
+leaveRequestSchema.index({ employeeId: 1, dates: 1 });
+leaveRequestSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("LeaveRequest", leaveRequestSchema);
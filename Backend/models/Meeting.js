@@ -1,5 +1,33 @@
 const mongoose = require('mongoose');
 
+const PARTICIPANT_STATUSES = ['Invited', 'Accepted', 'Declined', 'Tentative', 'Attended', 'Absent'];
+const ACTION_ITEM_STATUSES = ['Pending', 'In Progress', 'Completed'];
+
+// Action items keep their _id across versions of the minutes
+const actionItemFields = {
+  description: String,
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  dueDate: Date,
+  status: {
+    type: String,
+    enum: ACTION_ITEM_STATUSES,
+    default: 'Pending',
+  },
+  // Set when the item was promoted to a task; the task's status wins then
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+  },
+  promotedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  promotedAt: Date,
+};
+
 const meetingSchema = new mongoose.Schema(
   {
     meetingId: {
@@ -36,7 +64,7 @@ const meetingSchema = new mongoose.Schema(
         role: String, // Role in meeting
         status: {
           type: String,
-          enum: ['Invited', 'Accepted', 'Declined', 'Tentative', 'Attended', 'Absent'],
+          enum: PARTICIPANT_STATUSES,
           default: 'Invited',
         },
         joinedAt: Date,
@@ -71,29 +99,42 @@ const meetingSchema = new mongoose.Schema(
       type: String,
     },
     minutes: {
+      version: Number, // 1 for the first recording, bumped on every edit
       discussion: String,
       decisions: [String],
-      actionItems: [
+      actionItems: [actionItemFields],
+      recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      recordedAt: Date,
+      // Participants' sign-off, each on the version they read
+      acknowledgements: [
         {
-          description: String,
-          assignedTo: {
+          user: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User',
           },
-          dueDate: Date,
-          status: {
-            type: String,
-            enum: ['Pending', 'In Progress', 'Completed'],
-            default: 'Pending',
-          },
+          version: Number,
+          comment: String,
+          acknowledgedAt: { type: Date, default: Date.now },
         },
       ],
-      recordedBy: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
-      },
-      recordedAt: Date,
     },
+    // Earlier versions of the minutes, oldest first
+    minutesHistory: [
+      {
+        version: Number,
+        discussion: String,
+        decisions: [String],
+        actionItems: [actionItemFields],
+        recordedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        recordedAt: Date,
+      },
+    ],
     attachments: [
       {
         name: String,
@@ -110,6 +151,11 @@ const meetingSchema = new mongoose.Schema(
       enum: ['Scheduled', 'In Progress', 'Completed', 'Cancelled', 'Rescheduled'],
       default: 'Scheduled',
     },
+    // iCalendar revision, bumped on every change sent to participants
+    sequence: {
+      type: Number,
+      default: 0,
+    },
     reminder: {
       sent: { type: Boolean, default: false },
       sentAt: Date,
@@ -125,6 +171,29 @@ const meetingSchema = new mongoose.Schema(
       },
       endDate: Date,
     },
+    // Set on an occurrence of a recurring meeting that was changed or
+    // cancelled on its own (see utils/meetingRecurrenceHelper.js)
+    series: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Meeting',
+      default: null,
+    },
+    occurrenceStart: Date, // Original start of that occurrence
+    // Participant answers for single occurrences of a recurring meeting
+    occurrenceResponses: [
+      {
+        occurrenceStart: Date,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        status: {
+          type: String,
+          enum: PARTICIPANT_STATUSES,
+        },
+        respondedAt: Date,
+      },
+    ],
   },
   {
     timestamps: true,
@@ -135,5 +204,10 @@ const meetingSchema = new mongoose.Schema(
 meetingSchema.index({ organizer: 1 });
 meetingSchema.index({ startTime: 1 });
 meetingSchema.index({ status: 1 });
+meetingSchema.index({ 'minutes.actionItems.assignedTo': 1 });
+meetingSchema.index(
+  { series: 1, occurrenceStart: 1 },
+  { unique: true, partialFilterExpression: { series: { $type: 'objectId' } } }
+);
 
 module.exports = mongoose.model('Meeting', meetingSchema);
\ No newline at end of file
@@ -20,19 +20,61 @@ const notificationSchema = new mongoose.Schema({
     required: true,
     enum: ['admin', 'employee', 'client']
   },
+  // Target user. When null the notification is a role-wide broadcast
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   metadata: {
     type: Object,
     default: {}
   },
-  isRead: {
-    type: Boolean,
-    default: false
-  }
+  // Per-user read state (one admin reading a broadcast must not clear it for the others)
+  readBy: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  ],
+  // Users who removed a broadcast from their own list
+  dismissedBy: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  ]
 }, {
   timestamps: true
 });
 
 notificationSchema.index({ role: 1, createdAt: -1 });
-notificationSchema.index({ isRead: 1 });
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+
+// ============================================
+// STATICS & METHODS
+// ============================================
+
+// Query filter for the notifications a user is allowed to see
+notificationSchema.statics.visibleTo = function (user) {
+  return {
+    $or: [
+      { recipient: user._id },
+      { recipient: null, role: user.role }
+    ],
+    dismissedBy: { $ne: user._id }
+  };
+};
+
+// Serialize with the read flag resolved for a single user
+notificationSchema.methods.toRecipientJSON = function (userId) {
+  const notification = this.toObject();
+  notification.isRead = (this.readBy || []).some(
+    id => id.toString() === userId.toString()
+  );
+  delete notification.readBy;
+  delete notification.dismissedBy;
+  return notification;
+};
 
-module.exports = mongoose.model('Notification', notificationSchema);
\ No newline at end of file
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Office with a circular geofence used to validate check-in coordinates
+const officeLocationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please provide office name'],
+      trim: true,
+    },
+    address: {
+      type: String,
+      trim: true,
+    },
+    latitude: {
+      type: Number,
+      required: [true, 'Please provide latitude'],
+      min: -90,
+      max: 90,
+    },
+    longitude: {
+      type: Number,
+      required: [true, 'Please provide longitude'],
+      min: -180,
+      max: 180,
+    },
+    // Geofence radius in meters
+    radius: {
+      type: Number,
+      default: 200,
+      min: 10,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model('OfficeLocation', officeLocationSchema);
@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+
+// Overtime an employee claims for a day or a week. Hours can't exceed what
+// attendance shows; the rate is captured at approval so later rule changes
+// don't alter paid overtime.
+const overtimeRequestSchema = new mongoose.Schema(
+  {
+    employeeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Employee",
+      required: true,
+    },
+    period: {
+      type: String,
+      enum: ["day", "week"],
+      default: "day",
+    },
+    // The day claimed, or the Monday of the week claimed
+    date: {
+      type: Date,
+      required: true,
+    },
+    weekStart: {
+      type: Date,
+      required: true,
+    },
+    hours: {
+      type: Number,
+      required: [true, "Please provide overtime hours"],
+      min: 0.25,
+    },
+    // Overtime attendance showed for the period when the request was made
+    computedHours: {
+      type: Number,
+      default: 0,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected", "cancelled"],
+      default: "pending",
+    },
+    approvedHours: {
+      type: Number,
+      default: 0,
+    },
+    rate: Number, // overtime multiplier at approval
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: Date,
+    adminNotes: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+overtimeRequestSchema.index({ employeeId: 1, weekStart: 1 });
+overtimeRequestSchema.index({ status: 1, date: 1 });
+
+module.exports = mongoose.model("OvertimeRequest", overtimeRequestSchema);
@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+
+// Recurring allowance or deduction applied to payslips, for everyone, a
+// department or one employee. Percentages are of the base salary.
+const payrollComponentSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Please provide component name"],
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: ["allowance", "deduction"],
+      required: [true, "Please provide component type"],
+    },
+    calculation: {
+      type: String,
+      enum: ["fixed", "percentage"],
+      default: "fixed",
+    },
+    amount: {
+      type: Number,
+      required: [true, "Please provide amount"],
+      min: 0,
+    },
+    scope: {
+      type: String,
+      enum: ["all", "department", "employee"],
+      default: "all",
+    },
+    department: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    employeeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Employee",
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+payrollComponentSchema.pre("validate", function (next) {
+  if (this.scope === "department" && !this.department) {
+    this.invalidate("department", "Department component requires a department");
+  }
+  if (this.scope === "employee" && !this.employeeId) {
+    this.invalidate("employeeId", "Employee component requires an employee");
+  }
+  if (this.calculation === "percentage" && this.amount > 100) {
+    this.invalidate("amount", "Percentage cannot exceed 100");
+  }
+  next();
+});
+
+module.exports = mongoose.model("PayrollComponent", payrollComponentSchema);
@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+// One payroll per month. Draft runs can be regenerated and adjusted;
+// locking freezes the payslips and publishes them to employees; paid
+// records the bank transfer.
+const payrollRunSchema = new mongoose.Schema(
+  {
+    month: {
+      type: Number, // 1-12
+      required: true,
+      min: 1,
+      max: 12,
+    },
+    year: {
+      type: Number,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["draft", "locked", "paid"],
+      default: "draft",
+    },
+    periodStart: {
+      type: Date,
+      required: true,
+    },
+    periodEnd: {
+      type: Date,
+      required: true,
+    },
+    currency: {
+      type: String,
+      default: "USD",
+    },
+    totals: {
+      employees: { type: Number, default: 0 },
+      gross: { type: Number, default: 0 },
+      deductions: { type: Number, default: 0 },
+      net: { type: Number, default: 0 },
+    },
+    notes: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    generatedAt: Date,
+    // Set while payslips are being calculated; the run can't be locked then
+    generatingAt: Date,
+    lockedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    lockedAt: Date,
+    paidBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    paidAt: Date,
+    paymentReference: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+payrollRunSchema.index({ year: 1, month: 1 }, { unique: true });
+
+module.exports = mongoose.model("PayrollRun", payrollRunSchema);
@@ -0,0 +1,76 @@
+const mongoose = require("mongoose");
+
+const lineSchema = new mongoose.Schema(
+  {
+    label: { type: String, required: true },
+    // base, overtime, allowance | unpaid-leave, absence, late, deduction
+    kind: { type: String, required: true },
+    amount: { type: Number, required: true },
+    // Manual adjustments survive regeneration of a draft run
+    manual: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+// Pay of one employee in a payroll run. Employee and bank details are
+// copied so the payslip stays as it was paid.
+const payslipSchema = new mongoose.Schema(
+  {
+    payrollRun: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PayrollRun",
+      required: true,
+    },
+    employeeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Employee",
+      required: true,
+    },
+    month: Number,
+    year: Number,
+    employee: {
+      name: String,
+      employeeId: String,
+      email: String,
+      department: String,
+      designation: String,
+    },
+    bankDetails: {
+      accountNumber: String,
+      bankName: String,
+      ifscCode: String,
+      accountHolderName: String,
+    },
+    currency: String,
+    baseSalary: { type: Number, default: 0 },
+    workingDays: { type: Number, default: 0 },
+    employedDays: { type: Number, default: 0 },
+    unpaidLeaveDays: { type: Number, default: 0 },
+    absentDays: { type: Number, default: 0 },
+    halfDays: { type: Number, default: 0 },
+    lateDays: { type: Number, default: 0 },
+    overtimeHours: { type: Number, default: 0 },
+    earnings: [lineSchema],
+    deductions: [lineSchema],
+    grossPay: { type: Number, default: 0 },
+    totalDeductions: { type: Number, default: 0 },
+    netPay: { type: Number, default: 0 },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+payslipSchema.index({ payrollRun: 1, employeeId: 1 }, { unique: true });
+payslipSchema.index({ employeeId: 1, year: -1, month: -1 });
+
+// Totals from the lines. Net pay never goes below zero
+payslipSchema.pre("save", function (next) {
+  const sum = (lines) => Math.round(lines.reduce((total, line) => total + line.amount, 0) * 100) / 100;
+  this.grossPay = sum(this.earnings);
+  this.totalDeductions = sum(this.deductions);
+  this.netPay = Math.max(0, Math.round((this.grossPay - this.totalDeductions) * 100) / 100);
+  next();
+});
+
+module.exports = mongoose.model("Payslip", payslipSchema);
@@ -69,17 +69,37 @@ const projectSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    // Booked cost: approved timesheet hours at their cost rate
     spent: {
       type: Number,
       default: 0,
       min: 0,
     },
+    // Whether tracked time is billed to the client
+    billable: {
+      type: Boolean,
+      default: true,
+    },
+    // Budget thresholds (%) already notified, so each fires once
+    budgetAlertsSent: [Number],
     progress: {
       type: Number,
       min: 0,
       max: 100,
       default: 0,
     },
+    // Rolled up from tasks (see utils/taskProgressHelper.js)
+    progressTracking: {
+      totalTasks: { type: Number, default: 0 },
+      completedTasks: { type: Number, default: 0 },
+      tasksInProgress: { type: Number, default: 0 },
+      pendingTasks: { type: Number, default: 0 },
+      totalSubtasks: { type: Number, default: 0 },
+      completedSubtasks: { type: Number, default: 0 },
+      totalMilestones: { type: Number, default: 0 },
+      completedMilestones: { type: Number, default: 0 },
+      lastUpdated: { type: Date, default: Date.now }
+    },
     assignedTeam: [
       {
         type: mongoose.Schema.Types.ObjectId,
@@ -102,6 +122,17 @@ const projectSchema = new mongoose.Schema(
           ref: 'Client',
         },
         approvedAt: Date,
+        // Billed on approval
+        amount: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        invoice: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Invoice',
+          default: null,
+        },
       },
     ],
     deliverables: [
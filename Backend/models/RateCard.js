@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+// Hourly cost and bill rates for tracked project time. An employee's own
+// card wins over the card of the role they hold on the project team.
+const rateCardSchema = new mongoose.Schema(
+  {
+    scope: {
+      type: String,
+      enum: ["role", "employee"],
+      required: [true, "Please provide rate card scope"],
+    },
+    // Project team role (see Project.team.role)
+    role: {
+      type: String,
+      enum: ["Developer", "Designer", "Tester", "Team Lead", "Other", null],
+      default: null,
+    },
+    employeeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Employee",
+      default: null,
+    },
+    // What an hour costs the company
+    costRate: {
+      type: Number,
+      required: [true, "Please provide cost rate"],
+      min: 0,
+    },
+    // What an hour is billed to the client
+    billRate: {
+      type: Number,
+      required: [true, "Please provide bill rate"],
+      min: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+rateCardSchema.index(
+  { role: 1 },
+  { unique: true, partialFilterExpression: { scope: "role", isActive: true } }
+);
+rateCardSchema.index(
+  { employeeId: 1 },
+  { unique: true, partialFilterExpression: { scope: "employee", isActive: true } }
+);
+
+rateCardSchema.pre("validate", function (next) {
+  if (this.scope === "role" && !this.role) {
+    this.invalidate("role", "Role rate card requires a role");
+  }
+  if (this.scope === "employee" && !this.employeeId) {
+    this.invalidate("employeeId", "Employee rate card requires an employee");
+  }
+  next();
+});
+
+module.exports = mongoose.model("RateCard", rateCardSchema);
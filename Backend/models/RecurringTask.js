@@ -0,0 +1,135 @@
+const mongoose = require("mongoose");
+
+// Template for a task that repeats on a schedule. The recurring task job
+// creates one Task per occurrence, `leadDays` before it is due.
+const recurringTaskSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, "Please provide task title"],
+      trim: true,
+    },
+    description: {
+      type: String,
+      required: [true, "Please provide task description"],
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: [true, "Please provide project"],
+    },
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Employee",
+      required: [true, "Please assign this task to an employee"],
+    },
+    priority: {
+      type: String,
+      enum: ["low", "medium", "high", "urgent"],
+      default: "medium",
+    },
+    estimatedHours: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Copied into each task's checklist
+    checklist: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    schedule: {
+      frequency: {
+        type: String,
+        enum: ["daily", "weekly", "monthly"],
+        required: [true, "Please provide schedule frequency"],
+      },
+      // Every N days / weeks / months
+      interval: {
+        type: Number,
+        default: 1,
+        min: [1, "Interval must be at least 1"],
+      },
+      // Weekly: 0 = Sunday ... 6 = Saturday
+      daysOfWeek: [
+        {
+          type: Number,
+          min: 0,
+          max: 6,
+        },
+      ],
+      // Monthly: 1-31, or -1 for the last day. Days past the end of a
+      // short month fall on its last day
+      dayOfMonth: {
+        type: Number,
+        min: -1,
+        max: 31,
+      },
+    },
+    // First and last day an occurrence may fall on (PKT days)
+    startDate: {
+      type: Date,
+      required: [true, "Please provide start date"],
+    },
+    endDate: {
+      type: Date,
+      default: null,
+    },
+    // How many days before its due date an occurrence is created
+    leadDays: {
+      type: Number,
+      default: 7,
+      min: 0,
+      max: 90,
+    },
+    // Occurrences on holidays are always skipped; this also skips weekends
+    skipWeekends: {
+      type: Boolean,
+      default: true,
+    },
+    // Last day already materialized, so deleted tasks are not recreated
+    generatedThrough: {
+      type: Date,
+      default: null,
+    },
+    lastGeneratedAt: Date,
+    generatedCount: {
+      type: Number,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+recurringTaskSchema.pre("validate", function (next) {
+  const { frequency, daysOfWeek, dayOfMonth } = this.schedule || {};
+
+  if (frequency === "weekly" && (!daysOfWeek || daysOfWeek.length === 0)) {
+    this.invalidate("schedule.daysOfWeek", "Please pick at least one day of the week");
+  }
+  if (frequency === "monthly" && (!dayOfMonth || dayOfMonth === 0)) {
+    this.invalidate("schedule.dayOfMonth", "Please provide day of month (1-31, or -1 for the last day)");
+  }
+  if (this.endDate && this.startDate && this.endDate < this.startDate) {
+    this.invalidate("endDate", "End date must be after start date");
+  }
+  next();
+});
+
+recurringTaskSchema.index({ isActive: 1 });
+recurringTaskSchema.index({ project: 1 });
+recurringTaskSchema.index({ assignedTo: 1 });
+
+module.exports = mongoose.model("RecurringTask", recurringTaskSchema);
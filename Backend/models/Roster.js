@@ -0,0 +1,94 @@
+const mongoose = require("mongoose");
+const { DAY_NAMES } = require("../utils/workCalendar");
+
+const rosterDaySchema = new mongoose.Schema(
+  {
+    day: {
+      type: String,
+      enum: DAY_NAMES,
+      required: true,
+    },
+    // null: scheduled day off
+    shift: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Shift",
+      default: null,
+    },
+  },
+  { _id: false },
+);
+
+// Weekly roster for an employee or a whole department. Several weeks make a
+// rotation that repeats from effectiveFrom (week 1, week 2, ..., week 1).
+// Days missing from a week fall back to the normal working calendar.
+const rosterSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Please provide roster name"],
+      trim: true,
+    },
+    assigneeType: {
+      type: String,
+      enum: ["employee", "department"],
+      required: true,
+    },
+    employeeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Employee",
+      default: null,
+    },
+    department: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    weeks: [
+      {
+        _id: false,
+        days: [rosterDaySchema],
+      },
+    ],
+    effectiveFrom: {
+      type: Date,
+      required: true,
+    },
+    // null: open ended
+    effectiveTo: {
+      type: Date,
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+rosterSchema.index({ assigneeType: 1, employeeId: 1, effectiveFrom: -1 });
+rosterSchema.index({ assigneeType: 1, department: 1, effectiveFrom: -1 });
+
+rosterSchema.pre("validate", function (next) {
+  if (this.assigneeType === "employee" && !this.employeeId) {
+    this.invalidate("employeeId", "Employee roster requires an employee");
+  }
+  if (this.assigneeType === "department" && !this.department) {
+    this.invalidate("department", "Department roster requires a department");
+  }
+  if (!this.weeks || this.weeks.length === 0) {
+    this.invalidate("weeks", "Roster needs at least one week");
+  }
+  if (this.effectiveTo && this.effectiveTo < this.effectiveFrom) {
+    this.invalidate("effectiveTo", "End date cannot be before start date");
+  }
+  next();
+});
+
+module.exports = mongoose.model("Roster", rosterSchema);
@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+// Named counters for document numbers (e.g. "invoice-2025") and for
+// serializing claims (e.g. "overtime-<employee>-<week>")
+const sequenceSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    value: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Atomically take the next number of a sequence
+ * @param {string} key - Sequence name
+ * @returns {number} - 1 for a new sequence
+ */
+sequenceSchema.statics.next = async function (key) {
+  const sequence = await this.findOneAndUpdate(
+    { key },
+    { $inc: { value: 1 } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  return sequence.value;
+};
+
+module.exports = mongoose.model("Sequence", sequenceSchema);
@@ -0,0 +1,80 @@
+// backend/models/Session.js
+// Server-side refresh session (one per logged-in device)
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'employee', 'client'],
+    required: true
+  },
+  // jti of the only refresh token that may currently be exchanged
+  currentTokenId: {
+    type: String,
+    required: true
+  },
+  // Already rotated jtis - presenting one of these again means the token leaked
+  previousTokenIds: [String],
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsed: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout-all', 'admin', 'reuse-detected', 'password-change', 'account-deactivated', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Let MongoDB purge sessions once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ============================================
+// METHODS
+// ============================================
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+sessionSchema.methods.revoke = function (reason, revokedBy = null) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  this.revokedBy = revokedBy;
+  return this.save();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+
+// A named working window, e.g. Morning 06:00-14:00 or Night 22:00-06:00.
+// A shift belongs to the day it starts on; an end time at or before the
+// start time means the shift ends the next day.
+const shiftSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Please provide shift name"],
+      trim: true,
+    },
+    code: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    startTime: {
+      type: String, // "HH:mm"
+      required: [true, "Please provide start time"],
+    },
+    endTime: {
+      type: String, // "HH:mm"
+      required: [true, "Please provide end time"],
+    },
+    // Empty: company timezone (workSettings.timezone)
+    timezone: String,
+    // Minutes before the start when check-in is attributed to this shift
+    checkInWindow: {
+      type: Number,
+      default: 120,
+    },
+    color: {
+      type: String,
+      default: "#3B82F6",
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+shiftSchema.virtual("crossesMidnight").get(function () {
+  return Boolean(this.startTime && this.endTime && this.endTime <= this.startTime);
+});
+
+module.exports = mongoose.model("Shift", shiftSchema);
@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+// Two employees exchange their schedules for one day. The shifts are
+// captured when the request is made; approval fails if the schedule has
+// changed since.
+const shiftSwapSchema = new mongoose.Schema(
+  {
+    requesterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Employee",
+      required: true,
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Employee",
+      required: true,
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    date: {
+      type: Date,
+      required: true,
+    },
+    // Shifts before the swap (null: day off)
+    requesterShift: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Shift",
+      default: null,
+    },
+    targetShift: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Shift",
+      default: null,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected", "cancelled"],
+      default: "pending",
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: Date,
+    adminNotes: String,
+  },
+  {
+    timestamps: true,
+  },
+);
+
+shiftSwapSchema.index({ status: 1, date: 1 });
+shiftSwapSchema.index({ requesterId: 1, date: 1 });
+shiftSwapSchema.index({ targetId: 1, date: 1 });
+
+module.exports = mongoose.model("ShiftSwap", shiftSwapSchema);
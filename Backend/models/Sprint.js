@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Iteration of a project. Its scope is the tasks whose Task.sprint points
+// here; scope changes are kept in TaskHistory for the burndown.
+const sprintSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Please provide sprint name'],
+      trim: true,
+    },
+    goal: {
+      type: String,
+      default: '',
+    },
+    // PKT days, both inclusive
+    startDate: {
+      type: Date,
+      required: [true, 'Please provide start date'],
+    },
+    endDate: {
+      type: Date,
+      required: [true, 'Please provide end date'],
+    },
+    // Team hours available in the sprint
+    capacityHours: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    status: {
+      type: String,
+      enum: ['planned', 'active', 'completed'],
+      default: 'planned',
+    },
+    // Scope when the sprint was started
+    committed: {
+      tasks: { type: Number, default: 0 },
+      hours: { type: Number, default: 0 },
+    },
+    startedAt: Date,
+    completedAt: Date,
+    // Outcome when the sprint was completed
+    summary: {
+      completedTasks: { type: Number, default: 0 },
+      completedHours: { type: Number, default: 0 },
+      carriedOver: { type: Number, default: 0 },
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sprintSchema.pre('validate', function (next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must be after start date');
+  }
+  next();
+});
+
+sprintSchema.index({ project: 1, startDate: -1 });
+// One running sprint per project
+sprintSchema.index(
+  { project: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' }, name: 'one_active_sprint_per_project' }
+);
+
+module.exports = mongoose.model('Sprint', sprintSchema);
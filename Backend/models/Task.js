@@ -21,6 +21,12 @@ const taskSchema = new mongoose.Schema(
       ref: 'Project',
       required: false, // ✅ Made optional
     },
+    // Set on subtasks; subtasks share the parent's project
+    parentTask: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      default: null,
+    },
     assignedTo: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Employee',
@@ -69,9 +75,98 @@ const taskSchema = new mongoose.Schema(
           startTime: Date,
           endTime: Date,
           duration: Number,
+          // Who ran the timer (the task may be reassigned later)
+          employee: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Employee',
+          },
+          // Set when the session's timesheet is approved
+          locked: { type: Boolean, default: false },
+          timesheet: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Timesheet',
+          },
         },
       ],
     },
+    checklist: [
+      {
+        text: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        done: { type: Boolean, default: false },
+        doneBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        doneAt: Date,
+      },
+    ],
+    // 0-100, rolled up from subtasks and the checklist (taskProgressHelper)
+    progress: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0,
+    },
+    sprint: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sprint',
+      default: null,
+    },
+    // Kanban position (see utils/boardHelper.js)
+    board: {
+      column: mongoose.Schema.Types.ObjectId,
+      rank: Number,
+    },
+    // Set on tasks created from a recurring task template
+    recurrence: {
+      template: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RecurringTask',
+      },
+      occurrence: Date,
+    },
+    // Set on tasks promoted from a meeting's action item
+    meetingAction: {
+      meeting: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Meeting',
+      },
+      actionItem: mongoose.Schema.Types.ObjectId,
+    },
+    // Predecessors: this task cannot start before they are completed
+    dependencies: [
+      {
+        task: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Task',
+          required: true,
+        },
+        type: {
+          type: String,
+          enum: ['finish-to-start'],
+          default: 'finish-to-start',
+        },
+        addedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        addedAt: { type: Date, default: Date.now },
+      },
+    ],
+    // Lets the task start while predecessors are still open
+    dependencyOverride: {
+      active: { type: Boolean, default: false },
+      reason: String,
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      at: Date,
+    },
     tags: {
       type: [String],
       default: [],
@@ -117,6 +212,19 @@ taskSchema.index({ assignedTo: 1 });
 taskSchema.index({ project: 1 });
 taskSchema.index({ status: 1 });
 taskSchema.index({ dueDate: 1 });
+taskSchema.index({ 'dependencies.task': 1 });
+taskSchema.index({ parentTask: 1 });
+taskSchema.index({ sprint: 1 });
+// One task per template occurrence, even when two job runs overlap
+taskSchema.index(
+  { 'recurrence.template': 1, 'recurrence.occurrence': 1 },
+  { unique: true, partialFilterExpression: { 'recurrence.template': { $exists: true } } }
+);
+// One task per action item, even when it is promoted twice at once
+taskSchema.index(
+  { 'meetingAction.actionItem': 1 },
+  { unique: true, partialFilterExpression: { 'meetingAction.actionItem': { $exists: true } } }
+);
 
 // Stop timer method
 taskSchema.methods.stopTimer = function () {
@@ -128,6 +236,7 @@ taskSchema.methods.stopTimer = function () {
       startTime: this.timer.startTime,
       endTime: endTime,
       duration: duration,
+      employee: this.assignedTo?._id || this.assignedTo,
     });
     
     this.timer.totalTime += duration;
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// One entry per change of a tracked task field (see utils/taskHistoryHelper.js).
+// Entries are an audit trail: they are only ever inserted, and outlive the
+// task they describe.
+const taskHistorySchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      required: true,
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+    },
+    field: {
+      type: String,
+      enum: ['status', 'assignedTo', 'priority', 'dueDate', 'title', 'estimatedHours', 'parentTask', 'sprint'],
+      required: true,
+    },
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // User who made the change (null for background jobs)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // Where the change came from: api, board, bulk, timer, sprint
+    source: {
+      type: String,
+      default: 'api',
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  }
+);
+
+// Reject every write except inserting new entries
+const immutable = function (next) {
+  next(new Error('Task history entries cannot be changed or deleted'));
+};
+
+taskHistorySchema.pre('save', function (next) {
+  if (!this.isNew) return immutable(next);
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach(operation => {
+  taskHistorySchema.pre(operation, { document: false, query: true }, immutable);
+});
+taskHistorySchema.pre('deleteOne', { document: true, query: false }, immutable);
+
+taskHistorySchema.index({ task: 1, at: 1 });
+taskHistorySchema.index({ project: 1, field: 1, at: 1 });
+taskHistorySchema.index({ field: 1, after: 1 });
+
+module.exports = mongoose.model('TaskHistory', taskHistorySchema);
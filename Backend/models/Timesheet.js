@@ -0,0 +1,100 @@
+const mongoose = require("mongoose");
+
+const entrySchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true,
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Project",
+    default: null,
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Task",
+    default: null,
+  },
+  minutes: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  source: {
+    type: String,
+    enum: ["timer", "manual"],
+    default: "manual",
+  },
+  // Timer entries: the task sessions they were built from
+  sessionIds: [mongoose.Schema.Types.ObjectId],
+  // Manual entries must say why the timer wasn't used
+  reason: String,
+  // Set once the (approved) hours are billed to the client
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Invoice",
+    default: null,
+  },
+});
+
+// Weekly timesheet (Monday-Sunday) of one employee. Timer entries are
+// rebuilt from Task.timer.sessions until the week is submitted; manual
+// entries are kept as entered. Approval locks the sessions and books the
+// hours on the projects.
+const timesheetSchema = new mongoose.Schema(
+  {
+    employeeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Employee",
+      required: true,
+    },
+    weekStart: {
+      type: Date,
+      required: true,
+    },
+    weekEnd: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["draft", "submitted", "approved", "rejected"],
+      default: "draft",
+    },
+    manualEntries: [entrySchema],
+    // Snapshot taken on submission
+    entries: [entrySchema],
+    totalMinutes: {
+      type: Number,
+      default: 0,
+    },
+    // Cost booked on each project at approval
+    projectCosts: [
+      {
+        project: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Project",
+        },
+        hours: Number,
+        rate: Number,
+        amount: Number,
+        _id: false,
+      },
+    ],
+    submittedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: Date,
+    adminNotes: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+timesheetSchema.index({ employeeId: 1, weekStart: 1 }, { unique: true });
+timesheetSchema.index({ status: 1, weekStart: -1 });
+
+module.exports = mongoose.model("Timesheet", timesheetSchema);
@@ -49,6 +49,11 @@ const userSchema = new mongoose.Schema(
     },
     resetPasswordToken: String,
     resetPasswordExpire: Date,
+    // Secret part of the private iCal feed URL
+    calendarFeedToken: {
+      type: String,
+      select: false,
+    },
     lastLogin: {
       type: Date,
       default: Date.now,
@@ -86,7 +91,10 @@ userSchema.methods.toJSON = function () {
   delete user.password;
   delete user.resetPasswordToken;
   delete user.resetPasswordExpire;
+  delete user.calendarFeedToken;
   return user;
 };
 
+userSchema.index({ calendarFeedToken: 1 }, { unique: true, sparse: true });
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -127,6 +127,8 @@ const projectSchema = new mongoose.Schema(
       completedTasks: { type: Number, default: 0 },
       tasksInProgress: { type: Number, default: 0 },
       pendingTasks: { type: Number, default: 0 },
+      totalSubtasks: { type: Number, default: 0 },
+      completedSubtasks: { type: Number, default: 0 },
       totalMilestones: { type: Number, default: 0 },
       completedMilestones: { type: Number, default: 0 },
       lastUpdated: { type: Date, default: Date.now }
@@ -18,6 +18,11 @@ const {
   addClient,
   updateClient,
   deleteClient,
+  getEmployeeSessions,
+  getClientSessions,
+  revokeEmployeeSessions,
+  revokeClientSessions,
+  revokeSession,
   getProjects,
   getSettings,
   updateSettings,
@@ -30,7 +35,8 @@ const {
   markAsUnread,
   markAllRead,
   deleteNotification,
-  deleteMany
+  deleteMany,
+  getUnreadCount
 } = require('../controllers/notificationController.js');
 
 const {
@@ -38,15 +44,153 @@ const {
   createProject,
   updateProject,
   deleteProject,
-  assignTeam
+  assignTeam,
+  addMilestone,
+  updateMilestone
 } = require('../controllers/projectController');
 
+const {
+  getHolidays,
+  createHoliday,
+  updateHoliday,
+  deleteHoliday,
+  importHolidays
+} = require('../controllers/holidayController');
+
+const {
+  getAttendanceRules,
+  getEffectiveRules,
+  createAttendanceRule,
+  updateAttendanceRule,
+  deleteAttendanceRule,
+  recomputeAttendanceRecords
+} = require('../controllers/attendanceRuleController');
+
+const {
+  getShifts,
+  createShift,
+  updateShift,
+  deleteShift,
+  getSchedule,
+  getRosters,
+  createRoster,
+  updateRoster,
+  deleteRoster,
+  getShiftSwaps,
+  approveShiftSwap,
+  rejectShiftSwap
+} = require('../controllers/shiftController');
+
+const {
+  getOffices,
+  createOffice,
+  updateOffice,
+  deleteOffice
+} = require('../controllers/officeLocationController');
+
+const {
+  getKiosks,
+  createKiosk,
+  updateKiosk,
+  rotateKioskTokens,
+  revokeKiosk,
+  getKioskQr
+} = require('../controllers/kioskController');
+
+const {
+  getOvertimeRequests,
+  getEmployeeOvertime,
+  approveOvertimeRequest,
+  rejectOvertimeRequest,
+  exportOvertime
+} = require('../controllers/overtimeController');
+
+const {
+  getPayrollComponents,
+  createPayrollComponent,
+  updatePayrollComponent,
+  deletePayrollComponent,
+  getPayrollRuns,
+  createPayrollRun,
+  getPayrollRun,
+  regeneratePayrollRun,
+  adjustPayslip,
+  lockPayrollRun,
+  reopenPayrollRun,
+  markPayrollRunPaid,
+  deletePayrollRun,
+  exportBankTransfer,
+  downloadPayslip
+} = require('../controllers/payrollController');
+
+const {
+  getTimesheets,
+  getTimesheet,
+  approveTimesheet,
+  rejectTimesheet
+} = require('../controllers/timesheetController');
+
+const {
+  getRateCards,
+  createRateCard,
+  updateRateCard,
+  deleteRateCard
+} = require('../controllers/rateCardController');
+
+const {
+  getRecurringTasks,
+  getRecurringTask,
+  createRecurringTask,
+  updateRecurringTask,
+  generateRecurringTask,
+  deleteRecurringTask
+} = require('../controllers/recurringTaskController');
+
+const {
+  getBoard,
+  updateBoardColumns,
+  moveTask
+} = require('../controllers/boardController');
+
+const {
+  getSprints,
+  createSprint,
+  getSprint,
+  updateSprint,
+  updateSprintScope,
+  startSprint,
+  completeSprint,
+  getBurndown,
+  deleteSprint
+} = require('../controllers/sprintController');
+
+const {
+  getBillableItems,
+  getInvoices,
+  getInvoice,
+  createInvoice,
+  updateInvoice,
+  sendInvoice,
+  recordPayment,
+  voidInvoice,
+  deleteInvoice,
+  downloadInvoice
+} = require('../controllers/invoiceController');
+
 const {
   getTasks,
   getTask,
   createTask,
   updateTask,
-  deleteTask
+  deleteTask,
+  getTasksByProject,
+  addTaskDependency,
+  removeTaskDependency,
+  setDependencyOverride,
+  addChecklistItem,
+  updateChecklistItem,
+  deleteChecklistItem,
+  getTaskHistory
 } = require('../controllers/taskController');
 
 // ============================================
@@ -69,6 +213,7 @@ router.get('/dashboard', getDashboard);
 // ============================================
 router.patch('/notifications/mark-all-read', markAllRead);  // ✅ Before :id routes
 router.post('/notifications/delete-many', deleteMany);      // ✅ Before :id routes
+router.get('/notifications/unread-count', getUnreadCount);  // ✅ Before :id routes
 router.get('/notifications', getAdminNotifications);
 router.patch('/notifications/:id/read', markAsRead);
 router.patch('/notifications/:id/unread', markAsUnread);
@@ -95,6 +240,156 @@ router.route('/settings')
   .get(getSettings)
   .put(updateSettings);
 
+// ============================================
+// HOLIDAY CALENDAR ROUTES
+// ============================================
+router.post('/holidays/import', importHolidays);  // ✅ Before :id routes
+
+router.route('/holidays')
+  .get(getHolidays)
+  .post(createHoliday);
+
+router.route('/holidays/:id')
+  .put(updateHoliday)
+  .delete(deleteHoliday);
+
+// ============================================
+// ATTENDANCE RULE ROUTES (late / half-day / overtime overrides)
+// ============================================
+router.post('/attendance-rules/recompute', recomputeAttendanceRecords);        // ✅ Before :id routes
+router.get('/attendance-rules/effective/:employeeId', getEffectiveRules);      // ✅ Before :id routes
+
+router.route('/attendance-rules')
+  .get(getAttendanceRules)
+  .post(createAttendanceRule);
+
+router.route('/attendance-rules/:id')
+  .put(updateAttendanceRule)
+  .delete(deleteAttendanceRule);
+
+// ============================================
+// SHIFT & ROSTER ROUTES
+// ============================================
+router.get('/shifts/schedule', getSchedule);  // ✅ Before :id routes
+
+router.route('/shifts')
+  .get(getShifts)
+  .post(createShift);
+
+router.route('/shifts/:id')
+  .put(updateShift)
+  .delete(deleteShift);
+
+router.route('/rosters')
+  .get(getRosters)
+  .post(createRoster);
+
+router.route('/rosters/:id')
+  .put(updateRoster)
+  .delete(deleteRoster);
+
+router.get('/shift-swaps', getShiftSwaps);
+router.put('/shift-swaps/:id/approve', approveShiftSwap);
+router.put('/shift-swaps/:id/reject', rejectShiftSwap);
+
+// ============================================
+// OFFICE LOCATION (GEOFENCE) ROUTES
+// ============================================
+router.route('/offices')
+  .get(getOffices)
+  .post(createOffice);
+
+router.route('/offices/:id')
+  .put(updateOffice)
+  .delete(deleteOffice);
+
+// ============================================
+// QR KIOSK ROUTES
+// ============================================
+router.route('/kiosks')
+  .get(getKiosks)
+  .post(createKiosk);
+
+router.get('/kiosks/:id/qr', getKioskQr);
+router.post('/kiosks/:id/rotate', rotateKioskTokens);
+router.post('/kiosks/:id/revoke', revokeKiosk);
+router.put('/kiosks/:id', updateKiosk);
+
+// ============================================
+// OVERTIME ROUTES
+// ============================================
+router.get('/overtime/export', exportOvertime);                          // ✅ Before :id routes
+router.get('/overtime/summary/:employeeId', getEmployeeOvertime);        // ✅ Before :id routes
+router.get('/overtime', getOvertimeRequests);
+router.put('/overtime/:id/approve', approveOvertimeRequest);
+router.put('/overtime/:id/reject', rejectOvertimeRequest);
+
+// ============================================
+// PAYROLL ROUTES
+// ============================================
+router.route('/payroll/components')
+  .get(getPayrollComponents)
+  .post(createPayrollComponent);
+
+router.route('/payroll/components/:id')
+  .put(updatePayrollComponent)
+  .delete(deletePayrollComponent);
+
+router.route('/payroll/runs')
+  .get(getPayrollRuns)
+  .post(createPayrollRun);
+
+router.route('/payroll/runs/:id')
+  .get(getPayrollRun)
+  .delete(deletePayrollRun);
+
+router.post('/payroll/runs/:id/regenerate', regeneratePayrollRun);
+router.post('/payroll/runs/:id/lock', lockPayrollRun);
+router.post('/payroll/runs/:id/reopen', reopenPayrollRun);
+router.post('/payroll/runs/:id/pay', markPayrollRunPaid);
+router.get('/payroll/runs/:id/bank-transfer', exportBankTransfer);
+
+router.get('/payroll/payslips/:id/pdf', downloadPayslip);
+router.put('/payroll/payslips/:id', adjustPayslip);
+
+// ============================================
+// TIMESHEET ROUTES
+// ============================================
+router.get('/timesheets', getTimesheets);
+router.get('/timesheets/:id', getTimesheet);
+router.put('/timesheets/:id/approve', approveTimesheet);
+router.put('/timesheets/:id/reject', rejectTimesheet);
+
+// ============================================
+// RATE CARD ROUTES
+// ============================================
+router.route('/rate-cards')
+  .get(getRateCards)
+  .post(createRateCard);
+
+router.route('/rate-cards/:id')
+  .put(updateRateCard)
+  .delete(deleteRateCard);
+
+// ============================================
+// INVOICE ROUTES
+// ============================================
+router.get('/invoices/billable/:projectId', getBillableItems);         // ✅ Before :id routes
+
+router.route('/invoices')
+  .get(getInvoices)
+  .post(createInvoice);
+
+router.route('/invoices/:id')
+  .get(getInvoice)
+  .put(updateInvoice)
+  .delete(deleteInvoice);
+
+router.post('/invoices/:id/send', sendInvoice);
+router.post('/invoices/:id/payments', recordPayment);
+router.post('/invoices/:id/void', voidInvoice);
+router.get('/invoices/:id/pdf', downloadInvoice);
+
 // ============================================
 // EMPLOYEE ROUTES
 // ============================================
@@ -107,6 +402,10 @@ router.route('/employees/:id')
   .put(updateEmployee)
   .delete(deleteEmployee);
 
+router.route('/employees/:id/sessions')
+  .get(getEmployeeSessions)
+  .delete(revokeEmployeeSessions);
+
 // ============================================
 // CLIENT ROUTES
 // ============================================
@@ -119,6 +418,15 @@ router.route('/clients/:id')
   .put(updateClient)
   .delete(deleteClient);
 
+router.route('/clients/:id/sessions')
+  .get(getClientSessions)
+  .delete(revokeClientSessions);
+
+// ============================================
+// SESSION ROUTES
+// ============================================
+router.delete('/sessions/:sessionId', revokeSession);
+
 // ============================================
 // PROJECT ROUTES
 // ============================================
@@ -132,6 +440,8 @@ router.route('/projects/:id')
   .delete(deleteProject);
 
 router.post('/projects/:id/assign', assignTeam);
+router.post('/projects/:id/milestones', addMilestone);
+router.put('/projects/:id/milestones/:milestoneId', updateMilestone);
 
 // ============================================
 // TASK ROUTES
@@ -140,11 +450,57 @@ router.route('/tasks')
   .get(getTasks)
   .post(createTask);
 
+router.get('/tasks/project/:projectId', getTasksByProject);              // ✅ Before :id routes
+
 router.route('/tasks/:id')
   .get(getTask)
   .put(updateTask)
   .delete(deleteTask);
 
+router.post('/tasks/:id/dependencies', addTaskDependency);
+router.put('/tasks/:id/dependencies/override', setDependencyOverride);
+router.delete('/tasks/:id/dependencies/:predecessorId', removeTaskDependency);
+router.post('/tasks/:id/checklist', addChecklistItem);
+router.patch('/tasks/:id/checklist/:itemId', updateChecklistItem);
+router.delete('/tasks/:id/checklist/:itemId', deleteChecklistItem);
+router.post('/tasks/:id/move', moveTask);
+router.get('/tasks/:id/history', getTaskHistory);
+
+// ============================================
+// RECURRING TASK ROUTES
+// ============================================
+router.route('/recurring-tasks')
+  .get(getRecurringTasks)
+  .post(createRecurringTask);
+
+router.route('/recurring-tasks/:id')
+  .get(getRecurringTask)
+  .put(updateRecurringTask)
+  .delete(deleteRecurringTask);
+
+router.post('/recurring-tasks/:id/generate', generateRecurringTask);
+
+// ============================================
+// BOARD & SPRINT ROUTES
+// ============================================
+router.route('/projects/:id/board')
+  .get(getBoard)
+  .put(updateBoardColumns);
+
+router.route('/projects/:id/sprints')
+  .get(getSprints)
+  .post(createSprint);
+
+router.route('/sprints/:id')
+  .get(getSprint)
+  .put(updateSprint)
+  .delete(deleteSprint);
+
+router.put('/sprints/:id/tasks', updateSprintScope);
+router.post('/sprints/:id/start', startSprint);
+router.post('/sprints/:id/complete', completeSprint);
+router.get('/sprints/:id/burndown', getBurndown);
+
 console.log('✅ Admin routes registered successfully');
 
 module.exports = router;
\ No newline at end of file
@@ -4,6 +4,7 @@
 const express = require('express');
 const router = express.Router();
 const attendanceController = require('../controllers/attendanceController');
+const leaveController = require('../controllers/leaveController');
 const { protect, authorize } = require('../middleware/auth');
 
 // ==========================================
@@ -60,6 +61,36 @@ router.get(
   attendanceController.getLateArrivals
 );
 
+// @route   GET /api/admin/attendance/flagged
+// @desc    Get attendance records flagged for review
+// @access  Admin
+router.get(
+  '/admin/flagged',
+  protect,
+  authorize('admin'),
+  attendanceController.getFlaggedAttendance
+);
+
+// @route   POST /api/admin/attendance/close-day
+// @desc    Run the end-of-day job for a date (auto-checkout + absences)
+// @access  Admin
+router.post(
+  '/admin/close-day',
+  protect,
+  authorize('admin'),
+  attendanceController.closeDay
+);
+
+// @route   PUT /api/admin/attendance/:id/review
+// @desc    Mark a flagged record as reviewed (optionally fix check-out)
+// @access  Admin
+router.put(
+  '/admin/:id/review',
+  protect,
+  authorize('admin'),
+  attendanceController.reviewAttendance
+);
+
 // @route   GET /api/admin/attendance/employee/:employeeId
 // @desc    Get specific employee's attendance history
 // @access  Admin
@@ -100,6 +131,46 @@ router.put(
   attendanceController.rejectCorrection
 );
 
+// @route   GET /api/admin/attendance/leaves
+// @desc    Get leave requests (?status=pending|approved|rejected|cancelled|all)
+// @access  Admin
+router.get(
+  '/admin/leaves',
+  protect,
+  authorize('admin'),
+  leaveController.getLeaveRequests
+);
+
+// @route   GET /api/admin/attendance/leave-balance/:employeeId
+// @desc    Get an employee's yearly leave balance
+// @access  Admin
+router.get(
+  '/admin/leave-balance/:employeeId',
+  protect,
+  authorize('admin'),
+  leaveController.getEmployeeLeaveBalance
+);
+
+// @route   PUT /api/admin/attendance/leave/:id/approve
+// @desc    Approve leave request
+// @access  Admin
+router.put(
+  '/admin/leave/:id/approve',
+  protect,
+  authorize('admin'),
+  leaveController.approveLeave
+);
+
+// @route   PUT /api/admin/attendance/leave/:id/reject
+// @desc    Reject leave request
+// @access  Admin
+router.put(
+  '/admin/leave/:id/reject',
+  protect,
+  authorize('admin'),
+  leaveController.rejectLeave
+);
+
 // @route   DELETE /api/admin/attendance/:id
 // @desc    Delete attendance record (admin only)
 // @access  Admin
@@ -134,6 +205,36 @@ router.post(
   attendanceController.checkIn
 );
 
+// @route   POST /api/employee/attendance/checkin/qr
+// @desc    Employee check-in with a kiosk QR code
+// @access  Employee
+router.post(
+  '/employee/attendance/checkin/qr',
+  protect,
+  authorize('employee'),
+  attendanceController.checkInWithQr
+);
+
+// @route   POST /api/employee/attendance/break/start
+// @desc    Employee starts a break
+// @access  Employee
+router.post(
+  '/employee/attendance/break/start',
+  protect,
+  authorize('employee'),
+  attendanceController.startBreak
+);
+
+// @route   POST /api/employee/attendance/break/end
+// @desc    Employee ends the current break
+// @access  Employee
+router.post(
+  '/employee/attendance/break/end',
+  protect,
+  authorize('employee'),
+  attendanceController.endBreak
+);
+
 // @route   POST /api/employee/attendance/checkout
 // @desc    Employee check-out
 // @access  Employee
@@ -201,7 +302,7 @@ router.post(
   '/employee/attendance/leave',
   protect,
   authorize('employee'),
-  attendanceController.requestLeave
+  leaveController.requestLeave
 );
 
 // @route   GET /api/employee/attendance/leaves
@@ -211,7 +312,27 @@ router.get(
   '/employee/attendance/leaves',
   protect,
   authorize('employee'),
-  attendanceController.getMyLeaves
+  leaveController.getMyLeaves
+);
+
+// @route   GET /api/employee/attendance/leave-balance
+// @desc    Get my yearly leave balance per leave type
+// @access  Employee
+router.get(
+  '/employee/attendance/leave-balance',
+  protect,
+  authorize('employee'),
+  leaveController.getMyLeaveBalance
+);
+
+// @route   PUT /api/employee/attendance/leave/:id/cancel
+// @desc    Cancel my pending leave request
+// @access  Employee
+router.put(
+  '/employee/attendance/leave/:id/cancel',
+  protect,
+  authorize('employee'),
+  leaveController.cancelLeave
 );
 
 // @route   GET /api/employee/attendance/today
@@ -12,6 +12,9 @@ const {
   register,
   login,
   logout,
+  refreshToken,
+  getMySessions,
+  revokeMySession,
   verifyToken,
   forgotPassword,
   resetPassword,
@@ -53,6 +56,10 @@ const resetPasswordValidation = [
     .withMessage('Password must be at least 6 characters'),
 ];
 
+const refreshValidation = [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required'),
+];
+
 const updatePasswordValidation = [
   body('currentPassword').notEmpty().withMessage('Current password is required'),
   body('newPassword')
@@ -84,12 +91,17 @@ router.post('/forgot-password', forgotPasswordValidation, validate, forgotPasswo
 // @access  Public
 router.post('/reset-password', resetPasswordValidation, validate, resetPassword);
 
+// @route   POST /api/auth/refresh
+// @desc    Rotate refresh token and issue a new access token
+// @access  Public (requires a valid refresh token)
+router.post('/refresh', refreshValidation, validate, refreshToken);
+
 // ============================================
 // PROTECTED ROUTES (Authentication required)
 // ============================================
 
 // @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @desc    Logout user (revokes the current session, or all with { allDevices: true })
 // @access  Private
 router.post('/logout', protect, logout);
 
@@ -108,4 +120,14 @@ router.get('/me', protect, getMe);
 // @access  Private
 router.put('/update-password', protect, updatePasswordValidation, validate, updatePassword);
 
+// @route   GET /api/auth/sessions
+// @desc    List my active sessions
+// @access  Private
+router.get('/sessions', protect, getMySessions);
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Revoke one of my sessions
+// @access  Private
+router.delete('/sessions/:sessionId', protect, revokeMySession);
+
 module.exports = router;
\ No newline at end of file
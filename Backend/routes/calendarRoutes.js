@@ -0,0 +1,20 @@
+// routes/calendarRoutes.js
+// ============================================
+// CALENDAR ROUTES - Private iCal feeds for every role
+// ============================================
+
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const calendarController = require('../controllers/calendarController');
+
+// Frontend: calendarAPI.getFeedUrl() → GET /api/calendar/feed-url
+router.get('/feed-url', protect, calendarController.getFeedUrl);
+
+// Frontend: calendarAPI.resetFeedUrl() → POST /api/calendar/feed-url/reset
+router.post('/feed-url/reset', protect, calendarController.resetFeedUrl);
+
+// Calendar apps subscribe here; the token is the only credential
+router.get('/feed/:token.ics', calendarController.getCalendarFeed);
+
+module.exports = router;
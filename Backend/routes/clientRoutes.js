@@ -12,8 +12,23 @@ const {
   uploadProjectFiles,
   submitFeedback,
   getProjectProgress,
-  sendToAdmin
+  sendToAdmin,
+  approveMilestone
 } = require('../controllers/clientController');
+const {
+  getMyInvoices,
+  getMyInvoice,
+  downloadMyInvoice
+} = require('../controllers/invoiceController');
+const {
+  getClientNotifications,
+  markAsRead,
+  markAsUnread,
+  markAllRead,
+  deleteNotification,
+  deleteMany,
+  getUnreadCount
+} = require('../controllers/notificationController');
 const { protect, authorize } = require('../middleware/auth');
 const { uploadMultiple } = require('../config/multer');
 
@@ -53,4 +68,25 @@ router.get('/projects/:id/progress', getProjectProgress);
 // Send project/request to admin
 router.post('/projects/:id/send-to-admin', sendToAdmin);
 
+// Approve a milestone (makes it invoiceable)
+router.post('/projects/:id/milestones/:milestoneId/approve', approveMilestone);
+
+// ============================================
+// INVOICE ROUTES
+// ============================================
+router.get('/invoices', getMyInvoices);
+router.get('/invoices/:id', getMyInvoice);
+router.get('/invoices/:id/pdf', downloadMyInvoice);
+
+// ============================================
+// NOTIFICATION ROUTES (Specific routes before :id)
+// ============================================
+router.get('/notifications', getClientNotifications);
+router.get('/notifications/unread-count', getUnreadCount);
+router.patch('/notifications/mark-all-read', markAllRead);
+router.post('/notifications/delete-many', deleteMany);
+router.patch('/notifications/:id/read', markAsRead);
+router.patch('/notifications/:id/unread', markAsUnread);
+router.delete('/notifications/:id', deleteNotification);
+
 module.exports = router;
\ No newline at end of file
@@ -7,6 +7,14 @@ const notificationController = require('../controllers/notificationController');
 // Import controllers
 const employeeController = require('../controllers/employeeController');
 const attendanceController = require('../controllers/attendanceController');
+const leaveController = require('../controllers/leaveController');
+const holidayController = require('../controllers/holidayController');
+const shiftController = require('../controllers/shiftController');
+const overtimeController = require('../controllers/overtimeController');
+const payrollController = require('../controllers/payrollController');
+const timesheetController = require('../controllers/timesheetController');
+const taskController = require('../controllers/taskController');
+const boardController = require('../controllers/boardController');
 
 // Import middleware
 const { protect } = require('../middleware/auth');
@@ -52,6 +60,21 @@ router.get('/profile/activity', employeeController.getActivityLog);
 // @access  Private (Employee)
 router.post('/attendance/checkin', attendanceController.checkIn);
 
+// @route   POST /api/employee/attendance/checkin/qr
+// @desc    Check in by scanning a kiosk QR code
+// @access  Private (Employee)
+router.post('/attendance/checkin/qr', attendanceController.checkInWithQr);
+
+// @route   POST /api/employee/attendance/break/start
+// @desc    Start a break (Lunch, Tea or Other)
+// @access  Private (Employee)
+router.post('/attendance/break/start', attendanceController.startBreak);
+
+// @route   POST /api/employee/attendance/break/end
+// @desc    End the current break
+// @access  Private (Employee)
+router.post('/attendance/break/end', attendanceController.endBreak);
+
 // @route   POST /api/employee/attendance/checkout
 // @desc    Check out (Clock out)
 // @access  Private (Employee)
@@ -80,7 +103,110 @@ router.post('/attendance/correction', attendanceController.requestCorrection);
 // @route   POST /api/employee/attendance/leave
 // @desc    Request leave
 // @access  Private (Employee)
-router.post('/attendance/leave', attendanceController.requestLeave);
+router.post('/attendance/leave', leaveController.requestLeave);
+
+// @route   GET /api/employee/attendance/leaves
+// @desc    Get my leave requests
+// @access  Private (Employee)
+router.get('/attendance/leaves', leaveController.getMyLeaves);
+
+// @route   GET /api/employee/attendance/leave-balance
+// @desc    Get my yearly leave balance
+// @access  Private (Employee)
+router.get('/attendance/leave-balance', leaveController.getMyLeaveBalance);
+
+// @route   PUT /api/employee/attendance/leave/:id/cancel
+// @desc    Cancel my pending leave request
+// @access  Private (Employee)
+router.put('/attendance/leave/:id/cancel', leaveController.cancelLeave);
+
+// @route   GET /api/employee/holidays
+// @desc    Get holidays that apply to me
+// @access  Private (Employee)
+router.get('/holidays', holidayController.getMyHolidays);
+
+// ==================== SHIFTS ====================
+
+// @route   GET /api/employee/shifts/schedule
+// @desc    Get my shift schedule (?startDate=&endDate=, default this week)
+// @access  Private (Employee)
+router.get('/shifts/schedule', shiftController.getMySchedule);
+
+// @route   POST /api/employee/shift-swaps
+// @desc    Request a shift swap with a colleague
+// @access  Private (Employee)
+router.post('/shift-swaps', shiftController.requestShiftSwap);
+
+// @route   GET /api/employee/shift-swaps
+// @desc    Get my shift swap requests
+// @access  Private (Employee)
+router.get('/shift-swaps', shiftController.getMyShiftSwaps);
+
+// @route   PUT /api/employee/shift-swaps/:id/cancel
+// @desc    Cancel a pending shift swap request
+// @access  Private (Employee)
+router.put('/shift-swaps/:id/cancel', shiftController.cancelShiftSwap);
+
+// ==================== OVERTIME ====================
+
+// @route   GET /api/employee/overtime
+// @desc    Get my daily and weekly overtime (?weekOf=, default this week)
+// @access  Private (Employee)
+router.get('/overtime', overtimeController.getMyOvertime);
+
+// @route   GET /api/employee/overtime/requests
+// @desc    Get my overtime requests
+// @access  Private (Employee)
+router.get('/overtime/requests', overtimeController.getMyOvertimeRequests);
+
+// @route   POST /api/employee/overtime
+// @desc    Claim overtime for a day or a week
+// @access  Private (Employee)
+router.post('/overtime', overtimeController.requestOvertime);
+
+// @route   PUT /api/employee/overtime/:id/cancel
+// @desc    Cancel a pending overtime request
+// @access  Private (Employee)
+router.put('/overtime/:id/cancel', overtimeController.cancelOvertimeRequest);
+
+// ==================== PAYSLIPS ====================
+
+// @route   GET /api/employee/payslips
+// @desc    Get my payslips
+// @access  Private (Employee)
+router.get('/payslips', payrollController.getMyPayslips);
+
+// @route   GET /api/employee/payslips/:id/pdf
+// @desc    Download my payslip as PDF
+// @access  Private (Employee)
+router.get('/payslips/:id/pdf', payrollController.downloadMyPayslip);
+
+// ==================== TIMESHEETS ====================
+
+// @route   GET /api/employee/timesheets/week
+// @desc    Get my timesheet for a week (?weekOf=, default this week)
+// @access  Private (Employee)
+router.get('/timesheets/week', timesheetController.getMyTimesheet);
+
+// @route   GET /api/employee/timesheets
+// @desc    Get my timesheets
+// @access  Private (Employee)
+router.get('/timesheets', timesheetController.getMyTimesheets);
+
+// @route   POST /api/employee/timesheets/entries
+// @desc    Add a manual time entry (reason required)
+// @access  Private (Employee)
+router.post('/timesheets/entries', timesheetController.addManualEntry);
+
+// @route   DELETE /api/employee/timesheets/entries/:entryId
+// @desc    Remove a manual time entry
+// @access  Private (Employee)
+router.delete('/timesheets/entries/:entryId', timesheetController.deleteManualEntry);
+
+// @route   POST /api/employee/timesheets/submit
+// @desc    Submit my timesheet for a week
+// @access  Private (Employee)
+router.post('/timesheets/submit', timesheetController.submitTimesheet);
 
 // ==================== TASKS ====================
 
@@ -119,6 +245,31 @@ router.post('/tasks/:id/timer/stop', employeeController.stopTaskTimer);
 // @access  Private (Employee)
 router.get('/tasks/:id/timer', employeeController.getTaskTimer);
 
+// @route   POST /api/employee/tasks/:id/checklist
+// @desc    Add a checklist item to my task
+// @access  Private (Employee)
+router.post('/tasks/:id/checklist', taskController.addChecklistItem);
+
+// @route   PATCH /api/employee/tasks/:id/checklist/:itemId
+// @desc    Tick, untick or rename a checklist item
+// @access  Private (Employee)
+router.patch('/tasks/:id/checklist/:itemId', taskController.updateChecklistItem);
+
+// @route   DELETE /api/employee/tasks/:id/checklist/:itemId
+// @desc    Remove a checklist item
+// @access  Private (Employee)
+router.delete('/tasks/:id/checklist/:itemId', taskController.deleteChecklistItem);
+
+// @route   POST /api/employee/tasks/:id/move
+// @desc    Move my task on the project board (column sets the status)
+// @access  Private (Employee)
+router.post('/tasks/:id/move', boardController.moveTask);
+
+// @route   GET /api/employee/tasks/:id/history
+// @desc    Get the change history of my task
+// @access  Private (Employee)
+router.get('/tasks/:id/history', taskController.getTaskHistory);
+
 // ==================== PROJECTS ====================
 
 // @route   GET /api/employee/projects
@@ -131,6 +282,11 @@ router.get('/projects', employeeController.getMyProjects);
 // @access  Private (Employee)
 router.get('/projects/:id', employeeController.getProject);
 
+// @route   GET /api/employee/projects/:id/board
+// @desc    Get project kanban board
+// @access  Private (Employee)
+router.get('/projects/:id/board', boardController.getBoard);
+
 // ==================== DAILY REPORTS ====================
 
 // @route   POST /api/employee/reports/daily
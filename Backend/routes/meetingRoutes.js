@@ -29,6 +29,22 @@ router.post(
   meetingController.scheduleMeeting
 );
 
+// Frontend: adminAPI.getMeetingAvailability() → POST /api/meetings/admin/availability
+router.post(
+  '/admin/availability',
+  protect,
+  authorize('admin'),
+  meetingController.getMeetingAvailability
+);
+
+// Frontend: adminAPI.getOpenActionItems() → GET /api/meetings/admin/action-items
+router.get(
+  '/admin/action-items',
+  protect,
+  authorize('admin'),
+  meetingController.getOpenActionItems
+);
+
 // Frontend: adminAPI.getMeeting(id) → GET /api/meetings/admin/:id
 router.get(
   '/admin/:id',
@@ -61,6 +77,38 @@ router.post(
   meetingController.addMeetingMinutes
 );
 
+// Frontend: adminAPI.getMeetingMinutes(id) → GET /api/meetings/admin/:id/minutes
+router.get(
+  '/admin/:id/minutes',
+  protect,
+  authorize('admin'),
+  meetingController.getMeetingMinutes
+);
+
+// Frontend: adminAPI.acknowledgeMeetingMinutes(id) → POST /api/meetings/admin/:id/minutes/acknowledge
+router.post(
+  '/admin/:id/minutes/acknowledge',
+  protect,
+  authorize('admin'),
+  meetingController.acknowledgeMeetingMinutes
+);
+
+// Frontend: adminAPI.promoteActionItem(id, itemId) → POST /api/meetings/admin/:id/minutes/action-items/:itemId/task
+router.post(
+  '/admin/:id/minutes/action-items/:itemId/task',
+  protect,
+  authorize('admin'),
+  meetingController.promoteActionItem
+);
+
+// Frontend: adminAPI.updateActionItem(id, itemId) → PATCH /api/meetings/admin/:id/minutes/action-items/:itemId
+router.patch(
+  '/admin/:id/minutes/action-items/:itemId',
+  protect,
+  authorize('admin'),
+  meetingController.updateActionItemStatus
+);
+
 // ============================================
 // EMPLOYEE MEETING ROUTES
 // Frontend calls: /meetings/employee/*
@@ -74,6 +122,14 @@ router.get(
   meetingController.getMyMeetings
 );
 
+// Frontend: employeeAPI.getMyActionItems() → GET /api/meetings/employee/action-items
+router.get(
+  '/employee/action-items',
+  protect,
+  authorize('employee'),
+  meetingController.getOpenActionItems
+);
+
 // Frontend: employeeAPI.getMeeting(id) → GET /api/meetings/employee/:id
 router.get(
   '/employee/:id',
@@ -90,6 +146,30 @@ router.patch(
   meetingController.updateParticipantStatus
 );
 
+// Frontend: employeeAPI.getMeetingMinutes(id) → GET /api/meetings/employee/:id/minutes
+router.get(
+  '/employee/:id/minutes',
+  protect,
+  authorize('employee'),
+  meetingController.getMeetingMinutes
+);
+
+// Frontend: employeeAPI.acknowledgeMeetingMinutes(id) → POST /api/meetings/employee/:id/minutes/acknowledge
+router.post(
+  '/employee/:id/minutes/acknowledge',
+  protect,
+  authorize('employee'),
+  meetingController.acknowledgeMeetingMinutes
+);
+
+// Frontend: employeeAPI.updateActionItem(id, itemId) → PATCH /api/meetings/employee/:id/minutes/action-items/:itemId
+router.patch(
+  '/employee/:id/minutes/action-items/:itemId',
+  protect,
+  authorize('employee'),
+  meetingController.updateActionItemStatus
+);
+
 // ============================================
 // CLIENT MEETING ROUTES
 // Frontend calls: /meetings/client/*
@@ -111,6 +191,22 @@ router.post(
   meetingController.clientScheduleMeeting
 );
 
+// Frontend: clientAPI.getMeetingAvailability() → POST /api/meetings/client/availability
+router.post(
+  '/client/availability',
+  protect,
+  authorize('client'),
+  meetingController.getMeetingAvailability
+);
+
+// Frontend: clientAPI.getMyActionItems() → GET /api/meetings/client/action-items
+router.get(
+  '/client/action-items',
+  protect,
+  authorize('client'),
+  meetingController.getOpenActionItems
+);
+
 // Frontend: clientAPI.getMeeting(id) → GET /api/meetings/client/:id
 router.get(
   '/client/:id',
@@ -135,4 +231,28 @@ router.patch(
   meetingController.updateParticipantStatus
 );
 
+// Frontend: clientAPI.getMeetingMinutes(id) → GET /api/meetings/client/:id/minutes
+router.get(
+  '/client/:id/minutes',
+  protect,
+  authorize('client'),
+  meetingController.getMeetingMinutes
+);
+
+// Frontend: clientAPI.acknowledgeMeetingMinutes(id) → POST /api/meetings/client/:id/minutes/acknowledge
+router.post(
+  '/client/:id/minutes/acknowledge',
+  protect,
+  authorize('client'),
+  meetingController.acknowledgeMeetingMinutes
+);
+
+// Frontend: clientAPI.updateActionItem(id, itemId) → PATCH /api/meetings/client/:id/minutes/action-items/:itemId
+router.patch(
+  '/client/:id/minutes/action-items/:itemId',
+  protect,
+  authorize('client'),
+  meetingController.updateActionItemStatus
+);
+
 module.exports = router;
\ No newline at end of file
@@ -13,7 +13,9 @@ const {
   assignTeam,
   getProjectTimeline,
   getProjectStats,
-  uploadProjectFiles
+  uploadProjectFiles,
+  addMilestone,
+  updateMilestone
 } = require('../controllers/projectController');
 const { protect, authorize } = require('../middleware/auth');
 const { uploadMultiple } = require('../config/multer');
@@ -50,6 +52,10 @@ router.get('/:id/timeline', getProjectTimeline);
 // Get project statistics
 router.get('/:id/stats', getProjectStats);
 
+// Milestones (approved milestones can be invoiced)
+router.post('/:id/milestones', addMilestone);
+router.put('/:id/milestones/:milestoneId', updateMilestone);
+
 // ✅ Upload files to existing project
 router.post('/:id/upload', uploadMultiple('files', 10), uploadProjectFiles);
 
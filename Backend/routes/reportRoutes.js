@@ -66,6 +66,14 @@ router.get(
   reportController.getDailyReport,
 );
 
+// Lead time / cycle time from task status history → GET /api/reports/admin/flow
+router.get(
+  "/admin/flow",
+  protect,
+  authorize("admin"),
+  reportController.getTaskFlowReport,
+);
+
 // ============================================
 // CLIENT REPORT ROUTES
 // Frontend calls: /reports/client/*
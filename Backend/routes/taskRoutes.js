@@ -16,12 +16,20 @@ const {
   bulkUpdateTasks,
   getTasksByProject,
   getTasksByEmployee,
+  addTaskDependency,
+  removeTaskDependency,
+  setDependencyOverride,
+  addChecklistItem,
+  updateChecklistItem,
+  deleteChecklistItem,
+  getTaskHistory,
   // Employee-specific functions
   getMyTasks,
   updateTaskStatus,
   startTaskTimer,
   stopTaskTimer
 } = require('../controllers/taskController');
+const { moveTask } = require('../controllers/boardController');
 const { protect, authorize } = require('../middleware/auth');
 
 // ============================================
@@ -31,6 +39,11 @@ router.get('/employee/my-tasks', protect, authorize('employee'), getMyTasks);
 router.patch('/employee/:id/status', protect, authorize('employee'), updateTaskStatus);
 router.post('/employee/:id/timer/start', protect, authorize('employee'), startTaskTimer);
 router.post('/employee/:id/timer/stop', protect, authorize('employee'), stopTaskTimer);
+router.post('/employee/:id/checklist', protect, authorize('employee'), addChecklistItem);
+router.patch('/employee/:id/checklist/:itemId', protect, authorize('employee'), updateChecklistItem);
+router.delete('/employee/:id/checklist/:itemId', protect, authorize('employee'), deleteChecklistItem);
+router.post('/employee/:id/move', protect, authorize('employee'), moveTask);
+router.get('/employee/:id/history', protect, authorize('employee'), getTaskHistory);
 
 // ============================================
 // ADMIN TASK ROUTES
@@ -56,4 +69,20 @@ router.put('/bulk', bulkUpdateTasks);
 router.get('/project/:projectId', getTasksByProject);
 router.get('/employee/:employeeId', getTasksByEmployee);
 
+// DEPENDENCY ROUTES (finish-to-start)
+router.post('/:id/dependencies', addTaskDependency);
+router.put('/:id/dependencies/override', setDependencyOverride);
+router.delete('/:id/dependencies/:predecessorId', removeTaskDependency);
+
+// CHECKLIST ROUTES
+router.post('/:id/checklist', addChecklistItem);
+router.patch('/:id/checklist/:itemId', updateChecklistItem);
+router.delete('/:id/checklist/:itemId', deleteChecklistItem);
+
+// BOARD ROUTES
+router.post('/:id/move', moveTask);
+
+// HISTORY ROUTES
+router.get('/:id/history', getTaskHistory);
+
 module.exports = router;
\ No newline at end of file
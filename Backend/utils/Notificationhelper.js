@@ -5,29 +5,56 @@
 // ============================================
 
 const Notification = require('../models/Notification');
+const Employee = require('../models/Employee');
+const Client = require('../models/Client');
 const { getIO } = require('../config/socket');
 
+// ============================================
+// RECIPIENT RESOLUTION
+// ============================================
+
+// Employee/Client documents reference their login through userId
+const resolveEmployeeUserId = async (employeeId) => {
+  if (!employeeId) return null;
+  const employee = await Employee.findById(employeeId).select('userId');
+  return employee?.userId || null;
+};
+
+const resolveClientUserId = async (clientId) => {
+  if (!clientId) return null;
+  const client = await Client.findById(clientId).select('userId');
+  return client?.userId || null;
+};
+
 // ============================================
 // NOTIFICATION CREATOR
 // ============================================
 
-const createNotification = async ({ title, message, type, role, metadata = {} }) => {
+/**
+ * Create a notification and push it over Socket.IO
+ * @param {object} data
+ * @param {string} data.role - Role of the audience (admin, employee, client)
+ * @param {string} [data.recipient] - User ID. Without it the notification
+ *   is broadcast to every user of `role`
+ */
+const createNotification = async ({ title, message, type, role, recipient = null, metadata = {} }) => {
   try {
     const notification = await Notification.create({
       title,
       message,
       type,
       role,
-      metadata,
-      isRead: false
+      recipient,
+      metadata
     });
 
-    console.log(`📬 Notification created for ${role}:`, title);
+    console.log(`📬 Notification created for ${recipient ? `${role}-${recipient}` : role}:`, title);
 
     // Emit socket event for real-time updates
     try {
       const io = getIO();
-      io.to(role).emit('new-notification', notification);
+      const room = recipient ? `${role}-${recipient}` : role;
+      io.to(room).emit('new-notification', notification.toRecipientJSON(recipient || ''));
     } catch (socketError) {
       console.error('Socket emit error:', socketError);
     }
@@ -39,6 +66,26 @@ const createNotification = async ({ title, message, type, role, metadata = {} })
   }
 };
 
+// Notify a single employee by Employee document ID
+const notifyEmployee = async (employeeId, data) => {
+  const recipient = await resolveEmployeeUserId(employeeId);
+  if (!recipient) {
+    console.warn(`⚠️ No user found for employee ${employeeId}, notification skipped`);
+    return null;
+  }
+  return createNotification({ ...data, role: 'employee', recipient });
+};
+
+// Notify a single client by Client document ID
+const notifyClient = async (clientId, data) => {
+  const recipient = await resolveClientUserId(clientId);
+  if (!recipient) {
+    console.warn(`⚠️ No user found for client ${clientId}, notification skipped`);
+    return null;
+  }
+  return createNotification({ ...data, role: 'client', recipient });
+};
+
 // ============================================
 // ATTENDANCE NOTIFICATIONS
 // ============================================
@@ -131,12 +178,11 @@ const notifyTaskCreated = async (taskData) => {
     }
   });
 
-  // Notify employee
-  return createNotification({
+  // Notify the assigned employee only
+  return notifyEmployee(taskData.employeeId, {
     title: 'New Task Assigned',
     message: `You have been assigned task: "${taskData.title}" (Priority: ${taskData.priority})`,
     type: 'task',
-    role: 'employee',
     metadata: {
       taskId: taskData.taskId,
       taskTitle: taskData.title,
@@ -184,18 +230,23 @@ const notifyTaskCompleted = async (taskData) => {
 };
 
 const notifyTaskUpdated = async (taskData) => {
-  return createNotification({
+  const data = {
     title: 'Task Updated',
     message: `Task "${taskData.title}" was updated`,
     type: 'task',
-    role: taskData.notifyRole || 'employee',
     metadata: {
       taskId: taskData.taskId,
       taskTitle: taskData.title,
       changes: taskData.changes,
       action: 'task-updated'
     }
-  });
+  };
+
+  if (taskData.notifyRole === 'admin') {
+    return createNotification({ ...data, role: 'admin' });
+  }
+
+  return notifyEmployee(taskData.employeeId, data);
 };
 
 // ============================================
@@ -221,11 +272,10 @@ const notifyProjectCreated = async (projectData) => {
 
   // Notify client if exists
   if (projectData.clientId) {
-    return createNotification({
+    return notifyClient(projectData.clientId, {
       title: 'New Project',
       message: `Project "${projectData.name}" has been created`,
       type: 'project',
-      role: 'client',
       metadata: {
         projectId: projectData.projectId,
         projectName: projectData.name,
@@ -255,11 +305,10 @@ const notifyProjectUpdated = async (projectData) => {
 
   // Notify client
   if (projectData.clientId) {
-    return createNotification({
+    return notifyClient(projectData.clientId, {
       title: 'Project Update',
       message: `Project "${projectData.name}" has been updated`,
       type: 'project',
-      role: 'client',
       metadata: {
         projectId: projectData.projectId,
         projectName: projectData.name,
@@ -287,11 +336,10 @@ const notifyProjectCompleted = async (projectData) => {
 
   // Notify client
   if (projectData.clientId) {
-    return createNotification({
+    return notifyClient(projectData.clientId, {
       title: 'Project Completed',
       message: `Your project "${projectData.name}" has been completed!`,
       type: 'project',
-      role: 'client',
       metadata: {
         projectId: projectData.projectId,
         projectName: projectData.name,
@@ -323,7 +371,7 @@ const notifyMeetingScheduled = async (meetingData) => {
     }
   });
 
-  // Notify all participants (employees/clients)
+  // Notify each participant (employees/clients) individually
   if (meetingData.participants) {
     meetingData.participants.forEach(async (participant) => {
       await createNotification({
@@ -331,6 +379,7 @@ const notifyMeetingScheduled = async (meetingData) => {
         message: `You're invited to "${meetingData.title}" on ${meetingData.date} at ${meetingData.time}`,
         type: 'meeting',
         role: participant.role,
+        recipient: participant.userId,
         metadata: {
           meetingId: meetingData.meetingId,
           title: meetingData.title,
@@ -365,15 +414,35 @@ const notifyMeetingReminder = async (meetingData) => {
     message: `Meeting "${meetingData.title}" starts in ${meetingData.timeUntil}`,
     type: 'meeting',
     role: meetingData.role,
+    recipient: meetingData.userId,
     metadata: {
       meetingId: meetingData.meetingId,
       title: meetingData.title,
       startTime: meetingData.startTime,
+      occurrenceStart: meetingData.occurrenceStart || null,
       action: 'meeting-reminder'
     }
   });
 };
 
+const notifyMeetingMinutes = async (meetingData) => {
+  return createNotification({
+    title: 'Meeting Minutes',
+    message: meetingData.version > 1
+      ? `Minutes of "${meetingData.title}" were updated (version ${meetingData.version}) - please review and sign off`
+      : `Minutes of "${meetingData.title}" are ready - please review and sign off`,
+    type: 'meeting',
+    role: meetingData.role,
+    recipient: meetingData.userId,
+    metadata: {
+      meetingId: meetingData.meetingId,
+      title: meetingData.title,
+      version: meetingData.version,
+      action: 'meeting-minutes'
+    }
+  });
+};
+
 // ============================================
 // REPORT NOTIFICATIONS
 // ============================================
@@ -474,6 +543,8 @@ const notifyEmployeeRegistered = async (employeeData) => {
 module.exports = {
   // Core
   createNotification,
+  notifyEmployee,
+  notifyClient,
   
   // Attendance
   notifyCheckIn,
@@ -496,6 +567,7 @@ module.exports = {
   notifyMeetingScheduled,
   notifyMeetingCancelled,
   notifyMeetingReminder,
+  notifyMeetingMinutes,
   
   // Reports
   notifyDailyReportSubmitted,
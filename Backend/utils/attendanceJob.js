@@ -0,0 +1,243 @@
+// utils/attendanceJob.js
+// End-of-day attendance job: auto-checkout, absence marking, admin summary
+//
+// Configuration (.env):
+//   ATTENDANCE_JOB_ENABLED=false          disable the job
+//   ATTENDANCE_JOB_INTERVAL_MINUTES=15    how often to look for finished days
+//   ATTENDANCE_JOB_LOOKBACK_DAYS=3        days to catch up after downtime
+// Open check-ins are closed at each employee's scheduled end (attendance
+// rules, see utils/attendanceRules.js); attendanceSettings.autoCheckout
+// decides between closing and only flagging them.
+
+const Attendance = require('../models/Attendance');
+const Employee = require('../models/Employee');
+const LeaveRequest = require('../models/LeaveRequest');
+const JobRun = require('../models/JobRun');
+const { getCompanySettings } = require('./settingsHelper');
+const { getPKTDate, toDateKey, isWeekend } = require('./workCalendar');
+const { getHolidayCalendar, getEmployeeScope } = require('./holidayHelper');
+const { createNotification } = require('./Notificationhelper');
+const { scheduleJob } = require('./scheduler');
+const { getBaseRules, loadRuleResolver, getScheduleWindow, evaluateAttendance } = require('./attendanceRules');
+const { loadShiftSchedule, getShiftRules } = require('./shiftHelper');
+const { closeOpenBreak } = require('./breakHelper');
+
+const JOB_NAME = 'attendance-end-of-day';
+const ATTENDED_STATUSES = ['present', 'late', 'half-day', 'work-from-home'];
+
+/**
+ * Close open check-ins of a day at each employee's scheduled end. With
+ * autoCheckout disabled the records are only flagged so an admin can fix
+ * them. Records whose schedule has not ended yet are left for a later run.
+ */
+const closeOpenCheckIns = async (day, settings, now) => {
+  const autoCheckout = settings.attendance.autoCheckout !== false;
+  const openRecords = await Attendance.find({
+    date: day,
+    checkInTime: { $ne: null },
+    checkOutTime: null
+  });
+
+  const resolveRules = await loadRuleResolver(settings);
+  const employees = await Employee.find({ _id: { $in: openRecords.map(r => r.employeeId) } })
+    .select('department');
+  const employeeMap = new Map(employees.map(e => [e._id.toString(), e]));
+
+  let closed = 0;
+  let pending = 0;
+  for (const attendance of openRecords) {
+    const rules = resolveRules(employeeMap.get(attendance.employeeId.toString()));
+    // Shift records carry their own scheduled end (night shifts end tomorrow)
+    const end = attendance.scheduledEnd || getScheduleWindow(day, rules).end;
+
+    if (now < end) {
+      pending++;
+      continue;
+    }
+
+    attendance.flaggedForReview = true;
+
+    if (autoCheckout) {
+      attendance.checkOutTime = attendance.checkInTime > end ? attendance.checkInTime : end;
+      closeOpenBreak(attendance, attendance.checkOutTime);
+      attendance.checkOutMethod = 'Auto';
+      attendance.autoCheckedOut = true;
+      attendance.reviewNote = 'No check-out recorded. Checked out automatically at end of day.';
+      attendance.set(evaluateAttendance(attendance, rules));
+      closed++;
+    } else {
+      attendance.reviewNote = 'No check-out recorded.';
+    }
+
+    await attendance.save();
+  }
+
+  return { open: openRecords.length - pending, closed, pending };
+};
+
+/**
+ * Create absent records for employees that were expected to work but have
+ * no attendance record and no approved leave for the day. Rostered
+ * employees are expected on their shift days (weekends included) and not
+ * on roster days off; shifts that have not ended yet are left pending.
+ */
+const markAbsentees = async (day, settings, now) => {
+  const dayKey = toDateKey(day);
+  const weekend = isWeekend(day, settings.work.weekendDays);
+
+  const [calendar, schedule, resolveRules] = await Promise.all([
+    getHolidayCalendar(day, day),
+    loadShiftSchedule(day, day),
+    loadRuleResolver(settings)
+  ]);
+
+  const employees = await Employee.find({
+    isActive: true,
+    joiningDate: { $lte: new Date(day.getTime() + 24 * 60 * 60 * 1000) }
+  }).select('_id department workLocation');
+
+  const withRecord = new Set(
+    (await Attendance.find({ date: day }).distinct('employeeId')).map(id => id.toString())
+  );
+  const onLeave = new Set(
+    (await LeaveRequest.find({ status: 'approved', dates: day }).distinct('employeeId')).map(id => id.toString())
+  );
+
+  let marked = 0;
+  let pending = 0;
+  for (const employee of employees) {
+    const id = employee._id.toString();
+    if (withRecord.has(id) || onLeave.has(id)) continue;
+    if (calendar.keys(getEmployeeScope(employee)).has(dayKey)) continue;
+
+    const rostered = schedule.resolve(employee, day);
+    let shiftFields = {};
+
+    if (rostered) {
+      if (!rostered.shift) continue; // roster day off
+
+      const { start, end } = getScheduleWindow(day, getShiftRules(resolveRules(employee), rostered.shift));
+      if (now < end) {
+        pending++;
+        continue;
+      }
+      shiftFields = { shift: rostered.shift._id, scheduledStart: start, scheduledEnd: end };
+    } else if (weekend) {
+      continue;
+    }
+
+    // Upsert keeps this safe if the job runs twice or the employee checks in meanwhile
+    const result = await Attendance.updateOne(
+      { employeeId: employee._id, date: day, shift: shiftFields.shift || null },
+      {
+        $setOnInsert: {
+          ...shiftFields,
+          status: 'absent',
+          systemGenerated: true,
+          notes: 'Marked absent automatically: no check-in'
+        }
+      },
+      { upsert: true }
+    );
+
+    if (result.upsertedCount > 0) {
+      await Employee.updateOne({ _id: employee._id }, { $inc: { 'attendance.totalAbsent': 1 } });
+      marked++;
+    }
+  }
+
+  return { marked, pending };
+};
+
+/**
+ * Run the end-of-day steps for a single day. Every step is idempotent;
+ * the admin summary is sent only once per day.
+ * @param {string} dayKey - "YYYY-MM-DD"
+ * @param {object} settings - Company settings (loaded when omitted)
+ * @returns {object} - Summary counts
+ */
+const closeAttendanceDay = async (dayKey, settings = null, now = new Date()) => {
+  const companySettings = settings || await getCompanySettings();
+  const day = getPKTDate(dayKey);
+
+  console.log(`🌙 Closing attendance for ${dayKey}`);
+
+  const checkIns = await closeOpenCheckIns(day, companySettings, now);
+  const absentees = await markAbsentees(day, companySettings, now);
+
+  const records = await Attendance.find({ date: day }).select('status isLate flaggedForReview');
+  const summary = {
+    date: dayKey,
+    present: records.filter(r => ATTENDED_STATUSES.includes(r.status)).length,
+    late: records.filter(r => r.isLate).length,
+    absent: records.filter(r => r.status === 'absent').length,
+    onLeave: records.filter(r => r.status === 'leave').length,
+    markedAbsent: absentees.marked,
+    autoCheckedOut: checkIns.closed,
+    missingCheckOut: checkIns.open,
+    flaggedForReview: records.filter(r => r.flaggedForReview).length
+  };
+
+  // Stay open while someone's schedule (late override, night shift) is still running
+  const pending = checkIns.pending + absentees.pending;
+  if (pending > 0) {
+    console.log(`⏳ ${dayKey}: ${pending} schedule(s) not finished yet`);
+    return { ...summary, pending };
+  }
+
+  const firstRun = await JobRun.markDone(JOB_NAME, dayKey, summary);
+
+  if (firstRun) {
+    await createNotification({
+      title: 'Daily Attendance Summary',
+      message: `${dayKey}: ${summary.present} present, ${summary.absent} absent, ${summary.onLeave} on leave, ${summary.late} late. ${summary.flaggedForReview} record(s) need review.`,
+      type: 'attendance',
+      role: 'admin',
+      metadata: { ...summary, action: 'daily-summary' }
+    });
+  }
+
+  console.log(`✅ Attendance closed for ${dayKey}:`, summary);
+  return summary;
+};
+
+/**
+ * Close every finished day in the look-back window that was not closed yet
+ * @param {Date} now - Current time
+ */
+const runEndOfDayAttendance = async (now = new Date()) => {
+  const settings = await getCompanySettings();
+  const lookbackDays = parseInt(process.env.ATTENDANCE_JOB_LOOKBACK_DAYS, 10) || 3;
+  const today = getPKTDate(now);
+  const companyRules = getBaseRules(settings);
+
+  for (let offset = lookbackDays; offset >= 0; offset--) {
+    const day = new Date(today);
+    day.setUTCDate(day.getUTCDate() - offset);
+    const dayKey = toDateKey(day);
+
+    if (now < getScheduleWindow(dayKey, companyRules).end) continue;
+    if (await JobRun.isDone(JOB_NAME, dayKey)) continue;
+
+    await closeAttendanceDay(dayKey, settings, now);
+  }
+};
+
+/**
+ * Register the job with the in-process scheduler (called from Server.js)
+ */
+const startAttendanceJob = () => {
+  if (process.env.ATTENDANCE_JOB_ENABLED === 'false') {
+    console.log('⏸️ End-of-day attendance job disabled');
+    return;
+  }
+
+  const minutes = parseInt(process.env.ATTENDANCE_JOB_INTERVAL_MINUTES, 10) || 15;
+  scheduleJob(JOB_NAME, minutes * 60 * 1000, () => runEndOfDayAttendance());
+};
+
+module.exports = {
+  closeAttendanceDay,
+  runEndOfDayAttendance,
+  startAttendanceJob
+};
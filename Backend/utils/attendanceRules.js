@@ -0,0 +1,253 @@
+// utils/attendanceRules.js
+// Attendance rules engine: late / early leave / half-day / overtime
+//
+// Rules come from the admin settings (workSettings.startTime, endTime,
+// timezone and attendanceSettings.lateThreshold, halfDayHours, fullDayHours,
+// weeklyHours, overtimeRate) and can be overridden per department and per employee
+// (AttendanceRule). Employee overrides win over department overrides.
+
+const moment = require('moment-timezone');
+const Attendance = require('../models/Attendance');
+const AttendanceRule = require('../models/AttendanceRule');
+const Employee = require('../models/Employee');
+const { getCompanySettings, toNumber } = require('./settingsHelper');
+const { getPKTDate, toDateKey } = require('./workCalendar');
+
+const RULE_FIELDS = ['startTime', 'endTime', 'timezone', 'lateThreshold', 'halfDayHours', 'fullDayHours', 'weeklyHours', 'overtimeRate'];
+const TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d$/;
+const DEFAULT_TIMEZONE = 'Asia/Karachi';
+
+// Statuses set by a person or process rather than derived from times
+const MANUAL_STATUSES = ['leave', 'work-from-home'];
+
+const isValidTime = (value) => TIME_PATTERN.test(value || '');
+const isValidTimezone = (value) => Boolean(value && moment.tz.zone(value));
+
+/**
+ * Company-wide rules from the admin settings
+ * @param {object} settings - Company settings (getCompanySettings)
+ * @returns {object}
+ */
+const getBaseRules = (settings) => ({
+  startTime: isValidTime(settings.work.startTime) ? settings.work.startTime : '09:00',
+  endTime: isValidTime(settings.work.endTime) ? settings.work.endTime : '18:00',
+  timezone: isValidTimezone(settings.work.timezone) ? settings.work.timezone : DEFAULT_TIMEZONE,
+  lateThreshold: toNumber(settings.attendance.lateThreshold, 15),
+  halfDayHours: toNumber(settings.attendance.halfDayHours, 4),
+  fullDayHours: toNumber(settings.attendance.fullDayHours, 8),
+  weeklyHours: toNumber(settings.attendance.weeklyHours, 40),
+  overtimeRate: toNumber(settings.attendance.overtimeRate, 1.5),
+  source: 'company'
+});
+
+// Copy the fields an override actually sets
+const mergeOverride = (rules, override, source) => {
+  if (!override) return rules;
+
+  const merged = { ...rules };
+  RULE_FIELDS.forEach(field => {
+    const value = override[field];
+    if (value === undefined || value === null || value === '') return;
+    if ((field === 'startTime' || field === 'endTime') && !isValidTime(value)) return;
+    if (field === 'timezone' && !isValidTimezone(value)) return;
+    merged[field] = value;
+  });
+  merged.source = source;
+  return merged;
+};
+
+/**
+ * Load company rules and all active overrides once. Returns a resolver
+ * giving the effective rules of an employee, for bulk work.
+ * @param {object} settings - Company settings (loaded when omitted)
+ * @returns {Function} - (employee) => rules
+ */
+const loadRuleResolver = async (settings = null) => {
+  const companySettings = settings || await getCompanySettings();
+  const baseRules = getBaseRules(companySettings);
+  const overrides = await AttendanceRule.find({ isActive: true }).lean();
+
+  const byEmployee = new Map();
+  const byDepartment = new Map();
+  overrides.forEach(rule => {
+    if (rule.scope === 'employee') byEmployee.set(rule.employeeId.toString(), rule);
+    if (rule.scope === 'department') byDepartment.set(rule.department, rule);
+  });
+
+  return (employee) => {
+    if (!employee) return baseRules;
+    const department = byDepartment.get(employee.department);
+    const personal = byEmployee.get(employee._id.toString());
+    return mergeOverride(
+      mergeOverride(baseRules, department, 'department'),
+      personal,
+      'employee'
+    );
+  };
+};
+
+/**
+ * Effective rules of a single employee
+ * @param {object} employee - Employee document
+ * @returns {object}
+ */
+const getEmployeeRules = async (employee) => {
+  const resolve = await loadRuleResolver();
+  return resolve(employee);
+};
+
+/**
+ * Scheduled start and end of a working day under the given rules
+ * @param {Date|string} date - Attendance day
+ * @param {object} rules - Effective rules
+ * @returns {object} - { start, end } as Dates
+ */
+const getScheduleWindow = (date, rules) => {
+  const dayKey = toDateKey(date);
+  const start = moment.tz(`${dayKey} ${rules.startTime}`, 'YYYY-MM-DD HH:mm', rules.timezone);
+  const end = moment.tz(`${dayKey} ${rules.endTime}`, 'YYYY-MM-DD HH:mm', rules.timezone);
+  // Schedules ending after midnight (e.g. 22:00 - 06:00)
+  if (!end.isAfter(start)) end.add(1, 'day');
+
+  return { start: start.toDate(), end: end.toDate() };
+};
+
+/**
+ * Derive late / early leave / half-day / overtime from check-in and
+ * check-out times. Works on documents and plain objects.
+ *
+ * - Late: checked in more than `lateThreshold` minutes after startTime;
+ *   lateBy counts from startTime.
+ * - Early leave: checked out before endTime.
+ * - Hours worked (breaks excluded) below fullDayHours make a half day, however
+ *   short; absent is only for days without attendance.
+ * - Hours beyond fullDayHours are overtime.
+ * Leave and work-from-home statuses are kept.
+ *
+ * @param {object} record - Attendance (date, checkInTime, checkOutTime, totalBreakTime,
+ *   status, scheduledStart, scheduledEnd)
+ * @param {object} rules - Effective rules
+ * @returns {object} - Fields to set on the record
+ */
+const evaluateAttendance = (record, rules) => {
+  if (!record.checkInTime) {
+    return { isLate: false, lateBy: 0, earlyLeave: false, earlyBy: 0, overtimeHours: 0 };
+  }
+
+  // Records attributed to a shift keep the times scheduled at check-in
+  const { start: dayStart, end: dayEnd } = record.scheduledStart && record.scheduledEnd
+    ? { start: new Date(record.scheduledStart), end: new Date(record.scheduledEnd) }
+    : getScheduleWindow(record.date, rules);
+
+  const checkIn = new Date(record.checkInTime);
+  const minutesAfterStart = Math.max(0, Math.round((checkIn - dayStart) / 60000));
+  const isLate = minutesAfterStart > rules.lateThreshold;
+
+  const result = {
+    isLate,
+    lateBy: isLate ? minutesAfterStart : 0,
+    earlyLeave: false,
+    earlyBy: 0,
+    overtimeHours: 0
+  };
+
+  let status = isLate ? 'late' : 'present';
+
+  if (record.checkOutTime) {
+    const checkOut = new Date(record.checkOutTime);
+    const earlyBy = Math.max(0, Math.round((dayEnd - checkOut) / 60000));
+    result.earlyLeave = earlyBy > 0;
+    result.earlyBy = earlyBy;
+
+    const hoursWorked = (checkOut - checkIn) / (1000 * 60 * 60) - (record.totalBreakTime || 0) / 60;
+    result.overtimeHours = Math.round(Math.max(0, hoursWorked - rules.fullDayHours) * 100) / 100;
+
+    if (hoursWorked < rules.fullDayHours) {
+      status = 'half-day';
+    }
+  }
+
+  if (!MANUAL_STATUSES.includes(record.status)) {
+    result.status = status;
+  }
+
+  return result;
+};
+
+/**
+ * Apply the effective rules of the record's employee to an attendance
+ * document (does not save)
+ * @param {object} attendance - Attendance document
+ * @param {object} rules - Effective rules (resolved when omitted)
+ * @returns {object} - The attendance document
+ */
+const applyAttendanceRules = async (attendance, rules = null) => {
+  let effectiveRules = rules;
+  if (!effectiveRules) {
+    const employee = await Employee.findById(attendance.employeeId).select('department');
+    effectiveRules = await getEmployeeRules(employee);
+  }
+
+  attendance.set(evaluateAttendance(attendance, effectiveRules));
+  return attendance;
+};
+
+/**
+ * Re-evaluate stored attendance after the rules changed
+ * @param {object} filter
+ * @param {string|Date} filter.startDate - First day (inclusive)
+ * @param {string|Date} filter.endDate - Last day (inclusive)
+ * @param {string[]} filter.employeeIds - Limit to these employees
+ * @param {string} filter.department - Limit to one department
+ * @returns {object} - { processed, updated }
+ */
+const recomputeAttendance = async ({ startDate, endDate, employeeIds, department } = {}) => {
+  const resolve = await loadRuleResolver();
+
+  const employeeQuery = {};
+  if (employeeIds && employeeIds.length) employeeQuery._id = { $in: employeeIds };
+  if (department) employeeQuery.department = department;
+  const employees = await Employee.find(employeeQuery).select('department');
+  const employeeMap = new Map(employees.map(e => [e._id.toString(), e]));
+
+  const query = {
+    employeeId: { $in: employees.map(e => e._id) },
+    checkInTime: { $ne: null }
+  };
+  if (startDate || endDate) {
+    query.date = {};
+    if (startDate) query.date.$gte = getPKTDate(startDate);
+    if (endDate) query.date.$lte = getPKTDate(endDate);
+  }
+
+  let processed = 0;
+  let updated = 0;
+
+  const cursor = Attendance.find(query).cursor();
+  for (let attendance = await cursor.next(); attendance; attendance = await cursor.next()) {
+    processed++;
+    const rules = resolve(employeeMap.get(attendance.employeeId.toString()));
+    attendance.set(evaluateAttendance(attendance, rules));
+
+    if (attendance.isModified()) {
+      await attendance.save();
+      updated++;
+    }
+  }
+
+  console.log(`🔁 Attendance recomputed: ${updated}/${processed} record(s) changed`);
+  return { processed, updated };
+};
+
+module.exports = {
+  RULE_FIELDS,
+  isValidTime,
+  isValidTimezone,
+  getBaseRules,
+  loadRuleResolver,
+  getEmployeeRules,
+  getScheduleWindow,
+  evaluateAttendance,
+  applyAttendanceRules,
+  recomputeAttendance
+};
@@ -0,0 +1,165 @@
+// utils/boardHelper.js
+// Kanban columns and card ordering
+//
+// A card sits in Task.board.column when that column still exists and shows
+// the task's status; otherwise (new task, status changed elsewhere, column
+// removed) it falls into the first column of its status. Cards are ordered
+// by Task.board.rank, with unranked cards last by creation time. Ranks are
+// spaced RANK_GAP apart; a drop between two cards takes the midpoint and the
+// column is renumbered once the gap runs out.
+
+const Board = require('../models/Board');
+const Task = require('../models/Task');
+
+const TASK_STATUSES = ['pending', 'in-progress', 'on-hold', 'completed'];
+
+const DEFAULT_COLUMNS = [
+  { name: 'To Do', status: 'pending' },
+  { name: 'In Progress', status: 'in-progress' },
+  { name: 'On Hold', status: 'on-hold' },
+  { name: 'Done', status: 'completed' }
+];
+
+const RANK_GAP = 1024;
+const MIN_RANK_GAP = 1e-6;
+
+/**
+ * Board of a project, created with the default columns on first use
+ * @param {ObjectId} projectId - Project
+ * @returns {object} - Board document
+ */
+const getOrCreateBoard = async (projectId) => {
+  const board = await Board.findOne({ project: projectId });
+  if (board) return board;
+
+  try {
+    return await Board.create({ project: projectId, columns: DEFAULT_COLUMNS });
+  } catch (error) {
+    // Created by a parallel request
+    if (error.code === 11000) return Board.findOne({ project: projectId });
+    throw error;
+  }
+};
+
+/**
+ * Problems with a column list, or null when it is usable
+ * @param {object[]} columns - [{ name, status, wipLimit }]
+ * @returns {string|null}
+ */
+const validateColumns = (columns) => {
+  if (!Array.isArray(columns) || columns.length === 0) {
+    return 'Please provide at least one column';
+  }
+  const invalid = columns.find(c => !c.name || !TASK_STATUSES.includes(c.status));
+  if (invalid) {
+    return `Every column needs a name and one of the statuses: ${TASK_STATUSES.join(', ')}`;
+  }
+  const names = columns.map(c => c.name.trim().toLowerCase());
+  if (new Set(names).size !== names.length) {
+    return 'Column names must be unique';
+  }
+  const missing = TASK_STATUSES.filter(status => !columns.some(c => c.status === status));
+  if (missing.length > 0) {
+    return `Every status needs a column; missing: ${missing.join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * Column a task is shown in
+ * @param {object} board - Board
+ * @param {object} task - Task
+ * @returns {object} - Column subdocument
+ */
+const resolveColumn = (board, task) => {
+  const stored = task.board?.column && board.columns.id(task.board.column);
+  if (stored && stored.status === task.status) return stored;
+  return board.columns.find(column => column.status === task.status);
+};
+
+const compareCards = (a, b) => {
+  const rankA = a.board?.rank ?? Infinity;
+  const rankB = b.board?.rank ?? Infinity;
+  if (rankA !== rankB) return rankA - rankB;
+  if (a.createdAt - b.createdAt !== 0) return a.createdAt - b.createdAt;
+  return a._id.toString().localeCompare(b._id.toString());
+};
+
+/**
+ * Cards of one column in board order
+ * @param {object} board - Board
+ * @param {object[]} tasks - Project tasks
+ * @param {ObjectId} columnId - Column
+ * @returns {object[]}
+ */
+const getColumnCards = (board, tasks, columnId) => tasks
+  .filter(task => resolveColumn(board, task)?._id.toString() === columnId.toString())
+  .sort(compareCards);
+
+/**
+ * Board with its cards grouped into columns
+ * @param {object} board - Board
+ * @param {object[]} tasks - Project tasks
+ * @returns {object[]} - Columns with `cards`, `count` and `overLimit`
+ */
+const buildColumns = (board, tasks) => board.columns.map(column => {
+  const cards = getColumnCards(board, tasks, column._id);
+  return {
+    _id: column._id,
+    name: column.name,
+    status: column.status,
+    wipLimit: column.wipLimit,
+    count: cards.length,
+    overLimit: column.wipLimit > 0 && cards.length > column.wipLimit,
+    cards
+  };
+});
+
+/**
+ * Give the cards of a column evenly spaced ranks in their current order
+ * @param {object[]} cards - Cards in board order
+ */
+const renumberCards = async (cards) => {
+  if (cards.length === 0) return;
+  cards.forEach((card, index) => {
+    card.board = { ...(card.board || {}), rank: (index + 1) * RANK_GAP };
+  });
+  await Task.bulkWrite(cards.map(card => ({
+    updateOne: {
+      filter: { _id: card._id },
+      update: { $set: { 'board.rank': card.board.rank } }
+    }
+  })));
+};
+
+/**
+ * Rank for a card dropped right below another card of a column
+ * @param {object[]} cards - Column cards in board order, without the moved card
+ * @param {ObjectId|null} aboveId - Card that ends up above it (null = top)
+ * @returns {number}
+ */
+const rankBelow = async (cards, aboveId) => {
+  const index = aboveId ? cards.findIndex(card => card._id.toString() === aboveId.toString()) : -1;
+  const above = index >= 0 ? cards[index] : null;
+  const below = cards[index + 1] || null;
+
+  const needsRenumber = [above, below].some(card => card && card.board?.rank == null) ||
+    (above && below && below.board.rank - above.board.rank < MIN_RANK_GAP * 2);
+  if (needsRenumber) await renumberCards(cards);
+
+  if (!above && !below) return RANK_GAP;
+  if (!above) return below.board.rank - RANK_GAP;
+  if (!below) return above.board.rank + RANK_GAP;
+  return (above.board.rank + below.board.rank) / 2;
+};
+
+module.exports = {
+  TASK_STATUSES,
+  DEFAULT_COLUMNS,
+  getOrCreateBoard,
+  validateColumns,
+  resolveColumn,
+  getColumnCards,
+  buildColumns,
+  rankBelow
+};
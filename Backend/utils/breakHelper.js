@@ -0,0 +1,168 @@
+// utils/breakHelper.js
+// Break policy (lunch allowance, concurrent cap) and break bookkeeping on
+// attendance records
+
+const Attendance = require('../models/Attendance');
+const BreakSlot = require('../models/BreakSlot');
+const { toNumber } = require('./settingsHelper');
+
+const BREAK_TYPES = ['Lunch', 'Tea', 'Other'];
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Break policy from company settings
+ * @param {object} settings - Company settings (getCompanySettings)
+ * @returns {object} - { lunchMinutes, maxConcurrent } (maxConcurrent 0 = no cap)
+ */
+const getBreakPolicy = (settings) => ({
+  lunchMinutes: toNumber(settings.work.lunchBreak, 60),
+  maxConcurrent: toNumber(settings.attendance.maxConcurrentBreaks, 0)
+});
+
+/**
+ * The break an attendance record is currently on, if any
+ * @param {object} attendance - Attendance document
+ * @returns {object|undefined}
+ */
+const getOpenBreak = (attendance) =>
+  (attendance.breaks || []).find(b => b.startTime && !b.endTime);
+
+/**
+ * Minutes spent on breaks, counting an open break up to `now`
+ * @param {object} attendance - Attendance document
+ * @param {string} [type] - Only breaks of this type
+ * @param {Date} [now] - End of open breaks
+ * @returns {number}
+ */
+const getBreakMinutes = (attendance, type, now = new Date()) =>
+  (attendance.breaks || [])
+    .filter(b => b.startTime && (!type || b.type === type))
+    .reduce((sum, b) => sum + (b.endTime
+      ? (b.duration || 0)
+      : Math.max(0, Math.round((now - b.startTime) / MINUTE_MS))), 0);
+
+/**
+ * End the open break (no-op when there is none)
+ * @param {object} attendance - Attendance document
+ * @param {Date} endTime - Break end
+ * @returns {object|undefined} - The closed break
+ */
+const closeOpenBreak = (attendance, endTime = new Date()) => {
+  const openBreak = getOpenBreak(attendance);
+  if (!openBreak) return undefined;
+
+  openBreak.endTime = endTime < openBreak.startTime ? openBreak.startTime : endTime;
+  openBreak.duration = Math.round((openBreak.endTime - openBreak.startTime) / MINUTE_MS);
+  attendance.totalBreakTime = getBreakMinutes(attendance);
+  return openBreak;
+};
+
+/**
+ * Free the break slots of records that are no longer on a break. A slot is
+ * only freed if it was not re-claimed since it was read.
+ */
+const releaseEndedBreakSlots = async () => {
+  const held = await BreakSlot.find({ attendance: { $ne: null } }).select('attendance claimedAt').lean();
+  if (held.length === 0) return;
+
+  const onBreak = await Attendance.find({
+    _id: { $in: held.map(slot => slot.attendance) },
+    checkOutTime: null,
+    breaks: { $elemMatch: { startTime: { $ne: null }, endTime: null } }
+  }).distinct('_id');
+
+  await Promise.all(held
+    .filter(slot => !onBreak.some(id => id.equals(slot.attendance)))
+    .map(slot => BreakSlot.updateOne(
+      { _id: slot._id, attendance: slot.attendance, claimedAt: slot.claimedAt },
+      { $set: { attendance: null, claimedAt: null } }
+    )));
+};
+
+/**
+ * Take a company break slot for a record that has just opened a break
+ * @param {ObjectId} attendanceId - Attendance record on break
+ * @param {number} maxConcurrent - Concurrent break cap (> 0)
+ * @returns {boolean} - False when every slot is taken
+ */
+const claimBreakSlot = async (attendanceId, maxConcurrent) => {
+  const now = new Date();
+
+  // A slot left over from an earlier break of the same record is reused
+  const held = await BreakSlot.findOneAndUpdate(
+    { attendance: attendanceId },
+    { $set: { claimedAt: now } }
+  );
+  if (held) return true;
+
+  await releaseEndedBreakSlots();
+
+  for (let slot = 0; slot < maxConcurrent; slot++) {
+    try {
+      // Matches a free slot, or inserts a missing one; a taken slot makes
+      // the insert fail on the unique slot number
+      await BreakSlot.updateOne(
+        { slot, attendance: null },
+        { $set: { attendance: attendanceId, claimedAt: now } },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  return false;
+};
+
+/**
+ * Live break status for API responses
+ * @param {object} attendance - Attendance document
+ * @param {Date} [now] - Current time
+ * @returns {object} - { onBreak, currentBreak, breakCount, totalBreakTime }
+ */
+const getBreakStatus = (attendance, now = new Date()) => {
+  const openBreak = attendance ? getOpenBreak(attendance) : undefined;
+
+  return {
+    onBreak: Boolean(openBreak && !attendance.checkOutTime),
+    currentBreak: openBreak && !attendance.checkOutTime ? {
+      type: openBreak.type,
+      startTime: openBreak.startTime,
+      minutes: Math.max(0, Math.round((now - openBreak.startTime) / MINUTE_MS))
+    } : null,
+    breakCount: attendance ? (attendance.breaks || []).length : 0,
+    totalBreakTime: attendance ? getBreakMinutes(attendance, undefined, now) : 0
+  };
+};
+
+/**
+ * One-line break list for exports, e.g. "Lunch 12:30-13:15 (45m); Tea 16:00-16:10 (10m)"
+ * @param {object} attendance - Attendance document
+ * @param {string} timezone - Timezone the times are shown in
+ * @returns {string}
+ */
+const formatBreaks = (attendance, timezone) => {
+  const time = (date) => date.toLocaleTimeString('en-GB', {
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone: timezone
+  });
+
+  return (attendance.breaks || [])
+    .filter(b => b.startTime)
+    .map(b => `${b.type} ${time(b.startTime)}-${b.endTime ? time(b.endTime) : 'open'}` +
+      (b.endTime ? ` (${b.duration || 0}m)` : ''))
+    .join('; ');
+};
+
+module.exports = {
+  BREAK_TYPES,
+  getBreakPolicy,
+  getOpenBreak,
+  getBreakMinutes,
+  closeOpenBreak,
+  claimBreakSlot,
+  getBreakStatus,
+  formatBreaks
+};
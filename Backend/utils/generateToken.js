@@ -7,13 +7,15 @@ const jwt = require('jsonwebtoken');
  * Generate JWT Token
  * @param {string} userId - User ID to encode in token
  * @param {string} role - User role (admin, employee, client)
+ * @param {string} sessionId - Refresh session the token belongs to
  * @returns {string} - JWT token
  */
-const generateToken = (userId, role) => {
+const generateToken = (userId, role, sessionId) => {
   try {
     const payload = {
       id: userId,
       role: role,
+      sid: sessionId,
       timestamp: Date.now()
     };
 
@@ -79,13 +81,16 @@ const decodeToken = (token) => {
  * Generate Refresh Token (longer expiry)
  * @param {string} userId - User ID
  * @param {string} role - User role
+ * @param {string} sessionId - Session document ID
+ * @param {string} tokenId - Unique token ID (jti), rotated on every refresh
  * @returns {string} - Refresh token
  */
-const generateRefreshToken = (userId, role) => {
+const generateRefreshToken = (userId, role, sessionId, tokenId) => {
   try {
     const payload = {
       id: userId,
       role: role,
+      sid: sessionId,
       type: 'refresh',
       timestamp: Date.now()
     };
@@ -94,9 +99,10 @@ const generateRefreshToken = (userId, role) => {
       payload,
       process.env.JWT_SECRET,
       {
-        expiresIn: '30d', // Refresh tokens last longer
+        expiresIn: process.env.JWT_REFRESH_EXPIRE || '30d', // Refresh tokens last longer
         issuer: 'OfficeSphere',
-        audience: 'OfficeSphere-Users'
+        audience: 'OfficeSphere-Refresh',
+        jwtid: tokenId
       }
     );
 
@@ -107,6 +113,38 @@ const generateRefreshToken = (userId, role) => {
   }
 };
 
+/**
+ * Verify Refresh Token
+ * @param {string} token - Refresh token to verify
+ * @returns {object} - Decoded token payload (includes sid and jti)
+ */
+const verifyRefreshToken = (token) => {
+  try {
+    const decoded = jwt.verify(
+      token,
+      process.env.JWT_SECRET,
+      {
+        issuer: 'OfficeSphere',
+        audience: 'OfficeSphere-Refresh'
+      }
+    );
+
+    if (decoded.type !== 'refresh' || !decoded.sid || !decoded.jti) {
+      throw new Error('Invalid refresh token');
+    }
+
+    return decoded;
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new Error('Refresh token has expired');
+    } else if (error.name === 'JsonWebTokenError') {
+      throw new Error('Invalid refresh token');
+    } else {
+      throw new Error(error.message || 'Refresh token verification failed');
+    }
+  }
+};
+
 /**
  * Generate Password Reset Token (short expiry)
  * @param {string} userId - User ID
@@ -171,11 +209,82 @@ const verifyResetToken = (token) => {
   }
 };
 
+/**
+ * Generate Kiosk QR Token (seconds-long expiry, single use)
+ * @param {string} kioskId - Kiosk document ID
+ * @param {string} officeId - Office the kiosk stands in
+ * @param {number} version - Kiosk token version (bumped to revoke)
+ * @param {number} expiresInSeconds - Lifetime in seconds
+ * @param {string} tokenId - Unique token ID (jti), recorded when used
+ * @returns {string} - QR token
+ */
+const generateKioskToken = (kioskId, officeId, version, expiresInSeconds, tokenId) => {
+  try {
+    const payload = {
+      kid: kioskId,
+      oid: officeId,
+      ver: version,
+      type: 'kiosk-qr'
+    };
+
+    const token = jwt.sign(
+      payload,
+      process.env.JWT_SECRET,
+      {
+        expiresIn: expiresInSeconds,
+        issuer: 'OfficeSphere',
+        audience: 'OfficeSphere-Kiosk',
+        jwtid: tokenId
+      }
+    );
+
+    return token;
+  } catch (error) {
+    console.error('Error generating kiosk token:', error);
+    throw new Error('Kiosk token generation failed');
+  }
+};
+
+/**
+ * Verify Kiosk QR Token
+ * @param {string} token - Scanned QR token
+ * @returns {object} - Decoded token payload (includes kid, oid, ver and jti)
+ */
+const verifyKioskToken = (token) => {
+  try {
+    const decoded = jwt.verify(
+      token,
+      process.env.JWT_SECRET,
+      {
+        issuer: 'OfficeSphere',
+        audience: 'OfficeSphere-Kiosk'
+      }
+    );
+
+    if (decoded.type !== 'kiosk-qr' || !decoded.kid || !decoded.jti) {
+      throw new Error('Invalid QR code');
+    }
+
+    return decoded;
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new Error('QR code has expired, please scan the current code');
+    } else if (error.name === 'JsonWebTokenError') {
+      throw new Error('Invalid QR code');
+    } else {
+      throw new Error(error.message || 'QR code verification failed');
+    }
+  }
+};
+
 module.exports = {
   generateToken,
   verifyToken,
   decodeToken,
   generateRefreshToken,
+  verifyRefreshToken,
   generateResetToken,
-  verifyResetToken
+  verifyResetToken,
+  generateKioskToken,
+  verifyKioskToken
 };
\ No newline at end of file
@@ -0,0 +1,55 @@
+// utils/geofence.js
+// Match check-in coordinates against the office geofences
+
+const OfficeLocation = require('../models/OfficeLocation');
+
+const EARTH_RADIUS_M = 6371000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points (haversine)
+ * @returns {number} - Distance in meters
+ */
+const getDistance = (lat1, lng1, lat2, lng2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * Find the office a position belongs to
+ * @param {object} position - { latitude, longitude }
+ * @returns {object} - { decision, office, distance }
+ *   decision: 'office' (inside a geofence), 'outside' (no geofence matched)
+ *   or 'unrestricted' (no offices configured). office is the matched or,
+ *   when outside, the nearest office; distance is in meters.
+ */
+const matchOffice = async ({ latitude, longitude }) => {
+  const offices = await OfficeLocation.find({ isActive: true }).lean();
+
+  if (offices.length === 0) {
+    return { decision: 'unrestricted', office: null, distance: null };
+  }
+
+  const ranked = offices
+    .map(office => ({
+      office,
+      distance: Math.round(getDistance(latitude, longitude, office.latitude, office.longitude))
+    }))
+    .sort((a, b) => a.distance - b.distance);
+
+  const inside = ranked.find(r => r.distance <= r.office.radius);
+  if (inside) {
+    return { decision: 'office', ...inside };
+  }
+
+  return { decision: 'outside', ...ranked[0] };
+};
+
+module.exports = {
+  getDistance,
+  matchOffice
+};
@@ -0,0 +1,169 @@
+// utils/holidayHelper.js
+// Expand the holiday calendar into concrete days
+
+const Holiday = require('../models/Holiday');
+const { getPKTDate, toDateKey, getWorkingDates } = require('./workCalendar');
+
+/**
+ * Check whether a holiday applies to an employee scope
+ * @param {object} holiday - Holiday document
+ * @param {object|null} scope - { department, location }. null means
+ *   company-wide: only holidays without location/department limits count
+ * @returns {boolean}
+ */
+const appliesTo = (holiday, scope) => {
+  const locations = holiday.locations || [];
+  const departments = holiday.departments || [];
+
+  if (!scope) {
+    return locations.length === 0 && departments.length === 0;
+  }
+
+  const locationMatch = locations.length === 0 ||
+    (scope.location && locations.some(l => l.toLowerCase() === scope.location.toLowerCase()));
+  const departmentMatch = departments.length === 0 ||
+    (scope.department && departments.includes(scope.department));
+
+  return Boolean(locationMatch && departmentMatch);
+};
+
+/**
+ * Holiday scope of an employee
+ * @param {object} employee - Employee document
+ * @returns {object} - { department, location }
+ */
+const getEmployeeScope = (employee) => ({
+  department: employee?.department,
+  location: employee?.workLocation
+});
+
+/**
+ * Expand holidays into one entry per day inside [start, end]
+ * @param {object[]} holidays - Holiday documents
+ * @param {Date} start - Range start (day start)
+ * @param {Date} end - Range end (day start)
+ * @param {object|null} scope - See appliesTo
+ * @returns {object[]} - [{ holidayId, name, type, date, key }] sorted by date
+ */
+const expandHolidays = (holidays, start, end, scope) => {
+  const occurrences = [];
+
+  const addDays = (holiday, first, last) => {
+    const current = new Date(Math.max(first, start));
+    const stop = new Date(Math.min(last, end));
+    while (current <= stop) {
+      occurrences.push({
+        holidayId: holiday._id,
+        name: holiday.name,
+        type: holiday.type,
+        date: new Date(current),
+        key: toDateKey(current)
+      });
+      current.setUTCDate(current.getUTCDate() + 1);
+    }
+  };
+
+  holidays
+    .filter(holiday => appliesTo(holiday, scope))
+    .forEach(holiday => {
+      const first = new Date(holiday.date);
+      const last = new Date(holiday.endDate || holiday.date);
+
+      if (!holiday.isRecurring) {
+        addDays(holiday, first, last);
+        return;
+      }
+
+      // Shift the original dates into every year the range touches
+      for (let year = start.getUTCFullYear() - 1; year <= end.getUTCFullYear(); year++) {
+        const offset = year - first.getUTCFullYear();
+        if (offset < 0) continue;
+        const shiftedFirst = new Date(first);
+        shiftedFirst.setUTCFullYear(first.getUTCFullYear() + offset);
+        const shiftedLast = new Date(last);
+        shiftedLast.setUTCFullYear(last.getUTCFullYear() + offset);
+        addDays(holiday, shiftedFirst, shiftedLast);
+      }
+    });
+
+  return occurrences.sort((a, b) => a.date - b.date);
+};
+
+/**
+ * Load the holidays of a range once and resolve them per scope, so reports
+ * covering many employees need a single query
+ * @param {string|Date} startDate - Range start
+ * @param {string|Date} endDate - Range end
+ * @returns {object} - { occurrences(scope), keys(scope) }
+ */
+const getHolidayCalendar = async (startDate, endDate) => {
+  const start = getPKTDate(startDate);
+  const end = getPKTDate(endDate);
+
+  const holidays = await Holiday.find({
+    isActive: true,
+    $or: [
+      { isRecurring: true },
+      { date: { $lte: end }, endDate: { $gte: start } }
+    ]
+  });
+
+  const occurrences = (scope = null) => expandHolidays(holidays, start, end, scope);
+
+  return {
+    occurrences,
+    keys: (scope = null) => new Set(occurrences(scope).map(o => o.key))
+  };
+};
+
+/**
+ * Every holiday day between two dates (inclusive), recurring ones expanded
+ * @param {string|Date} startDate - Range start
+ * @param {string|Date} endDate - Range end
+ * @param {object|null} scope - See appliesTo
+ * @returns {object[]}
+ */
+const getHolidayOccurrences = async (startDate, endDate, scope = null) => {
+  const calendar = await getHolidayCalendar(startDate, endDate);
+  return calendar.occurrences(scope);
+};
+
+/**
+ * "YYYY-MM-DD" keys of holiday days in a range
+ * @param {string|Date} startDate - Range start
+ * @param {string|Date} endDate - Range end
+ * @param {object|null} scope - See appliesTo
+ * @returns {Set<string>}
+ */
+const getHolidayKeys = async (startDate, endDate, scope = null) => {
+  const calendar = await getHolidayCalendar(startDate, endDate);
+  return calendar.keys(scope);
+};
+
+/**
+ * Working days in a range: weekends and applicable holidays excluded
+ * @param {string|Date} startDate - Range start
+ * @param {string|Date} endDate - Range end
+ * @param {object} options
+ * @param {string[]} options.weekendDays - Day names to skip
+ * @param {object|null} options.scope - See appliesTo
+ * @param {object} options.calendar - Preloaded getHolidayCalendar result
+ * @returns {Date[]}
+ */
+const getWorkingDays = async (startDate, endDate, { weekendDays = [], scope = null, calendar = null } = {}) => {
+  const holidayCalendar = calendar || await getHolidayCalendar(startDate, endDate);
+
+  return getWorkingDates(startDate, endDate, {
+    weekendDays,
+    holidayKeys: holidayCalendar.keys(scope)
+  });
+};
+
+module.exports = {
+  appliesTo,
+  getEmployeeScope,
+  getHolidayCalendar,
+  getHolidayOccurrences,
+  getHolidayKeys,
+  getWorkingDays
+};
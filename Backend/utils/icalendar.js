@@ -0,0 +1,318 @@
+// utils/icalendar.js
+// Minimal iCalendar (RFC 5545) support: parse VEVENTs, write calendars
+
+/**
+ * Undo RFC 5545 line folding (continuation lines start with a space or tab)
+ * @param {string} text - Raw .ics content
+ * @returns {string[]} - Logical content lines
+ */
+const unfoldLines = (text) => {
+  return text
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.trim() !== '');
+};
+
+/**
+ * Unescape a TEXT value
+ * @param {string} value - Escaped value
+ * @returns {string}
+ */
+const unescapeText = (value) => {
+  return value
+    .replace(/\\n/gi, '\n')
+    .replace(/\\,/g, ',')
+    .replace(/\\;/g, ';')
+    .replace(/\\\\/g, '\\');
+};
+
+/**
+ * Split "NAME;PARAM=X:VALUE" into its parts
+ * @param {string} line - Content line
+ * @returns {object} - { name, params, value }
+ */
+const parseContentLine = (line) => {
+  const colon = line.indexOf(':');
+  const head = colon === -1 ? line : line.substring(0, colon);
+  const value = colon === -1 ? '' : line.substring(colon + 1);
+  const [name, ...paramParts] = head.split(';');
+
+  const params = {};
+  paramParts.forEach(part => {
+    const [key, paramValue] = part.split('=');
+    if (key) params[key.toUpperCase()] = paramValue;
+  });
+
+  return { name: name.toUpperCase(), params, value };
+};
+
+/**
+ * Calendar date of a DATE / DATE-TIME value
+ * @param {string} value - e.g. "20250214" or "20250214T090000Z"
+ * @returns {string|null} - "YYYY-MM-DD"
+ */
+const toDateString = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+/**
+ * Parse the VEVENTs of an iCalendar file
+ * @param {string} text - Raw .ics content
+ * @returns {object[]} - [{ uid, summary, description, startDate, endDate, rrule }]
+ *   with dates as "YYYY-MM-DD" and endDate inclusive
+ */
+const parseICalEvents = (text) => {
+  const events = [];
+  let current = null;
+
+  unfoldLines(text || '').forEach(line => {
+    const { name, params, value } = parseContentLine(line);
+
+    if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+      current = {};
+      return;
+    }
+
+    if (name === 'END' && value.toUpperCase() === 'VEVENT') {
+      if (current && current.startDate) {
+        if (!current.endDate || current.endDate < current.startDate) {
+          current.endDate = current.startDate;
+        }
+        events.push(current);
+      }
+      current = null;
+      return;
+    }
+
+    if (!current) return;
+
+    switch (name) {
+      case 'UID':
+        current.uid = value;
+        break;
+      case 'SUMMARY':
+        current.summary = unescapeText(value);
+        break;
+      case 'DESCRIPTION':
+        current.description = unescapeText(value);
+        break;
+      case 'DTSTART':
+        current.startDate = toDateString(value);
+        break;
+      case 'DTEND': {
+        const endDate = toDateString(value);
+        if (endDate && (params.VALUE === 'DATE' || value.length === 8)) {
+          // All-day DTEND is exclusive
+          const end = new Date(`${endDate}T00:00:00Z`);
+          end.setUTCDate(end.getUTCDate() - 1);
+          current.endDate = end.toISOString().split('T')[0];
+        } else {
+          current.endDate = endDate;
+        }
+        break;
+      }
+      case 'RRULE':
+        current.rrule = value;
+        break;
+      default:
+        break;
+    }
+  });
+
+  return events;
+};
+
+// ============================================
+// WRITING
+// ============================================
+
+const PRODID = '-//OfficeSphere//OfficeSphere Calendar//EN';
+
+// Fixed UTC+5, no daylight saving
+const PKT_TIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  'TZID:Asia/Karachi',
+  'BEGIN:STANDARD',
+  'DTSTART:19700101T000000',
+  'TZOFFSETFROM:+0500',
+  'TZOFFSETTO:+0500',
+  'TZNAME:PKT',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+const PKT_OFFSET = 5 * 60 * 60 * 1000;
+
+/**
+ * Escape a TEXT value
+ * @param {string} value - Plain text
+ * @returns {string}
+ */
+const escapeText = (value) => {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+/**
+ * Fold a content line at 75 octets (continuations start with a space)
+ * @param {string} line - Content line
+ * @returns {string}
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// Parameter values cannot be escaped, only quoted
+const quoteParam = (value) => {
+  const text = String(value || '').replace(/"/g, '');
+  return /[;:,]/.test(text) ? `"${text}"` : text;
+};
+
+const pad = (number) => String(number).padStart(2, '0');
+
+/**
+ * UTC DATE-TIME value, e.g. "20250214T040000Z"
+ * @param {Date} date - Moment
+ * @returns {string}
+ */
+const formatDateTimeUTC = (date) => {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}` +
+    `T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+};
+
+/**
+ * Local PKT DATE-TIME value for TZID=Asia/Karachi, e.g. "20250214T090000"
+ * @param {Date} date - Moment
+ * @returns {string}
+ */
+const formatDateTimePKT = (date) => formatDateTimeUTC(new Date(new Date(date).getTime() + PKT_OFFSET)).slice(0, -1);
+
+/**
+ * DATE value of a stored day, e.g. "20250214"
+ * @param {Date} date - Day start (UTC midnight)
+ * @returns {string}
+ */
+const formatDate = (date) => formatDateTimeUTC(date).slice(0, 8);
+
+/**
+ * Content lines of one VEVENT
+ * @param {object} event
+ * @param {string} event.uid - Stable unique id
+ * @param {number} event.sequence - Revision (bumped on every change)
+ * @param {Date} event.start - Start (day start when allDay)
+ * @param {Date} event.end - End (exclusive day start when allDay)
+ * @param {boolean} event.allDay - DATE instead of DATE-TIME values
+ * @param {string} event.summary
+ * @param {string} event.description
+ * @param {string} event.location
+ * @param {string} event.url
+ * @param {string} event.status - CONFIRMED, TENTATIVE, CANCELLED
+ * @param {object} event.organizer - { name, email }
+ * @param {object[]} event.attendees - [{ name, email, partstat, rsvp }]
+ * @param {string} event.rrule - e.g. "FREQ=WEEKLY;UNTIL=20251231T185959Z"
+ * @param {Date[]} event.exdates - Removed occurrences (original starts)
+ * @param {Date} event.recurrenceId - Original start of the occurrence this event replaces
+ * @param {Date} event.stamp - DTSTAMP (defaults to now)
+ * @returns {string[]}
+ */
+const buildEventLines = (event) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTimeUTC(event.stamp || new Date())}`,
+    `SEQUENCE:${event.sequence || 0}`
+  ];
+
+  if (event.allDay) {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(event.start)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDate(event.end)}`);
+  } else {
+    lines.push(`DTSTART;TZID=Asia/Karachi:${formatDateTimePKT(event.start)}`);
+    lines.push(`DTEND;TZID=Asia/Karachi:${formatDateTimePKT(event.end)}`);
+  }
+
+  if (event.recurrenceId) {
+    lines.push(`RECURRENCE-ID;TZID=Asia/Karachi:${formatDateTimePKT(event.recurrenceId)}`);
+  }
+  if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+  (event.exdates || []).forEach(date => {
+    lines.push(`EXDATE;TZID=Asia/Karachi:${formatDateTimePKT(date)}`);
+  });
+
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.status) lines.push(`STATUS:${event.status}`);
+
+  if (event.organizer?.email) {
+    lines.push(`ORGANIZER;CN=${quoteParam(event.organizer.name)}:mailto:${event.organizer.email}`);
+  }
+  (event.attendees || []).filter(attendee => attendee.email).forEach(attendee => {
+    const params = [
+      `CN=${quoteParam(attendee.name)}`,
+      'ROLE=REQ-PARTICIPANT',
+      `PARTSTAT=${attendee.partstat || 'NEEDS-ACTION'}`
+    ];
+    if (attendee.rsvp) params.push('RSVP=TRUE');
+    lines.push(`ATTENDEE;${params.join(';')}:mailto:${attendee.email}`);
+  });
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * A complete VCALENDAR
+ * @param {object} options
+ * @param {object[]} options.events - See buildEventLines
+ * @param {string} options.method - REQUEST, CANCEL (omitted for feeds)
+ * @param {string} options.name - Calendar name shown by subscribers
+ * @returns {string} - .ics content with CRLF line endings
+ */
+const buildCalendar = ({ events = [], method = null, name = null }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN'
+  ];
+  if (method) lines.push(`METHOD:${method}`);
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  lines.push(...PKT_TIMEZONE);
+  events.forEach(event => lines.push(...buildEventLines(event)));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  parseICalEvents,
+  escapeText,
+  formatDateTimeUTC,
+  formatDateTimePKT,
+  formatDate,
+  buildCalendar
+};
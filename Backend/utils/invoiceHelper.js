@@ -0,0 +1,287 @@
+// utils/invoiceHelper.js
+// Invoice lines from projects, numbering, tax, client revenue and PDFs
+//
+// Three kinds of lines: approved milestones (their amount), billable hours
+// (approved timesheet entries at the bill rate) and fixed amounts. A
+// milestone or timesheet entry is reserved by the first invoice that bills
+// it and released again when that invoice is voided or deleted.
+
+const Invoice = require('../models/Invoice');
+const Client = require('../models/Client');
+const Project = require('../models/Project');
+const Timesheet = require('../models/Timesheet');
+const Employee = require('../models/Employee');
+const Sequence = require('../models/Sequence');
+const { toNumber } = require('./settingsHelper');
+const { getPKTDate, toDateKey } = require('./workCalendar');
+const { loadRateResolver, getTeamRole } = require('./projectCostHelper');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Approved milestones of a project that are not invoiced yet
+ * @param {object} project - Project document
+ * @returns {Array} - Milestone subdocuments
+ */
+const getInvoiceableMilestones = (project) =>
+  project.milestones.filter(m => m.status === 'Approved' && m.amount > 0 && !m.invoice);
+
+/**
+ * Approved, unbilled timesheet entries of a project as invoice lines (one
+ * per employee)
+ * @param {object} project - Project document
+ * @param {object} options - { until } last day to bill, { settings }
+ * @returns {object} - { items, billedEntries, hours }
+ */
+const getBillableHourLines = async (project, { until = null, settings = null } = {}) => {
+  const entryMatch = { project: project._id, invoice: null };
+  if (until) entryMatch.date = { $lte: getPKTDate(until) };
+
+  const timesheets = await Timesheet.find({
+    status: 'approved',
+    entries: { $elemMatch: entryMatch }
+  }).select('employeeId entries');
+
+  const minutesByEmployee = new Map();
+  const billedEntries = [];
+  const lastDay = until ? getPKTDate(until) : null;
+
+  timesheets.forEach(timesheet => {
+    timesheet.entries
+      .filter(entry => entry.project?.toString() === project._id.toString() && !entry.invoice)
+      .filter(entry => !lastDay || entry.date <= lastDay)
+      .forEach(entry => {
+        const key = timesheet.employeeId.toString();
+        minutesByEmployee.set(key, (minutesByEmployee.get(key) || 0) + entry.minutes);
+        billedEntries.push({ timesheet: timesheet._id, entry: entry._id });
+      });
+  });
+
+  if (minutesByEmployee.size === 0) return { items: [], billedEntries: [], hours: 0 };
+
+  const resolveRates = await loadRateResolver(settings);
+  const employees = await Employee.find({ _id: { $in: [...minutesByEmployee.keys()] } })
+    .select('name salary department employeeId');
+
+  const items = employees.map(employee => {
+    const role = getTeamRole(project, employee._id);
+    const hours = round(minutesByEmployee.get(employee._id.toString()) / 60);
+    return {
+      description: `${role || 'Services'} - ${employee.name}`,
+      source: 'hours',
+      quantity: hours,
+      unitPrice: resolveRates(employee, role).billRate,
+      employeeId: employee._id
+    };
+  });
+
+  return {
+    items,
+    billedEntries,
+    hours: round(items.reduce((sum, item) => sum + item.quantity, 0))
+  };
+};
+
+/**
+ * Tax label and rate for a client
+ * @param {object} client - Client document
+ * @param {object} settings - Company settings
+ * @returns {object} - { taxLabel, taxRate }
+ */
+const getClientTax = (client, settings) => {
+  const taxInfo = client.taxInfo || {};
+  const taxLabel = taxInfo.gstNumber ? 'GST' : 'Tax';
+  if (taxInfo.taxExempt) return { taxLabel, taxRate: 0 };
+  const taxRate = taxInfo.taxRate ?? toNumber(settings.invoices?.defaultTaxRate, 0);
+  return { taxLabel, taxRate };
+};
+
+/**
+ * Billing details of a client as printed on the invoice
+ * @param {object} client - Client document (userId populated for the email)
+ * @returns {object}
+ */
+const getBillTo = (client) => {
+  const billing = client.billingAddress || {};
+  const address = billing.sameAsCompanyAddress === false ? billing : (client.address || {});
+  return {
+    companyName: client.companyName,
+    email: client.companyEmail || client.userId?.email,
+    address: [address.street, address.city, address.state, address.zipCode, address.country]
+      .filter(Boolean)
+      .join(', '),
+    taxId: client.taxInfo?.taxId,
+    gstNumber: client.taxInfo?.gstNumber
+  };
+};
+
+/**
+ * Next invoice number of the year, e.g. INV-2025-0007
+ * @param {object} settings - Company settings
+ * @param {Date} date - Issue date
+ * @returns {string}
+ */
+const nextInvoiceNumber = async (settings, date = new Date()) => {
+  const prefix = settings.invoices?.prefix || 'INV';
+  const year = getPKTDate(date).getUTCFullYear();
+  const value = await Sequence.next(`invoice-${year}`);
+  return `${prefix}-${year}-${String(value).padStart(4, '0')}`;
+};
+
+/**
+ * Point the milestones and timesheet entries of an invoice at it. Each one
+ * is claimed only while unbilled, so two drafts cannot bill the same work;
+ * if anything was taken meanwhile, the claims made here are released again.
+ * @param {object} invoice - Invoice document
+ * @returns {boolean} - Whether every source was reserved
+ */
+const reserveInvoiceSources = async (invoice) => {
+  const milestoneIds = invoice.items.filter(i => i.source === 'milestone').map(i => i.milestoneId);
+
+  const claims = await Promise.all([
+    ...milestoneIds.map(milestoneId => Project.updateOne(
+      { _id: invoice.project, milestones: { $elemMatch: { _id: milestoneId, invoice: null } } },
+      { $set: { 'milestones.$.invoice': invoice._id } }
+    )),
+    ...invoice.billedEntries.map(({ timesheet, entry }) => Timesheet.updateOne(
+      { _id: timesheet, entries: { $elemMatch: { _id: entry, invoice: null } } },
+      { $set: { 'entries.$.invoice': invoice._id } }
+    ))
+  ]);
+
+  if (claims.every(result => result.modifiedCount === 1)) return true;
+
+  await releaseInvoiceSources(invoice);
+  return false;
+};
+
+/**
+ * Free the milestones and timesheet entries of a voided or deleted invoice
+ * @param {object} invoice - Invoice document
+ */
+const releaseInvoiceSources = async (invoice) => {
+  await Project.updateOne(
+    { _id: invoice.project },
+    { $set: { 'milestones.$[milestone].invoice': null } },
+    { arrayFilters: [{ 'milestone.invoice': invoice._id }] }
+  );
+
+  const byTimesheet = new Map();
+  invoice.billedEntries.forEach(({ timesheet, entry }) => {
+    const key = timesheet.toString();
+    byTimesheet.set(key, [...(byTimesheet.get(key) || []), entry]);
+  });
+
+  await Promise.all([...byTimesheet.entries()].map(([timesheetId, entryIds]) =>
+    Timesheet.updateOne(
+      { _id: timesheetId },
+      { $set: { 'entries.$[entry].invoice': null } },
+      { arrayFilters: [{ 'entry._id': { $in: entryIds }, 'entry.invoice': invoice._id }] }
+    )
+  ));
+};
+
+/**
+ * Recompute Client.totalRevenue from paid invoices
+ * @param {ObjectId} clientId - Client
+ * @returns {number} - New total
+ */
+const syncClientRevenue = async (clientId) => {
+  const [result] = await Invoice.aggregate([
+    { $match: { client: clientId, status: 'paid' } },
+    { $group: { _id: null, total: { $sum: '$total' } } }
+  ]);
+  const totalRevenue = round(result?.total || 0);
+  await Client.updateOne({ _id: clientId }, { $set: { totalRevenue } });
+  return totalRevenue;
+};
+
+/**
+ * Write an invoice to a PDF document (caller pipes and ends it)
+ * @param {object} doc - PDFKit document
+ * @param {object} invoice - Invoice document (project populated with name)
+ * @param {object} company - settings.company
+ */
+const writeInvoicePdf = (doc, invoice, company = {}) => {
+  const money = (amount) => `${invoice.currency} ${Number(amount || 0).toFixed(2)}`;
+  const day = (date) => (date ? toDateKey(getPKTDate(date)) : '-');
+
+  doc.fontSize(20).text(company.companyName || 'OfficeSphere', { align: 'left' });
+  doc.fontSize(10);
+  if (company.address) {
+    doc.text([company.address, company.city, company.country].filter(Boolean).join(', '));
+  }
+  if (company.email) doc.text(company.email);
+  doc.moveDown();
+
+  doc.fontSize(16).text(invoice.status === 'draft' ? 'DRAFT INVOICE' : `INVOICE ${invoice.invoiceNumber}`, { align: 'right' });
+  doc.fontSize(10);
+  doc.text(`Issued: ${day(invoice.issueDate)}`, { align: 'right' });
+  doc.text(`Due: ${day(invoice.dueDate)}`, { align: 'right' });
+  if (invoice.status === 'void') doc.fillColor('red').text('VOID', { align: 'right' }).fillColor('black');
+  doc.moveDown();
+
+  doc.fontSize(11).text('Bill to:', { underline: true });
+  doc.fontSize(10);
+  doc.text(invoice.billTo.companyName || 'N/A');
+  if (invoice.billTo.address) doc.text(invoice.billTo.address);
+  if (invoice.billTo.email) doc.text(invoice.billTo.email);
+  if (invoice.billTo.gstNumber) doc.text(`GST: ${invoice.billTo.gstNumber}`);
+  if (invoice.billTo.taxId) doc.text(`Tax ID: ${invoice.billTo.taxId}`);
+  if (invoice.project?.name) doc.text(`Project: ${invoice.project.name}`);
+  doc.moveDown();
+
+  const row = (cells, bold = false) => {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    doc.text(cells[0], 50, y, { width: 260 });
+    const bottom = doc.y;
+    doc.text(cells[1], 310, y, { width: 60, align: 'right' });
+    doc.text(cells[2], 370, y, { width: 90, align: 'right' });
+    doc.text(cells[3], 460, y, { width: 90, align: 'right' });
+    doc.y = Math.max(bottom, doc.y);
+    doc.font('Helvetica');
+  };
+
+  row(['Description', 'Qty', 'Unit price', 'Amount'], true);
+  doc.moveDown(0.3);
+  invoice.items.forEach(item => {
+    row([item.description, String(item.quantity), money(item.unitPrice), money(item.amount)]);
+  });
+  doc.moveDown();
+
+  const total = (label, amount, bold = false) => {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    doc.text(label, 310, y, { width: 150, align: 'right' });
+    doc.text(money(amount), 460, y, { width: 90, align: 'right' });
+    doc.font('Helvetica');
+  };
+
+  total('Subtotal', invoice.subtotal);
+  total(`${invoice.taxLabel} (${invoice.taxRate}%)`, invoice.taxAmount);
+  total('Total', invoice.total, true);
+  if (invoice.amountPaid > 0) {
+    total('Paid', invoice.amountPaid);
+    total('Balance due', invoice.balanceDue, true);
+  }
+  doc.moveDown(2);
+
+  if (invoice.notes) {
+    doc.fontSize(10).text(invoice.notes, 50);
+    doc.moveDown();
+  }
+  doc.fontSize(9).fillColor('gray').text('This is a system generated invoice.', 50, doc.y, { align: 'center' });
+};
+
+module.exports = {
+  getInvoiceableMilestones,
+  getBillableHourLines,
+  getClientTax,
+  getBillTo,
+  nextInvoiceNumber,
+  reserveInvoiceSources,
+  releaseInvoiceSources,
+  syncClientRevenue,
+  writeInvoicePdf
+};
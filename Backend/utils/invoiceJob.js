@@ -0,0 +1,66 @@
+// utils/invoiceJob.js
+// Marks sent invoices overdue once their due date has passed
+//
+// Configuration (.env):
+//   INVOICE_JOB_ENABLED=false          disable the job
+//   INVOICE_JOB_INTERVAL_MINUTES=60    how often to look for overdue invoices
+
+const Invoice = require('../models/Invoice');
+const { getPKTDate } = require('./workCalendar');
+const { createNotification, notifyClient } = require('./Notificationhelper');
+const { scheduleJob } = require('./scheduler');
+
+const JOB_NAME = 'invoice-overdue';
+
+/**
+ * Flag sent invoices with a balance whose due day is over, and tell the
+ * client and admins once. Safe to run repeatedly.
+ * @param {Date} now - Current time
+ * @returns {number} - Invoices marked overdue
+ */
+const markOverdueInvoices = async (now = new Date()) => {
+  const today = getPKTDate(now);
+  const invoices = await Invoice.find({
+    status: 'sent',
+    dueDate: { $lt: today },
+    balanceDue: { $gt: 0 }
+  });
+
+  for (const invoice of invoices) {
+    // Another run (or a payment) may have changed it meanwhile
+    const updated = await Invoice.findOneAndUpdate(
+      { _id: invoice._id, status: 'sent' },
+      { $set: { status: 'overdue' } },
+      { new: true }
+    );
+    if (!updated) continue;
+
+    const message = `Invoice ${invoice.invoiceNumber} is overdue (${invoice.currency} ${invoice.balanceDue} outstanding)`;
+    const metadata = { invoiceId: invoice._id, action: 'invoice-overdue' };
+    await notifyClient(invoice.client, { title: 'Invoice Overdue', message, type: 'client', metadata });
+    await createNotification({ title: 'Invoice Overdue', message, type: 'client', role: 'admin', metadata });
+  }
+
+  if (invoices.length > 0) {
+    console.log(`🧾 ${invoices.length} invoice(s) marked overdue`);
+  }
+  return invoices.length;
+};
+
+/**
+ * Register the job with the in-process scheduler (called from Server.js)
+ */
+const startInvoiceJob = () => {
+  if (process.env.INVOICE_JOB_ENABLED === 'false') {
+    console.log('⏸️ Invoice overdue job disabled');
+    return;
+  }
+
+  const minutes = parseInt(process.env.INVOICE_JOB_INTERVAL_MINUTES, 10) || 60;
+  scheduleJob(JOB_NAME, minutes * 60 * 1000, () => markOverdueInvoices());
+};
+
+module.exports = {
+  markOverdueInvoices,
+  startInvoiceJob
+};
@@ -0,0 +1,79 @@
+// utils/kioskHelper.js
+// Issue and redeem the rotating QR codes shown on check-in kiosks
+
+const crypto = require('crypto');
+const Kiosk = require('../models/Kiosk');
+const KioskTokenUse = require('../models/KioskTokenUse');
+const { generateKioskToken, verifyKioskToken } = require('./generateToken');
+
+// Extra lifetime so a code scanned just before it rotates still works
+const GRACE_SECONDS = 5;
+
+/**
+ * Issue the current QR token of a kiosk
+ * @param {object} kiosk - Kiosk document
+ * @returns {object} - { token, expiresAt, refreshIn } (refreshIn in seconds)
+ */
+const issueKioskQr = async (kiosk) => {
+  const lifetime = kiosk.rotationSeconds + GRACE_SECONDS;
+  const token = generateKioskToken(
+    kiosk._id.toString(),
+    kiosk.office.toString(),
+    kiosk.tokenVersion,
+    lifetime,
+    crypto.randomUUID()
+  );
+
+  kiosk.lastIssuedAt = new Date();
+  await kiosk.save();
+
+  return {
+    token,
+    expiresAt: new Date(Date.now() + lifetime * 1000),
+    refreshIn: kiosk.rotationSeconds
+  };
+};
+
+/**
+ * Verify a scanned QR token and mark it used by this employee. Throws with
+ * a user-facing message when the code is invalid, expired, revoked or was
+ * already used by the same employee.
+ * @param {string} token - Scanned token
+ * @param {object} employee - Employee checking in
+ * @returns {object} - Kiosk document with its office populated
+ */
+const redeemKioskToken = async (token, employee) => {
+  const decoded = verifyKioskToken(token);
+
+  const kiosk = await Kiosk.findById(decoded.kid).populate('office');
+  if (!kiosk || !kiosk.isActive || kiosk.revokedAt) {
+    throw new Error('This kiosk has been revoked');
+  }
+  if (decoded.ver !== kiosk.tokenVersion) {
+    throw new Error('QR code is no longer valid, please scan the current code');
+  }
+  if (!kiosk.office || !kiosk.office.isActive) {
+    throw new Error('The office of this kiosk is not active');
+  }
+
+  try {
+    await KioskTokenUse.create({
+      jti: decoded.jti,
+      kiosk: kiosk._id,
+      employeeId: employee._id,
+      expiresAt: new Date(decoded.exp * 1000)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new Error('QR code has already been used, please scan the current code');
+    }
+    throw error;
+  }
+
+  return kiosk;
+};
+
+module.exports = {
+  issueKioskQr,
+  redeemKioskToken
+};
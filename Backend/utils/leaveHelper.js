@@ -0,0 +1,83 @@
+// utils/leaveHelper.js
+// Leave day counting and yearly balances
+
+const mongoose = require('mongoose');
+const LeaveRequest = require('../models/LeaveRequest');
+const { getWorkingDays, getEmployeeScope } = require('./holidayHelper');
+
+const LEAVE_TYPES = ['sick', 'casual', 'vacation', 'emergency', 'unpaid'];
+
+/**
+ * Working days a leave request would cover
+ * @param {string|Date} startDate - First day of leave
+ * @param {string|Date} endDate - Last day of leave
+ * @param {object} settings - Company settings (getCompanySettings)
+ * @param {object} employee - Employee document (for scoped holidays)
+ * @returns {Date[]}
+ */
+const getLeaveDates = async (startDate, endDate, settings, employee) => {
+  return getWorkingDays(startDate, endDate, {
+    weekendDays: settings.work.weekendDays || [],
+    scope: getEmployeeScope(employee)
+  });
+};
+
+/**
+ * Yearly balance per leave type. Pending requests are reserved so an
+ * employee cannot overbook by submitting several requests at once.
+ * @param {string} employeeId - Employee document ID
+ * @param {number} year - Calendar year
+ * @param {object} policy - Leave policy (settings.leave)
+ * @returns {object} - { [leaveType]: { allowance, used, pending, remaining } }
+ */
+const getLeaveBalance = async (employeeId, year, policy) => {
+  const yearStart = new Date(Date.UTC(year, 0, 1));
+  const yearEnd = new Date(Date.UTC(year + 1, 0, 1));
+
+  const usage = await LeaveRequest.aggregate([
+    {
+      $match: {
+        employeeId: new mongoose.Types.ObjectId(String(employeeId)),
+        status: { $in: ['pending', 'approved'] },
+        dates: { $elemMatch: { $gte: yearStart, $lt: yearEnd } }
+      }
+    },
+    { $unwind: '$dates' },
+    { $match: { dates: { $gte: yearStart, $lt: yearEnd } } },
+    {
+      $group: {
+        _id: { leaveType: '$leaveType', status: '$status' },
+        days: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const balance = {};
+  LEAVE_TYPES.forEach(type => {
+    balance[type] = {
+      allowance: Number(policy?.[type]) || 0,
+      used: 0,
+      pending: 0,
+      remaining: 0
+    };
+  });
+
+  usage.forEach(({ _id, days }) => {
+    if (!balance[_id.leaveType]) return;
+    if (_id.status === 'approved') balance[_id.leaveType].used += days;
+    else balance[_id.leaveType].pending += days;
+  });
+
+  LEAVE_TYPES.forEach(type => {
+    const entry = balance[type];
+    entry.remaining = Math.max(entry.allowance - entry.used - entry.pending, 0);
+  });
+
+  return balance;
+};
+
+module.exports = {
+  LEAVE_TYPES,
+  getLeaveDates,
+  getLeaveBalance
+};
@@ -0,0 +1,293 @@
+// utils/meetingAvailabilityHelper.js
+// Meeting conflicts and free/busy lookups
+//
+// A participant is busy during their other meetings (not cancelled,
+// completed or declined) and approved leave, and unavailable outside their
+// working hours. Employees work their rostered shift, or their attendance
+// rules' hours on working days (weekends and their holidays excluded).
+// Admins work company hours; clients have no working hours. Recurring
+// meetings count with every occurrence.
+
+const Meeting = require('../models/Meeting');
+const User = require('../models/User');
+const Employee = require('../models/Employee');
+const LeaveRequest = require('../models/LeaveRequest');
+const { getCompanySettings } = require('./settingsHelper');
+const { getPKTDate, toDateKey, isWeekend } = require('./workCalendar');
+const { getHolidayCalendar, getEmployeeScope } = require('./holidayHelper');
+const { loadRuleResolver, getScheduleWindow } = require('./attendanceRules');
+const { loadShiftSchedule } = require('./shiftHelper');
+const { getOccurrenceStarts, expandSeries, loadExceptionKeys } = require('./meetingRecurrenceHelper');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const PKT_OFFSET = 5 * 60 * 60 * 1000;
+
+const INACTIVE_MEETING_STATUSES = ['Cancelled', 'Completed'];
+
+// How far ahead a new recurring meeting is checked
+const SERIES_CHECK_DAYS = 30;
+
+// Real start and end instants of a stored PKT day
+const dayStart = (day) => new Date(day.getTime() - PKT_OFFSET);
+const dayEnd = (day) => new Date(day.getTime() + DAY_MS - PKT_OFFSET);
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+/**
+ * Load everything needed to check a set of users between two moments
+ * @param {ObjectId[]} userIds - Participant user ids
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @param {object} options
+ * @param {ObjectId[]} options.excludeMeetingIds - Meetings (and their exceptions) being edited
+ * @returns {object[]} - Per user: { user, busy: [{ start, end, type, ... }], workingHours: [{ start, end }] | null }
+ *   workingHours is null for users without working hours (clients)
+ */
+const loadAvailability = async (userIds, from, to, { excludeMeetingIds = [] } = {}) => {
+  const ids = [...new Set(userIds.map(id => id.toString()))];
+  // Night shifts of the previous day can reach into the range
+  const firstDay = new Date(getPKTDate(from).getTime() - DAY_MS);
+  const lastDay = getPKTDate(to);
+
+  const meetingQuery = {
+    status: { $nin: INACTIVE_MEETING_STATUSES },
+    startTime: { $lt: to },
+    $and: [
+      {
+        $or: [
+          { organizer: { $in: ids } },
+          { participants: { $elemMatch: { user: { $in: ids }, status: { $ne: 'Declined' } } } }
+        ]
+      },
+      { $or: [{ isRecurring: true }, { endTime: { $gt: from } }] }
+    ]
+  };
+  const excluded = excludeMeetingIds.filter(Boolean);
+  if (excluded.length > 0) {
+    meetingQuery._id = { $nin: excluded };
+    meetingQuery.series = { $nin: excluded };
+  }
+
+  const [users, employees, meetings, settings, calendar, schedule, resolveRules] = await Promise.all([
+    User.find({ _id: { $in: ids } }).select('name email role'),
+    Employee.find({ userId: { $in: ids } }),
+    Meeting.find(meetingQuery)
+      .select('meetingId title startTime endTime organizer participants isRecurring recurringPattern occurrenceResponses')
+      .lean(),
+    getCompanySettings(),
+    getHolidayCalendar(firstDay, lastDay),
+    loadShiftSchedule(firstDay, lastDay),
+    loadRuleResolver()
+  ]);
+
+  const series = meetings.filter(meeting => meeting.isRecurring);
+  const exceptionKeys = await loadExceptionKeys(series.map(meeting => meeting._id));
+  const occurrences = meetings.flatMap(meeting => (meeting.isRecurring
+    ? expandSeries(meeting, from, to, { weekendDays: settings.work.weekendDays, exceptionKeys })
+    : [meeting]
+  ));
+
+  const leaves = await LeaveRequest.find({
+    employeeId: { $in: employees.map(employee => employee._id) },
+    status: 'approved',
+    startDate: { $lte: lastDay },
+    endDate: { $gte: firstDay }
+  }).lean();
+
+  const days = [];
+  for (let day = firstDay; day <= lastDay; day = new Date(day.getTime() + DAY_MS)) {
+    days.push(day);
+  }
+
+  return users.map(user => {
+    const userId = user._id.toString();
+    const employee = employees.find(e => e.userId.toString() === userId);
+
+    const busy = occurrences
+      .filter(meeting =>
+        meeting.organizer?.toString() === userId ||
+        meeting.participants.some(p => p.user?.toString() === userId && p.status !== 'Declined')
+      )
+      .map(meeting => ({
+        start: meeting.startTime,
+        end: meeting.endTime,
+        type: 'meeting',
+        meeting: { _id: meeting._id, meetingId: meeting.meetingId, title: meeting.title }
+      }));
+
+    if (employee) {
+      leaves
+        .filter(leave => leave.employeeId.toString() === employee._id.toString())
+        .forEach(leave => {
+          // Older requests have no working-day list; cover the whole range
+          const leaveDays = leave.dates?.length > 0
+            ? leave.dates.map(date => getPKTDate(date))
+            : days.filter(day => day >= getPKTDate(leave.startDate) && day <= getPKTDate(leave.endDate));
+          leaveDays.forEach(day => busy.push({
+            start: dayStart(day),
+            end: dayEnd(day),
+            type: 'leave',
+            leave: { _id: leave._id, leaveType: leave.leaveType }
+          }));
+        });
+    }
+
+    let workingHours = null;
+    if (employee || user.role === 'admin') {
+      const rules = resolveRules(employee || null);
+      const holidayKeys = calendar.keys(employee ? getEmployeeScope(employee) : null);
+
+      workingHours = days
+        .map(day => {
+          const rostered = employee ? schedule.resolve(employee, day) : null;
+          if (rostered) {
+            // A rostered day off has no working hours
+            if (!rostered.shift) return null;
+            return getScheduleWindow(day, {
+              ...rules,
+              startTime: rostered.shift.startTime,
+              endTime: rostered.shift.endTime,
+              timezone: rostered.shift.timezone || rules.timezone
+            });
+          }
+          if (isWeekend(day, settings.work.weekendDays) || holidayKeys.has(toDateKey(day))) return null;
+          return getScheduleWindow(day, rules);
+        })
+        .filter(Boolean);
+    }
+
+    return {
+      user: { _id: user._id, name: user.name, email: user.email, role: user.role },
+      busy: busy.sort((a, b) => a.start - b.start),
+      workingHours
+    };
+  });
+};
+
+/**
+ * Whether a slot is inside one working window of the user
+ * @param {object} entry - loadAvailability() entry
+ * @param {object} slot - { start, end }
+ * @returns {boolean}
+ */
+const isWithinWorkingHours = (entry, slot) =>
+  entry.workingHours === null ||
+  entry.workingHours.some(window => window.start <= slot.start && slot.end <= window.end);
+
+/**
+ * Conflicts of every user with a slot
+ * @param {object[]} availability - loadAvailability() result
+ * @param {Date} start - Slot start
+ * @param {Date} end - Slot end
+ * @returns {object[]} - [{ user, type: 'meeting'|'leave'|'non-working', message, meeting?, leave? }]
+ */
+const getConflicts = (availability, start, end) => {
+  const slot = { start, end };
+  const conflicts = [];
+
+  availability.forEach(entry => {
+    entry.busy
+      .filter(interval => overlaps(interval, slot))
+      .forEach(interval => {
+        const { start: busyStart, end: busyEnd, type, ...details } = interval;
+        conflicts.push({
+          user: entry.user,
+          type,
+          message: type === 'meeting'
+            ? `${entry.user.name} is in "${interval.meeting.title}" (${interval.meeting.meetingId})`
+            : `${entry.user.name} is on approved leave on ${toDateKey(getPKTDate(busyStart))}`,
+          start: busyStart,
+          end: busyEnd,
+          ...details
+        });
+      });
+
+    if (!isWithinWorkingHours(entry, slot)) {
+      conflicts.push({
+        user: entry.user,
+        type: 'non-working',
+        message: `${entry.user.name} is outside working hours`
+      });
+    }
+  });
+
+  return conflicts;
+};
+
+/**
+ * Conflicts of a set of users with a proposed meeting. A recurring meeting
+ * is checked on its occurrences in the next 30 days.
+ * @param {ObjectId[]} userIds - Participant user ids (organizer included)
+ * @param {object} meeting - { startTime, endTime, isRecurring, recurringPattern }
+ * @param {object} options - See loadAvailability
+ * @returns {object[]} - See getConflicts; recurring meetings add `occurrence`
+ */
+const findMeetingConflicts = async (userIds, meeting, options = {}) => {
+  const start = new Date(meeting.startTime);
+  const end = new Date(meeting.endTime);
+
+  if (!meeting.isRecurring) {
+    const availability = await loadAvailability(userIds, start, end, options);
+    return getConflicts(availability, start, end);
+  }
+
+  const settings = await getCompanySettings();
+  const duration = end.getTime() - start.getTime();
+  const until = new Date(start.getTime() + SERIES_CHECK_DAYS * DAY_MS);
+  const starts = getOccurrenceStarts(meeting, start, until, settings.work.weekendDays);
+  if (starts.length === 0) return [];
+
+  const lastEnd = new Date(starts[starts.length - 1].getTime() + duration);
+  const availability = await loadAvailability(userIds, start, lastEnd, options);
+  return starts.flatMap(occurrence => getConflicts(
+    availability,
+    occurrence,
+    new Date(occurrence.getTime() + duration)
+  ).map(conflict => ({ ...conflict, occurrence })));
+};
+
+/**
+ * Next open slots where every user is free and working
+ * @param {ObjectId[]} userIds - Participant user ids
+ * @param {object} options
+ * @param {number} options.duration - Slot length in minutes
+ * @param {Date} options.from - Earliest start
+ * @param {number} options.count - Number of slots to return
+ * @param {number} options.step - Minutes between candidate starts
+ * @param {number} options.days - How many days ahead to search
+ * @returns {object} - { slots: [{ start, end }], availability }
+ */
+const suggestMeetingSlots = async (userIds, { duration, from = new Date(), count = 5, step = 30, days = 14 }) => {
+  const durationMs = duration * MINUTE_MS;
+  const stepMs = step * MINUTE_MS;
+  const until = new Date(from.getTime() + days * DAY_MS);
+
+  const availability = await loadAvailability(userIds, from, new Date(until.getTime() + durationMs));
+
+  const slots = [];
+  // Candidate starts are aligned to the step
+  let start = Math.ceil(from.getTime() / stepMs) * stepMs;
+  while (slots.length < count && start <= until.getTime()) {
+    const slot = { start: new Date(start), end: new Date(start + durationMs) };
+    const free = availability.every(entry =>
+      isWithinWorkingHours(entry, slot) && !entry.busy.some(interval => overlaps(interval, slot))
+    );
+    if (free) {
+      slots.push(slot);
+      start += durationMs;
+      start = Math.ceil(start / stepMs) * stepMs;
+    } else {
+      start += stepMs;
+    }
+  }
+
+  return { slots, availability };
+};
+
+module.exports = {
+  loadAvailability,
+  getConflicts,
+  findMeetingConflicts,
+  suggestMeetingSlots
+};
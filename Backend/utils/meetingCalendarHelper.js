@@ -0,0 +1,343 @@
+// utils/meetingCalendarHelper.js
+// Meetings as iCalendar events: .ics invitations and personal feeds
+//
+// A meeting keeps one UID for its whole life; every change sent to
+// participants bumps its SEQUENCE so calendar apps replace the old copy.
+// A recurring meeting is one VEVENT with an RRULE. Its exceptions share the
+// series' UID: changed occurrences are extra VEVENTs with a RECURRENCE-ID,
+// cancelled ones are EXDATEs.
+
+const Meeting = require('../models/Meeting');
+const User = require('../models/User');
+const Employee = require('../models/Employee');
+const LeaveRequest = require('../models/LeaveRequest');
+const Task = require('../models/Task');
+const { buildCalendar, formatDateTimeUTC } = require('./icalendar');
+const { getCompanySettings } = require('./settingsHelper');
+const { getPKTDate, DAY_NAMES } = require('./workCalendar');
+const { formatDatePKT } = require('./timezoneHelper');
+const {
+  sendMeetingInvitationEmail,
+  sendMeetingUpdateEmail,
+  sendMeetingCancellationEmail
+} = require('./sendEmail');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PKT_OFFSET = 5 * 60 * 60 * 1000;
+
+// Past meetings kept in feeds (recurring series are always included)
+const FEED_DAYS_BEFORE = 90;
+
+const UID_DOMAIN = 'officesphere';
+const BYDAY = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const PARTSTATS = {
+  Accepted: 'ACCEPTED',
+  Attended: 'ACCEPTED',
+  Declined: 'DECLINED',
+  Tentative: 'TENTATIVE'
+};
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+/**
+ * UID shared by a meeting, its occurrences and its exceptions
+ * @param {object} meeting - Meeting, occurrence or exception
+ * @returns {string}
+ */
+const meetingUid = (meeting) => `${idOf(meeting.series) || idOf(meeting._id)}@${UID_DOMAIN}`;
+
+/**
+ * RRULE of a recurring meeting, matching meetingRecurrenceHelper's expansion
+ * @param {object} series - Recurring meeting
+ * @param {string[]} weekendDays - Day names skipped by daily series
+ * @returns {string|null}
+ */
+const buildRRule = (series, weekendDays = []) => {
+  const { frequency, endDate } = series.recurringPattern || {};
+  let rule;
+
+  if (frequency === 'Daily') {
+    const workingDays = DAY_NAMES
+      .map((name, index) => (weekendDays.includes(name) ? null : BYDAY[index]))
+      .filter(Boolean);
+    rule = `FREQ=DAILY;BYDAY=${workingDays.join(',')}`;
+  } else if (frequency === 'Weekly') {
+    rule = 'FREQ=WEEKLY';
+  } else if (frequency === 'Monthly') {
+    // Months without the day fall back to their last day
+    const day = new Date(new Date(series.startTime).getTime() + PKT_OFFSET).getUTCDate();
+    rule = day <= 28
+      ? `FREQ=MONTHLY;BYMONTHDAY=${day}`
+      : `FREQ=MONTHLY;BYMONTHDAY=${Array.from({ length: day - 27 }, (_, i) => 28 + i).join(',')};BYSETPOS=-1`;
+  } else {
+    return null;
+  }
+
+  if (endDate) {
+    // Last moment of the last PKT day
+    const until = new Date(getPKTDate(endDate).getTime() + DAY_MS - PKT_OFFSET - 1000);
+    rule += `;UNTIL=${formatDateTimeUTC(until)}`;
+  }
+  return rule;
+};
+
+/**
+ * Users mentioned by some meetings, by id
+ * @param {object[]} meetings - Meetings (populated or not)
+ * @returns {Map<string, object>}
+ */
+const loadPeople = async (meetings) => {
+  const ids = new Set();
+  meetings.forEach(meeting => {
+    ids.add(idOf(meeting.organizer));
+    (meeting.participants || []).forEach(participant => {
+      if (participant.user) ids.add(idOf(participant.user));
+    });
+  });
+
+  const users = await User.find({ _id: { $in: [...ids] } }).select('name email isActive');
+  return new Map(users.map(user => [user._id.toString(), user]));
+};
+
+/**
+ * One VEVENT description of a meeting or exception
+ * @param {object} meeting - Meeting or exception
+ * @param {Map<string, object>} people - See loadPeople
+ * @returns {object} - buildEventLines event
+ */
+const toEvent = (meeting, people) => {
+  const organizer = people.get(idOf(meeting.organizer));
+  const description = [meeting.description, meeting.agenda && `Agenda: ${meeting.agenda}`, meeting.meetingLink]
+    .filter(Boolean)
+    .join('\n\n');
+
+  return {
+    uid: meetingUid(meeting),
+    sequence: meeting.sequence || 0,
+    start: meeting.startTime,
+    end: meeting.endTime,
+    summary: meeting.title,
+    description,
+    location: meeting.location,
+    url: meeting.meetingLink || undefined,
+    status: meeting.status === 'Cancelled' ? 'CANCELLED' : 'CONFIRMED',
+    recurrenceId: meeting.series ? meeting.occurrenceStart : undefined,
+    organizer: organizer ? { name: organizer.name, email: organizer.email } : null,
+    attendees: (meeting.participants || [])
+      .map(participant => {
+        const user = people.get(idOf(participant.user));
+        return user && {
+          name: user.name,
+          email: user.email,
+          partstat: PARTSTATS[participant.status] || 'NEEDS-ACTION',
+          rsvp: true
+        };
+      })
+      .filter(Boolean)
+  };
+};
+
+/**
+ * Events of a recurring meeting: the series with its RRULE, plus its
+ * changed occurrences. Occurrences that are cancelled, or that a given user
+ * declined or was removed from, become EXDATEs.
+ * @param {object} series - Recurring meeting
+ * @param {object[]} exceptions - Its exceptions
+ * @param {object} options
+ * @param {Map<string, object>} options.people - See loadPeople
+ * @param {string[]} options.weekendDays - See buildRRule
+ * @param {string} options.userId - Only show what this user attends
+ * @returns {object[]}
+ */
+const buildSeriesEvents = (series, exceptions, { people, weekendDays, userId = null }) => {
+  const attends = (meeting) => !userId ||
+    idOf(meeting.organizer) === userId ||
+    meeting.participants.some(p => idOf(p.user) === userId && p.status !== 'Declined');
+
+  const declined = userId
+    ? (series.occurrenceResponses || [])
+      .filter(response => idOf(response.user) === userId && response.status === 'Declined')
+      .map(response => response.occurrenceStart)
+    : [];
+
+  const skipped = exceptions.filter(exception => exception.status === 'Cancelled' || !attends(exception));
+  const changed = exceptions.filter(exception => !skipped.includes(exception));
+
+  return [
+    {
+      ...toEvent(series, people),
+      rrule: buildRRule(series, weekendDays),
+      exdates: [...skipped.map(exception => exception.occurrenceStart), ...declined]
+    },
+    ...changed.map(exception => toEvent(exception, people))
+  ];
+};
+
+/**
+ * Invitation details shown in the email body
+ * @param {object} meeting - Meeting or exception
+ * @returns {object}
+ */
+const toEmailDetails = (meeting) => ({
+  title: meeting.title,
+  date: formatDatePKT(meeting.startTime, 'ddd, MMM D, YYYY'),
+  time: formatDatePKT(meeting.startTime, 'h:mm A'),
+  location: meeting.location,
+  agenda: meeting.agenda
+});
+
+/**
+ * Email the .ics of a meeting to its participants
+ * @param {object} meeting - Meeting, series or exception (saved, sequence already bumped)
+ * @param {string} action - 'invite' | 'update' | 'cancel'
+ * @param {object} options
+ * @param {ObjectId[]} options.recipientIds - Who to email (default: every participant but the organizer)
+ * @returns {number} - Emails sent
+ */
+const sendMeetingInvites = async (meeting, action = 'invite', { recipientIds = null } = {}) => {
+  const exceptions = meeting.isRecurring && action !== 'cancel'
+    ? await Meeting.find({ series: meeting._id }).lean()
+    : [];
+  const people = await loadPeople([meeting, ...exceptions]);
+
+  let events;
+  if (meeting.isRecurring && action !== 'cancel') {
+    const settings = await getCompanySettings();
+    events = buildSeriesEvents(meeting, exceptions, { people, weekendDays: settings.work.weekendDays });
+  } else {
+    events = [toEvent(meeting, people)];
+  }
+  if (action === 'cancel') events = events.map(event => ({ ...event, status: 'CANCELLED' }));
+
+  const method = action === 'cancel' ? 'CANCEL' : 'REQUEST';
+  const calendar = {
+    method,
+    filename: action === 'cancel' ? 'cancel.ics' : 'invite.ics',
+    content: buildCalendar({ events, method })
+  };
+
+  const organizerId = idOf(meeting.organizer);
+  const ids = (recipientIds || meeting.participants.map(p => p.user))
+    .map(idOf)
+    .filter(id => id && id !== organizerId);
+
+  if (recipientIds) {
+    // Removed participants are not in the meeting any more
+    const missing = ids.filter(id => !people.has(id));
+    const users = await User.find({ _id: { $in: missing } }).select('name email isActive');
+    users.forEach(user => people.set(user._id.toString(), user));
+  }
+
+  const send = {
+    invite: sendMeetingInvitationEmail,
+    update: sendMeetingUpdateEmail,
+    cancel: sendMeetingCancellationEmail
+  }[action];
+  const details = toEmailDetails(meeting);
+
+  let sent = 0;
+  for (const id of [...new Set(ids)]) {
+    const user = people.get(id);
+    if (!user?.email || user.isActive === false) continue;
+    try {
+      await send(user.email, user.name, details, calendar);
+      sent++;
+    } catch (emailError) {
+      console.error(`❌ Meeting ${action} email to ${user.email} failed:`, emailError.message);
+    }
+  }
+
+  console.log(`📧 Meeting ${action} (.ics) sent to ${sent} people: ${meeting.title}`);
+  return sent;
+};
+
+/**
+ * Personal calendar of a user: their meetings, approved leave and the due
+ * dates of their tasks
+ * @param {object} user - User document
+ * @returns {string} - .ics content
+ */
+const buildUserCalendarFeed = async (user) => {
+  const userId = user._id.toString();
+  const since = new Date(Date.now() - FEED_DAYS_BEFORE * DAY_MS);
+
+  const [meetings, settings, employee] = await Promise.all([
+    Meeting.find({
+      status: { $ne: 'Cancelled' },
+      $and: [
+        { $or: [{ organizer: user._id }, { participants: { $elemMatch: { user: user._id, status: { $ne: 'Declined' } } } }] },
+        { $or: [{ isRecurring: true }, { endTime: { $gte: since } }] }
+      ]
+    }).lean(),
+    getCompanySettings(),
+    Employee.findOne({ userId: user._id })
+  ]);
+
+  const series = meetings.filter(meeting => meeting.isRecurring);
+  // Exceptions belong to their series, even those the user does not attend
+  const exceptions = series.length > 0
+    ? await Meeting.find({ series: { $in: series.map(meeting => meeting._id) } }).lean()
+    : [];
+  const people = await loadPeople([...meetings, ...exceptions]);
+
+  const events = [];
+  meetings
+    .filter(meeting => !meeting.series)
+    .forEach(meeting => {
+      if (!meeting.isRecurring) {
+        events.push(toEvent(meeting, people));
+        return;
+      }
+      const own = exceptions.filter(exception => idOf(exception.series) === meeting._id.toString());
+      events.push(...buildSeriesEvents(meeting, own, { people, weekendDays: settings.work.weekendDays, userId }));
+    });
+
+  // Exceptions of series the user is not part of (added to one occurrence).
+  // Without the master in the feed they are standalone events, so each needs
+  // its own UID; sharing the series UID would make them overwrite each other
+  meetings
+    .filter(meeting => meeting.series && !series.some(s => s._id.toString() === idOf(meeting.series)))
+    .forEach(meeting => events.push({
+      ...toEvent(meeting, people),
+      uid: `${idOf(meeting.series)}-${new Date(meeting.occurrenceStart).getTime()}@${UID_DOMAIN}`,
+      recurrenceId: undefined
+    }));
+
+  if (employee) {
+    const [leaves, tasks] = await Promise.all([
+      LeaveRequest.find({ employeeId: employee._id, status: 'approved', endDate: { $gte: since } }).lean(),
+      Task.find({ assignedTo: employee._id, dueDate: { $gte: since } }).select('taskId title status dueDate').lean()
+    ]);
+
+    leaves.forEach(leave => events.push({
+      uid: `leave-${leave._id}@${UID_DOMAIN}`,
+      allDay: true,
+      start: getPKTDate(leave.startDate),
+      end: new Date(getPKTDate(leave.endDate).getTime() + DAY_MS),
+      summary: `On leave (${leave.leaveType})`,
+      status: 'CONFIRMED'
+    }));
+
+    tasks.forEach(task => {
+      const day = getPKTDate(task.dueDate);
+      events.push({
+        uid: `task-${task._id}@${UID_DOMAIN}`,
+        allDay: true,
+        start: day,
+        end: new Date(day.getTime() + DAY_MS),
+        summary: `Due: ${task.title}${task.status === 'completed' ? ' (completed)' : ''}`,
+        description: task.taskId
+      });
+    });
+  }
+
+  return buildCalendar({ events, name: `OfficeSphere - ${user.name}` });
+};
+
+module.exports = {
+  meetingUid,
+  buildRRule,
+  sendMeetingInvites,
+  buildUserCalendarFeed
+};
@@ -0,0 +1,352 @@
+// utils/meetingMinutesHelper.js
+// Versioned meeting minutes, participant sign-off and action items
+//
+// Recording minutes again creates a new version and moves the previous one
+// to minutesHistory. Action items keep their _id across versions when it is
+// sent back with the item, so a promoted item stays linked to its task.
+// A promoted item follows its task: its status is read from the task, not
+// from the minutes. Participants sign off on one version; a new version
+// needs a new sign-off.
+
+const Meeting = require('../models/Meeting');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Employee = require('../models/Employee');
+const Project = require('../models/Project');
+const { refreshTaskProgress } = require('./taskProgressHelper');
+const { notifyEmployee } = require('./Notificationhelper');
+
+const ACTION_ITEM_STATUSES = ['Pending', 'In Progress', 'Completed'];
+
+// Task status → action item status
+const TASK_STATUS_TO_ITEM = {
+  pending: 'Pending',
+  'on-hold': 'Pending',
+  'in-progress': 'In Progress',
+  completed: 'Completed'
+};
+const ITEM_STATUS_TO_TASK = {
+  Pending: 'pending',
+  'In Progress': 'in-progress',
+  Completed: 'completed'
+};
+
+// Participants who do not sign off
+const NOT_SIGNING = ['Declined', 'Absent'];
+
+const TASK_TITLE_LENGTH = 100;
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+/**
+ * Replace a meeting's minutes with a new version (not saved)
+ * @param {object} meeting - Meeting document
+ * @param {object} input - { discussion, decisions, actionItems: [{ _id?, description, assignedTo, dueDate, status }] }
+ * @param {ObjectId} userId - Who records them
+ * @returns {object} - { version } or { error }
+ */
+const recordMinutesVersion = async (meeting, { discussion, decisions, actionItems }, userId) => {
+  if (decisions !== undefined && !Array.isArray(decisions)) {
+    return { error: 'decisions must be a list' };
+  }
+  if (actionItems !== undefined && !Array.isArray(actionItems)) {
+    return { error: 'actionItems must be a list' };
+  }
+
+  const items = actionItems || [];
+  for (const item of items) {
+    if (!item?.description || !String(item.description).trim()) {
+      return { error: 'Every action item needs a description' };
+    }
+    if (item.status && !ACTION_ITEM_STATUSES.includes(item.status)) {
+      return { error: `Action item status must be one of: ${ACTION_ITEM_STATUSES.join(', ')}` };
+    }
+    if (item.dueDate && Number.isNaN(new Date(item.dueDate).getTime())) {
+      return { error: `Invalid due date for "${item.description}"` };
+    }
+  }
+
+  const assigneeIds = [...new Set(items.map(item => idOf(item.assignedTo)).filter(Boolean))];
+  if (assigneeIds.length > 0) {
+    const found = await User.countDocuments({ _id: { $in: assigneeIds } });
+    if (found !== assigneeIds.length) {
+      return { error: 'Action items can only be assigned to existing users' };
+    }
+  }
+
+  const current = meeting.minutes?.recordedAt ? meeting.minutes : null;
+  const previousItems = current ? current.actionItems : [];
+
+  if (current) {
+    meeting.minutesHistory.push({
+      // Minutes recorded before versioning count as version 1
+      version: current.version || 1,
+      discussion: current.discussion,
+      decisions: current.decisions,
+      actionItems: current.actionItems.map(item => item.toObject()),
+      recordedBy: current.recordedBy,
+      recordedAt: current.recordedAt
+    });
+  }
+
+  const version = current ? (current.version || 1) + 1 : 1;
+
+  meeting.minutes = {
+    version,
+    discussion,
+    decisions: decisions || [],
+    actionItems: items.map(item => {
+      const previous = item._id && previousItems.find(p => p._id.toString() === idOf(item._id));
+      return {
+        // Unknown ids start a new item
+        ...(previous ? { _id: previous._id, task: previous.task, promotedBy: previous.promotedBy, promotedAt: previous.promotedAt } : {}),
+        description: String(item.description).trim(),
+        assignedTo: idOf(item.assignedTo) || null,
+        dueDate: item.dueDate ? new Date(item.dueDate) : null,
+        status: item.status || previous?.status || 'Pending'
+      };
+    }),
+    recordedBy: userId,
+    recordedAt: new Date(),
+    // Earlier sign-offs stay with the version they were given on
+    acknowledgements: current ? current.acknowledgements.map(a => a.toObject()) : []
+  };
+
+  return { version };
+};
+
+/**
+ * Who has signed off on the current version of the minutes
+ * @param {object} meeting - Meeting (participants populated or not)
+ * @returns {object|null} - { version, acknowledged: [{ user, comment, acknowledgedAt }], pending: [userId], complete }
+ */
+const getSignOff = (meeting) => {
+  if (!meeting.minutes?.recordedAt) return null;
+
+  const version = meeting.minutes.version || 1;
+  const acknowledged = (meeting.minutes.acknowledgements || [])
+    .filter(a => (a.version || 1) === version);
+  const signers = (meeting.participants || [])
+    .filter(p => p.user && !NOT_SIGNING.includes(p.status))
+    .map(p => idOf(p.user));
+  const pending = signers.filter(id => !acknowledged.some(a => idOf(a.user) === id));
+
+  return {
+    version,
+    acknowledged: acknowledged.map(a => ({ user: a.user, comment: a.comment, acknowledgedAt: a.acknowledgedAt })),
+    pending,
+    complete: pending.length === 0
+  };
+};
+
+/**
+ * Sign off on the minutes (not saved). Signing the same version again
+ * replaces the comment.
+ * @param {object} meeting - Meeting document
+ * @param {ObjectId} userId - Participant
+ * @param {object} options - { version, comment }
+ * @returns {object} - { version } or { error, status }
+ */
+const acknowledgeMinutes = (meeting, userId, { version, comment } = {}) => {
+  if (!meeting.minutes?.recordedAt) {
+    return { error: 'This meeting has no minutes yet', status: 404 };
+  }
+
+  const participant = meeting.participants.find(p => idOf(p.user) === idOf(userId));
+  if (!participant) {
+    return { error: 'You are not a participant in this meeting', status: 403 };
+  }
+
+  const current = meeting.minutes.version || 1;
+  if (version !== undefined && Number(version) !== current) {
+    return { error: `The minutes have changed; the current version is ${current}`, status: 409 };
+  }
+
+  const existing = meeting.minutes.acknowledgements.find(a =>
+    idOf(a.user) === idOf(userId) && (a.version || 1) === current
+  );
+  if (existing) {
+    existing.comment = comment;
+    existing.acknowledgedAt = new Date();
+  } else {
+    meeting.minutes.acknowledgements.push({ user: userId, version: current, comment, acknowledgedAt: new Date() });
+  }
+
+  return { version: current };
+};
+
+/**
+ * Tasks of promoted action items, by id
+ * @param {object[]} meetings - Meetings with minutes
+ * @returns {Map<string, object>}
+ */
+const loadPromotedTasks = async (meetings) => {
+  const ids = meetings.flatMap(meeting => (meeting.minutes?.actionItems || [])
+    .map(item => item.task)
+    .filter(Boolean));
+  if (ids.length === 0) return new Map();
+
+  const tasks = await Task.find({ _id: { $in: ids } }).select('taskId title status dueDate').lean();
+  return new Map(tasks.map(task => [task._id.toString(), task]));
+};
+
+/**
+ * An action item with its effective status; a deleted task unlinks it
+ * @param {object} item - Action item
+ * @param {Map<string, object>} tasks - See loadPromotedTasks
+ * @returns {object}
+ */
+const resolveActionItem = (item, tasks) => {
+  const plain = typeof item.toObject === 'function' ? item.toObject() : item;
+  const task = plain.task ? tasks.get(plain.task.toString()) : null;
+  return {
+    ...plain,
+    status: task ? TASK_STATUS_TO_ITEM[task.status] || plain.status : plain.status,
+    task: task || null
+  };
+};
+
+/**
+ * Open (not completed) action items across meetings
+ * @param {object} options
+ * @param {ObjectId} options.userId - Only this user's items (all users when null)
+ * @param {boolean} options.overdueOnly - Only items past their due date
+ * @returns {object[]} - Items with their meeting, earliest due first (no due date last)
+ */
+const findOpenActionItems = async ({ userId = null, overdueOnly = false } = {}) => {
+  const query = {
+    status: { $ne: 'Cancelled' },
+    'minutes.actionItems.0': { $exists: true }
+  };
+  if (userId) query['minutes.actionItems.assignedTo'] = userId;
+
+  const meetings = await Meeting.find(query)
+    .select('meetingId title startTime project minutes.actionItems')
+    .populate('project', 'name')
+    .populate('minutes.actionItems.assignedTo', 'name email role')
+    .lean();
+
+  const tasks = await loadPromotedTasks(meetings);
+  const now = new Date();
+
+  return meetings
+    .flatMap(meeting => meeting.minutes.actionItems
+      .filter(item => !userId || idOf(item.assignedTo) === idOf(userId))
+      .map(item => ({
+        ...resolveActionItem(item, tasks),
+        meeting: {
+          _id: meeting._id,
+          meetingId: meeting.meetingId,
+          title: meeting.title,
+          startTime: meeting.startTime,
+          project: meeting.project || null
+        }
+      })))
+    .filter(item => item.status !== 'Completed')
+    .map(item => ({ ...item, overdue: Boolean(item.dueDate && item.dueDate < now) }))
+    .filter(item => !overdueOnly || item.overdue)
+    .sort((a, b) => (a.dueDate ? a.dueDate.getTime() : Infinity) - (b.dueDate ? b.dueDate.getTime() : Infinity));
+};
+
+/**
+ * Create a task from an action item and link them (meeting saved)
+ * @param {object} meeting - Meeting document
+ * @param {string} itemId - Action item id
+ * @param {object} input - Optional { title, priority, dueDate, estimatedHours, project }
+ *   (project only when the meeting has none)
+ * @param {object} user - Admin promoting the item
+ * @returns {object} - { task } or { error, status, task? }
+ */
+const promoteActionItem = async (meeting, itemId, input, user) => {
+  const item = meeting.minutes?.actionItems?.id(itemId);
+  if (!item) {
+    return { error: 'Action item not found', status: 404 };
+  }
+
+  if (item.task) {
+    const existing = await Task.findById(item.task).select('taskId title status');
+    if (existing) {
+      return { error: 'This action item is already a task', status: 409, task: existing };
+    }
+  }
+
+  const employee = item.assignedTo ? await Employee.findOne({ userId: item.assignedTo }) : null;
+  if (!employee) {
+    return { error: 'Only action items assigned to an employee can become tasks', status: 400 };
+  }
+
+  const dueDate = input.dueDate || item.dueDate;
+  if (!dueDate || Number.isNaN(new Date(dueDate).getTime())) {
+    return { error: 'Set a due date on the action item or send dueDate', status: 400 };
+  }
+
+  const project = meeting.project || input.project || null;
+  if (project && !await Project.exists({ _id: project })) {
+    return { error: 'Project not found', status: 404 };
+  }
+
+  let task;
+  try {
+    task = await Task.create({
+      title: input.title || item.description.slice(0, TASK_TITLE_LENGTH),
+      description: `${item.description}\n\nAction item from meeting ${meeting.meetingId}: ${meeting.title}`,
+      project: project || undefined,
+      assignedTo: employee._id,
+      priority: input.priority || 'medium',
+      status: ITEM_STATUS_TO_TASK[item.status] || 'pending',
+      dueDate: new Date(dueDate),
+      estimatedHours: input.estimatedHours || 0,
+      assignedBy: user._id,
+      createdBy: user._id,
+      meetingAction: { meeting: meeting._id, actionItem: item._id }
+    });
+  } catch (error) {
+    // Promoted by someone else meanwhile
+    if (error.code === 11000) {
+      const existing = await Task.findOne({ 'meetingAction.actionItem': item._id }).select('taskId title status');
+      return { error: 'This action item is already a task', status: 409, task: existing };
+    }
+    throw error;
+  }
+
+  item.task = task._id;
+  item.promotedBy = user._id;
+  item.promotedAt = new Date();
+  await meeting.save();
+
+  await refreshTaskProgress(task._id);
+
+  try {
+    await notifyEmployee(employee._id, {
+      title: '📋 New Task Assigned',
+      message: `Action item from "${meeting.title}" is now a task: ${task.title}`,
+      type: 'task',
+      metadata: {
+        taskId: task._id,
+        taskTitle: task.title,
+        priority: task.priority,
+        dueDate: task.dueDate,
+        meetingId: meeting._id,
+        assignedBy: user.name || 'Admin',
+        link: `/employee/tasks`,
+        action: 'task-assigned'
+      }
+    });
+  } catch (notifError) {
+    console.error('❌ Error creating notification:', notifError);
+  }
+
+  console.log(`📋 Action item promoted to task ${task.taskId} (meeting ${meeting.meetingId})`);
+  return { task };
+};
+
+module.exports = {
+  ACTION_ITEM_STATUSES,
+  recordMinutesVersion,
+  getSignOff,
+  acknowledgeMinutes,
+  loadPromotedTasks,
+  resolveActionItem,
+  findOpenActionItems,
+  promoteActionItem
+};
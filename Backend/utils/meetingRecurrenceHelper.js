@@ -0,0 +1,376 @@
+// utils/meetingRecurrenceHelper.js
+// Expand recurring meetings into occurrences
+//
+// A recurring meeting (isRecurring + recurringPattern) is one document, the
+// series; its startTime/endTime are the first occurrence. Daily series skip
+// the company's weekend days, monthly series fall back to the last day of
+// shorter months, and recurringPattern.endDate is the last day an
+// occurrence may start on.
+//
+// An occurrence changed or cancelled on its own is stored as its own
+// Meeting (an exception) with `series` and the original `occurrenceStart`;
+// it replaces the computed occurrence. Participant answers for single
+// occurrences without an exception live in the series' occurrenceResponses.
+
+const Meeting = require('../models/Meeting');
+const { getCompanySettings } = require('./settingsHelper');
+const { getPKTDate, toDateKey, isWeekend } = require('./workCalendar');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PKT_OFFSET = 5 * 60 * 60 * 1000;
+const FREQUENCIES = ['Daily', 'Weekly', 'Monthly'];
+
+// Guards against endless series in one expansion
+const MAX_OCCURRENCES = 1000;
+
+// Default list window around today
+const LIST_DAYS_BEFORE = 30;
+const LIST_DAYS_AFTER = 90;
+
+const idOf = (value) => (value?._id || value)?.toString();
+const sameTime = (a, b) => new Date(a).getTime() === new Date(b).getTime();
+const keyOf = (seriesId, start) => `${seriesId}_${new Date(start).getTime()}`;
+
+const getWeekendDays = async () => (await getCompanySettings()).work.weekendDays || [];
+
+/**
+ * Start of the nth occurrence, ignoring weekend skipping and the end date
+ * @param {object} series - Recurring meeting
+ * @param {number} n - Occurrence index (0 = the series' startTime)
+ * @returns {Date}
+ */
+const nthStart = (series, n) => {
+  const first = new Date(series.startTime).getTime();
+  const { frequency } = series.recurringPattern;
+  if (frequency === 'Daily') return new Date(first + n * DAY_MS);
+  if (frequency === 'Weekly') return new Date(first + n * 7 * DAY_MS);
+
+  // Monthly: same PKT wall-clock time on the same day of month
+  const wall = new Date(first + PKT_OFFSET);
+  const year = wall.getUTCFullYear();
+  const month = wall.getUTCMonth() + n;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(
+    year,
+    month,
+    Math.min(wall.getUTCDate(), lastDay),
+    wall.getUTCHours(),
+    wall.getUTCMinutes(),
+    wall.getUTCSeconds(),
+    wall.getUTCMilliseconds()
+  ) - PKT_OFFSET);
+};
+
+/**
+ * Starts of a series' occurrences overlapping [from, to)
+ * @param {object} series - Recurring meeting
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @param {string[]} weekendDays - Day names skipped by daily series
+ * @returns {Date[]}
+ */
+const getOccurrenceStarts = (series, from, to, weekendDays = []) => {
+  if (!series.isRecurring || !FREQUENCIES.includes(series.recurringPattern?.frequency)) {
+    return [];
+  }
+
+  const first = new Date(series.startTime).getTime();
+  const duration = new Date(series.endTime).getTime() - first;
+  const lastDay = series.recurringPattern.endDate ? getPKTDate(series.recurringPattern.endDate) : null;
+  const { frequency } = series.recurringPattern;
+
+  // Jump close to the range instead of walking from the first occurrence
+  let n = 0;
+  const lead = from.getTime() - duration - first;
+  if (lead > 0) {
+    if (frequency === 'Daily') n = Math.floor(lead / DAY_MS);
+    else if (frequency === 'Weekly') n = Math.floor(lead / (7 * DAY_MS));
+    else n = Math.max(0, Math.floor(lead / (31 * DAY_MS)));
+  }
+
+  const starts = [];
+  for (let walked = 0; walked < MAX_OCCURRENCES; walked++, n++) {
+    const start = nthStart(series, n);
+    if (start >= to) break;
+    if (lastDay && getPKTDate(start) > lastDay) break;
+    if (start.getTime() + duration <= from.getTime()) continue;
+    // The first occurrence is kept even when it was booked on a weekend
+    if (frequency === 'Daily' && n > 0 && isWeekend(getPKTDate(start), weekendDays)) continue;
+    starts.push(start);
+  }
+  return starts;
+};
+
+/**
+ * Whether a moment is the start of one of the series' occurrences
+ * @param {object} series - Recurring meeting
+ * @param {Date} start - Original start of the occurrence
+ * @returns {boolean}
+ */
+const isSeriesOccurrence = async (series, start) => {
+  if (!series.isRecurring || !start) return false;
+  const weekendDays = await getWeekendDays();
+  return getOccurrenceStarts(series, start, new Date(start.getTime() + 1), weekendDays)
+    .some(occurrence => sameTime(occurrence, start));
+};
+
+/**
+ * Parse an occurrence reference (ISO date or milliseconds)
+ * @param {string|number} value - Original start of the occurrence
+ * @returns {Date|null}
+ */
+const parseOccurrence = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(/^\d+$/.test(String(value)) ? Number(value) : value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Participants of one occurrence: series participants with that
+ * occurrence's answers applied
+ * @param {object} series - Recurring meeting
+ * @param {Date} start - Original start of the occurrence
+ * @returns {object[]}
+ */
+const getOccurrenceParticipants = (series, start) => {
+  const responses = (series.occurrenceResponses || []).filter(r => sameTime(r.occurrenceStart, start));
+  return (series.participants || []).map(participant => {
+    const plain = typeof participant.toObject === 'function' ? participant.toObject() : { ...participant };
+    const response = responses.find(r => idOf(r.user) === idOf(participant.user));
+    return response ? { ...plain, status: response.status } : plain;
+  });
+};
+
+/**
+ * One computed occurrence as a plain meeting object. _id stays the
+ * series' id; `series` and `occurrenceStart` identify the occurrence.
+ * @param {object} series - Recurring meeting
+ * @param {Date} start - Original start of the occurrence
+ * @returns {object}
+ */
+const buildOccurrence = (series, start) => {
+  const plain = typeof series.toObject === 'function' ? series.toObject() : { ...series };
+  const { minutes, occurrenceResponses, reminder, ...fields } = plain;
+  const duration = new Date(series.endTime).getTime() - new Date(series.startTime).getTime();
+
+  return {
+    ...fields,
+    series: series._id,
+    occurrenceStart: start,
+    startTime: start,
+    endTime: new Date(start.getTime() + duration),
+    participants: getOccurrenceParticipants(series, start),
+    isOccurrence: true
+  };
+};
+
+/**
+ * Expand one series without touching the database
+ * @param {object} series - Recurring meeting
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @param {object} options
+ * @param {string[]} options.weekendDays - See getOccurrenceStarts
+ * @param {Set<string>} options.exceptionKeys - Occurrences replaced by exceptions
+ * @returns {object[]}
+ */
+const expandSeries = (series, from, to, { weekendDays = [], exceptionKeys = new Set() } = {}) =>
+  getOccurrenceStarts(series, from, to, weekendDays)
+    .filter(start => !exceptionKeys.has(keyOf(series._id, start)))
+    .map(start => buildOccurrence(series, start));
+
+/**
+ * Keys of every exception of the given series
+ * @param {ObjectId[]} seriesIds - Series ids
+ * @returns {Set<string>}
+ */
+const loadExceptionKeys = async (seriesIds) => {
+  if (seriesIds.length === 0) return new Set();
+  const exceptions = await Meeting.find({ series: { $in: seriesIds } }).select('series occurrenceStart').lean();
+  return new Set(exceptions.map(exception => keyOf(exception.series, exception.occurrenceStart)));
+};
+
+/**
+ * Replace recurring meetings in a list by their occurrences inside a window.
+ * Other meetings (including exceptions) are returned as they are.
+ * @param {object[]} meetings - Meetings (documents or lean)
+ * @param {object} window - { from, to }
+ * @returns {object[]} - Plain objects
+ */
+const expandMeetings = async (meetings, { from, to }) => {
+  const series = meetings.filter(meeting => meeting.isRecurring);
+  const [weekendDays, exceptionKeys] = await Promise.all([
+    series.length > 0 ? getWeekendDays() : [],
+    loadExceptionKeys(series.map(meeting => meeting._id))
+  ]);
+
+  return meetings.flatMap(meeting => {
+    if (!meeting.isRecurring) {
+      return [typeof meeting.toObject === 'function' ? meeting.toObject() : meeting];
+    }
+    return expandSeries(meeting, from, to, { weekendDays, exceptionKeys });
+  });
+};
+
+/**
+ * Window for list endpoints: ?from=&to=, defaulting to 30 days back and
+ * 90 days ahead
+ * @param {object} query - Request query
+ * @returns {object} - { from, to, explicit } (explicit: the caller set a bound)
+ */
+const getListWindow = (query = {}) => {
+  const now = Date.now();
+  const from = parseOccurrence(query.from) || new Date(now - LIST_DAYS_BEFORE * DAY_MS);
+  const to = parseOccurrence(query.to) || new Date(now + LIST_DAYS_AFTER * DAY_MS);
+  return { from, to, explicit: Boolean(query.from || query.to) };
+};
+
+/**
+ * The exception of an occurrence, or a new unsaved one copied from the series
+ * @param {object} series - Recurring meeting (document)
+ * @param {Date} start - Original start of the occurrence
+ * @returns {object} - Meeting document
+ */
+const getOrBuildException = async (series, start) => {
+  const existing = await Meeting.findOne({ series: series._id, occurrenceStart: start });
+  if (existing) return existing;
+
+  const duration = series.endTime.getTime() - series.startTime.getTime();
+  return new Meeting({
+    meetingId: `${series.meetingId}-${toDateKey(getPKTDate(start)).replace(/-/g, '')}`,
+    title: series.title,
+    description: series.description,
+    type: series.type,
+    organizer: idOf(series.organizer),
+    participants: getOccurrenceParticipants(series, start).map(participant => ({
+      user: idOf(participant.user),
+      role: participant.role,
+      status: participant.status
+    })),
+    project: idOf(series.project) || null,
+    startTime: start,
+    endTime: new Date(start.getTime() + duration),
+    duration: series.duration,
+    location: series.location,
+    meetingLink: series.meetingLink,
+    agenda: series.agenda,
+    status: 'Scheduled',
+    isRecurring: false,
+    series: series._id,
+    occurrenceStart: start,
+    sequence: series.sequence || 0
+  });
+};
+
+/**
+ * New unsaved series for "this and following" occurrences of a series.
+ * Save it, then call finishSeriesSplit.
+ * @param {object} series - Recurring meeting (document)
+ * @param {Date} start - Original start of the first occurrence of the new series
+ * @param {string} meetingId - Id of the new series
+ * @returns {object} - Meeting document
+ */
+const buildSeriesSplit = (series, start, meetingId) => {
+  const duration = series.endTime.getTime() - series.startTime.getTime();
+  return new Meeting({
+    meetingId,
+    title: series.title,
+    description: series.description,
+    type: series.type,
+    organizer: idOf(series.organizer),
+    participants: series.participants.map(participant => ({
+      user: idOf(participant.user),
+      role: participant.role,
+      status: participant.status
+    })),
+    project: idOf(series.project) || null,
+    startTime: start,
+    endTime: new Date(start.getTime() + duration),
+    duration: series.duration,
+    location: series.location,
+    meetingLink: series.meetingLink,
+    agenda: series.agenda,
+    status: 'Scheduled',
+    isRecurring: true,
+    recurringPattern: {
+      frequency: series.recurringPattern.frequency,
+      endDate: series.recurringPattern.endDate
+    },
+    occurrenceResponses: series.occurrenceResponses
+      .filter(response => response.occurrenceStart >= start)
+      .map(({ occurrenceStart, user, status, respondedAt }) => ({ occurrenceStart, user, status, respondedAt }))
+  });
+};
+
+/**
+ * Move a series' exceptions and answers by the same amount as its start,
+ * so they keep matching their occurrences
+ * @param {object} series - Recurring meeting (document, saved)
+ * @param {number} deltaMs - How far the series moved
+ */
+const shiftSeriesOccurrences = async (series, deltaMs) => {
+  if (!deltaMs) return;
+
+  // Move the far end first so no two exceptions share a start meanwhile
+  const exceptions = await Meeting.find({ series: series._id })
+    .select('occurrenceStart')
+    .sort({ occurrenceStart: deltaMs > 0 ? -1 : 1 });
+  for (const exception of exceptions) {
+    await Meeting.updateOne(
+      { _id: exception._id },
+      { $set: { occurrenceStart: new Date(exception.occurrenceStart.getTime() + deltaMs) } }
+    );
+  }
+
+  if (series.occurrenceResponses.length > 0) {
+    series.occurrenceResponses.forEach(response => {
+      response.occurrenceStart = new Date(response.occurrenceStart.getTime() + deltaMs);
+    });
+    await series.save();
+  }
+};
+
+/**
+ * End a series on the day before one of its occurrences
+ * @param {object} series - Recurring meeting (document)
+ * @param {Date} start - Original start of the first occurrence to drop
+ */
+const endSeriesBefore = async (series, start) => {
+  series.recurringPattern.endDate = new Date(getPKTDate(start).getTime() - DAY_MS);
+  series.sequence = (series.sequence || 0) + 1;
+  series.occurrenceResponses = series.occurrenceResponses.filter(response => response.occurrenceStart < start);
+  await series.save();
+};
+
+/**
+ * Finish a split: end the old series before the new one and hand the later
+ * exceptions over to it (moved along if the new series starts elsewhere)
+ * @param {object} series - Old series (document)
+ * @param {object} next - New series (saved)
+ * @param {Date} start - Original start the series was split at
+ */
+const finishSeriesSplit = async (series, next, start) => {
+  await endSeriesBefore(series, start);
+  await Meeting.updateMany(
+    { series: series._id, occurrenceStart: { $gte: start } },
+    { $set: { series: next._id } }
+  );
+  await shiftSeriesOccurrences(next, next.startTime.getTime() - start.getTime());
+};
+
+module.exports = {
+  FREQUENCIES,
+  getOccurrenceStarts,
+  isSeriesOccurrence,
+  parseOccurrence,
+  buildOccurrence,
+  expandSeries,
+  loadExceptionKeys,
+  expandMeetings,
+  getListWindow,
+  getOrBuildException,
+  buildSeriesSplit,
+  shiftSeriesOccurrences,
+  endSeriesBefore,
+  finishSeriesSplit
+};
@@ -0,0 +1,221 @@
+// utils/meetingReminderJob.js
+// Reminds participants before meetings start and completes meetings that
+// have ended
+//
+// Every reminder offset of every meeting (or occurrence of a recurring
+// meeting) is claimed in JobRun before it is sent, so a restart or a second
+// instance never sends it again. When several offsets are due at once (a
+// meeting booked shortly before it starts, or after downtime) only the
+// closest one is sent.
+//
+// Configuration (.env):
+//   MEETING_REMINDER_JOB_ENABLED=false            disable the job
+//   MEETING_REMINDER_JOB_INTERVAL_MINUTES=5       how often to look for due reminders
+//   MEETING_REMINDER_OFFSETS_MINUTES=1440,15      minutes before the start to remind at
+
+const Meeting = require('../models/Meeting');
+const User = require('../models/User');
+const JobRun = require('../models/JobRun');
+const { notifyMeetingReminder } = require('./Notificationhelper');
+const { sendMeetingReminderEmail } = require('./sendEmail');
+const { formatDatePKT } = require('./timezoneHelper');
+const { getPKTDate } = require('./workCalendar');
+const { expandMeetings } = require('./meetingRecurrenceHelper');
+const { scheduleJob } = require('./scheduler');
+
+const JOB_NAME = 'meeting-reminders';
+const REMINDER_JOB = 'meeting-reminder';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const DEFAULT_OFFSETS = [24 * 60, 15];
+
+/**
+ * Reminder offsets in minutes, largest first
+ * @returns {number[]}
+ */
+const getReminderOffsets = () => {
+  const configured = (process.env.MEETING_REMINDER_OFFSETS_MINUTES || '')
+    .split(',')
+    .map(value => parseInt(value, 10))
+    .filter(value => value > 0);
+  const offsets = configured.length > 0 ? configured : DEFAULT_OFFSETS;
+  return [...new Set(offsets)].sort((a, b) => b - a);
+};
+
+// "2 hours 5 minutes"
+const formatTimeUntil = (ms) => {
+  const totalMinutes = Math.max(1, Math.round(ms / MINUTE_MS));
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  const parts = [];
+  if (hours > 0) parts.push(`${hours} hour${hours === 1 ? '' : 's'}`);
+  if (minutes > 0) parts.push(`${minutes} minute${minutes === 1 ? '' : 's'}`);
+  return parts.join(' ');
+};
+
+/**
+ * Notify and email everyone attending one meeting or occurrence
+ * @param {object} meeting - Meeting or occurrence (plain object)
+ * @param {Date} now - Current time
+ * @returns {number} - People reminded
+ */
+const remindParticipants = async (meeting, now) => {
+  const userIds = new Set([meeting.organizer.toString()]);
+  meeting.participants
+    .filter(participant => participant.user && participant.status !== 'Declined')
+    .forEach(participant => userIds.add(participant.user.toString()));
+
+  const users = await User.find({ _id: { $in: [...userIds] }, isActive: { $ne: false } })
+    .select('name email role');
+
+  const details = {
+    title: meeting.title,
+    date: formatDatePKT(meeting.startTime, 'ddd, MMM D, YYYY'),
+    time: formatDatePKT(meeting.startTime, 'h:mm A'),
+    timeUntil: formatTimeUntil(meeting.startTime - now),
+    location: meeting.location,
+    meetingLink: meeting.meetingLink,
+    agenda: meeting.agenda
+  };
+
+  for (const user of users) {
+    await notifyMeetingReminder({
+      title: meeting.title,
+      timeUntil: details.timeUntil,
+      role: user.role,
+      userId: user._id,
+      meetingId: meeting._id,
+      startTime: meeting.startTime,
+      occurrenceStart: meeting.isOccurrence ? meeting.occurrenceStart : null
+    });
+
+    if (user.email) {
+      try {
+        await sendMeetingReminderEmail(user.email, user.name, details);
+      } catch (emailError) {
+        console.error(`❌ Meeting reminder email to ${user.email} failed:`, emailError.message);
+      }
+    }
+  }
+
+  return users.length;
+};
+
+/**
+ * Send every reminder that is due. Safe to run repeatedly.
+ * @param {Date} now - Current time
+ * @returns {number} - Reminders sent (one per meeting and offset)
+ */
+const sendMeetingReminders = async (now = new Date()) => {
+  const offsets = getReminderOffsets();
+  const horizon = new Date(now.getTime() + offsets[0] * MINUTE_MS);
+
+  const found = await Meeting.find({
+    status: 'Scheduled',
+    startTime: { $lte: horizon },
+    $or: [
+      { isRecurring: { $ne: true }, startTime: { $gt: now } },
+      {
+        isRecurring: true,
+        $or: [
+          { 'recurringPattern.endDate': null },
+          { 'recurringPattern.endDate': { $gte: getPKTDate(now) } }
+        ]
+      }
+    ]
+  }).lean();
+
+  const meetings = (await expandMeetings(found, { from: now, to: horizon }))
+    .filter(meeting => meeting.startTime > now);
+
+  let sent = 0;
+  for (const meeting of meetings) {
+    const untilStart = meeting.startTime - now;
+    const due = offsets.filter(offset => untilStart <= offset * MINUTE_MS);
+    if (due.length === 0) continue;
+
+    const base = `${meeting._id}:${meeting.startTime.getTime()}`;
+    const closest = due[due.length - 1];
+
+    // Claim the closest offset; larger ones that are also due are skipped
+    const claimed = await JobRun.markDone(REMINDER_JOB, `${base}:${closest}`, { meetingId: meeting.meetingId });
+    for (const offset of due.slice(0, -1)) {
+      await JobRun.markDone(REMINDER_JOB, `${base}:${offset}`, { meetingId: meeting.meetingId, skipped: true });
+    }
+    if (!claimed) continue;
+
+    try {
+      const reminded = await remindParticipants(meeting, now);
+      console.log(`🔔 Reminder for "${meeting.title}" (${closest} min) sent to ${reminded} people`);
+      sent++;
+
+      if (!meeting.isOccurrence) {
+        await Meeting.updateOne(
+          { _id: meeting._id },
+          { $set: { 'reminder.sent': true, 'reminder.sentAt': now } }
+        );
+      }
+    } catch (error) {
+      // Claimed already: not retried, so nobody gets it twice
+      console.error(`❌ Meeting reminder for ${meeting.meetingId} failed:`, error);
+    }
+  }
+
+  return sent;
+};
+
+/**
+ * Mark meetings that are still Scheduled after they ended as Completed.
+ * A recurring meeting is completed the day after its last day.
+ * @param {Date} now - Current time
+ * @returns {number} - Meetings completed
+ */
+const completeEndedMeetings = async (now = new Date()) => {
+  const single = await Meeting.updateMany(
+    { status: 'Scheduled', isRecurring: { $ne: true }, endTime: { $lt: now } },
+    { $set: { status: 'Completed' } }
+  );
+
+  // Latest last day whose following day is over as well
+  const lastDayOver = getPKTDate(new Date(now.getTime() - 2 * DAY_MS));
+  const series = await Meeting.updateMany(
+    {
+      status: 'Scheduled',
+      isRecurring: true,
+      'recurringPattern.endDate': { $ne: null, $lte: lastDayOver },
+      endTime: { $lt: now }
+    },
+    { $set: { status: 'Completed' } }
+  );
+
+  const completed = single.modifiedCount + series.modifiedCount;
+  if (completed > 0) {
+    console.log(`✅ ${completed} ended meeting(s) marked completed`);
+  }
+  return completed;
+};
+
+/**
+ * Register the job with the in-process scheduler (called from Server.js)
+ */
+const startMeetingReminderJob = () => {
+  if (process.env.MEETING_REMINDER_JOB_ENABLED === 'false') {
+    console.log('⏸️ Meeting reminder job disabled');
+    return;
+  }
+
+  const minutes = parseInt(process.env.MEETING_REMINDER_JOB_INTERVAL_MINUTES, 10) || 5;
+  scheduleJob(JOB_NAME, minutes * 60 * 1000, async () => {
+    await sendMeetingReminders();
+    await completeEndedMeetings();
+  });
+};
+
+module.exports = {
+  getReminderOffsets,
+  sendMeetingReminders,
+  completeEndedMeetings,
+  startMeetingReminderJob
+};
@@ -0,0 +1,160 @@
+// utils/overtimeHelper.js
+// Daily and weekly overtime from attendance, and overtime pay figures
+//
+// Daily overtime is the time worked beyond fullDayHours (stored on each
+// attendance record by the rules engine). Weekly overtime is the time worked
+// beyond weeklyHours in a Monday-Sunday week. The two overlap, so the week's
+// overtime is the larger of the two, never their sum.
+
+const Attendance = require('../models/Attendance');
+const OvertimeRequest = require('../models/OvertimeRequest');
+const { getEmployeeRules } = require('./attendanceRules');
+const { getPKTDate, toDateKey, getWorkingDates } = require('./workCalendar');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (hours) => Math.round(hours * 100) / 100;
+
+/**
+ * Monday of the week a day falls in
+ * @param {string|Date} date - Any day
+ * @returns {Date} - Stored day (UTC midnight)
+ */
+const getWeekStart = (date) => {
+  const day = getPKTDate(date);
+  return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+};
+
+/**
+ * Hours worked on an attendance record, breaks excluded
+ * @param {object} record - Attendance
+ * @returns {number}
+ */
+const getHoursWorked = (record) => {
+  if (!record.checkInTime || !record.checkOutTime) return 0;
+  const hours = (record.checkOutTime - record.checkInTime) / (1000 * 60 * 60) -
+    (record.totalBreakTime || 0) / 60;
+  return Math.max(0, hours);
+};
+
+/**
+ * Overtime of one employee in one week
+ * @param {object} employee - Employee document
+ * @param {string|Date} weekOf - Any day of the week
+ * @param {object} rules - Effective rules (resolved when omitted)
+ * @returns {object} - { weekStart, weekEnd, days, hoursWorked, weeklyHours,
+ *   dailyOvertimeHours, weeklyOvertimeHours, overtimeHours, overtimeRate }
+ */
+const getWeeklyOvertime = async (employee, weekOf, rules = null) => {
+  const effectiveRules = rules || await getEmployeeRules(employee);
+  const weekStart = getWeekStart(weekOf);
+  const weekEnd = new Date(weekStart.getTime() + 6 * DAY_MS);
+
+  const records = await Attendance.find({
+    employeeId: employee._id,
+    date: { $gte: weekStart, $lte: weekEnd },
+    checkInTime: { $ne: null },
+    checkOutTime: { $ne: null }
+  }).sort({ date: 1 });
+
+  const days = records.map(record => ({
+    date: toDateKey(record.date),
+    attendanceId: record._id,
+    hoursWorked: round(getHoursWorked(record)),
+    overtimeHours: record.overtimeHours || 0
+  }));
+
+  const hoursWorked = round(days.reduce((sum, d) => sum + d.hoursWorked, 0));
+  const dailyOvertimeHours = round(days.reduce((sum, d) => sum + d.overtimeHours, 0));
+  const weeklyOvertimeHours = round(Math.max(0, hoursWorked - effectiveRules.weeklyHours));
+
+  return {
+    weekStart: toDateKey(weekStart),
+    weekEnd: toDateKey(weekEnd),
+    days,
+    hoursWorked,
+    weeklyHours: effectiveRules.weeklyHours,
+    dailyOvertimeHours,
+    weeklyOvertimeHours,
+    overtimeHours: Math.max(dailyOvertimeHours, weeklyOvertimeHours),
+    overtimeRate: effectiveRules.overtimeRate
+  };
+};
+
+/**
+ * Hours already claimed (pending or approved) in a week
+ * @param {string} employeeId - Employee ID
+ * @param {Date} weekStart - Monday of the week
+ * @param {object} options
+ * @param {Date} options.date - Only claims for this day
+ * @param {string} options.excludeId - Request to leave out
+ * @returns {number}
+ */
+const getClaimedHours = async (employeeId, weekStart, { date = null, excludeId = null } = {}) => {
+  const query = {
+    employeeId,
+    weekStart,
+    status: { $in: ['pending', 'approved'] }
+  };
+  if (date) {
+    query.period = 'day';
+    query.date = date;
+  }
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const requests = await OvertimeRequest.find(query).select('status hours approvedHours');
+  return round(requests.reduce(
+    (sum, r) => sum + (r.status === 'approved' ? r.approvedHours : r.hours), 0
+  ));
+};
+
+/**
+ * Normal hourly pay of an employee: monthly salary over the scheduled
+ * hours of the month
+ * @param {object} employee - Employee document (with salary)
+ * @param {object} rules - Effective rules
+ * @param {string[]} weekendDays - Company weekend days
+ * @param {string|Date} date - Day in the month
+ * @returns {number}
+ */
+const getHourlyRate = (employee, rules, weekendDays, date) => {
+  const day = getPKTDate(date);
+  const monthStart = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+  const monthEnd = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0));
+  const scheduledHours = getWorkingDates(monthStart, monthEnd, { weekendDays }).length * rules.fullDayHours;
+
+  return scheduledHours > 0 ? round((employee.salary || 0) / scheduledHours) : 0;
+};
+
+/**
+ * Approved overtime hours per employee for requests dated in a range
+ * @param {Date} startDate - First day (inclusive)
+ * @param {Date} endDate - Last day (inclusive)
+ * @returns {Map} - employee id -> { hours, paidHours } (paidHours = hours x rate)
+ */
+const getApprovedOvertime = async (startDate, endDate) => {
+  const requests = await OvertimeRequest.find({
+    status: 'approved',
+    date: { $gte: getPKTDate(startDate), $lte: getPKTDate(endDate) }
+  }).select('employeeId approvedHours rate');
+
+  const totals = new Map();
+  requests.forEach(request => {
+    const id = request.employeeId.toString();
+    const total = totals.get(id) || { hours: 0, paidHours: 0 };
+    total.hours = round(total.hours + request.approvedHours);
+    total.paidHours = round(total.paidHours + request.approvedHours * (request.rate || 1));
+    totals.set(id, total);
+  });
+
+  return totals;
+};
+
+module.exports = {
+  getWeekStart,
+  getHoursWorked,
+  getWeeklyOvertime,
+  getClaimedHours,
+  getHourlyRate,
+  getApprovedOvertime
+};
@@ -0,0 +1,244 @@
+// utils/payrollHelper.js
+// Payslip calculation and payslip PDFs
+//
+// Monthly salary is paid per working day (weekends and the employee's
+// holidays excluded), so joining or leaving mid-month, unpaid leave and
+// absences are all worth one day's pay. Late arrivals beyond the grace cost
+// `latePenaltyDays` of a day's pay each. Approved overtime is paid at the
+// rate captured on approval.
+
+const Attendance = require('../models/Attendance');
+const PayrollComponent = require('../models/PayrollComponent');
+const { getCompanySettings, toNumber } = require('./settingsHelper');
+const { getPKTDate, toDateKey, getWorkingDates } = require('./workCalendar');
+const { getHolidayCalendar, getEmployeeScope } = require('./holidayHelper');
+const { loadRuleResolver } = require('./attendanceRules');
+const { getApprovedOvertime, getHourlyRate } = require('./overtimeHelper');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Load everything a month's payslips need once
+ * @param {number} month - 1-12
+ * @param {number} year - Calendar year
+ * @returns {object} - Context for calculatePayslip
+ */
+const loadPayrollContext = async (month, year) => {
+  const start = new Date(Date.UTC(year, month - 1, 1));
+  const end = new Date(Date.UTC(year, month, 0));
+  const settings = await getCompanySettings();
+
+  const [resolveRules, calendar, components, records, overtime] = await Promise.all([
+    loadRuleResolver(settings),
+    getHolidayCalendar(start, end),
+    PayrollComponent.find({ isActive: true }).lean(),
+    Attendance.find({ date: { $gte: start, $lte: end } })
+      .select('employeeId date status isLate leaveRequest.leaveType')
+      .lean(),
+    getApprovedOvertime(start, end)
+  ]);
+
+  const recordsByEmployee = new Map();
+  records.forEach(record => {
+    const id = record.employeeId.toString();
+    if (!recordsByEmployee.has(id)) recordsByEmployee.set(id, []);
+    recordsByEmployee.get(id).push(record);
+  });
+
+  return {
+    start,
+    end,
+    settings,
+    policy: {
+      currency: settings.payroll?.currency || 'USD',
+      lateGraceDays: toNumber(settings.payroll?.lateGraceDays, 3),
+      latePenaltyDays: toNumber(settings.payroll?.latePenaltyDays, 0),
+      deductAbsences: settings.payroll?.deductAbsences !== false
+    },
+    resolveRules,
+    calendar,
+    components,
+    recordsByEmployee,
+    overtime
+  };
+};
+
+// Whether a recurring component applies to an employee
+const appliesTo = (component, employee) => {
+  if (component.scope === 'department') return component.department === employee.department;
+  if (component.scope === 'employee') return component.employeeId?.toString() === employee._id.toString();
+  return true;
+};
+
+/**
+ * Calculate the pay of one employee
+ * @param {object} employee - Employee document
+ * @param {object} context - loadPayrollContext result
+ * @returns {object} - Payslip fields (earnings and deductions lines, counts)
+ */
+const calculatePayslip = (employee, context) => {
+  const { start, end, settings, policy } = context;
+  const weekendDays = settings.work.weekendDays || [];
+
+  const workingDates = getWorkingDates(start, end, {
+    weekendDays,
+    holidayKeys: context.calendar.keys(getEmployeeScope(employee))
+  });
+  const joined = getPKTDate(employee.joinDate || employee.joiningDate || start);
+  const left = employee.deactivatedAt ? getPKTDate(employee.deactivatedAt) : null;
+  const employedDates = workingDates.filter(date => date >= joined && (!left || date <= left));
+  const employedKeys = new Set(employedDates.map(toDateKey));
+
+  const salary = employee.salary || 0;
+  const dailyRate = workingDates.length > 0 ? salary / workingDates.length : 0;
+  const baseSalary = round(dailyRate * employedDates.length);
+
+  const records = (context.recordsByEmployee.get(employee._id.toString()) || [])
+    .filter(record => employedKeys.has(toDateKey(record.date)));
+  const unpaidLeaveDays = records.filter(
+    r => r.status === 'leave' && r.leaveRequest?.leaveType === 'unpaid'
+  ).length;
+  const absentDays = records.filter(r => r.status === 'absent').length;
+  const halfDays = records.filter(r => r.status === 'half-day').length;
+  const lateDays = records.filter(r => r.isLate).length;
+
+  const earnings = [{
+    label: employedDates.length < workingDates.length
+      ? `Basic salary (${employedDates.length}/${workingDates.length} days)`
+      : 'Basic salary',
+    kind: 'base',
+    amount: baseSalary
+  }];
+  const deductions = [];
+
+  const overtime = context.overtime.get(employee._id.toString());
+  if (overtime && overtime.paidHours > 0) {
+    const rules = context.resolveRules(employee);
+    const hourlyRate = getHourlyRate(employee, rules, weekendDays, start);
+    earnings.push({
+      label: `Overtime (${overtime.hours}h)`,
+      kind: 'overtime',
+      amount: round(overtime.paidHours * hourlyRate)
+    });
+  }
+
+  if (unpaidLeaveDays > 0) {
+    deductions.push({
+      label: `Unpaid leave (${unpaidLeaveDays} day${unpaidLeaveDays === 1 ? '' : 's'})`,
+      kind: 'unpaid-leave',
+      amount: round(unpaidLeaveDays * dailyRate)
+    });
+  }
+
+  if (policy.deductAbsences && (absentDays > 0 || halfDays > 0)) {
+    const days = absentDays + halfDays * 0.5;
+    deductions.push({
+      label: `Absences (${absentDays} absent, ${halfDays} half day${halfDays === 1 ? '' : 's'})`,
+      kind: 'absence',
+      amount: round(days * dailyRate)
+    });
+  }
+
+  const penalizedLates = Math.max(0, lateDays - policy.lateGraceDays);
+  if (penalizedLates > 0 && policy.latePenaltyDays > 0) {
+    deductions.push({
+      label: `Late arrivals (${penalizedLates} beyond ${policy.lateGraceDays} allowed)`,
+      kind: 'late',
+      amount: round(penalizedLates * policy.latePenaltyDays * dailyRate)
+    });
+  }
+
+  context.components
+    .filter(component => appliesTo(component, employee))
+    .forEach(component => {
+      const amount = component.calculation === 'percentage'
+        ? round(baseSalary * component.amount / 100)
+        : round(component.amount);
+      const line = { label: component.name, kind: component.type, amount };
+      if (component.type === 'allowance') earnings.push(line);
+      else deductions.push(line);
+    });
+
+  return {
+    currency: policy.currency,
+    baseSalary,
+    workingDays: workingDates.length,
+    employedDays: employedDates.length,
+    unpaidLeaveDays,
+    absentDays,
+    halfDays,
+    lateDays,
+    overtimeHours: overtime ? overtime.hours : 0,
+    earnings,
+    deductions
+  };
+};
+
+/**
+ * Write a payslip to a PDF document (caller pipes and ends it)
+ * @param {object} doc - PDFKit document
+ * @param {object} payslip - Payslip document
+ * @param {object} company - settings.company
+ */
+const writePayslipPdf = (doc, payslip, company = {}) => {
+  const money = (amount) => `${payslip.currency} ${Number(amount || 0).toFixed(2)}`;
+  const period = new Date(Date.UTC(payslip.year, payslip.month - 1, 1))
+    .toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+  doc.fontSize(20).text(company.companyName || 'OfficeSphere', { align: 'center' });
+  if (company.address) {
+    doc.fontSize(10).text([company.address, company.city, company.country].filter(Boolean).join(', '), { align: 'center' });
+  }
+  doc.moveDown();
+  doc.fontSize(16).text(`Payslip - ${period}`, { align: 'center' });
+  doc.moveDown(2);
+
+  doc.fontSize(11);
+  doc.text(`Employee: ${payslip.employee.name || 'N/A'} (${payslip.employee.employeeId || 'N/A'})`);
+  doc.text(`Department: ${payslip.employee.department || 'N/A'}`);
+  if (payslip.employee.designation) doc.text(`Designation: ${payslip.employee.designation}`);
+  doc.text(`Working days: ${payslip.workingDays}   Days employed: ${payslip.employedDays}   Unpaid leave: ${payslip.unpaidLeaveDays}`);
+  doc.text(`Late arrivals: ${payslip.lateDays}   Overtime: ${payslip.overtimeHours}h`);
+  doc.moveDown();
+
+  const section = (title, lines, total) => {
+    doc.fontSize(13).text(title, { underline: true });
+    doc.moveDown(0.5);
+    doc.fontSize(11);
+    if (lines.length === 0) {
+      doc.text('None');
+    }
+    lines.forEach(line => {
+      const y = doc.y;
+      doc.text(line.label, 50, y, { width: 350 });
+      doc.text(money(line.amount), 400, y, { width: 150, align: 'right' });
+    });
+    const y = doc.y;
+    doc.font('Helvetica-Bold');
+    doc.text(`Total ${title.toLowerCase()}`, 50, y, { width: 350 });
+    doc.text(money(total), 400, y, { width: 150, align: 'right' });
+    doc.font('Helvetica');
+    doc.moveDown();
+  };
+
+  section('Earnings', payslip.earnings, payslip.grossPay);
+  section('Deductions', payslip.deductions, payslip.totalDeductions);
+
+  doc.fontSize(14).font('Helvetica-Bold').text(`Net pay: ${money(payslip.netPay)}`, 50, doc.y, { align: 'right' });
+  doc.font('Helvetica');
+  doc.moveDown(2);
+
+  if (payslip.bankDetails?.accountNumber) {
+    const account = payslip.bankDetails.accountNumber;
+    doc.fontSize(10).text(
+      `Paid to ${payslip.bankDetails.bankName || 'bank'} account ending ${account.slice(-4)}`
+    );
+  }
+  doc.fontSize(9).fillColor('gray').text('This is a system generated payslip.', { align: 'center' });
+};
+
+module.exports = {
+  loadPayrollContext,
+  calculatePayslip,
+  writePayslipPdf
+};
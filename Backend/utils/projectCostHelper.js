@@ -0,0 +1,275 @@
+// utils/projectCostHelper.js
+// Cost and billable amounts of tracked project time, and budget burn
+//
+// Tracked time is the task timer sessions (by the employee who ran them),
+// plus any actualHours a task carries beyond its sessions (booked to the
+// assignee). Sessions on approved timesheets are already in Project.spent;
+// the rest is "unbooked" cost, so burn = spent + unbooked cost.
+//
+// Rates: the employee's rate card, else the card of their role on the
+// project team. Without a card the cost rate is the salary per scheduled
+// hour and the bill rate is the company default.
+
+const Task = require('../models/Task');
+const Employee = require('../models/Employee');
+const Project = require('../models/Project');
+const RateCard = require('../models/RateCard');
+const Timesheet = require('../models/Timesheet');
+const { getCompanySettings, toNumber } = require('./settingsHelper');
+const { loadRuleResolver } = require('./attendanceRules');
+const { getHourlyRate } = require('./overtimeHelper');
+const { createNotification, notifyEmployee } = require('./Notificationhelper');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Budget alert thresholds from settings
+ * @param {object} settings - Company settings
+ * @returns {number[]} - Ascending percentages
+ */
+const getBudgetThresholds = (settings) =>
+  String(settings.projects?.budgetAlertThresholds || '75,90,100')
+    .split(',')
+    .map(value => toNumber(value.trim(), NaN))
+    .filter(value => Number.isFinite(value) && value > 0)
+    .sort((a, b) => a - b);
+
+/**
+ * Load rate cards once and return a resolver
+ * @param {object} settings - Company settings (loaded when omitted)
+ * @returns {Function} - (employee, role) => { costRate, billRate, source }
+ */
+const loadRateResolver = async (settings = null) => {
+  const effectiveSettings = settings || await getCompanySettings();
+  const [cards, resolveRules] = await Promise.all([
+    RateCard.find({ isActive: true }).lean(),
+    loadRuleResolver(effectiveSettings)
+  ]);
+
+  const byEmployee = new Map(cards.filter(c => c.scope === 'employee').map(c => [c.employeeId.toString(), c]));
+  const byRole = new Map(cards.filter(c => c.scope === 'role').map(c => [c.role, c]));
+  const weekendDays = effectiveSettings.work.weekendDays || [];
+  const defaultBillRate = toNumber(effectiveSettings.projects?.defaultBillRate, 0);
+
+  return (employee, role = null) => {
+    const card = byEmployee.get(employee._id.toString()) || (role && byRole.get(role));
+    if (card) {
+      return { costRate: card.costRate, billRate: card.billRate, source: card.scope };
+    }
+    return {
+      costRate: getHourlyRate(employee, resolveRules(employee), weekendDays, new Date()),
+      billRate: defaultBillRate,
+      source: 'default'
+    };
+  };
+};
+
+// Role of an employee on a project team
+const getTeamRole = (project, employeeId) =>
+  (project.team || []).find(member => member.employee?.toString() === employeeId.toString())?.role || null;
+
+/**
+ * Tracked hours, cost and billable amount of a project per employee
+ * @param {object} project - Project document
+ * @param {object} options - { tasks, resolveRates } (loaded when omitted)
+ * @returns {object} - { trackedHours, laborCost, unbookedCost, billableHours,
+ *   billableAmount, byEmployee }
+ */
+const getProjectLabor = async (project, { tasks = null, resolveRates = null } = {}) => {
+  const projectTasks = tasks || await Task.find({ project: project._id })
+    .select('assignedTo actualHours timer');
+  const rates = resolveRates || await loadRateResolver();
+
+  const hours = new Map();
+  const add = (employeeId, field, value) => {
+    if (!employeeId || value <= 0) return;
+    const key = employeeId.toString();
+    const row = hours.get(key) || { tracked: 0, unbooked: 0, manual: 0 };
+    row[field] += value;
+    hours.set(key, row);
+  };
+
+  projectTasks.forEach(task => {
+    const assignee = task.assignedTo?._id || task.assignedTo;
+    let sessionHours = 0;
+    (task.timer?.sessions || []).forEach(session => {
+      const sessionEmployee = session.employee || assignee;
+      const value = (session.duration || 0) / 3600;
+      sessionHours += value;
+      add(sessionEmployee, 'tracked', value);
+      if (!session.locked) add(sessionEmployee, 'unbooked', value);
+    });
+    // Hours recorded on the task without timer sessions
+    const untimed = (task.actualHours || 0) - sessionHours;
+    add(assignee, 'tracked', untimed);
+    add(assignee, 'unbooked', untimed);
+  });
+
+  // Manual timesheet entries are billed once approved (their cost is booked)
+  const timesheets = await Timesheet.find({ status: 'approved', 'entries.project': project._id })
+    .select('employeeId entries');
+  timesheets.forEach(timesheet => {
+    timesheet.entries
+      .filter(entry => entry.source === 'manual' && entry.project?.toString() === project._id.toString())
+      .forEach(entry => add(timesheet.employeeId, 'manual', entry.minutes / 60));
+  });
+
+  const employees = await Employee.find({ _id: { $in: [...hours.keys()] } })
+    .select('name employeeId department salary');
+
+  const byEmployee = employees.map(employee => {
+    const row = hours.get(employee._id.toString());
+    const role = getTeamRole(project, employee._id);
+    const { costRate, billRate, source } = rates(employee, role);
+    const billableHours = project.billable === false ? 0 : row.tracked + row.manual;
+    return {
+      employeeId: employee._id,
+      name: employee.name,
+      role,
+      rateSource: source,
+      costRate,
+      billRate,
+      trackedHours: round(row.tracked),
+      cost: round(row.tracked * costRate),
+      unbookedCost: round(row.unbooked * costRate),
+      billableHours: round(billableHours),
+      billableAmount: round(billableHours * billRate)
+    };
+  });
+
+  const sum = (field) => round(byEmployee.reduce((total, row) => total + row[field], 0));
+  return {
+    trackedHours: sum('trackedHours'),
+    laborCost: sum('cost'),
+    unbookedCost: sum('unbookedCost'),
+    billableHours: sum('billableHours'),
+    billableAmount: sum('billableAmount'),
+    byEmployee
+  };
+};
+
+/**
+ * Budget burn and forecast at completion
+ * @param {object} project - Project document
+ * @param {object} labor - getProjectLabor result
+ * @param {number} progress - Completion (%)
+ * @param {number[]} thresholds - Alert thresholds (%)
+ * @returns {object}
+ */
+const getBudgetBurn = (project, labor, progress, thresholds) => {
+  const budget = project.budget || 0;
+  const actualCost = round((project.spent || 0) + labor.unbookedCost);
+  const burnPercent = budget > 0 ? round((actualCost / budget) * 100) : 0;
+  // Spend so far scaled to the work done; no forecast before any progress
+  const forecastAtCompletion = progress > 0 ? round(actualCost * 100 / progress) : null;
+
+  const alerts = [];
+  const crossed = thresholds.filter(threshold => budget > 0 && burnPercent >= threshold);
+  if (crossed.length > 0) {
+    alerts.push({
+      level: burnPercent >= 100 ? 'critical' : 'warning',
+      message: `${burnPercent}% of the budget spent (crossed ${crossed[crossed.length - 1]}%)`
+    });
+  }
+  if (forecastAtCompletion !== null && forecastAtCompletion > budget) {
+    alerts.push({
+      level: 'warning',
+      message: `Forecast at completion ${forecastAtCompletion} exceeds the budget by ${round(forecastAtCompletion - budget)}`
+    });
+  }
+
+  return {
+    total: budget,
+    used: actualCost,
+    booked: project.spent || 0,
+    unbooked: labor.unbookedCost,
+    remaining: round(budget - actualCost),
+    burnPercent,
+    forecastAtCompletion,
+    varianceAtCompletion: forecastAtCompletion !== null ? round(budget - forecastAtCompletion) : null,
+    overrun: actualCost > budget,
+    forecastOverrun: forecastAtCompletion !== null && forecastAtCompletion > budget,
+    crossedThresholds: crossed,
+    alerts
+  };
+};
+
+/**
+ * Notify admins and the project manager of newly crossed thresholds. A
+ * threshold fires again only after spend drops back below it.
+ * @param {object} project - Project document
+ * @param {object} burn - getBudgetBurn result
+ */
+const notifyBudgetThresholds = async (project, burn) => {
+  const sent = project.budgetAlertsSent || [];
+  const fresh = burn.crossedThresholds.filter(threshold => !sent.includes(threshold));
+  const stillCrossed = sent.filter(threshold => burn.crossedThresholds.includes(threshold));
+
+  if (fresh.length === 0 && stillCrossed.length === sent.length) return;
+
+  await Project.updateOne(
+    { _id: project._id },
+    { $set: { budgetAlertsSent: [...stillCrossed, ...fresh] } }
+  );
+  project.budgetAlertsSent = [...stillCrossed, ...fresh];
+
+  if (fresh.length === 0) return;
+
+  const threshold = Math.max(...fresh);
+  const notification = {
+    title: threshold >= 100 ? 'Project Over Budget' : 'Project Budget Alert',
+    message: `${project.name} has used ${burn.burnPercent}% of its budget (${burn.used} of ${burn.total})`,
+    type: 'project',
+    metadata: {
+      projectId: project._id,
+      threshold,
+      burnPercent: burn.burnPercent,
+      action: 'budget-threshold'
+    }
+  };
+
+  await createNotification({ ...notification, role: 'admin' });
+  if (project.projectManager) {
+    await notifyEmployee(project.projectManager, notification);
+  }
+  console.log(`💰 Budget alert for ${project.name}: ${burn.burnPercent}% (threshold ${threshold}%)`);
+};
+
+// Completion (%): average of the top-level tasks' rolled-up progress
+const getTaskProgress = (tasks) => {
+  const topLevel = tasks.filter(t => !t.parentTask);
+  if (topLevel.length === 0) return 0;
+  const total = topLevel.reduce((sum, t) => sum + (t.status === 'completed' ? 100 : t.progress || 0), 0);
+  return Math.round(total / topLevel.length);
+};
+
+/**
+ * Recompute a project's burn and send threshold notifications
+ * @param {ObjectId} projectId - Project
+ * @returns {object|null} - getBudgetBurn result
+ */
+const refreshProjectBudget = async (projectId) => {
+  const project = await Project.findById(projectId);
+  if (!project) return null;
+
+  const settings = await getCompanySettings();
+  const tasks = await Task.find({ project: project._id }).select('assignedTo actualHours timer status parentTask progress');
+  const labor = await getProjectLabor(project, {
+    tasks,
+    resolveRates: await loadRateResolver(settings)
+  });
+  const burn = getBudgetBurn(project, labor, getTaskProgress(tasks), getBudgetThresholds(settings));
+  await notifyBudgetThresholds(project, burn);
+  return burn;
+};
+
+module.exports = {
+  getBudgetThresholds,
+  loadRateResolver,
+  getTeamRole,
+  getProjectLabor,
+  getBudgetBurn,
+  notifyBudgetThresholds,
+  getTaskProgress,
+  refreshProjectBudget
+};
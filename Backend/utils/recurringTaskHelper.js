@@ -0,0 +1,218 @@
+// utils/recurringTaskHelper.js
+// Expand recurring task schedules and create their tasks
+//
+// Schedules work on PKT days (UTC midnight, see workCalendar.js):
+//   daily   - every `interval` days from startDate
+//   weekly  - on `daysOfWeek`, every `interval` weeks (Monday-based) from startDate
+//   monthly - on `dayOfMonth` (-1 = last day), every `interval` months from startDate
+// Occurrences on holidays (and weekends, with skipWeekends) are skipped,
+// not moved.
+
+const Task = require('../models/Task');
+const Employee = require('../models/Employee');
+const { getPKTDate, getEndOfDayPKT, toDateKey, isWeekend } = require('./workCalendar');
+const { getHolidayCalendar, getEmployeeScope } = require('./holidayHelper');
+const { notifyTaskCreated } = require('./Notificationhelper');
+const { refreshTaskProgress } = require('./taskProgressHelper');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// Monday of a stored day's week
+const weekStartOf = (date) => addDays(date, -((date.getUTCDay() + 6) % 7));
+
+/**
+ * Whether a day matches a template's schedule (ignores start/end bounds)
+ * @param {object} schedule - RecurringTask.schedule
+ * @param {Date} startDate - Template start (day start)
+ * @param {Date} day - Day start
+ * @returns {boolean}
+ */
+const matchesSchedule = (schedule, startDate, day) => {
+  const interval = schedule.interval || 1;
+
+  if (schedule.frequency === 'daily') {
+    return Math.round((day - startDate) / DAY_MS) % interval === 0;
+  }
+
+  if (schedule.frequency === 'weekly') {
+    if (!(schedule.daysOfWeek || []).includes(day.getUTCDay())) return false;
+    const weeks = Math.round((weekStartOf(day) - weekStartOf(startDate)) / (7 * DAY_MS));
+    return weeks % interval === 0;
+  }
+
+  if (schedule.frequency === 'monthly') {
+    const months = (day.getUTCFullYear() - startDate.getUTCFullYear()) * 12 +
+      (day.getUTCMonth() - startDate.getUTCMonth());
+    if (months % interval !== 0) return false;
+    const lastDay = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0)).getUTCDate();
+    const target = schedule.dayOfMonth === -1 ? lastDay : Math.min(schedule.dayOfMonth, lastDay);
+    return day.getUTCDate() === target;
+  }
+
+  return false;
+};
+
+/**
+ * Schedule days between two dates (inclusive), within the template's bounds
+ * @param {object} template - RecurringTask
+ * @param {Date} from - First day
+ * @param {Date} to - Last day
+ * @returns {Date[]} - Day starts
+ */
+const getOccurrences = (template, from, to) => {
+  const startDate = getPKTDate(template.startDate);
+  const first = new Date(Math.max(getPKTDate(from), startDate));
+  const last = template.endDate
+    ? new Date(Math.min(getPKTDate(to), getPKTDate(template.endDate)))
+    : getPKTDate(to);
+
+  const days = [];
+  for (let day = first; day <= last; day = addDays(day, 1)) {
+    if (matchesSchedule(template.schedule, startDate, day)) days.push(day);
+  }
+  return days;
+};
+
+/**
+ * Split occurrences into working days and skipped ones
+ * @param {object} template - RecurringTask
+ * @param {Date[]} days - Occurrences
+ * @param {object} options
+ * @param {Set<string>} options.holidayKeys - Assignee's holidays
+ * @param {string[]} options.weekendDays - Company weekend
+ * @returns {object} - { due: Date[], skipped: [{ date, reason }] }
+ */
+const applyCalendar = (template, days, { holidayKeys, weekendDays }) => {
+  const due = [];
+  const skipped = [];
+  days.forEach(day => {
+    if (holidayKeys.has(toDateKey(day))) {
+      skipped.push({ date: day, reason: 'holiday' });
+    } else if (template.skipWeekends && isWeekend(day, weekendDays)) {
+      skipped.push({ date: day, reason: 'weekend' });
+    } else {
+      due.push(day);
+    }
+  });
+  return { due, skipped };
+};
+
+/**
+ * Next occurrences of a template from today, with skipped days marked
+ * @param {object} template - RecurringTask
+ * @param {number} count - How many due occurrences to return
+ * @param {object} settings - Company settings (getCompanySettings)
+ * @returns {object[]} - [{ date, skipped, reason }]
+ */
+const getUpcomingOccurrences = async (template, count, settings) => {
+  const from = getPKTDate();
+  const to = addDays(from, 400);
+  const employee = await Employee.findById(template.assignedTo).select('department workLocation');
+  const calendar = await getHolidayCalendar(from, to);
+
+  const days = getOccurrences(template, from, to);
+  const { skipped } = applyCalendar(template, days, {
+    holidayKeys: calendar.keys(getEmployeeScope(employee)),
+    weekendDays: settings.work.weekendDays
+  });
+  const skippedByKey = new Map(skipped.map(s => [toDateKey(s.date), s.reason]));
+
+  const upcoming = [];
+  for (const day of days) {
+    const reason = skippedByKey.get(toDateKey(day));
+    upcoming.push({ date: day, skipped: Boolean(reason), reason: reason || null });
+    if (upcoming.filter(o => !o.skipped).length >= count) break;
+  }
+  return upcoming;
+};
+
+/**
+ * Create the tasks of every occurrence due within the template's lead time
+ * that has not been materialized yet. Safe to run repeatedly: a unique index
+ * on Task.recurrence keeps one task per occurrence.
+ * @param {object} template - RecurringTask document
+ * @param {object} settings - Company settings (getCompanySettings)
+ * @param {Date} now - Current time
+ * @returns {object} - { created: Task[], skipped: [{ date, reason }] }
+ */
+const materializeRecurringTask = async (template, settings, now = new Date()) => {
+  const today = getPKTDate(now);
+  const windowEnd = addDays(today, template.leadDays);
+  const from = template.generatedThrough && getPKTDate(template.generatedThrough) >= today
+    ? addDays(getPKTDate(template.generatedThrough), 1)
+    : today;
+
+  if (from > windowEnd) return { created: [], skipped: [] };
+
+  const employee = await Employee.findById(template.assignedTo).select('name department workLocation');
+  if (!employee) {
+    console.warn(`⚠️ Recurring task "${template.title}": assignee not found, skipped`);
+    return { created: [], skipped: [] };
+  }
+
+  const calendar = await getHolidayCalendar(from, windowEnd);
+  const { due, skipped } = applyCalendar(template, getOccurrences(template, from, windowEnd), {
+    holidayKeys: calendar.keys(getEmployeeScope(employee)),
+    weekendDays: settings.work.weekendDays
+  });
+
+  const created = [];
+  for (const day of due) {
+    let task;
+    try {
+      task = await Task.create({
+        title: template.title,
+        description: template.description,
+        project: template.project,
+        assignedTo: template.assignedTo,
+        priority: template.priority,
+        estimatedHours: template.estimatedHours,
+        checklist: template.checklist.map(text => ({ text })),
+        dueDate: getEndOfDayPKT(day),
+        assignedBy: template.createdBy,
+        createdBy: template.createdBy,
+        recurrence: { template: template._id, occurrence: day }
+      });
+    } catch (error) {
+      // Another run already created this occurrence
+      if (error.code === 11000) continue;
+      throw error;
+    }
+    created.push(task);
+
+    await refreshTaskProgress(task._id);
+    try {
+      await notifyTaskCreated({
+        taskId: task._id,
+        title: task.title,
+        employeeId: employee._id,
+        employeeName: employee.name,
+        priority: task.priority,
+        dueDate: task.dueDate
+      });
+    } catch (notifError) {
+      console.error('❌ Error creating notification:', notifError);
+    }
+  }
+
+  template.generatedThrough = template.endDate && getPKTDate(template.endDate) < windowEnd
+    ? getPKTDate(template.endDate)
+    : windowEnd;
+  template.lastGeneratedAt = now;
+  template.generatedCount += created.length;
+  await template.save();
+
+  if (created.length > 0) {
+    console.log(`🔁 ${created.length} task(s) created from recurring task "${template.title}"`);
+  }
+  return { created, skipped };
+};
+
+module.exports = {
+  matchesSchedule,
+  getOccurrences,
+  getUpcomingOccurrences,
+  materializeRecurringTask
+};
@@ -0,0 +1,61 @@
+// utils/recurringTaskJob.js
+// Creates upcoming tasks from active recurring task templates
+//
+// Configuration (.env):
+//   RECURRING_TASK_JOB_ENABLED=false          disable the job
+//   RECURRING_TASK_JOB_INTERVAL_MINUTES=60    how often to look for due occurrences
+
+const RecurringTask = require('../models/RecurringTask');
+const { getPKTDate } = require('./workCalendar');
+const { getCompanySettings } = require('./settingsHelper');
+const { materializeRecurringTask } = require('./recurringTaskHelper');
+const { scheduleJob } = require('./scheduler');
+
+const JOB_NAME = 'recurring-tasks';
+
+/**
+ * Materialize every active template. A failing template is logged and
+ * retried on the next run without holding up the others.
+ * @param {Date} now - Current time
+ * @returns {number} - Tasks created
+ */
+const materializeRecurringTasks = async (now = new Date()) => {
+  const today = getPKTDate(now);
+  const templates = await RecurringTask.find({
+    isActive: true,
+    $or: [{ endDate: null }, { endDate: { $gte: today } }]
+  });
+  if (templates.length === 0) return 0;
+
+  const settings = await getCompanySettings();
+  let created = 0;
+
+  for (const template of templates) {
+    try {
+      const result = await materializeRecurringTask(template, settings, now);
+      created += result.created.length;
+    } catch (error) {
+      console.error(`❌ Recurring task "${template.title}" failed:`, error);
+    }
+  }
+
+  return created;
+};
+
+/**
+ * Register the job with the in-process scheduler (called from Server.js)
+ */
+const startRecurringTaskJob = () => {
+  if (process.env.RECURRING_TASK_JOB_ENABLED === 'false') {
+    console.log('⏸️ Recurring task job disabled');
+    return;
+  }
+
+  const minutes = parseInt(process.env.RECURRING_TASK_JOB_INTERVAL_MINUTES, 10) || 60;
+  scheduleJob(JOB_NAME, minutes * 60 * 1000, () => materializeRecurringTasks());
+};
+
+module.exports = {
+  materializeRecurringTasks,
+  startRecurringTaskJob
+};
@@ -0,0 +1,63 @@
+// utils/scheduler.js
+// Tiny in-process scheduler for background jobs
+
+const mongoose = require('mongoose');
+
+const jobs = new Map();
+
+/**
+ * Run a task every `intervalMs`. A run is skipped while the previous one is
+ * still busy or while the database is not connected.
+ * @param {string} name - Job name (used in logs)
+ * @param {number} intervalMs - Interval between runs
+ * @param {Function} task - Async function to run
+ * @param {object} options - { runOnStart } runs once shortly after start
+ */
+const scheduleJob = (name, intervalMs, task, { runOnStart = true } = {}) => {
+  if (jobs.has(name)) {
+    console.warn(`⚠️ Job "${name}" is already scheduled`);
+    return;
+  }
+
+  const job = { running: false, timer: null, startTimer: null };
+
+  const run = async () => {
+    if (job.running || mongoose.connection.readyState !== 1) return;
+
+    job.running = true;
+    try {
+      await task();
+    } catch (error) {
+      console.error(`❌ Job "${name}" failed:`, error);
+    } finally {
+      job.running = false;
+    }
+  };
+
+  job.timer = setInterval(run, intervalMs);
+  job.timer.unref();
+
+  if (runOnStart) {
+    job.startTimer = setTimeout(run, 10 * 1000);
+    job.startTimer.unref();
+  }
+
+  jobs.set(name, job);
+  console.log(`⏰ Job "${name}" scheduled every ${Math.round(intervalMs / 60000)} minute(s)`);
+};
+
+/**
+ * Stop every scheduled job (used on shutdown)
+ */
+const stopAllJobs = () => {
+  jobs.forEach(job => {
+    clearInterval(job.timer);
+    clearTimeout(job.startTimer);
+  });
+  jobs.clear();
+};
+
+module.exports = {
+  scheduleJob,
+  stopAllJobs
+};
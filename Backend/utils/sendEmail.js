@@ -8,7 +8,7 @@ const nodemailer = require('nodemailer');
  */
 const createTransporter = () => {
   try {
-    const transporter = nodemailer.createTransporter({
+    const transporter = nodemailer.createTransport({
       host: process.env.EMAIL_HOST || 'smtp.gmail.com',
       port: process.env.EMAIL_PORT || 587,
       secure: false, // true for 465, false for other ports
@@ -35,6 +35,8 @@ const createTransporter = () => {
  * @param {string} options.subject - Email subject
  * @param {string} options.text - Plain text content
  * @param {string} options.html - HTML content
+ * @param {object[]} options.attachments - Optional nodemailer attachments
+ * @param {object} options.icalEvent - Optional calendar part { method, filename, content }
  * @returns {Promise} - Email send result
  */
 const sendEmail = async (options) => {
@@ -46,7 +48,9 @@ const sendEmail = async (options) => {
       to: options.to,
       subject: options.subject,
       text: options.text,
-      html: options.html
+      html: options.html,
+      attachments: options.attachments,
+      icalEvent: options.icalEvent
     };
 
     const info = await transporter.sendMail(mailOptions);
@@ -264,9 +268,10 @@ const sendTaskAssignmentEmail = async (email, name, task) => {
  * @param {string} email - Attendee email
  * @param {string} name - Attendee name
  * @param {object} meeting - Meeting details
+ * @param {object} calendar - Optional .ics part { method, filename, content }
  * @returns {Promise}
  */
-const sendMeetingInvitationEmail = async (email, name, meeting) => {
+const sendMeetingInvitationEmail = async (email, name, meeting, calendar = null) => {
   const subject = `Meeting Invitation: ${meeting.title}`;
   
   const text = `
@@ -315,6 +320,159 @@ const sendMeetingInvitationEmail = async (email, name, meeting) => {
     </div>
   `;
 
+  return await sendEmail({ to: email, subject, text, html, icalEvent: calendar || undefined });
+};
+
+/**
+ * Send Meeting Update Email
+ * @param {string} email - Attendee email
+ * @param {string} name - Attendee name
+ * @param {object} meeting - Meeting details (title, date, time, location, agenda)
+ * @param {object} calendar - Optional .ics part { method, filename, content }
+ * @returns {Promise}
+ */
+const sendMeetingUpdateEmail = async (email, name, meeting, calendar = null) => {
+  const subject = `Meeting Updated: ${meeting.title}`;
+
+  const text = `
+    Hi ${name},
+
+    A meeting you are invited to has changed:
+
+    Meeting: ${meeting.title}
+    Date: ${meeting.date}
+    Time: ${meeting.time}
+    Location: ${meeting.location || 'Online'}
+    Agenda: ${meeting.agenda || '-'}
+
+    Best regards,
+    OfficeSphere Team
+  `;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2563eb;">Meeting Updated</h2>
+      <p>Hi <strong>${name}</strong>,</p>
+      <p>A meeting you are invited to has changed:</p>
+      <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <p><strong>Meeting:</strong> ${meeting.title}</p>
+        <p><strong>Date:</strong> ${meeting.date}</p>
+        <p><strong>Time:</strong> ${meeting.time}</p>
+        <p><strong>Location:</strong> ${meeting.location || 'Online'}</p>
+        <p><strong>Agenda:</strong> ${meeting.agenda || '-'}</p>
+      </div>
+      <div style="margin: 30px 0;">
+        <a href="${process.env.FRONTEND_URL}/meetings" 
+           style="background-color: #6b7280; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+          View Details
+        </a>
+      </div>
+      <p style="color: #666; margin-top: 30px;">
+        Best regards,<br>
+        <strong>OfficeSphere Team</strong>
+      </p>
+    </div>
+  `;
+
+  return await sendEmail({ to: email, subject, text, html, icalEvent: calendar || undefined });
+};
+
+/**
+ * Send Meeting Cancellation Email
+ * @param {string} email - Attendee email
+ * @param {string} name - Attendee name
+ * @param {object} meeting - Meeting details (title, date, time)
+ * @param {object} calendar - Optional .ics part { method, filename, content }
+ * @returns {Promise}
+ */
+const sendMeetingCancellationEmail = async (email, name, meeting, calendar = null) => {
+  const subject = `Meeting Cancelled: ${meeting.title}`;
+
+  const text = `
+    Hi ${name},
+
+    The following meeting has been cancelled:
+
+    Meeting: ${meeting.title}
+    Date: ${meeting.date}
+    Time: ${meeting.time}
+
+    Best regards,
+    OfficeSphere Team
+  `;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #dc2626;">Meeting Cancelled</h2>
+      <p>Hi <strong>${name}</strong>,</p>
+      <p>The following meeting has been cancelled:</p>
+      <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <p><strong>Meeting:</strong> ${meeting.title}</p>
+        <p><strong>Date:</strong> ${meeting.date}</p>
+        <p><strong>Time:</strong> ${meeting.time}</p>
+      </div>
+      <p style="color: #666; margin-top: 30px;">
+        Best regards,<br>
+        <strong>OfficeSphere Team</strong>
+      </p>
+    </div>
+  `;
+
+  return await sendEmail({ to: email, subject, text, html, icalEvent: calendar || undefined });
+};
+
+/**
+ * Send Meeting Reminder Email
+ * @param {string} email - Attendee email
+ * @param {string} name - Attendee name
+ * @param {object} meeting - Meeting details (title, date, time, timeUntil, location, meetingLink, agenda)
+ * @returns {Promise}
+ */
+const sendMeetingReminderEmail = async (email, name, meeting) => {
+  const subject = `Reminder: ${meeting.title} starts in ${meeting.timeUntil}`;
+
+  const text = `
+    Hi ${name},
+
+    This is a reminder for your upcoming meeting:
+
+    Meeting: ${meeting.title}
+    Date: ${meeting.date}
+    Time: ${meeting.time}
+    Location: ${meeting.location || 'Online'}
+    ${meeting.meetingLink ? `Link: ${meeting.meetingLink}` : ''}
+    Agenda: ${meeting.agenda || '-'}
+
+    Best regards,
+    OfficeSphere Team
+  `;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2563eb;">Meeting Reminder</h2>
+      <p>Hi <strong>${name}</strong>,</p>
+      <p>Your meeting starts in <strong>${meeting.timeUntil}</strong>:</p>
+      <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <p><strong>Meeting:</strong> ${meeting.title}</p>
+        <p><strong>Date:</strong> ${meeting.date}</p>
+        <p><strong>Time:</strong> ${meeting.time}</p>
+        <p><strong>Location:</strong> ${meeting.location || 'Online'}</p>
+        ${meeting.meetingLink ? `<p><strong>Link:</strong> <a href="${meeting.meetingLink}">${meeting.meetingLink}</a></p>` : ''}
+        <p><strong>Agenda:</strong> ${meeting.agenda || '-'}</p>
+      </div>
+      <div style="margin: 30px 0;">
+        <a href="${process.env.FRONTEND_URL}/meetings" 
+           style="background-color: #6b7280; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+          View Details
+        </a>
+      </div>
+      <p style="color: #666; margin-top: 30px;">
+        Best regards,<br>
+        <strong>OfficeSphere Team</strong>
+      </p>
+    </div>
+  `;
+
   return await sendEmail({ to: email, subject, text, html });
 };
 
@@ -378,5 +536,8 @@ module.exports = {
   sendPasswordChangedEmail,
   sendTaskAssignmentEmail,
   sendMeetingInvitationEmail,
+  sendMeetingUpdateEmail,
+  sendMeetingCancellationEmail,
+  sendMeetingReminderEmail,
   sendLeaveRequestNotification
 };
\ No newline at end of file
@@ -0,0 +1,172 @@
+// utils/sessionHelper.js
+// Issue, rotate and revoke server-side refresh sessions
+
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const { generateToken, generateRefreshToken, decodeToken } = require('./generateToken');
+
+/**
+ * Random identifier for a single refresh token
+ * @returns {string}
+ */
+const newTokenId = () => crypto.randomBytes(16).toString('hex');
+
+/**
+ * Device information for a session from the incoming request
+ * @param {object} req - Express request
+ * @returns {object} - { userAgent, ipAddress }
+ */
+const getClientInfo = (req) => ({
+  userAgent: (req.headers['user-agent'] || '').substring(0, 300),
+  ipAddress: (req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.ip || ''
+});
+
+/**
+ * Sign an access/refresh token pair for a session. The session expires
+ * together with its newest refresh token.
+ * @param {object} session - Session document (not yet saved)
+ * @returns {object} - { token, refreshToken }
+ */
+const signSessionTokens = (session) => {
+  const token = generateToken(session.userId, session.role, session._id.toString());
+  const refreshToken = generateRefreshToken(
+    session.userId,
+    session.role,
+    session._id.toString(),
+    session.currentTokenId
+  );
+
+  session.expiresAt = new Date(decodeToken(refreshToken).exp * 1000);
+
+  return { token, refreshToken };
+};
+
+/**
+ * Create a new session for a user logging in from a device
+ * @param {object} user - User document
+ * @param {object} req - Express request
+ * @returns {object} - { session, token, refreshToken }
+ */
+const createSession = async (user, req) => {
+  const session = new Session({
+    userId: user._id,
+    role: user.role,
+    currentTokenId: newTokenId(),
+    ...getClientInfo(req)
+  });
+
+  const tokens = signSessionTokens(session);
+  await session.save();
+
+  return { session, ...tokens };
+};
+
+/**
+ * Exchange a refresh token for a new pair. Presenting an already rotated
+ * token revokes the whole session, since someone else may be holding it.
+ * @param {object} decoded - Verified refresh token payload
+ * @param {object} req - Express request
+ * @returns {object} - { session, token, refreshToken } or { error }
+ */
+const rotateSession = async (decoded, req) => {
+  const session = await Session.findById(decoded.sid);
+
+  if (!session || session.userId.toString() !== decoded.id.toString()) {
+    return { error: 'Session not found' };
+  }
+
+  if (!session.isActive()) {
+    return { error: 'Session has been revoked or has expired' };
+  }
+
+  if (session.currentTokenId !== decoded.jti) {
+    if (session.previousTokenIds.includes(decoded.jti)) {
+      console.warn(`⚠️ Refresh token reuse detected for session ${session._id}, revoking`);
+      await session.revoke('reuse-detected');
+      return { error: 'Refresh token reuse detected. Session revoked, please log in again' };
+    }
+    return { error: 'Invalid refresh token' };
+  }
+
+  const clientInfo = getClientInfo(req);
+
+  session.currentTokenId = newTokenId();
+  const tokens = signSessionTokens(session);
+
+  // Only one exchange of a token may win: a concurrent refresh with the
+  // same token finds it rotated already and is treated as reuse
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, currentTokenId: decoded.jti, revokedAt: null },
+    {
+      $set: {
+        currentTokenId: session.currentTokenId,
+        expiresAt: session.expiresAt,
+        lastUsed: new Date(),
+        userAgent: clientInfo.userAgent || session.userAgent,
+        ipAddress: clientInfo.ipAddress || session.ipAddress
+      },
+      $push: { previousTokenIds: decoded.jti }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    console.warn(`⚠️ Refresh token reuse detected for session ${session._id}, revoking`);
+    await Session.updateOne(
+      { _id: session._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'reuse-detected', revokedBy: null }
+    );
+    return { error: 'Refresh token reuse detected. Session revoked, please log in again' };
+  }
+
+  return { session: rotated, ...tokens };
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {string} userId - User ID
+ * @param {string} reason - Revocation reason
+ * @param {object} options - { revokedBy, exceptSessionId }
+ * @returns {number} - Number of sessions revoked
+ */
+const revokeUserSessions = async (userId, reason, { revokedBy = null, exceptSessionId = null } = {}) => {
+  const query = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const result = await Session.updateMany(query, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+    revokedBy
+  });
+
+  return result.modifiedCount;
+};
+
+/**
+ * Session shape returned by the API (never exposes token ids)
+ * @param {object} session - Session document
+ * @param {string} currentSessionId - Session of the caller, if any
+ * @returns {object}
+ */
+const formatSession = (session, currentSessionId = null) => ({
+  _id: session._id,
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress,
+  issuedAt: session.issuedAt,
+  lastUsed: session.lastUsed,
+  expiresAt: session.expiresAt,
+  revokedAt: session.revokedAt,
+  revokedReason: session.revokedReason,
+  isActive: session.isActive(),
+  isCurrent: currentSessionId ? session._id.toString() === currentSessionId.toString() : false
+});
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeUserSessions,
+  formatSession,
+  getClientInfo
+};
@@ -0,0 +1,30 @@
+// utils/settingsHelper.js
+// Company-wide settings for code that runs outside an admin request
+
+const Admin = require('../models/Admin');
+
+/**
+ * Get the company settings. Settings live on the admin document, so the
+ * oldest admin's settings are used; schema defaults apply when none exists.
+ * @returns {object} - Same shape as Admin#getFormattedSettings
+ */
+const getCompanySettings = async () => {
+  const admin = await Admin.findOne().sort({ createdAt: 1 });
+  return (admin || new Admin()).getFormattedSettings();
+};
+
+/**
+ * Parse a numeric setting (settings are stored as strings)
+ * @param {string|number} value - Raw setting value
+ * @param {number} fallback - Value used when the setting is empty or invalid
+ * @returns {number}
+ */
+const toNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+module.exports = {
+  getCompanySettings,
+  toNumber
+};
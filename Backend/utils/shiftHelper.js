@@ -0,0 +1,224 @@
+// utils/shiftHelper.js
+// Resolve which shift an employee works on a day (swaps > employee roster >
+// department roster) and attribute check-ins to shifts
+
+const Roster = require('../models/Roster');
+const Shift = require('../models/Shift');
+const ShiftSwap = require('../models/ShiftSwap');
+const { DAY_NAMES, getPKTDate, toDateKey } = require('./workCalendar');
+const { getEmployeeRules, loadRuleResolver, getScheduleWindow } = require('./attendanceRules');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Roster day for a date, or undefined when the roster does not cover it
+ * @param {object} roster - Roster document (lean)
+ * @param {Date} date - Day start
+ * @returns {object|undefined} - { day, shift }
+ */
+const getRosterDay = (roster, date) => {
+  const from = getPKTDate(roster.effectiveFrom);
+  if (date < from) return undefined;
+  if (roster.effectiveTo && date > getPKTDate(roster.effectiveTo)) return undefined;
+  if (!roster.weeks || roster.weeks.length === 0) return undefined;
+
+  const weekIndex = Math.floor((date - from) / (7 * DAY_MS)) % roster.weeks.length;
+  const dayName = DAY_NAMES[date.getUTCDay()];
+  return roster.weeks[weekIndex].days.find(d => d.day === dayName);
+};
+
+/**
+ * Rules of a shift: the employee's rules with the shift's times
+ * @param {object} rules - Effective attendance rules
+ * @param {object} shift - Shift document
+ * @returns {object}
+ */
+const getShiftRules = (rules, shift) => ({
+  ...rules,
+  startTime: shift.startTime,
+  endTime: shift.endTime,
+  timezone: shift.timezone || rules.timezone
+});
+
+/**
+ * Load rosters, approved swaps and shifts of a range once
+ * @param {string|Date} startDate - Range start
+ * @param {string|Date} endDate - Range end
+ * @returns {object} - { resolve(employee, date), shifts }
+ *   resolve returns null when no roster covers the day, otherwise
+ *   { shift (null = day off), source: 'roster'|'swap', rosterId, swapId }
+ */
+const loadShiftSchedule = async (startDate, endDate) => {
+  const start = getPKTDate(startDate);
+  const end = getPKTDate(endDate);
+
+  const [rosters, swaps] = await Promise.all([
+    Roster.find({
+      isActive: true,
+      effectiveFrom: { $lte: end },
+      $or: [{ effectiveTo: null }, { effectiveTo: { $gte: start } }]
+    }).sort({ effectiveFrom: -1 }).lean(),
+    ShiftSwap.find({
+      status: 'approved',
+      date: { $gte: start, $lte: end }
+    }).lean()
+  ]);
+
+  const shiftIds = new Set();
+  rosters.forEach(roster => roster.weeks.forEach(week => week.days.forEach(d => {
+    if (d.shift) shiftIds.add(d.shift.toString());
+  })));
+  swaps.forEach(swap => {
+    if (swap.requesterShift) shiftIds.add(swap.requesterShift.toString());
+    if (swap.targetShift) shiftIds.add(swap.targetShift.toString());
+  });
+
+  const shifts = new Map(
+    (await Shift.find({ _id: { $in: [...shiftIds] } }).lean()).map(s => [s._id.toString(), s])
+  );
+  const getShift = (id) => (id ? shifts.get(id.toString()) || null : null);
+
+  // Schedule without swaps: newest roster first, employee before department
+  const resolveRoster = (employee, date) => {
+    const candidates = [
+      ...rosters.filter(r => r.assigneeType === 'employee' && r.employeeId?.toString() === employee._id.toString()),
+      ...rosters.filter(r => r.assigneeType === 'department' && r.department === employee.department)
+    ];
+
+    for (const roster of candidates) {
+      const rosterDay = getRosterDay(roster, date);
+      if (rosterDay) {
+        return { shift: getShift(rosterDay.shift), source: 'roster', rosterId: roster._id };
+      }
+    }
+    return null;
+  };
+
+  const resolve = (employee, date) => {
+    const day = getPKTDate(date);
+    const key = toDateKey(day);
+    const id = employee._id.toString();
+
+    const swap = swaps.find(s =>
+      toDateKey(s.date) === key &&
+      (s.requesterId.toString() === id || s.targetId.toString() === id)
+    );
+
+    if (swap) {
+      const shiftId = swap.requesterId.toString() === id ? swap.targetShift : swap.requesterShift;
+      return { shift: getShift(shiftId), source: 'swap', swapId: swap._id };
+    }
+
+    return resolveRoster(employee, day);
+  };
+
+  return { resolve, resolveRoster, shifts };
+};
+
+/**
+ * Scheduled shift of one employee on one day
+ * @param {object} employee - Employee document
+ * @param {string|Date} date - Day
+ * @returns {object|null} - See loadShiftSchedule
+ */
+const getScheduledShift = async (employee, date) => {
+  const schedule = await loadShiftSchedule(date, date);
+  return schedule.resolve(employee, date);
+};
+
+/**
+ * Work out which shift a check-in at `now` belongs to. A night shift that
+ * started yesterday still owns check-ins until it ends.
+ * @param {object} employee - Employee document
+ * @param {Date} now - Check-in time
+ * @returns {object} - { date, shift, scheduledStart, scheduledEnd, rules }
+ *   shift is null when the employee has no shift scheduled
+ */
+const resolveCheckInShift = async (employee, now = new Date()) => {
+  const today = getPKTDate(now);
+  const yesterday = new Date(today.getTime() - DAY_MS);
+
+  const [schedule, rules] = await Promise.all([
+    loadShiftSchedule(yesterday, today),
+    getEmployeeRules(employee)
+  ]);
+
+  const candidates = [yesterday, today]
+    .map(date => {
+      const entry = schedule.resolve(employee, date);
+      if (!entry || !entry.shift) return null;
+
+      const shiftRules = getShiftRules(rules, entry.shift);
+      const { start, end } = getScheduleWindow(date, shiftRules);
+      return { date, shift: entry.shift, scheduledStart: start, scheduledEnd: end, rules: shiftRules };
+    })
+    .filter(Boolean);
+
+  // Inside the shift, or within its check-in window before the start
+  const current = candidates.find(c => {
+    const opensAt = new Date(c.scheduledStart.getTime() - (c.shift.checkInWindow || 0) * 60 * 1000);
+    return now >= opensAt && now <= c.scheduledEnd;
+  });
+  if (current) return current;
+
+  // Early for today's shift: still today's shift
+  const todays = candidates.find(c => c.date.getTime() === today.getTime() && now < c.scheduledStart);
+  if (todays) return todays;
+
+  return { date: today, shift: null, scheduledStart: null, scheduledEnd: null, rules };
+};
+
+/**
+ * Shifts scheduled on a day for a list of employees
+ * @param {object[]} employees - Employee documents
+ * @param {string|Date} date - Day
+ * @returns {Map} - employee id -> { shift, source, scheduledStart, scheduledEnd }
+ *   (employees without a shift or with a day off are left out)
+ */
+const getScheduledShiftsForDay = async (employees, date) => {
+  const day = getPKTDate(date);
+  const [schedule, resolveRules] = await Promise.all([
+    loadShiftSchedule(day, day),
+    loadRuleResolver()
+  ]);
+  const scheduled = new Map();
+
+  for (const employee of employees) {
+    const entry = schedule.resolve(employee, day);
+    if (!entry || !entry.shift) continue;
+
+    const rules = resolveRules(employee);
+    const { start, end } = getScheduleWindow(day, getShiftRules(rules, entry.shift));
+    scheduled.set(employee._id.toString(), {
+      shift: entry.shift,
+      source: entry.source,
+      scheduledStart: start,
+      scheduledEnd: end
+    });
+  }
+
+  return scheduled;
+};
+
+/**
+ * Shift summary for API responses
+ */
+const formatShift = (shift) => (shift ? {
+  _id: shift._id,
+  name: shift.name,
+  code: shift.code,
+  startTime: shift.startTime,
+  endTime: shift.endTime,
+  color: shift.color,
+  crossesMidnight: shift.endTime <= shift.startTime
+} : null);
+
+module.exports = {
+  getRosterDay,
+  getShiftRules,
+  loadShiftSchedule,
+  getScheduledShift,
+  resolveCheckInShift,
+  getScheduledShiftsForDay,
+  formatShift
+};
@@ -0,0 +1,119 @@
+// utils/sprintHelper.js
+// Sprint capacity and burndown
+//
+// The burndown replays TaskHistory: for every sprint day it works out which
+// tasks were in the sprint ('sprint' entries) and which of them were
+// completed ('status' entries) at the end of that day. Work is counted in
+// estimated hours and in tasks.
+
+const Task = require('../models/Task');
+const TaskHistory = require('../models/TaskHistory');
+const { getPKTDate, toDateKey } = require('./workCalendar');
+const { valueAt, groupByTask } = require('./taskHistoryHelper');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PKT_OFFSET = 5 * 60 * 60 * 1000;
+
+// Last instant of a stored PKT day
+const endOfDay = (day) => new Date(day.getTime() + DAY_MS - PKT_OFFSET - 1);
+
+const sumHours = (tasks) => tasks.reduce((sum, task) => sum + (task.estimatedHours || 0), 0);
+
+/**
+ * Planned hours against the sprint's capacity
+ * @param {object} sprint - Sprint
+ * @param {object[]} tasks - Tasks in the sprint
+ * @returns {object} - { capacityHours, plannedHours, remainingHours, overCapacity }
+ */
+const getSprintCapacity = (sprint, tasks) => {
+  const plannedHours = sumHours(tasks);
+  return {
+    capacityHours: sprint.capacityHours,
+    plannedHours,
+    remainingHours: Math.round((sprint.capacityHours - plannedHours) * 100) / 100,
+    overCapacity: sprint.capacityHours > 0 && plannedHours > sprint.capacityHours
+  };
+};
+
+/**
+ * Per-day remaining work of a sprint, up to today
+ * @param {object} sprint - Sprint
+ * @param {Date} now - Current time
+ * @returns {object} - { days, ideal, scope: { tasks, hours, completed } }
+ */
+const getSprintBurndown = async (sprint, now = new Date()) => {
+  // Every task that is or ever was in the sprint
+  const sprintId = sprint._id.toString();
+  const scopeEntries = await TaskHistory.find({
+    field: 'sprint',
+    $or: [{ before: sprintId }, { after: sprintId }]
+  }).select('task');
+  const taskIds = new Set(scopeEntries.map(entry => entry.task.toString()));
+  const current = await Task.find({ sprint: sprint._id }).select('_id');
+  current.forEach(task => taskIds.add(task._id.toString()));
+
+  const tasks = await Task.find({ _id: { $in: [...taskIds] } })
+    .select('title status estimatedHours sprint completedAt');
+  const history = groupByTask(await TaskHistory.find({
+    task: { $in: [...taskIds] },
+    field: { $in: ['status', 'sprint'] }
+  }).sort({ at: 1 }));
+
+  const entriesOf = (task, field) => (history.get(task._id.toString()) || []).filter(e => e.field === field);
+
+  // A task without status history falls back to its completion time
+  const isCompletedAt = (task, time) => {
+    const statusEntries = entriesOf(task, 'status');
+    if (statusEntries.length > 0) return valueAt(statusEntries, time, task.status) === 'completed';
+    return task.status === 'completed' && (!task.completedAt || task.completedAt <= time);
+  };
+
+  const start = getPKTDate(sprint.startDate);
+  const end = getPKTDate(sprint.endDate);
+  const today = getPKTDate(now);
+  const totalDays = Math.round((end - start) / DAY_MS) + 1;
+
+  const days = [];
+  for (let index = 0; index < totalDays; index++) {
+    const day = new Date(start.getTime() + index * DAY_MS);
+    if (day > today) break;
+
+    const time = day.getTime() === today.getTime() ? now : endOfDay(day);
+    const inScope = tasks.filter(task => valueAt(entriesOf(task, 'sprint'), time, task.sprint) === sprintId);
+    const open = inScope.filter(task => !isCompletedAt(task, time));
+
+    days.push({
+      date: toDateKey(day),
+      scopeTasks: inScope.length,
+      scopeHours: sumHours(inScope),
+      remainingTasks: open.length,
+      remainingHours: sumHours(open),
+      completedTasks: inScope.length - open.length
+    });
+  }
+
+  // Straight line from the committed (or first-day) scope down to zero
+  const baseline = sprint.committed?.hours || days[0]?.scopeHours || 0;
+  const ideal = Array.from({ length: totalDays }, (_, index) => ({
+    date: toDateKey(new Date(start.getTime() + index * DAY_MS)),
+    hours: totalDays > 1
+      ? Math.round(baseline * (1 - index / (totalDays - 1)) * 100) / 100
+      : 0
+  }));
+
+  const inSprint = tasks.filter(task => task.sprint?.toString() === sprintId);
+  return {
+    days,
+    ideal,
+    scope: {
+      tasks: inSprint.length,
+      hours: sumHours(inSprint),
+      completed: inSprint.filter(task => task.status === 'completed').length
+    }
+  };
+};
+
+module.exports = {
+  getSprintCapacity,
+  getSprintBurndown
+};
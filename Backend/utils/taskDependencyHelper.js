@@ -0,0 +1,171 @@
+// utils/taskDependencyHelper.js
+// Finish-to-start task dependencies
+//
+// A task lists its predecessors in `dependencies`; successors are found by
+// querying for tasks that list it. A task is blocked while any predecessor
+// is not completed, unless an admin set `dependencyOverride.active`.
+
+const Task = require('../models/Task');
+const { notifyEmployee } = require('./Notificationhelper');
+
+// Statuses that count as having started work
+const STARTED_STATUSES = ['in-progress', 'completed'];
+
+/**
+ * Predecessors of a task that are not completed yet
+ * @param {object} task - Task document
+ * @returns {Array} - Tasks (title, taskId, status, assignedTo)
+ */
+const getOpenPredecessors = async (task) => {
+  const ids = (task.dependencies || []).map(dependency => dependency.task);
+  if (ids.length === 0) return [];
+  return Task.find({ _id: { $in: ids }, status: { $ne: 'completed' } })
+    .select('taskId title status assignedTo');
+};
+
+/**
+ * Why a task may not start, or null when it may
+ * @param {object} task - Task document
+ * @returns {object|null} - { message, blockedBy }
+ */
+const getStartBlock = async (task) => {
+  if (task.dependencyOverride?.active) return null;
+  const blockedBy = await getOpenPredecessors(task);
+  if (blockedBy.length === 0) return null;
+  return {
+    message: `Task is blocked by ${blockedBy.map(t => `"${t.title}"`).join(', ')}`,
+    blockedBy
+  };
+};
+
+/**
+ * Whether a status change starts work on a task
+ * @param {object} task - Task document (before the change)
+ * @param {string} status - New status
+ * @returns {boolean}
+ */
+const isStartTransition = (task, status) =>
+  STARTED_STATUSES.includes(status) && !STARTED_STATUSES.includes(task.status);
+
+/**
+ * Whether making `predecessorId` a predecessor of `taskId` closes a loop,
+ * i.e. the task is already (indirectly) a predecessor of it
+ * @param {ObjectId} taskId - Successor
+ * @param {ObjectId} predecessorId - New predecessor
+ * @returns {Array|null} - Task ids of the cycle, or null
+ */
+const findCycle = async (taskId, predecessorId) => {
+  const target = taskId.toString();
+  const parents = new Map([[predecessorId.toString(), null]]);
+  let frontier = [predecessorId.toString()];
+
+  while (frontier.length > 0) {
+    if (frontier.includes(target)) {
+      const path = [];
+      for (let id = target; id; id = parents.get(id)) path.unshift(id);
+      return [target, ...path];
+    }
+    const tasks = await Task.find({ _id: { $in: frontier } }).select('dependencies.task');
+    const next = [];
+    tasks.forEach(task => {
+      task.dependencies.forEach(({ task: id }) => {
+        const key = id.toString();
+        if (!parents.has(key)) {
+          parents.set(key, task._id.toString());
+          next.push(key);
+        }
+      });
+    });
+    frontier = next;
+  }
+  return null;
+};
+
+/**
+ * Dependency graph of a set of tasks for rendering
+ * @param {Array} tasks - Task documents (assignedTo may be populated)
+ * @returns {object} - { nodes, edges, hasExternal }; each node has a
+ *   `level` (longest chain of predecessors before it) and `blocked`
+ */
+const buildDependencyGraph = (tasks) => {
+  const byId = new Map(tasks.map(task => [task._id.toString(), task]));
+  const edges = [];
+  let hasExternal = false;
+
+  tasks.forEach(task => {
+    (task.dependencies || []).forEach(dependency => {
+      const from = dependency.task.toString();
+      if (!byId.has(from)) {
+        hasExternal = true;
+        return;
+      }
+      edges.push({ from, to: task._id.toString(), type: dependency.type });
+    });
+  });
+
+  // Longest path from a root (Kahn's algorithm; the graph is acyclic)
+  const incoming = new Map(tasks.map(task => [task._id.toString(), 0]));
+  edges.forEach(edge => incoming.set(edge.to, incoming.get(edge.to) + 1));
+  const level = new Map();
+  const queue = [...incoming.entries()].filter(([, count]) => count === 0).map(([id]) => id);
+  queue.forEach(id => level.set(id, 0));
+  while (queue.length > 0) {
+    const id = queue.shift();
+    edges.filter(edge => edge.from === id).forEach(edge => {
+      level.set(edge.to, Math.max(level.get(edge.to) || 0, level.get(id) + 1));
+      incoming.set(edge.to, incoming.get(edge.to) - 1);
+      if (incoming.get(edge.to) === 0) queue.push(edge.to);
+    });
+  }
+
+  const nodes = tasks.map(task => {
+    const id = task._id.toString();
+    const openPredecessors = edges.filter(edge => edge.to === id && byId.get(edge.from).status !== 'completed');
+    return {
+      id,
+      taskId: task.taskId,
+      title: task.title,
+      status: task.status,
+      assignedTo: task.assignedTo?.name || task.assignedTo,
+      dueDate: task.dueDate,
+      level: level.get(id) || 0,
+      blocked: openPredecessors.length > 0 && !task.dependencyOverride?.active,
+      overridden: Boolean(task.dependencyOverride?.active)
+    };
+  });
+
+  return { nodes, edges, hasExternal };
+};
+
+/**
+ * Tell assignees of successors that became unblocked when a task completed
+ * @param {object} task - Task that was just completed
+ */
+const notifyUnblockedSuccessors = async (task) => {
+  const successors = await Task.find({ 'dependencies.task': task._id, status: { $in: ['pending', 'on-hold'] } });
+
+  for (const successor of successors) {
+    const open = await getOpenPredecessors(successor);
+    if (open.length > 0) continue;
+    await notifyEmployee(successor.assignedTo, {
+      title: '🔓 Task Unblocked',
+      message: `"${successor.title}" can start now: "${task.title}" is completed`,
+      type: 'task',
+      metadata: {
+        taskId: successor._id,
+        predecessorId: task._id,
+        link: '/employee/tasks',
+        action: 'task-unblocked'
+      }
+    });
+  }
+};
+
+module.exports = {
+  getOpenPredecessors,
+  getStartBlock,
+  isStartTransition,
+  findCycle,
+  buildDependencyGraph,
+  notifyUnblockedSuccessors
+};
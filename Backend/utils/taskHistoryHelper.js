@@ -0,0 +1,164 @@
+// utils/taskHistoryHelper.js
+// Record task field changes and read a field's value at a past moment
+//
+// Handlers take a snapshot of the tracked fields before changing a task and
+// pass it to recordTaskUpdate afterwards; sprint scope is recorded by the
+// sprint controller.
+
+const TaskHistory = require('../models/TaskHistory');
+
+const TRACKED_FIELDS = ['status', 'assignedTo', 'priority', 'dueDate', 'title', 'estimatedHours', 'parentTask'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// ObjectIds and dates are stored as plain values so entries compare simply
+const plain = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value;
+  if (value._id) return value._id.toString();
+  return value;
+};
+
+const sameValue = (a, b) => {
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  }
+  return String(a) === String(b);
+};
+
+/**
+ * Tracked field values of a task, taken before it is changed
+ * @param {object} task - Task
+ * @returns {object} - { field: value }
+ */
+const snapshotTask = (task) => Object.fromEntries(
+  TRACKED_FIELDS.map(field => [field, plain(task[field])])
+);
+
+/**
+ * Store one history entry per changed field; unchanged fields are skipped
+ * @param {object} task - Task (after the change)
+ * @param {object[]} changes - [{ field, before, after }]
+ * @param {ObjectId|null} actor - User who made the change
+ * @param {string} source - api, board, bulk, timer, sprint
+ * @returns {object[]} - Created entries
+ */
+const recordTaskChanges = async (task, changes, actor = null, source = 'api') => {
+  const at = new Date();
+  const entries = changes
+    .map(change => ({ ...change, before: plain(change.before), after: plain(change.after) }))
+    .filter(change => !sameValue(change.before, change.after))
+    .map(change => ({
+      task: task._id,
+      project: task.project?._id || task.project,
+      field: change.field,
+      before: change.before,
+      after: change.after,
+      actor,
+      source,
+      at
+    }));
+
+  if (entries.length === 0) return [];
+  return TaskHistory.insertMany(entries);
+};
+
+/**
+ * Record every tracked field that differs from a snapshot
+ * @param {object} task - Task after the change
+ * @param {object} snapshot - snapshotTask() result from before the change
+ * @param {ObjectId|null} actor - User who made the change
+ * @param {string} source - See recordTaskChanges
+ * @returns {object[]} - Created entries
+ */
+const recordTaskUpdate = (task, snapshot, actor = null, source = 'api') => recordTaskChanges(
+  task,
+  TRACKED_FIELDS.map(field => ({ field, before: snapshot[field], after: task[field] })),
+  actor,
+  source
+);
+
+/**
+ * Shorthand for a status change
+ * @param {object} task - Task with its new status
+ * @param {string} before - Previous status
+ * @param {ObjectId|null} actor - User who made the change
+ * @param {string} source - See recordTaskChanges
+ */
+const recordStatusChange = (task, before, actor = null, source = 'api') =>
+  recordTaskChanges(task, [{ field: 'status', before, after: task.status }], actor, source);
+
+/**
+ * Value of a field at a moment, replayed from its history
+ * @param {object[]} entries - One task's entries for the field, oldest first
+ * @param {Date} time - Moment
+ * @param {*} current - Current value (used when there is no history)
+ * @returns {*}
+ */
+const valueAt = (entries, time, current) => {
+  if (entries.length === 0) return plain(current);
+
+  let value = entries[0].before;
+  for (const entry of entries) {
+    if (entry.at > time) break;
+    value = entry.after;
+  }
+  return value;
+};
+
+const hoursBetween = (from, to) =>
+  from && to ? Math.round(((to - from) / HOUR_MS) * 10) / 10 : null;
+
+/**
+ * Lead and cycle time of a task from its status history
+ *   lead time  - created → last completed
+ *   cycle time - first in-progress → last completed
+ * Tasks without history fall back to startedAt / completedAt.
+ * @param {object} task - Task (createdAt, startedAt, completedAt, status)
+ * @param {object[]} statusEntries - The task's status entries, oldest first
+ * @returns {object} - { startedAt, completedAt, leadHours, cycleHours, reopens }
+ */
+const getTaskTimings = (task, statusEntries = []) => {
+  const started = statusEntries.find(entry => entry.after === 'in-progress');
+  const completions = statusEntries.filter(entry => entry.after === 'completed');
+  const startedAt = started?.at || task.startedAt || null;
+  const completedAt = task.status === 'completed'
+    ? (completions[completions.length - 1]?.at || task.completedAt || null)
+    : null;
+
+  return {
+    startedAt,
+    completedAt,
+    leadHours: hoursBetween(task.createdAt, completedAt),
+    cycleHours: startedAt && completedAt && startedAt <= completedAt ? hoursBetween(startedAt, completedAt) : null,
+    reopens: statusEntries.filter(entry => entry.before === 'completed').length
+  };
+};
+
+/**
+ * Group history entries by task, oldest first
+ * @param {object[]} entries - TaskHistory entries
+ * @returns {Map<string, object[]>}
+ */
+const groupByTask = (entries) => {
+  const byTask = new Map();
+  [...entries]
+    .sort((a, b) => a.at - b.at)
+    .forEach(entry => {
+      const key = entry.task.toString();
+      if (!byTask.has(key)) byTask.set(key, []);
+      byTask.get(key).push(entry);
+    });
+  return byTask;
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  snapshotTask,
+  recordTaskChanges,
+  recordTaskUpdate,
+  recordStatusChange,
+  valueAt,
+  groupByTask,
+  getTaskTimings
+};
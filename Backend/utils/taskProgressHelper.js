@@ -0,0 +1,153 @@
+// utils/taskProgressHelper.js
+// Subtask hierarchy and progress roll-up
+//
+// A task without subtasks is 100% when completed, otherwise the share of
+// its checklist that is done. A task with subtasks averages its subtasks
+// (and its own checklist, counted as one more part) until it is completed
+// itself. Project.progress averages the top-level tasks; progressTracking
+// keeps the counts behind it.
+
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+
+const COMPLETED_MILESTONES = ['Completed', 'Approved'];
+
+const checklistRatio = (checklist = []) =>
+  checklist.length > 0 ? checklist.filter(item => item.done).length / checklist.length : null;
+
+/**
+ * Progress of a task from its status, checklist and subtasks
+ * @param {object} task - Task (status, checklist)
+ * @param {Array} subtasks - Direct subtasks (progress)
+ * @returns {number} - 0-100
+ */
+const calculateProgress = (task, subtasks = []) => {
+  if (task.status === 'completed') return 100;
+
+  const parts = subtasks.map(subtask => (subtask.progress || 0) / 100);
+  const checklist = checklistRatio(task.checklist);
+  if (checklist !== null) parts.push(checklist);
+
+  if (parts.length === 0) return 0;
+  return Math.round((parts.reduce((sum, part) => sum + part, 0) / parts.length) * 100);
+};
+
+/**
+ * Recompute Project.progress and progressTracking from its tasks
+ * @param {ObjectId} projectId - Project
+ */
+const refreshProjectProgress = async (projectId) => {
+  if (!projectId) return;
+  const project = await Project.findById(projectId).select('milestones');
+  if (!project) return;
+
+  const tasks = await Task.find({ project: projectId }).select('parentTask status progress');
+  const topLevel = tasks.filter(task => !task.parentTask);
+  const subtasks = tasks.filter(task => task.parentTask);
+
+  const progress = topLevel.length > 0
+    ? Math.round(topLevel.reduce((sum, task) => sum + (task.progress || 0), 0) / topLevel.length)
+    : 0;
+
+  await Project.updateOne({ _id: projectId }, {
+    $set: {
+      progress,
+      progressTracking: {
+        totalTasks: topLevel.length,
+        completedTasks: topLevel.filter(t => t.status === 'completed').length,
+        tasksInProgress: topLevel.filter(t => t.status === 'in-progress').length,
+        pendingTasks: topLevel.filter(t => t.status === 'pending').length,
+        totalSubtasks: subtasks.length,
+        completedSubtasks: subtasks.filter(t => t.status === 'completed').length,
+        totalMilestones: project.milestones.length,
+        completedMilestones: project.milestones.filter(m => COMPLETED_MILESTONES.includes(m.status)).length,
+        lastUpdated: new Date()
+      }
+    }
+  });
+};
+
+/**
+ * Recompute a task's progress and roll it up through its parents to the
+ * project
+ * @param {ObjectId} taskId - Task whose status, checklist or subtasks changed
+ */
+const refreshTaskProgress = async (taskId) => {
+  let current = await Task.findById(taskId).select('project parentTask status checklist progress');
+  if (!current) return;
+  const projectId = current.project;
+
+  while (current) {
+    const subtasks = await Task.find({ parentTask: current._id }).select('progress');
+    const progress = calculateProgress(current, subtasks);
+    if (progress !== current.progress) {
+      await Task.updateOne({ _id: current._id }, { $set: { progress } });
+    }
+    current = current.parentTask
+      ? await Task.findById(current.parentTask).select('project parentTask status checklist progress')
+      : null;
+  }
+
+  await refreshProjectProgress(projectId);
+};
+
+/**
+ * Ids of all subtasks below a task, at any depth
+ * @param {ObjectId} taskId - Task
+ * @returns {ObjectId[]}
+ */
+const getDescendantIds = async (taskId) => {
+  const ids = [];
+  let frontier = [taskId];
+  while (frontier.length > 0) {
+    const children = await Task.find({ parentTask: { $in: frontier } }).select('_id');
+    frontier = children.map(child => child._id);
+    ids.push(...frontier);
+  }
+  return ids;
+};
+
+/**
+ * Whether making `parentId` the parent of `taskId` would put the task below
+ * itself
+ * @param {ObjectId} taskId - Task being moved
+ * @param {ObjectId} parentId - New parent
+ * @returns {boolean}
+ */
+const isOwnDescendant = async (taskId, parentId) => {
+  let current = parentId;
+  while (current) {
+    if (current.toString() === taskId.toString()) return true;
+    const parent = await Task.findById(current).select('parentTask');
+    current = parent?.parentTask;
+  }
+  return false;
+};
+
+/**
+ * Nest a flat task list by parentTask
+ * @param {Array} tasks - Task documents
+ * @returns {Array} - Top-level tasks (plain objects) with `subtasks`
+ */
+const buildTaskTree = (tasks) => {
+  const nodes = new Map(tasks.map(task => [
+    task._id.toString(),
+    { ...(task.toObject ? task.toObject() : task), subtasks: [] }
+  ]));
+  const roots = [];
+  nodes.forEach(node => {
+    const parent = node.parentTask && nodes.get(node.parentTask.toString());
+    if (parent) parent.subtasks.push(node);
+    else roots.push(node);
+  });
+  return roots;
+};
+
+module.exports = {
+  calculateProgress,
+  refreshProjectProgress,
+  refreshTaskProgress,
+  getDescendantIds,
+  isOwnDescendant,
+  buildTaskTree
+};
@@ -0,0 +1,225 @@
+// utils/timesheetHelper.js
+// Weekly timesheets built from task timer sessions
+//
+// A session belongs to the day (PKT) it started on and to the employee who
+// ran the timer. Until a week is submitted its timer entries are rebuilt from
+// the sessions on every read; submission snapshots them on the timesheet.
+
+const Task = require('../models/Task');
+const Timesheet = require('../models/Timesheet');
+const { getPKTDate, toDateKey } = require('./workCalendar');
+const { getWeekStart } = require('./overtimeHelper');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (hours) => Math.round(hours * 100) / 100;
+
+const LOCKED_STATUSES = ['submitted', 'approved'];
+
+/**
+ * Monday-Sunday week a day falls in
+ * @param {string|Date} weekOf - Any day of the week
+ * @returns {object} - { weekStart, weekEnd } as stored days
+ */
+const getWeekRange = (weekOf) => {
+  const weekStart = getWeekStart(weekOf || new Date());
+  return { weekStart, weekEnd: new Date(weekStart.getTime() + 6 * DAY_MS) };
+};
+
+// Whether a session was run by the employee (older sessions carry no
+// employee, they belong to the assignee)
+const isOwnSession = (session, task, employeeId) => {
+  const owner = session.employee || task.assignedTo;
+  return owner && owner.toString() === employeeId.toString();
+};
+
+/**
+ * Timer entries of an employee for a week, one per task and day
+ * @param {ObjectId} employeeId - Employee
+ * @param {Date} weekStart - Monday (stored day)
+ * @returns {Array} - [{ date, project, task, minutes, source, sessionIds }]
+ */
+const collectTimerEntries = async (employeeId, weekStart) => {
+  const weekEnd = new Date(weekStart.getTime() + 6 * DAY_MS);
+  // Sessions are stored as instants; pad a day either side and keep those
+  // whose PKT day is in the week
+  const from = new Date(weekStart.getTime() - DAY_MS);
+  const to = new Date(weekEnd.getTime() + 2 * DAY_MS);
+
+  const tasks = await Task.find({
+    $or: [{ 'timer.sessions.employee': employeeId }, { assignedTo: employeeId }],
+    'timer.sessions.startTime': { $gte: from, $lt: to }
+  }).select('title project assignedTo timer.sessions');
+
+  const entries = new Map();
+  tasks.forEach(task => {
+    task.timer.sessions.forEach(session => {
+      if (!session.startTime || !isOwnSession(session, task, employeeId)) return;
+      const day = getPKTDate(session.startTime);
+      if (day < weekStart || day > weekEnd) return;
+
+      const key = `${task._id}:${toDateKey(day)}`;
+      if (!entries.has(key)) {
+        entries.set(key, {
+          date: day,
+          project: task.project,
+          task: task._id,
+          taskTitle: task.title,
+          seconds: 0,
+          source: 'timer',
+          sessionIds: []
+        });
+      }
+      const entry = entries.get(key);
+      entry.seconds += session.duration || 0;
+      entry.sessionIds.push(session._id);
+    });
+  });
+
+  return [...entries.values()]
+    .map(({ seconds, ...entry }) => ({ ...entry, minutes: Math.round(seconds / 60) }))
+    .filter(entry => entry.minutes > 0)
+    .sort((a, b) => a.date - b.date);
+};
+
+/**
+ * Timers of an employee that started on or before the end of a week and are
+ * still running
+ * @param {ObjectId} employeeId - Employee
+ * @param {Date} weekStart - Monday (stored day)
+ * @returns {Array} - Tasks (title, timer.startTime)
+ */
+const getRunningTimers = async (employeeId, weekStart) => {
+  const weekEnd = new Date(weekStart.getTime() + 6 * DAY_MS);
+  const tasks = await Task.find({ assignedTo: employeeId, 'timer.isRunning': true })
+    .select('title timer.startTime');
+  return tasks.filter(task => task.timer.startTime && getPKTDate(task.timer.startTime) <= weekEnd);
+};
+
+/**
+ * Project x day grid of a week's entries
+ * @param {Array} entries - Timer and manual entries
+ * @param {Date} weekStart - Monday (stored day)
+ * @returns {object} - { days, byProject, byDay, totalMinutes, totalHours }
+ */
+const summarizeEntries = (entries, weekStart) => {
+  const days = Array.from({ length: 7 }, (_, i) => toDateKey(new Date(weekStart.getTime() + i * DAY_MS)));
+  const byDay = Object.fromEntries(days.map(key => [key, 0]));
+  const projects = new Map();
+
+  entries.forEach(entry => {
+    const dayKey = toDateKey(entry.date);
+    const projectId = entry.project?._id || entry.project || null;
+    const projectKey = projectId ? projectId.toString() : 'none';
+    if (!projects.has(projectKey)) {
+      projects.set(projectKey, {
+        project: projectId,
+        projectName: entry.project?.name,
+        days: Object.fromEntries(days.map(key => [key, 0])),
+        minutes: 0
+      });
+    }
+    const row = projects.get(projectKey);
+    row.days[dayKey] = (row.days[dayKey] || 0) + entry.minutes;
+    row.minutes += entry.minutes;
+    byDay[dayKey] = (byDay[dayKey] || 0) + entry.minutes;
+  });
+
+  const totalMinutes = entries.reduce((sum, entry) => sum + entry.minutes, 0);
+  return {
+    days,
+    byProject: [...projects.values()].map(row => ({ ...row, hours: round(row.minutes / 60) })),
+    byDay,
+    totalMinutes,
+    totalHours: round(totalMinutes / 60)
+  };
+};
+
+/**
+ * Entries of a timesheet: the snapshot once submitted, live sessions plus
+ * manual entries before that
+ * @param {object} timesheet - Timesheet document (may be unsaved)
+ * @returns {Array}
+ */
+const getTimesheetEntries = async (timesheet) => {
+  if (LOCKED_STATUSES.includes(timesheet.status)) {
+    return timesheet.entries.map(entry => entry.toObject());
+  }
+  const timerEntries = await collectTimerEntries(timesheet.employeeId, timesheet.weekStart);
+  const manualEntries = timesheet.manualEntries.map(entry => ({
+    ...entry.toObject(),
+    source: 'manual'
+  }));
+  return [...timerEntries, ...manualEntries].sort((a, b) => a.date - b.date);
+};
+
+/**
+ * Timesheet of an employee for a week, created (unsaved) when missing
+ * @param {ObjectId} employeeId - Employee
+ * @param {string|Date} weekOf - Any day of the week
+ * @returns {object} - Timesheet document
+ */
+const findOrInitTimesheet = async (employeeId, weekOf) => {
+  const { weekStart, weekEnd } = getWeekRange(weekOf);
+  const existing = await Timesheet.findOne({ employeeId, weekStart });
+  return existing || new Timesheet({ employeeId, weekStart, weekEnd });
+};
+
+/**
+ * Whether an employee's week is submitted or approved (no more timer use)
+ * @param {ObjectId} employeeId - Employee
+ * @param {string|Date} date - Any day of the week
+ * @returns {boolean}
+ */
+const isWeekLocked = async (employeeId, date) => {
+  const exists = await Timesheet.exists({
+    employeeId,
+    weekStart: getWeekStart(date),
+    status: { $in: LOCKED_STATUSES }
+  });
+  return Boolean(exists);
+};
+
+/**
+ * Approved timesheet hours for entries dated in a range
+ * @param {Date} startDate - First day (inclusive)
+ * @param {Date} endDate - Last day (inclusive)
+ * @returns {object} - { byProject, byEmployee } Maps of id -> hours
+ */
+const getApprovedTimesheetHours = async (startDate, endDate) => {
+  const start = getPKTDate(startDate);
+  const end = getPKTDate(endDate);
+  const timesheets = await Timesheet.find({
+    status: 'approved',
+    weekEnd: { $gte: start },
+    weekStart: { $lte: end }
+  }).select('employeeId entries');
+
+  const byProject = new Map();
+  const byEmployee = new Map();
+  const add = (map, id, hours) => map.set(id, round((map.get(id) || 0) + hours));
+
+  timesheets.forEach(timesheet => {
+    timesheet.entries
+      .filter(entry => entry.date >= start && entry.date <= end)
+      .forEach(entry => {
+        const hours = entry.minutes / 60;
+        add(byEmployee, timesheet.employeeId.toString(), hours);
+        if (entry.project) add(byProject, entry.project.toString(), hours);
+      });
+  });
+
+  return { byProject, byEmployee };
+};
+
+module.exports = {
+  LOCKED_STATUSES,
+  getWeekRange,
+  collectTimerEntries,
+  getRunningTimers,
+  summarizeEntries,
+  getTimesheetEntries,
+  findOrInitTimesheet,
+  isWeekLocked,
+  getApprovedTimesheetHours
+};
@@ -0,0 +1,81 @@
+// utils/workCalendar.js
+// Calendar-day helpers shared by attendance and leave.
+// Attendance dates are stored as UTC midnight of the PKT calendar day.
+
+const PKT_OFFSET = 5 * 60 * 60 * 1000; // 5 hours in milliseconds
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Start of the PKT calendar day (as stored in Attendance.date)
+ * @param {string|Date} dateString - Any date, defaults to now
+ * @returns {Date}
+ */
+const getPKTDate = (dateString) => {
+  const date = dateString ? new Date(dateString) : new Date();
+  const pktDate = new Date(date.getTime() + PKT_OFFSET);
+  pktDate.setUTCHours(0, 0, 0, 0);
+  return pktDate;
+};
+
+/**
+ * End of the PKT calendar day
+ * @param {string|Date} dateString - Any date, defaults to now
+ * @returns {Date}
+ */
+const getEndOfDayPKT = (dateString) => {
+  const date = new Date(dateString || new Date());
+  const utcDate = new Date(date.getTime() + PKT_OFFSET);
+  utcDate.setUTCHours(23, 59, 59, 999);
+  return utcDate;
+};
+
+/**
+ * "YYYY-MM-DD" key of a stored day
+ * @param {Date} date - Day start as returned by getPKTDate
+ * @returns {string}
+ */
+const toDateKey = (date) => new Date(date).toISOString().split('T')[0];
+
+/**
+ * Check whether a stored day falls on a weekend
+ * @param {Date} date - Day start as returned by getPKTDate
+ * @param {string[]} weekendDays - Day names, e.g. ['Saturday', 'Sunday']
+ * @returns {boolean}
+ */
+const isWeekend = (date, weekendDays = []) => {
+  return weekendDays.includes(DAY_NAMES[new Date(date).getUTCDay()]);
+};
+
+/**
+ * List every working day between two dates (inclusive)
+ * @param {string|Date} startDate - First day
+ * @param {string|Date} endDate - Last day
+ * @param {object} options
+ * @param {string[]} options.weekendDays - Day names to skip
+ * @param {Set<string>} options.holidayKeys - "YYYY-MM-DD" days to skip
+ * @returns {Date[]} - Day starts
+ */
+const getWorkingDates = (startDate, endDate, { weekendDays = [], holidayKeys = new Set() } = {}) => {
+  const dates = [];
+  const current = getPKTDate(startDate);
+  const end = getPKTDate(endDate);
+
+  while (current <= end) {
+    if (!isWeekend(current, weekendDays) && !holidayKeys.has(toDateKey(current))) {
+      dates.push(new Date(current));
+    }
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+
+  return dates;
+};
+
+module.exports = {
+  DAY_NAMES,
+  getPKTDate,
+  getEndOfDayPKT,
+  toDateKey,
+  isWeekend,
+  getWorkingDates
+};